@@ -0,0 +1,80 @@
+const { ALBUM_SUMMARY_SQL } = require("./albums");
+
+// =======================
+// albums 저장소 (lib/db.js 어댑터 위)
+// =======================
+// 앨범 이름은 소유자별로 UNIQUE. 업로드할 때 album 이름으로 자동 생성된다 (findOrCreate).
+// 앨범 미디어의 경로/이동/복사는 lib/mediaRepository.js. 앨범 공유 링크는 앨범을 지우면 함께 지워진다 (ON DELETE CASCADE).
+
+function createAlbumRepository(db) {
+    const repo = {
+        // ownerId 는 NULL 일 수 있다 (인증 도입 이전 앨범)
+        findByName(ownerId, name) {
+            return db.get("SELECT * FROM albums WHERE owner_id IS ? AND name = ?", [ownerId, name]);
+        },
+
+        // → 새 albums id
+        async insertAlbum({ ownerId, name, description = null }) {
+            const result = await db.run(
+                "INSERT INTO albums (owner_id, name, description) VALUES (?, ?, ?)",
+                [ownerId, name, description]
+            );
+            return result.lastID;
+        },
+
+        // 사용자 앨범 조회, 없으면 생성
+        async findOrCreate(ownerId, name) {
+            const album = await repo.findByName(ownerId, name);
+            if (album) return album;
+
+            const id = await repo.insertAlbum({ ownerId, name });
+            return { id, owner_id: ownerId, name };
+        },
+
+        getOwned(albumId, ownerId) {
+            return db.get("SELECT * FROM albums WHERE id = ? AND owner_id = ?", [albumId, ownerId]);
+        },
+
+        // 개수/크기/대표 이미지 포함 (ALBUM_SUMMARY_SQL)
+        getSummary(albumId, ownerId) {
+            return db.get(`${ALBUM_SUMMARY_SQL} WHERE a.id = ? AND a.owner_id = ?`, [albumId, ownerId]);
+        },
+
+        // 최근 업로드순
+        listSummaries(ownerId) {
+            return db.all(
+                `${ALBUM_SUMMARY_SQL} WHERE a.owner_id = ? ORDER BY COALESCE(last_updated, a.created_at) DESC, a.id DESC`,
+                [ownerId]
+            );
+        },
+
+        updateAlbum(albumId, { name, description, coverMediaId }) {
+            return db.run(
+                "UPDATE albums SET name = ?, description = ?, cover_media_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [name, description, coverMediaId, albumId]
+            );
+        },
+
+        touch(albumId) {
+            return db.run("UPDATE albums SET updated_at = CURRENT_TIMESTAMP WHERE id = ?", [albumId]);
+        },
+
+        // 앨범 삭제 - 미디어는 휴지통으로 옮기고 앨범 연결만 끊는다 (복원 시 album_name 으로 앨범을 다시 만듦)
+        // → 휴지통으로 옮긴 개수
+        async deleteAlbum(albumId) {
+            const trashed = await db.run(
+                "UPDATE uploaded_media SET deleted_at = CURRENT_TIMESTAMP WHERE album_id = ? AND deleted_at IS NULL",
+                [albumId]
+            );
+            await db.run("UPDATE uploaded_media SET album_id = NULL WHERE album_id = ?", [albumId]);
+            await db.run("DELETE FROM albums WHERE id = ?", [albumId]);
+            return trashed.changes;
+        },
+    };
+
+    return repo;
+}
+
+module.exports = {
+    createAlbumRepository,
+};
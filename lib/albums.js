@@ -0,0 +1,119 @@
+const path = require("path");
+const { moveThumbnails } = require("./thumbnails");
+
+// =======================
+// 앨범
+// =======================
+// albums 행이 앨범의 기준이고, uploaded_media.album_id 로 연결된다.
+// uploaded_media.album_name / album_path 는 기존 응답·필터 호환을 위해 함께 갱신한다.
+// 저장소 키의 폴더는 <소유자 id>/<sanitizeFolderName(앨범 이름)> (albumFolder) - 같은 이름의 앨범이라도 사용자마다 폴더가 따로다.
+// 실제 파일 위치는 항상 file_storage.file_path(저장소 키) 가 기준 (중복 제거된 파일은 처음 올린 앨범 폴더에 있음).
+
+const MAX_ALBUM_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// 앨범 요약 (파일 수, 용량, 대표 이미지 - 지정하지 않았으면 최근 미디어, 휴지통 항목 제외)
+const ALBUM_SUMMARY_SQL = `
+    SELECT
+        a.*,
+        (SELECT COUNT(*) FROM uploaded_media m WHERE m.album_id = a.id AND m.deleted_at IS NULL) as file_count,
+        (SELECT COALESCE(SUM(s.file_size), 0) FROM uploaded_media m
+         JOIN file_storage s ON s.id = m.storage_id WHERE m.album_id = a.id AND m.deleted_at IS NULL) as total_size,
+        (SELECT MAX(m.uploaded_at) FROM uploaded_media m WHERE m.album_id = a.id AND m.deleted_at IS NULL) as last_updated,
+        cm.id as cover_id,
+        cs.id as cover_storage_id,
+        cs.file_path as cover_file_path,
+        cs.thumbnail_status as cover_thumbnail_status
+    FROM albums a
+    LEFT JOIN uploaded_media cm ON cm.id = COALESCE(
+        (SELECT m.id FROM uploaded_media m WHERE m.id = a.cover_media_id AND m.deleted_at IS NULL),
+        (SELECT m.id FROM uploaded_media m WHERE m.album_id = a.id AND m.deleted_at IS NULL
+         ORDER BY m.uploaded_at DESC, m.id DESC LIMIT 1)
+    )
+    LEFT JOIN file_storage cs ON cs.id = cm.storage_id
+`;
+
+class AlbumError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function sanitizeFolderName(name) {
+    return name.replace(/[^a-zA-Z0-9가-힣._-]/g, "_");
+}
+
+// 앨범의 저장소 폴더 (소유자가 없는 예전 앨범은 앨범 이름만)
+function albumFolder(ownerId, albumName) {
+    const folder = sanitizeFolderName(albumName);
+    return ownerId == null ? folder : `${ownerId}/${folder}`;
+}
+
+// 폴더 이름으로 쓸 수 있는지 확인 ("..", ".tmp" 같은 이름은 uploads 밖이나 임시 폴더를 가리킴)
+function validateAlbumName(name) {
+    if (typeof name !== "string" || name.trim().length === 0) {
+        throw new AlbumError(400, "INVALID_ALBUM_NAME", "앨범 이름이 필요합니다");
+    }
+
+    const trimmed = name.trim();
+    if (trimmed.length > MAX_ALBUM_NAME_LENGTH) {
+        throw new AlbumError(400, "INVALID_ALBUM_NAME", `앨범 이름은 ${MAX_ALBUM_NAME_LENGTH}자 이하여야 합니다`);
+    }
+    if (sanitizeFolderName(trimmed).startsWith(".")) {
+        throw new AlbumError(400, "INVALID_ALBUM_NAME", "앨범 이름은 '.'으로 시작할 수 없습니다");
+    }
+    return trimmed;
+}
+
+function validateDescription(description) {
+    if (description === null) return null;
+    if (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new AlbumError(400, "INVALID_DESCRIPTION", `설명은 ${MAX_DESCRIPTION_LENGTH}자 이하의 문자열이어야 합니다`);
+    }
+    return description;
+}
+
+// 미디어 이동/복사 요청 검증
+function parseMediaTransfer(body = {}) {
+    const mode = body.mode || "move";
+    if (!["move", "copy"].includes(mode)) {
+        throw new AlbumError(400, "INVALID_MODE", "mode는 move 또는 copy 여야 합니다");
+    }
+
+    const ids = Array.isArray(body.mediaIds) ? body.mediaIds.map(Number) : [];
+    if (ids.length === 0 || !ids.every(Number.isInteger)) {
+        throw new AlbumError(400, "INVALID_MEDIA_IDS", "mediaIds는 미디어 ID 배열이어야 합니다");
+    }
+
+    return { mode, mediaIds: [...new Set(ids)] };
+}
+
+// 원본 파일(+썸네일)을 다른 폴더로 이동, 같은 이름의 파일이 이미 있으면 건너뜀(null)
+// 썸네일 이동이 중간에 실패하면 옮긴 썸네일과 원본을 되돌린 뒤 오류를 던진다.
+async function moveStoredFile(fileStore, storageId, fileKey, targetFolder) {
+    const target = path.posix.join(targetFolder, path.posix.basename(fileKey));
+    if (target === fileKey || (await fileStore.exists(target)) || !(await fileStore.exists(fileKey))) return null;
+
+    await fileStore.move(fileKey, target);
+    try {
+        await moveThumbnails(fileStore, storageId, fileKey, target);
+    } catch (err) {
+        await moveThumbnails(fileStore, storageId, target, fileKey).catch(() => {});
+        await fileStore.move(target, fileKey);
+        throw err;
+    }
+    return target;
+}
+
+module.exports = {
+    ALBUM_SUMMARY_SQL,
+    AlbumError,
+    sanitizeFolderName,
+    albumFolder,
+    validateAlbumName,
+    validateDescription,
+    parseMediaTransfer,
+    moveStoredFile,
+};
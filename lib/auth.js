@@ -0,0 +1,179 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// =======================
+// 인증 (비밀번호 해시 + 토큰)
+// =======================
+// - 비밀번호: scrypt (salt 포함 문자열로 저장)
+// - access token: HS256 JWT, 짧은 만료 (DB 조회 없이 검증)
+// - refresh token: 임의 문자열, DB에는 SHA-256 해시만 저장하고 사용 시마다 교체
+
+const ACCESS_TOKEN_TTL_SEC = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 환경변수 AUTH_SECRET 이 없으면 파일에 생성해 두고 재사용 (재시작해도 토큰 유지)
+function loadAuthSecret(secretFile) {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+    if (fs.existsSync(secretFile)) {
+        return fs.readFileSync(secretFile, "utf8").trim();
+    }
+
+    const secret = crypto.randomBytes(48).toString("base64url");
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    console.log(`🔑 [AUTH] 토큰 서명 키 생성: ${secretFile}`);
+    return secret;
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt.toString("base64")}$${derived.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltB64, hashB64] = String(stored).split("$");
+    if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+
+    const expected = Buffer.from(hashB64, "base64");
+    const derived = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+        throw new AuthError(400, "INVALID_USERNAME", "사용자 이름은 3~32자의 영문, 숫자, _ . - 만 사용할 수 있습니다");
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(400, "WEAK_PASSWORD", `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다`);
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// SQLite CURRENT_TIMESTAMP 와 같은 형식 (UTC)
+function toSqliteDateTime(date) {
+    return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+function createRefreshToken() {
+    const token = crypto.randomBytes(32).toString("base64url");
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: toSqliteDateTime(new Date(Date.now() + REFRESH_TOKEN_TTL_MS)),
+    };
+}
+
+function createAuth(secret) {
+    function sign(data) {
+        return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+    }
+
+    function signAccessToken(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+        const payload = Buffer.from(JSON.stringify({
+            sub: user.id,
+            username: user.username,
+            role: user.role,
+            iat: now,
+            exp: now + ACCESS_TOKEN_TTL_SEC,
+        })).toString("base64url");
+
+        return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+    }
+
+    function verifyAccessToken(token) {
+        const [header, payload, signature] = String(token).split(".");
+        if (!header || !payload || !signature) {
+            throw new AuthError(401, "INVALID_TOKEN", "유효하지 않은 토큰입니다");
+        }
+
+        const expected = Buffer.from(sign(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new AuthError(401, "INVALID_TOKEN", "유효하지 않은 토큰입니다");
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        } catch (err) {
+            throw new AuthError(401, "INVALID_TOKEN", "유효하지 않은 토큰입니다");
+        }
+
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+            throw new AuthError(401, "TOKEN_EXPIRED", "토큰이 만료되었습니다");
+        }
+        return claims;
+    }
+
+    function authenticate(token, req, res, next) {
+        try {
+            if (!token) {
+                throw new AuthError(401, "AUTH_REQUIRED", "로그인이 필요합니다");
+            }
+            const claims = verifyAccessToken(token);
+            req.user = { id: claims.sub, username: claims.username, role: claims.role };
+            next();
+        } catch (err) {
+            res.status(err.status || 401).json({ success: false, code: err.code, message: err.message });
+        }
+    }
+
+    function bearerToken(req) {
+        const header = req.get("Authorization") || "";
+        return header.startsWith("Bearer ") ? header.slice(7) : null;
+    }
+
+    // Authorization: Bearer <token> 만 (URL 의 토큰은 로그/기록에 남으므로 받지 않음)
+    function requireAuth(req, res, next) {
+        authenticate(bearerToken(req), req, res, next);
+    }
+
+    // <img>/<video> 태그처럼 헤더를 넣을 수 없는 GET 요청용 (미디어 원본/변환/재생, 저장소 파일)
+    // - 이 라우트에서만 ?access_token= 허용
+    function requireMediaAuth(req, res, next) {
+        const queryToken = req.method === "GET" || req.method === "HEAD" ? req.query.access_token : null;
+        authenticate(bearerToken(req) || queryToken, req, res, next);
+    }
+
+    function requireAdmin(req, res, next) {
+        if (!req.user || req.user.role !== "admin") {
+            return res.status(403).json({ success: false, code: "FORBIDDEN", message: "관리자 권한이 필요합니다" });
+        }
+        next();
+    }
+
+    return { signAccessToken, verifyAccessToken, requireAuth, requireMediaAuth, requireAdmin };
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SEC,
+    AuthError,
+    loadAuthSecret,
+    hashPassword,
+    verifyPassword,
+    validateCredentials,
+    hashToken,
+    createRefreshToken,
+    createAuth,
+};
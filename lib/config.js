@@ -0,0 +1,355 @@
+const path = require("path");
+const fs = require("fs");
+const { DB_DRIVERS } = require("./db");
+
+// =======================
+// 서버 설정 (호스트/포트, 공개 URL, 경로, 업로드 한도, 허용 확장자, 기능별 한도, 파일 저장소)
+// =======================
+// 우선순위: 기본값 < 설정 파일 < 설정 파일의 profiles.<프로필> < 환경변수
+//   설정 파일: CONFIG_FILE (기본: config.json - 없으면 건너뜀), 형식은 config.example.json 참고
+//   프로필: APP_ENV (없으면 NODE_ENV, 기본 development)
+// 상대 경로는 프로젝트 폴더 기준. 값이 잘못되면 ConfigError (서버는 시작하지 않음).
+// 모듈 상수로 쓰는 값(휴지통 보관 기간, 작업 큐 ...)은 각 모듈이 getConfig() 로 - 프로세스에서 한 번만 읽는다.
+// 설정 파일로 두지 않는 것만 환경변수로 직접 읽는다: AUTH_SECRET, AUTO_MIGRATE, ADMIN_USERNAME / ADMIN_PASSWORD, FFMPEG_PATH / FFPROBE_PATH.
+//
+// host: 기본 0.0.0.0 (모든 인터페이스) - 한 곳에서만 받으려면 127.0.0.1 등으로
+// publicBaseUrl: 응답에 넣는 URL (url, mediaUrl, 썸네일, 공유 링크 ...) 의 앞부분
+//   프록시 뒤에서는 바깥에서 보이는 주소로 (예: https://media.example.com) - 기본은 http://<host>:<port>
+//   host 가 0.0.0.0 / :: 이면 기본값이 없다 - 서버는 publicBaseUrl 없이 시작하지 않는다 (server.js)
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+const DEFAULT_IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".webp", ".heic", ".heif"];
+const DEFAULT_VIDEO_EXTENSIONS = [".mp4", ".mov", ".avi", ".mkv", ".webm", ".flv", ".wmv", ".m4v"];
+
+const DEFAULT_RENDER_SIZES = [64, 128, 160, 240, 320, 480, 640, 800, 960, 1024, 1280, 1600, 1920, 2560];
+
+// 저장 공간 청구 정책 (lib/quota.js)
+const QUOTA_POLICIES = ["full", "first-uploader"];
+
+const STORAGE_DRIVERS = ["local", "s3"];
+
+// 설정 키 → 환경변수
+const ENV_VARS = {
+    host: "HOST",
+    port: "PORT",
+    publicBaseUrl: "PUBLIC_BASE_URL",
+    uploadDir: "UPLOAD_DIR",
+    dbPath: "DB_PATH",
+    dbDriver: "DB_DRIVER",
+    backupDir: "DB_BACKUP_DIR",
+    renderCacheDir: "RENDER_CACHE_DIR",
+    authSecretFile: "AUTH_SECRET_FILE",
+    jsonBodyLimit: "JSON_BODY_LIMIT",
+    maxFileSize: "MAX_FILE_SIZE",
+    maxBatchFiles: "MAX_BATCH_FILES",
+    imageExtensions: "IMAGE_EXTENSIONS",
+    videoExtensions: "VIDEO_EXTENSIONS",
+    defaultQuotaBytes: "DEFAULT_QUOTA_BYTES",
+    quotaPolicy: "QUOTA_POLICY",
+    trashRetentionDays: "TRASH_RETENTION_DAYS",
+    hashCheckMax: "HASH_CHECK_MAX",
+    hashLinkMax: "HASH_LINK_MAX",
+    jobConcurrency: "JOB_CONCURRENCY",
+    jobMaxAttempts: "JOB_MAX_ATTEMPTS",
+    jobRetryBaseSeconds: "JOB_RETRY_BASE_SECONDS",
+    jobRetentionDays: "JOB_RETENTION_DAYS",
+    transcodeEnabled: "TRANSCODE_ENABLED",
+    renderSizes: "RENDER_SIZES",
+    storageDriver: "STORAGE_DRIVER",
+    s3Bucket: "S3_BUCKET",
+    s3AccessKeyId: "S3_ACCESS_KEY_ID",
+    s3SecretAccessKey: "S3_SECRET_ACCESS_KEY",
+    s3Region: "S3_REGION",
+    s3Endpoint: "S3_ENDPOINT",
+    s3Prefix: "S3_PREFIX",
+    s3ForcePathStyle: "S3_FORCE_PATH_STYLE",
+};
+
+// 경로 기본값은 uploadDir 등 다른 값에 따라 정해지므로 resolve 단계에서 채운다
+const DEFAULTS = {
+    host: "0.0.0.0",
+    port: 8011,
+    publicBaseUrl: null,
+    uploadDir: "uploads",
+    dbPath: "media.db",
+    dbDriver: "sqlite3",
+    backupDir: "backups",
+    renderCacheDir: null,
+    authSecretFile: ".auth_secret",
+    jsonBodyLimit: "200mb",
+    maxFileSize: "2gb",
+    maxBatchFiles: 100,
+    imageExtensions: DEFAULT_IMAGE_EXTENSIONS,
+    videoExtensions: DEFAULT_VIDEO_EXTENSIONS,
+    defaultQuotaBytes: 10 * 1024 ** 3,
+    quotaPolicy: "full",
+    trashRetentionDays: 30,
+    hashCheckMax: 10000,
+    hashLinkMax: 1000,
+    jobConcurrency: 2,
+    jobMaxAttempts: 5,
+    jobRetryBaseSeconds: 30,
+    jobRetentionDays: 7,
+    transcodeEnabled: true,
+    renderSizes: DEFAULT_RENDER_SIZES,
+    storageDriver: "local",
+    s3Bucket: null,
+    s3AccessKeyId: null,
+    s3SecretAccessKey: null,
+    s3Region: "us-east-1",
+    s3Endpoint: null,
+    s3Prefix: "",
+    s3ForcePathStyle: null,
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+class ConfigError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// 숫자 (bytes) 또는 "200mb", "2gb" → bytes
+function parseSize(value, key) {
+    if (typeof value === "number" && Number.isInteger(value) && value > 0) return value;
+
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    const bytes = match ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]) : NaN;
+    if (!(bytes > 0)) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 크기여야 합니다 (예: 200mb, 2gb, 1048576): ${value}`);
+    }
+    return bytes;
+}
+
+function parseInteger(value, key, min, max) {
+    const number = typeof value === "number" ? value : /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 ${min} ~ ${max} 사이의 정수여야 합니다: ${value}`);
+    }
+    return number;
+}
+
+// true / false 또는 "true" / "false"
+function parseBoolean(value, key) {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new ConfigError("INVALID_CONFIG", `${key}는 true 또는 false 여야 합니다: ${value}`);
+}
+
+// 배열 또는 "320,640" → [320, 640] (오름차순)
+function parseIntegerList(value, key, min, max) {
+    const list = Array.isArray(value) ? value : String(value).split(",").map(item => item.trim()).filter(Boolean);
+    if (list.length === 0) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 정수 목록이어야 합니다 (예: 320,640): ${value}`);
+    }
+    const numbers = list.map(item => parseInteger(item, key, min, max));
+    return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+function parseChoice(value, key, choices) {
+    if (!choices.includes(value)) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 ${choices.join(", ")} 중 하나여야 합니다: ${value}`);
+    }
+    return value;
+}
+
+function parseString(value, key) {
+    if (typeof value !== "string" || value.trim() === "") {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 비어 있지 않은 문자열이어야 합니다`);
+    }
+    return value.trim();
+}
+
+// 배열 또는 "jpg,.png" → [".jpg", ".png"] (소문자)
+function parseExtensions(value, key) {
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    const extensions = list.map(ext => String(ext).trim().toLowerCase()).filter(Boolean)
+        .map(ext => (ext.startsWith(".") ? ext : `.${ext}`));
+
+    if (extensions.length === 0 || extensions.some(ext => !/^\.[a-z0-9]+$/.test(ext))) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 확장자 목록이어야 합니다 (예: .jpg,.png): ${value}`);
+    }
+    return [...new Set(extensions)];
+}
+
+// 끝의 "/" 는 뺀다 (URL 을 만들 때 붙임)
+function parseBaseUrl(value, key) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (err) {
+        url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol) || url.search || url.hash) {
+        throw new ConfigError("INVALID_CONFIG", `${key}는 http(s) 주소여야 합니다 (쿼리/해시 없이): ${value}`);
+    }
+    return url.toString().replace(/\/+$/, "");
+}
+
+function readConfigFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        throw new ConfigError("INVALID_CONFIG_FILE", `설정 파일을 읽을 수 없습니다 (${file}): ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new ConfigError("INVALID_CONFIG_FILE", `설정 파일은 JSON 객체여야 합니다: ${file}`);
+    }
+    return parsed;
+}
+
+// 오타로 무시되는 설정이 없도록 모르는 키는 거부
+function assertKnownKeys(values, where) {
+    const unknown = Object.keys(values).filter(key => !(key in DEFAULTS));
+    if (unknown.length > 0) {
+        throw new ConfigError("UNKNOWN_CONFIG_KEY", `${where}: 알 수 없는 설정 ${unknown.join(", ")}`);
+    }
+}
+
+// 설정 파일 → { 값, 프로필 값 }
+function fileValues(file, profile) {
+    const { profiles = {}, ...base } = readConfigFile(file);
+    assertKnownKeys(base, file);
+
+    if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+        throw new ConfigError("INVALID_CONFIG_FILE", `${file}: profiles 는 객체여야 합니다`);
+    }
+    const profileValues = profiles[profile] || {};
+    assertKnownKeys(profileValues, `${file} (profiles.${profile})`);
+
+    return { ...base, ...profileValues };
+}
+
+function envValues(env) {
+    const values = {};
+    for (const [key, name] of Object.entries(ENV_VARS)) {
+        if (env[name] !== undefined && env[name] !== "") values[key] = env[name];
+    }
+    return values;
+}
+
+// 기본 publicBaseUrl: http://<host>:<port>
+// 모든 인터페이스(0.0.0.0, ::)에서 받을 때는 클라이언트가 어느 주소로 접속할지 알 수 없으므로 null
+function defaultBaseUrl(host, port) {
+    if (host === "0.0.0.0" || host === "::") return null;
+    return `http://${host.includes(":") ? `[${host}]` : host}:${port}`;
+}
+
+// 설정을 읽어 검증한 값 (고정된 객체)
+// env/file/rootDir 은 테스트 등에서 바꿔 쓸 때만 (기본: process.env, CONFIG_FILE 또는 config.json)
+function loadConfig({ env = process.env, file, rootDir = ROOT_DIR } = {}) {
+    const profile = env.APP_ENV || env.NODE_ENV || "development";
+
+    const explicitFile = file || env.CONFIG_FILE;
+    const configFile = explicitFile ? path.resolve(rootDir, explicitFile) : path.join(rootDir, "config.json");
+    if (explicitFile && !fs.existsSync(configFile)) {
+        throw new ConfigError("INVALID_CONFIG_FILE", `설정 파일이 없습니다: ${configFile}`);
+    }
+    const loadedFile = fs.existsSync(configFile) ? configFile : null;
+
+    const raw = {
+        ...DEFAULTS,
+        ...(loadedFile ? fileValues(loadedFile, profile) : {}),
+        ...envValues(env),
+    };
+    const resolvePath = (value, key) => path.resolve(rootDir, parseString(value, key));
+
+    const host = parseString(raw.host, "host");
+    const port = parseInteger(raw.port, "port", 0, 65535);
+    const uploadDir = resolvePath(raw.uploadDir, "uploadDir");
+
+    const dbDriver = parseChoice(parseString(raw.dbDriver, "dbDriver"), "dbDriver", DB_DRIVERS);
+
+    const imageExtensions = parseExtensions(raw.imageExtensions, "imageExtensions");
+    const videoExtensions = parseExtensions(raw.videoExtensions, "videoExtensions");
+    const overlap = imageExtensions.filter(ext => videoExtensions.includes(ext));
+    if (overlap.length > 0) {
+        throw new ConfigError("INVALID_CONFIG", `이미지와 동영상 확장자가 겹칩니다: ${overlap.join(", ")}`);
+    }
+
+    return Object.freeze({
+        profile,
+        file: loadedFile,
+        host,
+        port,
+        publicBaseUrl: raw.publicBaseUrl ? parseBaseUrl(raw.publicBaseUrl, "publicBaseUrl") : defaultBaseUrl(host, port),
+        uploadDir,
+        dbPath: resolvePath(raw.dbPath, "dbPath"),
+        dbDriver,
+        backupDir: resolvePath(raw.backupDir, "backupDir"),
+        renderCacheDir: raw.renderCacheDir
+            ? resolvePath(raw.renderCacheDir, "renderCacheDir")
+            : path.join(uploadDir, ".cache", "render"),
+        authSecretFile: resolvePath(raw.authSecretFile, "authSecretFile"),
+        jsonBodyLimit: parseSize(raw.jsonBodyLimit, "jsonBodyLimit"),
+        maxFileSize: parseSize(raw.maxFileSize, "maxFileSize"),
+        maxBatchFiles: parseInteger(raw.maxBatchFiles, "maxBatchFiles", 1, 10000),
+        imageExtensions: Object.freeze(imageExtensions),
+        videoExtensions: Object.freeze(videoExtensions),
+        // 0 = 무제한 ("10GB" 처럼 단위를 붙이면 거부 - 잘못 읽혀 무제한이 되지 않도록)
+        defaultQuotaBytes: parseInteger(raw.defaultQuotaBytes, "defaultQuotaBytes", 0, Number.MAX_SAFE_INTEGER),
+        quotaPolicy: parseChoice(raw.quotaPolicy, "quotaPolicy", QUOTA_POLICIES),
+        // 0 = 자동 정리 안 함 / 보관
+        trashRetentionDays: parseInteger(raw.trashRetentionDays, "trashRetentionDays", 0, 36500),
+        hashCheckMax: parseInteger(raw.hashCheckMax, "hashCheckMax", 1, 1000000),
+        hashLinkMax: parseInteger(raw.hashLinkMax, "hashLinkMax", 1, 100000),
+        jobConcurrency: parseInteger(raw.jobConcurrency, "jobConcurrency", 1, 64),
+        jobMaxAttempts: parseInteger(raw.jobMaxAttempts, "jobMaxAttempts", 1, 100),
+        jobRetryBaseSeconds: parseInteger(raw.jobRetryBaseSeconds, "jobRetryBaseSeconds", 0, 24 * 60 * 60),
+        jobRetentionDays: parseInteger(raw.jobRetentionDays, "jobRetentionDays", 0, 36500),
+        transcodeEnabled: parseBoolean(raw.transcodeEnabled, "transcodeEnabled"),
+        renderSizes: Object.freeze(parseIntegerList(raw.renderSizes, "renderSizes", 1, 10000)),
+        storage: storageOptions(raw),
+    });
+}
+
+// 파일 저장소 → { driver, s3 } (s3 는 driver 가 s3 일 때만)
+function storageOptions(raw) {
+    const driver = parseChoice(String(raw.storageDriver).toLowerCase(), "storageDriver", STORAGE_DRIVERS);
+    if (driver !== "s3") return Object.freeze({ driver, s3: null });
+
+    const missing = ["s3Bucket", "s3AccessKeyId", "s3SecretAccessKey"].filter(key => !raw[key]);
+    if (missing.length > 0) {
+        throw new ConfigError("INVALID_CONFIG", `storageDriver=s3 에는 ${missing.join(", ")} 가 필요합니다 (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)`);
+    }
+    const endpoint = raw.s3Endpoint ? parseBaseUrl(raw.s3Endpoint, "s3Endpoint") : null;
+
+    return Object.freeze({
+        driver,
+        s3: Object.freeze({
+            bucket: parseString(raw.s3Bucket, "s3Bucket"),
+            accessKeyId: parseString(raw.s3AccessKeyId, "s3AccessKeyId"),
+            secretAccessKey: parseString(raw.s3SecretAccessKey, "s3SecretAccessKey"),
+            region: parseString(raw.s3Region, "s3Region"),
+            endpoint,
+            prefix: raw.s3Prefix ? String(raw.s3Prefix) : "",
+            // 직접 지정하지 않으면 endpoint(MinIO 등)가 있을 때만 path-style
+            forcePathStyle: raw.s3ForcePathStyle != null
+                ? parseBoolean(raw.s3ForcePathStyle, "s3ForcePathStyle")
+                : !!endpoint,
+        }),
+    });
+}
+
+let cachedConfig = null;
+
+// 프로세스 설정 (처음 부를 때 loadConfig() 로 읽고 이후 같은 객체)
+function getConfig() {
+    if (!cachedConfig) cachedConfig = loadConfig();
+    return cachedConfig;
+}
+
+module.exports = {
+    ENV_VARS,
+    DEFAULTS,
+    QUOTA_POLICIES,
+    STORAGE_DRIVERS,
+    ConfigError,
+    parseSize,
+    loadConfig,
+    getConfig,
+};
@@ -0,0 +1,198 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// =======================
+// DB 드라이버 (sqlite3 / better-sqlite3)
+// =======================
+// driver: sqlite3 (기본) | better-sqlite3 (config.dbDriver) - 어느 쪽이든 같은 모양의 어댑터를 돌려준다.
+//   run(sql, params) → { lastID, changes }
+//   get(sql, params) → 행 | undefined
+//   all(sql, params) → 행 배열
+//   exec(sql)        → 여러 문장 실행 (스키마 등)
+//   transaction(fn)  → BEGIN IMMEDIATE ~ COMMIT (fn 이 throw 하면 ROLLBACK)
+//   close()
+// 모두 Promise 를 반환한다 (better-sqlite3 는 동기지만 await 하는 쪽은 차이가 없음).
+//
+// 연결이 하나뿐이라 트랜잭션끼리는 차례로 실행한다 (동시에 BEGIN 하면 SQLite 가 거부).
+// 트랜잭션 안에서 다시 transaction() 을 부르면 바깥 트랜잭션에 합류한다.
+// 트랜잭션 밖의 조회/수정은 열려 있거나 기다리는 트랜잭션이 끝난 뒤에 실행된다
+// (같은 연결이라 그 사이에 실행하면 남의 트랜잭션에 섞여 ROLLBACK 때 함께 사라짐).
+// 트랜잭션은 이미 실행 중인 바깥 문장이 끝난 뒤에 BEGIN 한다.
+
+const DB_DRIVERS = ["sqlite3", "better-sqlite3"];
+
+// 다른 프로세스(CLI 스크립트 등)가 쓰는 중이면 이 시간까지 기다린다
+const BUSY_TIMEOUT_MS = 5000;
+
+class DatabaseError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// UNIQUE 제약 위반인지 (두 드라이버 모두 "UNIQUE constraint failed: <table>.<column>, ..." 메시지)
+// target: "users.username" 처럼 그 컬럼의 위반만 (없으면 아무 UNIQUE 위반)
+function isUniqueViolation(err, target) {
+    const match = /UNIQUE constraint failed: (.+)$/.exec((err && err.message) || "");
+    if (!match || !String(err.code || "").startsWith("SQLITE_CONSTRAINT")) return false;
+    return !target || match[1].split(", ").includes(target);
+}
+
+// better-sqlite3 는 boolean / undefined 를 바인딩하지 못한다 (sqlite3 는 1/0, NULL 로 바꿔 줌)
+function normalizeParams(params) {
+    return params.map((value) => {
+        if (value === undefined) return null;
+        if (typeof value === "boolean") return value ? 1 : 0;
+        return value;
+    });
+}
+
+function openSqlite3(filename) {
+    const sqlite3 = require("sqlite3");
+
+    let db;
+    const ready = new Promise((resolve, reject) => {
+        db = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve()));
+    });
+    db.configure("busyTimeout", BUSY_TIMEOUT_MS);
+
+    const call = (method, sql, params = []) =>
+        new Promise((resolve, reject) => {
+            db[method](sql, params, function (err, result) {
+                if (err) return reject(err);
+                resolve(method === "run" ? { lastID: this.lastID, changes: this.changes } : result);
+            });
+        });
+
+    return {
+        ready,
+        run: (sql, params) => call("run", sql, params),
+        get: (sql, params) => call("get", sql, params),
+        all: (sql, params) => call("all", sql, params),
+        exec: (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve()))),
+        close: () => new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve()))),
+    };
+}
+
+function openBetterSqlite3(filename) {
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (err) {
+        throw new DatabaseError("DRIVER_NOT_INSTALLED", "better-sqlite3 가 설치되어 있지 않습니다 (npm install better-sqlite3)");
+    }
+
+    const db = new Database(filename, { timeout: BUSY_TIMEOUT_MS });
+
+    return {
+        ready: Promise.resolve(),
+        run: async (sql, params = []) => {
+            const result = db.prepare(sql).run(...normalizeParams(params));
+            return { lastID: Number(result.lastInsertRowid), changes: result.changes };
+        },
+        get: async (sql, params = []) => db.prepare(sql).get(...normalizeParams(params)),
+        all: async (sql, params = []) => db.prepare(sql).all(...normalizeParams(params)),
+        exec: async (sql) => {
+            db.exec(sql);
+        },
+        close: async () => {
+            db.close();
+        },
+    };
+}
+
+// 연결 하나를 트랜잭션 단위로 나눠 쓴다 → { run, get, all, exec, transaction }
+function createScheduler(connection) {
+    const context = new AsyncLocalStorage();
+    let tail = Promise.resolve();
+    let queuedTransactions = 0;
+    const outside = new Set();
+
+    // 지금 열려 있는 내 트랜잭션 안인지
+    // (트랜잭션 안에서 예약한 타이머 등은 끝난 뒤에도 같은 컨텍스트라 open 으로 구분)
+    const inTransaction = () => {
+        const store = context.getStore();
+        return !!(store && store.open);
+    };
+
+    async function statement(method, args) {
+        if (inTransaction()) return connection[method](...args);
+
+        while (queuedTransactions > 0) await tail;
+
+        const pending = connection[method](...args);
+        outside.add(pending);
+        try {
+            return await pending;
+        } finally {
+            outside.delete(pending);
+        }
+    }
+
+    async function transaction(fn) {
+        if (inTransaction()) return fn();
+
+        // 앞선 트랜잭션이 끝날 때까지 대기 (성공/실패 무관)
+        queuedTransactions += 1;
+        const previous = tail;
+        let release;
+        tail = new Promise((resolve) => (release = resolve));
+
+        try {
+            await previous;
+            await Promise.allSettled([...outside]);
+
+            const store = { open: true };
+            return await context.run(store, async () => {
+                await connection.exec("BEGIN IMMEDIATE");
+                try {
+                    const result = await fn();
+                    await connection.exec("COMMIT");
+                    return result;
+                } catch (err) {
+                    await connection.exec("ROLLBACK");
+                    throw err;
+                } finally {
+                    store.open = false;
+                }
+            });
+        } finally {
+            queuedTransactions -= 1;
+            release();
+        }
+    }
+
+    return {
+        run: (sql, params) => statement("run", [sql, params]),
+        get: (sql, params) => statement("get", [sql, params]),
+        all: (sql, params) => statement("all", [sql, params]),
+        exec: (sql) => statement("exec", [sql]),
+        transaction,
+    };
+}
+
+// filename 의 DB 를 연다 - 연결 오류는 ready 에서 (better-sqlite3 는 즉시 throw)
+// driver 는 config.dbDriver 를 넘긴다
+function openDatabase(filename, { driver = "sqlite3" } = {}) {
+    if (!DB_DRIVERS.includes(driver)) {
+        throw new DatabaseError("INVALID_DB_DRIVER", `dbDriver는 ${DB_DRIVERS.join(", ")} 중 하나여야 합니다: ${driver}`);
+    }
+
+    const connection = driver === "better-sqlite3" ? openBetterSqlite3(filename) : openSqlite3(filename);
+    const db = {
+        driver,
+        ...connection,
+        ...createScheduler(connection),
+    };
+
+    // 두 드라이버의 기본값이 달라서 명시 (better-sqlite3 는 켜져 있음)
+    db.ready = connection.ready.then(() => db.exec("PRAGMA foreign_keys = ON"));
+    return db;
+}
+
+module.exports = {
+    DB_DRIVERS,
+    DatabaseError,
+    isUniqueViolation,
+    openDatabase,
+};
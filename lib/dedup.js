@@ -0,0 +1,84 @@
+// =======================
+// 업로드 전 중복 확인 (해시 일괄 확인 + 기존 파일 연결)
+// =======================
+// 휴대폰 동기화처럼 파일이 많을 때: 먼저 해시 목록을 보내 이미 있는 파일을 확인하고,
+// 있는 파일은 내용을 다시 보내지 않고 새 uploaded_media 로 연결한다 (file_storage.ref_count 증가).
+// - 대상은 내 라이브러리(휴지통 제외)에 있는 파일만. 다른 사용자의 파일은 해시만 알아서는
+//   확인하거나 연결할 수 없다 (해시로 남의 파일을 가져가는 것을 막기 위해).
+// HASH_CHECK_MAX (한 번에 확인할 해시 수, 기본 10000), HASH_LINK_MAX (한 번에 연결할 항목 수, 기본 1000) - lib/config.js
+
+const { getConfig } = require("./config");
+
+const HASH_CHECK_MAX = getConfig().hashCheckMax;
+const HASH_LINK_MAX = getConfig().hashLinkMax;
+
+// file_storage.file_hash 는 MD5 (hex)
+const HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+class DedupError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 앞뒤 공백 제거 + 소문자, 형식이 틀리면 null
+function normalizeHash(value) {
+    if (typeof value !== "string") return null;
+    const hash = value.trim().toLowerCase();
+    return HASH_PATTERN.test(hash) ? hash : null;
+}
+
+// { hashes: [...] } → { hashes: 중복 제거한 해시, invalid: 형식이 틀린 값 }
+function parseHashList(body = {}) {
+    const { hashes } = body;
+    if (!Array.isArray(hashes) || hashes.length === 0) {
+        throw new DedupError(400, "INVALID_HASHES", "hashes는 해시 문자열 배열이어야 합니다");
+    }
+    if (hashes.length > HASH_CHECK_MAX) {
+        throw new DedupError(413, "TOO_MANY_HASHES", `한 번에 최대 ${HASH_CHECK_MAX}개까지 확인할 수 있습니다 (${hashes.length}개 수신)`);
+    }
+
+    const valid = new Set();
+    const invalid = [];
+    for (const value of hashes) {
+        const hash = normalizeHash(value);
+        if (hash) valid.add(hash);
+        else invalid.push(value);
+    }
+    return { hashes: [...valid], invalid };
+}
+
+// { album, items: [{ hash, originalName }] } → { albumName, items: [{ index, hash, originalName }] }
+// 형식이 틀린 항목은 hash 가 null (항목별 실패로 응답)
+function parseLinkRequest(body = {}) {
+    const { items } = body;
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new DedupError(400, "INVALID_LINK_ITEMS", "items는 { hash, originalName } 배열이어야 합니다");
+    }
+    if (items.length > HASH_LINK_MAX) {
+        throw new DedupError(413, "TOO_MANY_LINK_ITEMS", `한 번에 최대 ${HASH_LINK_MAX}개까지 연결할 수 있습니다 (${items.length}개 수신)`);
+    }
+
+    return {
+        albumName: body.album || "Default",
+        items: items.map((item, index) => {
+            const { hash, originalName } = item && typeof item === "object" ? item : {};
+            return {
+                index,
+                hash: normalizeHash(hash),
+                originalName: typeof originalName === "string" && originalName.trim() ? originalName.trim() : null,
+            };
+        }),
+    };
+}
+
+module.exports = {
+    HASH_CHECK_MAX,
+    HASH_LINK_MAX,
+    DedupError,
+    normalizeHash,
+    parseHashList,
+    parseLinkRequest,
+};
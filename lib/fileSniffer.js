@@ -0,0 +1,199 @@
+const fs = require("fs");
+
+// =======================
+// 파일 형식 판별 (매직 바이트)
+// =======================
+// 클라이언트가 보낸 MIME/확장자 대신 파일 앞부분의 시그니처로 실제 형식을 판별한다.
+// 판별 결과는 file_storage.mime_type 에 그대로 저장되고, 저장 이름의 확장자도 판별한 형식에 맞춘다 (storedFileName).
+
+const HEAD_SIZE = 512;
+
+class FileTypeError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+        this.status = 415;
+    }
+}
+
+// 형식별 확장자 (첫 번째가 기본값, 나머지는 그대로 두어도 되는 별칭)
+const FORMAT_EXTENSIONS = {
+    jpeg: [".jpg", ".jpeg", ".jpe"],
+    png: [".png"],
+    gif: [".gif"],
+    webp: [".webp"],
+    bmp: [".bmp"],
+    heic: [".heic"],
+    heif: [".heif", ".heic"],
+    avif: [".avif"],
+    mp4: [".mp4", ".m4v"],
+    mov: [".mov", ".qt"],
+    "3gp": [".3gp", ".3g2"],
+    webm: [".webm"],
+    mkv: [".mkv"],
+    avi: [".avi"],
+    flv: [".flv"],
+    wmv: [".wmv", ".asf"],
+};
+
+// ftyp 없는 구형 QuickTime 의 최상위 박스 (moov 를 찾을 때까지 건너뜀)
+const QUICKTIME_TOP_LEVEL_BOXES = ["moov", "mdat", "wide", "free", "skip", "pnot", "PICT"];
+// moov 의 첫 자식 (헤더 / 압축된 moov / 프로필)
+const QUICKTIME_MOOV_CHILDREN = ["mvhd", "cmov", "prfl"];
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+const isPrintable = (value) => /^[\x20-\x7e]+$/.test(value);
+
+function startsWith(buf, bytes, offset = 0) {
+    if (buf.length < offset + bytes.length) return false;
+    return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+// ftyp 없는 구형 QuickTime: 최상위 박스 크기를 따라가 앞부분 안에서 moov(+ mvhd 등)를 찾아야 인정
+// (mdat 이 먼저 오는 파일은 앞부분만으로 확인할 수 없어 거부)
+function detectLegacyQuickTime(buf) {
+    let offset = 0;
+    while (offset + 16 <= buf.length) {
+        const size = buf.readUInt32BE(offset);
+        const type = ascii(buf, offset + 4, offset + 8);
+        if (!QUICKTIME_TOP_LEVEL_BOXES.includes(type)) return null;
+
+        if (type === "moov") {
+            const childType = ascii(buf, offset + 12, offset + 16);
+            const childSize = buf.readUInt32BE(offset + 8);
+            if (size < 16 || childSize < 8 || childSize > size - 8 || !QUICKTIME_MOOV_CHILDREN.includes(childType)) return null;
+            return { format: "mov", mimeType: "video/quicktime", fileType: "video" };
+        }
+        // 크기 0(파일 끝까지)/1(64비트 크기) 인 박스 뒤는 앞부분에서 볼 수 없음
+        if (size < 8) return null;
+        offset += size;
+    }
+    return null;
+}
+
+// ISO BMFF (MP4/MOV/HEIC): [size(4)] "ftyp" [major brand(4)] [minor(4)] [compatible brands...]
+function detectIsoBmff(buf) {
+    if (buf.length < 16) return null;
+
+    const boxType = ascii(buf, 4, 8);
+    if (boxType !== "ftyp") return detectLegacyQuickTime(buf);
+
+    // ftyp 크기: major + minor + 호환 브랜드(4바이트 단위), 브랜드는 출력 가능한 ASCII
+    const boxSize = buf.readUInt32BE(0);
+    if (boxSize < 16 || boxSize % 4 !== 0 || boxSize > buf.length) return null;
+
+    // 다음 박스가 앞부분에 보이면 헤더도 확인 (크기 0 = 파일 끝까지, 1 = 64비트 크기)
+    if (boxSize + 8 <= buf.length) {
+        const nextSize = buf.readUInt32BE(boxSize);
+        if ((nextSize > 1 && nextSize < 8) || !isPrintable(ascii(buf, boxSize + 4, boxSize + 8))) return null;
+    }
+
+    const brands = [ascii(buf, 8, 12)];
+    for (let i = 16; i + 4 <= boxSize; i += 4) {
+        brands.push(ascii(buf, i, i + 4));
+    }
+    if (!brands.every(isPrintable)) return null;
+    const has = (...list) => brands.some((b) => list.includes(b));
+
+    if (has("heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs")) {
+        return { format: "heic", mimeType: "image/heic", fileType: "image" };
+    }
+    if (has("avif", "avis")) {
+        return { format: "avif", mimeType: "image/avif", fileType: "image" };
+    }
+    if (has("mif1", "msf1")) {
+        return { format: "heif", mimeType: "image/heif", fileType: "image" };
+    }
+    if (brands[0] === "qt  ") {
+        return { format: "mov", mimeType: "video/quicktime", fileType: "video" };
+    }
+    if (brands[0].startsWith("3g")) {
+        return { format: "3gp", mimeType: "video/3gpp", fileType: "video" };
+    }
+    return { format: "mp4", mimeType: "video/mp4", fileType: "video" };
+}
+
+// Matroska/WebM: EBML 헤더 안의 DocType 으로 구분
+function detectMatroska(buf) {
+    if (!startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) return null;
+
+    const header = ascii(buf, 0, Math.min(buf.length, 64));
+    if (header.includes("webm")) {
+        return { format: "webm", mimeType: "video/webm", fileType: "video" };
+    }
+    return { format: "mkv", mimeType: "video/x-matroska", fileType: "video" };
+}
+
+function detectFileType(buf) {
+    if (!buf || buf.length < 4) return null;
+
+    if (startsWith(buf, [0xff, 0xd8, 0xff])) {
+        return { format: "jpeg", mimeType: "image/jpeg", fileType: "image" };
+    }
+    if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+        return { format: "png", mimeType: "image/png", fileType: "image" };
+    }
+    if (ascii(buf, 0, 6) === "GIF87a" || ascii(buf, 0, 6) === "GIF89a") {
+        return { format: "gif", mimeType: "image/gif", fileType: "image" };
+    }
+    if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "WEBP") {
+        return { format: "webp", mimeType: "image/webp", fileType: "image" };
+    }
+    if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "AVI ") {
+        return { format: "avi", mimeType: "video/x-msvideo", fileType: "video" };
+    }
+    if (ascii(buf, 0, 2) === "BM" && buf.length >= 14 && buf.readUInt32LE(6) === 0) {
+        return { format: "bmp", mimeType: "image/bmp", fileType: "image" };
+    }
+    if (startsWith(buf, [0x46, 0x4c, 0x56, 0x01])) {
+        return { format: "flv", mimeType: "video/x-flv", fileType: "video" };
+    }
+    // ASF (WMV) 헤더 GUID
+    if (startsWith(buf, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])) {
+        return { format: "wmv", mimeType: "video/x-ms-wmv", fileType: "video" };
+    }
+
+    return detectIsoBmff(buf) || detectMatroska(buf);
+}
+
+// 실제 내용과 클라이언트가 주장한 종류(image/video)가 다르면 거부
+function verifyFileType(head, claimedFileType) {
+    const detected = detectFileType(head);
+
+    if (!detected) {
+        throw new FileTypeError("UNSUPPORTED_FILE_TYPE", "파일 내용이 지원하는 이미지/동영상 형식이 아닙니다");
+    }
+    if (claimedFileType && detected.fileType !== claimedFileType) {
+        throw new FileTypeError(
+            "FILE_TYPE_MISMATCH",
+            `파일 형식 불일치: ${claimedFileType}(으)로 전송되었지만 실제 내용은 ${detected.format} 입니다`
+        );
+    }
+
+    return detected;
+}
+
+// 저장 이름: 확장자가 판별한 형식과 맞지 않으면 형식의 기본 확장자로 바꾼다 (없으면 붙임)
+function storedFileName(fileName, format) {
+    const extensions = FORMAT_EXTENSIONS[format];
+    if (!extensions) return fileName;
+
+    const dot = fileName.lastIndexOf(".");
+    const extension = dot > 0 ? fileName.slice(dot).toLowerCase() : "";
+    if (extensions.includes(extension)) return fileName;
+
+    return `${extension ? fileName.slice(0, dot) : fileName}${extensions[0]}`;
+}
+
+function readFileHead(filePath) {
+    const fd = fs.openSync(filePath, "r");
+    try {
+        const buf = Buffer.alloc(HEAD_SIZE);
+        const bytesRead = fs.readSync(fd, buf, 0, HEAD_SIZE, 0);
+        return buf.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = { HEAD_SIZE, FileTypeError, detectFileType, verifyFileType, storedFileName, readFileHead };
@@ -0,0 +1,171 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { createLocalStorage } = require("./storage");
+const { getConfig } = require("./config");
+
+// =======================
+// 이미지 변환 (크기 / 형식) + 디스크 캐시
+// =======================
+// GET /api/media/:id/render?w=&h=&fit=&format=&quality= 용.
+// - w / h 는 RENDER_SIZES (lib/config.js renderSizes) 목록의 값만 허용 (임의 크기로 캐시를 무한히 늘리는 요청 방지), 둘 중 하나는 생략 가능
+// - fit: inside(기본, 비율 유지) | cover | contain | fill | outside, 원본보다 크게 늘리지 않음
+// - format: jpeg | webp | png | avif, 생략하면 원본 형식 (브라우저가 못 여는 HEIC/TIFF/GIF 등은 jpeg)
+// - quality: 1 ~ 100 (기본 80, png 는 무시)
+// - 디코딩은 sharp(libvips) 만 쓴다. HEIC 는 libvips 에 HEVC 디코더(libde265)가 있어야 하는데 sharp 기본 바이너리에는 없다
+//   → 415 RENDER_UNSUPPORTED (원본은 GET /api/media/:id 로 그대로 받을 수 있음). 변환이 필요하면 libde265 를 포함한
+//   전역 libvips 로 sharp 를 설치한다 (npm install --build-from-source sharp).
+// 캐시: <cacheDir>/<해시 앞 2자>/<file_hash>/<변환 조건>.<확장자>
+//   같은 해시 = 같은 원본이라 캐시가 낡을 일은 없고, file_storage 행이 지워질 때 해시 폴더째 지운다 (invalidate).
+
+const RENDER_SIZES = getConfig().renderSizes;
+
+const RENDER_FITS = ["inside", "cover", "contain", "fill", "outside"];
+const RENDER_FORMATS = {
+    jpeg: { mimeType: "image/jpeg", ext: "jpg" },
+    webp: { mimeType: "image/webp", ext: "webp" },
+    png: { mimeType: "image/png", ext: "png" },
+    avif: { mimeType: "image/avif", ext: "avif" },
+};
+const DEFAULT_QUALITY = 80;
+
+// 원본 MIME → 기본 출력 형식 (없으면 jpeg)
+const PASSTHROUGH_FORMATS = {
+    "image/jpeg": "jpeg",
+    "image/webp": "webp",
+    "image/png": "png",
+    "image/avif": "avif",
+};
+
+class RenderError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function parseSize(value, name) {
+    if (value === undefined || value === "") return null;
+    const size = Number(value);
+    if (!RENDER_SIZES.includes(size)) {
+        throw new RenderError(400, "INVALID_RENDER_SIZE", `${name}는 ${RENDER_SIZES.join(", ")} 중 하나여야 합니다`);
+    }
+    return size;
+}
+
+// 쿼리스트링 검증 → { width, height, fit, format, quality }
+function parseRenderOptions(query = {}, mimeType) {
+    const width = parseSize(query.w, "w");
+    const height = parseSize(query.h, "h");
+    if (width == null && height == null) {
+        throw new RenderError(400, "INVALID_RENDER_SIZE", "w 또는 h 중 하나 이상을 지정하세요");
+    }
+
+    const fit = query.fit || "inside";
+    if (!RENDER_FITS.includes(fit)) {
+        throw new RenderError(400, "INVALID_RENDER_FIT", `fit은 ${RENDER_FITS.join(", ")} 중 하나여야 합니다`);
+    }
+
+    const format = query.format === "jpg" ? "jpeg" : query.format || PASSTHROUGH_FORMATS[mimeType] || "jpeg";
+    if (!RENDER_FORMATS[format]) {
+        throw new RenderError(400, "INVALID_RENDER_FORMAT", `format은 ${Object.keys(RENDER_FORMATS).join(", ")} 중 하나여야 합니다`);
+    }
+
+    const quality = query.quality === undefined ? DEFAULT_QUALITY : Number(query.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        throw new RenderError(400, "INVALID_RENDER_QUALITY", "quality는 1 ~ 100 사이의 정수여야 합니다");
+    }
+
+    return { width, height, fit, format, quality: format === "png" ? null : quality };
+}
+
+// 변환 조건 → 캐시 파일 이름 (같은 조건이면 항상 같은 이름)
+function variantName({ width, height, fit, format, quality }) {
+    const q = quality == null ? "" : `_q${quality}`;
+    return `${width || 0}x${height || 0}_${fit}${q}.${RENDER_FORMATS[format].ext}`;
+}
+
+function hashDir(fileHash) {
+    return `${fileHash.slice(0, 2)}/${fileHash}`;
+}
+
+// fileStore: 원본 저장소, cacheDir: 변환 결과를 둘 로컬 폴더
+function createRenderCache({ fileStore, cacheDir }) {
+    const cacheStore = createLocalStorage({ rootDir: cacheDir });
+    const inFlight = new Map();
+
+    async function renderToCache(media, options, key) {
+        const target = path.join(cacheDir, ...key.split("/"));
+        const tempPath = `${target}.${crypto.randomUUID()}.part`;
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        try {
+            await fileStore.withLocalFile(media.file_path, async (filePath) => {
+                const image = sharp(filePath, { failOn: "none" })
+                    .rotate() // EXIF 방향 반영
+                    .resize({
+                        width: options.width || undefined,
+                        height: options.height || undefined,
+                        fit: options.fit,
+                        withoutEnlargement: true,
+                    });
+                const formatOptions = options.quality == null ? {} : { quality: options.quality };
+                try {
+                    await image.toFormat(options.format, formatOptions).toFile(tempPath);
+                } catch (err) {
+                    // 디코더가 없는 형식 (예: HEVC 를 지원하지 않는 libvips 의 HEIC) 이나 깨진 파일
+                    throw new RenderError(415, "RENDER_UNSUPPORTED", `이 이미지는 변환할 수 없습니다: ${err.message}`);
+                }
+            });
+            fs.renameSync(tempPath, target);
+        } catch (err) {
+            fs.rmSync(tempPath, { force: true });
+            throw err;
+        }
+    }
+
+    return {
+        store: cacheStore,
+
+        // 캐시에 있으면 그대로, 없으면 변환 후 { key, size, mimeType, cached } 반환
+        // 같은 변환이 동시에 요청되면 한 번만 만든다 (cached 가 false 인 것은 직접 변환한 요청뿐)
+        async render(media, options) {
+            const key = `${hashDir(media.file_hash)}/${variantName(options)}`;
+            const mimeType = RENDER_FORMATS[options.format].mimeType;
+
+            let cached = true;
+            if (!(await cacheStore.exists(key))) {
+                if (!inFlight.has(key)) {
+                    cached = false;
+                    inFlight.set(key, renderToCache(media, options, key).finally(() => inFlight.delete(key)));
+                }
+                await inFlight.get(key);
+            }
+
+            const { size } = await cacheStore.stat(key);
+            return { key, size, mimeType, cached };
+        },
+
+        // 원본(file_storage 행)이 지워지면 그 해시의 변환 결과를 모두 삭제
+        invalidate(fileHash) {
+            if (!fileHash) return;
+            fs.rmSync(path.join(cacheDir, ...hashDir(fileHash).split("/")), { recursive: true, force: true });
+        },
+    };
+}
+
+// 변환 결과 다운로드 이름 (확장자를 출력 형식에 맞춤)
+function renderedName(originalName, format) {
+    const base = path.parse(originalName || "image").name;
+    return `${base}.${RENDER_FORMATS[format].ext}`;
+}
+
+module.exports = {
+    RENDER_SIZES,
+    RenderError,
+    parseRenderOptions,
+    renderedName,
+    createRenderCache,
+};
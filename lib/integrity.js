@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const { thumbnailFileKeys } = require("./thumbnails");
+const { parseRenditionFiles } = require("./transcode");
+
+// =======================
+// 저장소 무결성 검사 / 복구
+// =======================
+// 업로드는 커밋 전에 파일을 쓰고, 삭제는 커밋 전/후에 파일을 지우기 때문에
+// 서버가 중간에 죽으면 file_storage 와 저장소가 어긋날 수 있다. 검사 항목:
+// - refCountDrift: ref_count 가 실제 uploaded_media 참조 수(휴지통 포함)와 다름 → 다시 계산 (참조가 남아 있을 때만)
+// - unreferenced: 참조가 하나도 없는 file_storage 행 → 보고만 함
+// - missingFiles: file_path 에 파일이 없음 → 보고만 함
+// - hashMismatches: 저장된 파일의 해시가 file_hash 와 다름 → 보고만 함
+// - orphanFiles: 저장소에 있지만 어떤 행도 가리키지 않는 파일/썸네일/변환 결과 → 삭제
+//   (업로드 도중인 파일을 지우지 않도록 최근 ORPHAN_GRACE_MS 안에 수정된 파일은 건너뜀)
+// repair 가 false 면 보고서만 만든다 (dry-run).
+// 복구는 DB 행을 지우지 않는다: 저장소가 잠시 안 보일 때 (마운트 안 된 볼륨, S3 장애) 파일이 없다고 보고
+// 미디어/태그/공유 링크를 지우면 되돌릴 수 없고, ref_count 를 0 으로 만드는 것은 영구 삭제(휴지통)만 한다.
+// 파일 없음/참조 없는 행은 원본을 복원하거나 사용자가 휴지통으로 지우도록 사람이 판단한다.
+//
+// db 는 lib/db.js 의 어댑터 { all, run, transaction } (sqlite3 / better-sqlite3 모두 사용 가능)
+// fileStore 는 lib/storage.js 의 드라이버 (로컬 / S3 모두 같은 방식으로 검사)
+
+const ORPHAN_GRACE_MS = 10 * 60 * 1000;
+
+async function calculateStoredHash(fileStore, key) {
+    const stream = await fileStore.open(key);
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("md5");
+        stream
+            .on("data", (chunk) => hash.update(chunk))
+            .on("error", reject)
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+async function removeFile(fileStore, key) {
+    try {
+        return await fileStore.remove(key);
+    } catch (err) {
+        console.error(`⚠️ [INTEGRITY] 파일 삭제 실패 ${key}:`, err.message);
+        return false;
+    }
+}
+
+// 검사 (+ repair 가 true 면 복구) 후 보고서 반환
+async function checkIntegrity(db, { fileStore, repair = false, verifyHashes = true, now = Date.now() }) {
+    const storage = await db.all(
+        `SELECT s.id, s.file_hash, s.file_path, s.ref_count,
+                (SELECT COUNT(*) FROM uploaded_media m WHERE m.storage_id = s.id) as actual_refs,
+                (SELECT files FROM video_renditions r WHERE r.storage_id = s.id) as rendition_files
+         FROM file_storage s
+         ORDER BY s.id`
+    );
+    // 원본 + 썸네일 (썸네일은 원본 옆 thumbnails 폴더에 있어야 한다) + 동영상 변환 결과
+    const knownKeys = new Set();
+    for (const row of storage) {
+        knownKeys.add(row.file_path);
+        thumbnailFileKeys(row.id, row.file_path).forEach(key => knownKeys.add(key));
+        parseRenditionFiles(row.rendition_files).forEach(key => knownKeys.add(key));
+    }
+
+    const report = {
+        dryRun: !repair,
+        checkedStorage: storage.length,
+        checkedFiles: 0,
+        refCountDrift: [],
+        unreferenced: [],
+        missingFiles: [],
+        hashMismatches: [],
+        orphanFiles: [],
+        repaired: null,
+    };
+
+    for (const row of storage) {
+        if (row.actual_refs === 0) {
+            report.unreferenced.push({ storageId: row.id, filePath: row.file_path });
+            continue;
+        }
+        if (row.ref_count !== row.actual_refs) {
+            report.refCountDrift.push({ storageId: row.id, recorded: row.ref_count, actual: row.actual_refs });
+        }
+
+        if (!(await fileStore.exists(row.file_path))) {
+            report.missingFiles.push({ storageId: row.id, filePath: row.file_path, mediaCount: row.actual_refs });
+        } else if (verifyHashes) {
+            const actual = await calculateStoredHash(fileStore, row.file_path);
+            if (actual !== row.file_hash) {
+                report.hashMismatches.push({ storageId: row.id, filePath: row.file_path, expected: row.file_hash, actual });
+            }
+        }
+    }
+
+    for (const file of await fileStore.list()) {
+        report.checkedFiles++;
+        if (knownKeys.has(file.key) || now - file.mtimeMs < ORPHAN_GRACE_MS) continue;
+
+        report.orphanFiles.push({ filePath: file.key, size: file.size });
+    }
+
+    if (repair) {
+        report.repaired = await repairIntegrity(db, fileStore, report);
+    }
+    return report;
+}
+
+async function repairIntegrity(db, fileStore, report) {
+    const repaired = {
+        refCounts: 0,
+        deletedFiles: 0,
+    };
+
+    // 참조 수는 지금 시점의 uploaded_media 로 다시 계산 (검사 이후 바뀐 참조도 반영, 0 으로는 만들지 않음)
+    for (const drift of report.refCountDrift) {
+        const result = await db.run(
+            `UPDATE file_storage
+             SET ref_count = (SELECT COUNT(*) FROM uploaded_media m WHERE m.storage_id = file_storage.id)
+             WHERE id = ? AND EXISTS (SELECT 1 FROM uploaded_media m WHERE m.storage_id = file_storage.id)`,
+            [drift.storageId]
+        );
+        repaired.refCounts += result.changes;
+    }
+
+    for (const orphan of report.orphanFiles) {
+        if (await removeFile(fileStore, orphan.filePath)) repaired.deletedFiles++;
+    }
+
+    return repaired;
+}
+
+// 로그/CLI 출력용 한 줄 요약
+function summarizeReport(report) {
+    const counts = [
+        `ref_count 불일치 ${report.refCountDrift.length}`,
+        `참조 없는 행 ${report.unreferenced.length}`,
+        `파일 없음 ${report.missingFiles.length}`,
+        `해시 불일치 ${report.hashMismatches.length}`,
+        `고아 파일 ${report.orphanFiles.length}`,
+    ].join(", ");
+    return `저장 행 ${report.checkedStorage}개, 저장소 파일 ${report.checkedFiles}개 검사 - ${counts}`;
+}
+
+module.exports = {
+    ORPHAN_GRACE_MS,
+    checkIntegrity,
+    summarizeReport,
+};
@@ -0,0 +1,352 @@
+// =======================
+// 백그라운드 작업 큐 (SQLite jobs 테이블)
+// =======================
+// 요청 처리 중에 하기엔 느린 일 (썸네일/동영상 변환, 영구 삭제 후 파일 정리, 정기 정리 작업) 을
+// jobs 테이블에 넣고 워커가 꺼내서 실행한다. 서버가 죽어도 작업은 DB 에 남아 있어 재시작 후 이어서 처리.
+// - 상태: queued → running → completed | failed (실패하면 run_at 을 뒤로 미뤄 다시 queued, max_attempts 까지)
+// - 재시도 간격: JOB_RETRY_BASE_SECONDS × 2^(시도 횟수 - 1), 최대 JOB_RETRY_MAX_SECONDS
+// - dedupeKey: 같은 키로 대기/실행 중인 작업이 있으면 새로 넣지 않고 기존 작업을 돌려준다
+// - 동시 실행: 전체 JOB_CONCURRENCY 개, 종류별로는 handler.concurrency (기본 1) 개까지
+//   (오래 걸리는 동영상 변환이 썸네일 생성을 막지 않도록)
+// - 재시작 시 running 으로 남은 작업은 다시 queued 로 (recover)
+//
+// db 는 { get, all, run } - 값이나 Promise 를 반환 (run 은 { changes, lastID })
+// handlers: { [type]: { run(payload, job) → 결과(JSON), failed?(payload, err, job), concurrency?, maxAttempts? } }
+//   run 에서 retryable 이 false 인 오류를 던지면 재시도하지 않고 바로 failed
+
+// JOB_CONCURRENCY / JOB_MAX_ATTEMPTS / JOB_RETRY_BASE_SECONDS / JOB_RETENTION_DAYS 는 lib/config.js 에서 검증
+
+const { getConfig } = require("./config");
+const { isUniqueViolation } = require("./db");
+
+const JOB_CONCURRENCY = getConfig().jobConcurrency;
+const JOB_MAX_ATTEMPTS = getConfig().jobMaxAttempts;
+const JOB_RETRY_BASE_SECONDS = getConfig().jobRetryBaseSeconds;
+const JOB_RETRY_MAX_SECONDS = 60 * 60;
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// 끝난 작업 보관 기간 (정리 작업이 지움, 0 이면 보관)
+const JOB_RETENTION_DAYS = getConfig().jobRetentionDays;
+
+const JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+// 트랜잭션 안에서 직접 넣을 때 (파일 정리처럼 DB 변경과 함께 기록해야 하는 작업) - 넣은 뒤 queue.wake()
+// dedupeKey 가 대기/실행 중인 작업과 겹치면 idx_jobs_dedupe 위반 (enqueue 는 기존 작업을 돌려줌)
+const JOB_INSERT_SQL = `
+    INSERT INTO jobs (type, payload, dedupe_key, owner_id, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+`;
+
+class JobError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// SQLite DATETIME 형식 (UTC, 초 단위) - CURRENT_TIMESTAMP 와 비교 가능
+function sqliteDateTime(ms) {
+    return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(JOB_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), JOB_RETRY_MAX_SECONDS);
+}
+
+function jobInsertParams(type, payload, { dedupeKey = null, ownerId = null, maxAttempts = JOB_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+    return [type, JSON.stringify(payload || {}), dedupeKey, ownerId, maxAttempts, sqliteDateTime(Date.now() + delayMs)];
+}
+
+function parseJson(value) {
+    if (value == null) return null;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return null;
+    }
+}
+
+// API 응답용
+function formatJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        payload: parseJson(row.payload),
+        result: parseJson(row.result),
+        lastError: row.last_error,
+        ownerId: row.owner_id,
+        runAt: row.run_at,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+    };
+}
+
+// 목록 조회 조건 (status, type, limit - 관리자/사용자 목록 공통)
+function parseJobFilters(query = {}) {
+    const status = query.status || null;
+    if (status && !JOB_STATUSES.includes(status)) {
+        throw new JobError(400, "INVALID_JOB_STATUS", `status는 ${JOB_STATUSES.join(", ")} 중 하나여야 합니다`);
+    }
+
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        throw new JobError(400, "INVALID_LIMIT", "limit은 1 ~ 200 사이의 정수여야 합니다");
+    }
+
+    return { status, type: query.type || null, limit };
+}
+
+function createJobQueue({ db, handlers, concurrency = JOB_CONCURRENCY, pollIntervalMs = JOB_POLL_INTERVAL_MS }) {
+    const runningByType = new Map();
+    let running = 0;
+    let timer = null;
+    let ticking = false;
+    let tickAgain = false;
+
+    // 지금 더 꺼낼 수 있는 종류 (종류별 동시 실행 한도 안쪽)
+    function availableTypes() {
+        return Object.keys(handlers).filter(type =>
+            (runningByType.get(type) || 0) < (handlers[type].concurrency || 1));
+    }
+
+    // 다음 작업 하나를 running 으로 바꿔서 가져옴 (다른 워커가 먼저 가져갔으면 다시 시도)
+    async function claimNext() {
+        for (;;) {
+            const types = availableTypes();
+            if (types.length === 0) return null;
+
+            const job = await db.get(
+                `SELECT * FROM jobs
+                 WHERE status = 'queued' AND run_at <= ? AND type IN (${types.map(() => "?").join(", ")})
+                 ORDER BY run_at, id
+                 LIMIT 1`,
+                [sqliteDateTime(Date.now()), ...types]
+            );
+            if (!job) return null;
+
+            const claimed = await db.run(
+                `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'queued'`,
+                [job.id]
+            );
+            if (claimed.changes > 0) {
+                return { ...job, status: "running", attempts: job.attempts + 1 };
+            }
+        }
+    }
+
+    async function execute(job) {
+        const handler = handlers[job.type];
+        const payload = parseJson(job.payload) || {};
+
+        try {
+            const result = await handler.run(payload, job);
+            await db.run(
+                `UPDATE jobs SET status = 'completed', result = ?, last_error = NULL, finished_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [JSON.stringify(result === undefined ? null : result), job.id]
+            );
+        } catch (err) {
+            if (err.retryable !== false && job.attempts < job.max_attempts) {
+                const delay = retryDelaySeconds(job.attempts);
+                console.error(`⚠️ [JOB RETRY] #${job.id} ${job.type} (${job.attempts}/${job.max_attempts}) ${delay}초 후 재시도:`, err.message);
+                await db.run(
+                    "UPDATE jobs SET status = 'queued', last_error = ?, run_at = ? WHERE id = ?",
+                    [err.message, sqliteDateTime(Date.now() + delay * 1000), job.id]
+                );
+                return;
+            }
+
+            console.error(`❌ [JOB FAILED] #${job.id} ${job.type}:`, err.message);
+            await db.run(
+                "UPDATE jobs SET status = 'failed', last_error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [err.message, job.id]
+            );
+            if (handler.failed) {
+                try {
+                    await handler.failed(payload, err, job);
+                } catch (cbErr) {
+                    console.error(`⚠️ [JOB FAILED HANDLER ERROR] #${job.id}:`, cbErr.message);
+                }
+            }
+        }
+    }
+
+    // 빈 자리만큼 작업을 꺼내 실행 (끝나면 다시 tick)
+    async function tick() {
+        if (ticking) {
+            tickAgain = true;
+            return;
+        }
+        ticking = true;
+        tickAgain = false;
+
+        try {
+            while (running < concurrency) {
+                const job = await claimNext();
+                if (!job) break;
+
+                running++;
+                runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+                execute(job)
+                    .catch(err => console.error(`❌ [JOB ERROR] #${job.id}:`, err.message))
+                    .finally(() => {
+                        running--;
+                        runningByType.set(job.type, runningByType.get(job.type) - 1);
+                        wake();
+                    });
+            }
+        } catch (err) {
+            console.error("❌ [JOB QUEUE ERROR]:", err.message);
+        } finally {
+            ticking = false;
+            if (tickAgain) wake();
+        }
+    }
+
+    function wake() {
+        setImmediate(tick);
+    }
+
+    return {
+        wake,
+
+        // 재시작 시: 실행 중이던 작업을 다시 대기열로 (시도 횟수를 다 쓴 작업은 실패 처리)
+        async recover() {
+            await db.run(
+                `UPDATE jobs SET status = 'failed', last_error = '서버 재시작으로 중단됨', finished_at = CURRENT_TIMESTAMP
+                 WHERE status = 'running' AND attempts >= max_attempts`
+            );
+            const result = await db.run(
+                "UPDATE jobs SET status = 'queued', run_at = ? WHERE status = 'running'",
+                [sqliteDateTime(Date.now())]
+            );
+            return result.changes;
+        },
+
+        start() {
+            if (timer) return;
+            // 재시도 대기 중인 작업은 run_at 이 지나면 주기적으로 확인해서 꺼냄
+            timer = setInterval(tick, pollIntervalMs);
+            timer.unref();
+            wake();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        // → 작업 행 (dedupeKey 가 같은 작업이 대기/실행 중이면 그 작업)
+        async enqueue(type, payload, options = {}) {
+            const handler = handlers[type] || {};
+            const params = jobInsertParams(type, payload, { maxAttempts: handler.maxAttempts, ...options });
+            for (;;) {
+                try {
+                    const result = await db.run(JOB_INSERT_SQL, params);
+                    wake();
+                    return db.get("SELECT * FROM jobs WHERE id = ?", [result.lastID]);
+                } catch (err) {
+                    if (!isUniqueViolation(err, "jobs.dedupe_key")) throw err;
+                }
+
+                const existing = await db.get(
+                    "SELECT * FROM jobs WHERE dedupe_key = ? AND status IN ('queued', 'running')",
+                    [options.dedupeKey]
+                );
+                // 그 사이에 기존 작업이 끝났으면 다시 넣는다
+                if (existing) return existing;
+            }
+        },
+
+        async get(id) {
+            return db.get("SELECT * FROM jobs WHERE id = ?", [id]);
+        },
+
+        // ownerId 가 있으면 그 사용자의 작업만
+        async list({ status, type, limit }, ownerId = null) {
+            const conditions = [];
+            const params = [];
+            if (ownerId != null) {
+                conditions.push("owner_id = ?");
+                params.push(ownerId);
+            }
+            if (status) {
+                conditions.push("status = ?");
+                params.push(status);
+            }
+            if (type) {
+                conditions.push("type = ?");
+                params.push(type);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+            return db.all(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+        },
+
+        // 상태별 개수 (없는 상태는 0)
+        async counts() {
+            const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+            for (const row of await db.all("SELECT status, COUNT(*) as count FROM jobs GROUP BY status")) {
+                counts[row.status] = row.count;
+            }
+            return counts;
+        },
+
+        // 실패한 작업을 처음부터 다시 (시도 횟수 초기화)
+        async retry(id) {
+            const job = await db.get("SELECT * FROM jobs WHERE id = ?", [id]);
+            if (!job) {
+                throw new JobError(404, "JOB_NOT_FOUND", "작업을 찾을 수 없습니다");
+            }
+            if (job.status !== "failed") {
+                throw new JobError(409, "JOB_NOT_FAILED", "실패한 작업만 다시 실행할 수 있습니다");
+            }
+            if (job.dedupe_key && await db.get(
+                "SELECT 1 FROM jobs WHERE dedupe_key = ? AND status IN ('queued', 'running')",
+                [job.dedupe_key]
+            )) {
+                throw new JobError(409, "JOB_ALREADY_QUEUED", "같은 작업이 이미 대기 중입니다");
+            }
+
+            await db.run(
+                `UPDATE jobs SET status = 'queued', attempts = 0, last_error = NULL, finished_at = NULL, run_at = ?
+                 WHERE id = ?`,
+                [sqliteDateTime(Date.now()), id]
+            );
+            wake();
+            return db.get("SELECT * FROM jobs WHERE id = ?", [id]);
+        },
+
+        // 보관 기간이 지난 끝난 작업 삭제 → 삭제 수
+        async prune(retentionDays = JOB_RETENTION_DAYS) {
+            if (!(retentionDays > 0)) return 0;
+            const result = await db.run(
+                `DELETE FROM jobs
+                 WHERE status IN ('completed', 'failed') AND finished_at <= datetime('now', ?)`,
+                [`-${retentionDays} days`]
+            );
+            return result.changes;
+        },
+
+        get running() {
+            return running;
+        },
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JOB_RETENTION_DAYS,
+    JOB_INSERT_SQL,
+    JobError,
+    jobInsertParams,
+    formatJob,
+    parseJobFilters,
+    createJobQueue,
+};
@@ -0,0 +1,459 @@
+const path = require("path");
+const { MEDIA_ANNOTATION_SELECT, tagFilterCondition } = require("./tags");
+const { cursorCondition, orderByClause } = require("./pagination");
+const { TRASH_SELECT } = require("./trash");
+
+// =======================
+// file_storage / uploaded_media 저장소 (lib/db.js 어댑터 위)
+// =======================
+// file_storage: 실제 파일 1개 = 행 1개 (file_hash 로 중복 제거, ref_count = 참조하는 uploaded_media 수, 휴지통 포함)
+// uploaded_media: 사용자가 올린 항목 (같은 파일을 여러 번 올려도 file_storage 는 하나)
+// 트랜잭션은 호출 측이 db.transaction 으로 묶는다 (안에서 부르면 같은 트랜잭션).
+
+// 목록/검색/단건 공통 SELECT 컬럼 (uploaded_media m, file_storage s, media_metadata md)
+const MEDIA_COLUMNS = `
+    m.id as media_id,
+    m.original_name,
+    m.album_id,
+    m.album_name,
+    m.album_path,
+    m.uploaded_at,
+    s.id as storage_id,
+    s.file_hash,
+    s.saved_name,
+    s.file_size,
+    s.mime_type,
+    s.file_type,
+    s.file_path,
+    s.thumbnail_status,
+    s.ref_count,
+    (SELECT status FROM video_renditions WHERE storage_id = s.id) as transcode_status,
+    md.taken_at,
+    md.taken_at_offset,
+    md.camera_make,
+    md.camera_model,
+    md.latitude,
+    md.longitude,
+    md.width,
+    md.height,
+    md.duration,
+    ${MEDIA_ANNOTATION_SELECT}
+`;
+
+// MEDIA_COLUMNS 를 쓸 때의 FROM (WHERE 는 호출 측)
+const MEDIA_FROM = `
+    FROM uploaded_media m
+    JOIN file_storage s ON m.storage_id = s.id
+    LEFT JOIN media_metadata md ON md.storage_id = s.id
+`;
+
+// 해시 IN (...) 한 번에 넣는 개수 (SQLite 기본 바인딩 변수 한도 999 이하)
+const HASH_QUERY_CHUNK = 500;
+
+function createMediaRepository(db) {
+    const repo = {
+        // ----- file_storage -----
+
+        // 변환 상태(transcode_status) 포함
+        findStorageByHash(fileHash) {
+            return db.get(
+                `SELECT *, (SELECT status FROM video_renditions WHERE storage_id = file_storage.id) as transcode_status
+                 FROM file_storage WHERE file_hash = ?`,
+                [fileHash]
+            );
+        },
+
+        async storageExists(fileHash) {
+            return !!(await db.get("SELECT 1 FROM file_storage WHERE file_hash = ?", [fileHash]));
+        },
+
+        getStorage(storageId) {
+            return db.get("SELECT id, file_hash, file_path, file_type FROM file_storage WHERE id = ?", [storageId]);
+        },
+
+        // → 새 file_storage id
+        async insertStorage({ fileHash, savedName, filePath, size, mimeType, fileType }) {
+            const result = await db.run(
+                `INSERT INTO file_storage
+                 (file_hash, saved_name, file_path, file_size, mime_type, file_type, ref_count)
+                 VALUES (?, ?, ?, ?, ?, ?, 1)`,
+                [fileHash, savedName, filePath, size, mimeType, fileType]
+            );
+            return result.lastID;
+        },
+
+        addStorageRef(storageId, count = 1) {
+            return db.run("UPDATE file_storage SET ref_count = ref_count + ? WHERE id = ?", [count, storageId]);
+        },
+
+        // refs: [{ storage_id, count }] - ref_count 를 count 만큼 줄이고 0이 된 file_storage 행을 삭제
+        // → 삭제된 행 [{ id, file_hash, file_path, rendition_files }] (파일은 커밋 후 호출 측이 지운다)
+        async releaseStorageRefs(refs) {
+            const released = [];
+
+            for (const ref of refs) {
+                await db.run("UPDATE file_storage SET ref_count = ref_count - ? WHERE id = ?", [ref.count, ref.storage_id]);
+
+                const storage = await db.get(
+                    `SELECT id, file_hash, file_path, ref_count,
+                            (SELECT files FROM video_renditions WHERE storage_id = file_storage.id) as rendition_files
+                     FROM file_storage WHERE id = ?`,
+                    [ref.storage_id]
+                );
+                if (storage && storage.ref_count <= 0) {
+                    await db.run("DELETE FROM media_metadata WHERE storage_id = ?", [storage.id]);
+                    await db.run("DELETE FROM video_renditions WHERE storage_id = ?", [storage.id]);
+                    await db.run("DELETE FROM file_storage WHERE id = ?", [storage.id]);
+                    released.push(storage);
+                }
+            }
+
+            return released;
+        },
+
+        setStoragePath(storageId, filePath) {
+            return db.run("UPDATE file_storage SET file_path = ? WHERE id = ?", [filePath, storageId]);
+        },
+
+        // → 행이 아직 있으면 true
+        async setThumbnailStatus(storageId, status) {
+            const result = await db.run("UPDATE file_storage SET thumbnail_status = ? WHERE id = ?", [status, storageId]);
+            return result.changes > 0;
+        },
+
+        pendingThumbnails() {
+            return db.all("SELECT id FROM file_storage WHERE thumbnail_status = 'pending' ORDER BY id");
+        },
+
+        // ----- uploaded_media -----
+
+        // → 새 uploaded_media id (ref_count 는 호출 측에서 addStorageRef / insertStorage 로)
+        async insertMedia({ storageId, originalName, albumName, albumPath, ownerId, albumId, caption = null, isFavorite = 0, rating = null }) {
+            const result = await db.run(
+                `INSERT INTO uploaded_media
+                 (storage_id, original_name, album_name, album_path, owner_id, album_id, caption, is_favorite, rating)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [storageId, originalName, albumName, albumPath, ownerId, albumId, caption, isFavorite, rating]
+            );
+            return result.lastID;
+        },
+
+        // 이 사용자가 이미 참조하는 파일인지 (휴지통 포함 - 한도 계산 기준)
+        async isReferencedBy(storageId, ownerId) {
+            return !!(await db.get(
+                "SELECT 1 FROM uploaded_media WHERE storage_id = ? AND owner_id = ? LIMIT 1",
+                [storageId, ownerId]
+            ));
+        },
+
+        // 사용 중인(휴지통이 아닌) 내 미디어 한 건 (MEDIA_COLUMNS)
+        getOwnedMedia(mediaId, ownerId) {
+            return db.get(
+                `SELECT ${MEDIA_COLUMNS} ${MEDIA_FROM}
+                 WHERE m.id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+                [mediaId, ownerId]
+            );
+        },
+
+        // 원본 전송/변환용 (lib/mediaServing.js, lib/imageRender.js 가 쓰는 컬럼)
+        getOwnedMediaFile(mediaId, ownerId) {
+            return db.get(
+                `SELECT m.original_name, s.file_path, s.file_hash, s.file_size, s.mime_type, s.file_type, s.created_at
+                 FROM uploaded_media m
+                 JOIN file_storage s ON s.id = m.storage_id
+                 WHERE m.id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+                [mediaId, ownerId]
+            );
+        },
+
+        // 내 라이브러리(휴지통 제외)의 파일 해시 목록 (최근 저장순)
+        async listOwnedHashes(ownerId) {
+            const rows = await db.all(
+                `SELECT DISTINCT s.file_hash
+                 FROM file_storage s
+                 JOIN uploaded_media m ON m.storage_id = s.id
+                 WHERE m.owner_id = ? AND m.deleted_at IS NULL
+                 ORDER BY s.created_at DESC`,
+                [ownerId]
+            );
+            return rows.map(row => row.file_hash);
+        },
+
+        // 내 라이브러리(휴지통 제외)에 있는 파일이면 file_storage 행
+        findOwnedStorageByHash(fileHash, ownerId) {
+            return db.get(
+                `SELECT s.* FROM file_storage s
+                 WHERE s.file_hash = ?
+                   AND EXISTS (SELECT 1 FROM uploaded_media m
+                               WHERE m.storage_id = s.id AND m.owner_id = ? AND m.deleted_at IS NULL)`,
+                [fileHash, ownerId]
+            );
+        },
+
+        // 내 미디어(휴지통 포함)가 참조하는 저장소 키면 file_storage 행 (/uploads 접근 확인용)
+        findOwnedStorageByKey(filePath, ownerId) {
+            return db.get(
+                `SELECT s.id FROM file_storage s
+                 WHERE s.file_path = ?
+                   AND EXISTS (SELECT 1 FROM uploaded_media m WHERE m.storage_id = s.id AND m.owner_id = ?)`,
+                [filePath, ownerId]
+            );
+        },
+
+        // fileHashes 중 내 라이브러리(휴지통 제외)에 있는 해시 → Set
+        // (SQLite 바인딩 변수 수 제한이 있어 나눠서 조회)
+        async findOwnedHashes(fileHashes, ownerId) {
+            const found = new Set();
+
+            for (let i = 0; i < fileHashes.length; i += HASH_QUERY_CHUNK) {
+                const chunk = fileHashes.slice(i, i + HASH_QUERY_CHUNK);
+                const rows = await db.all(
+                    `SELECT s.file_hash FROM file_storage s
+                     WHERE s.file_hash IN (${chunk.map(() => "?").join(", ")})
+                       AND EXISTS (SELECT 1 FROM uploaded_media m
+                                   WHERE m.storage_id = s.id AND m.owner_id = ? AND m.deleted_at IS NULL)`,
+                    [...chunk, ownerId]
+                );
+                rows.forEach(row => found.add(row.file_hash));
+            }
+
+            return found;
+        },
+
+        // 사용 중인 내 미디어의 재생용 변환 상태/파일 (GET /api/media/:id/stream/*)
+        getOwnedPlayback(mediaId, ownerId) {
+            return db.get(
+                `SELECT m.storage_id, s.file_type, r.status, r.files
+                 FROM uploaded_media m
+                 JOIN file_storage s ON s.id = m.storage_id
+                 LEFT JOIN video_renditions r ON r.storage_id = s.id
+                 WHERE m.id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+                [mediaId, ownerId]
+            );
+        },
+
+        // 앨범 이동/복사용 원본 행 (uploaded_media 전체 + saved_name)
+        getOwnedMediaRow(mediaId, ownerId) {
+            return db.get(
+                `SELECT m.*, s.saved_name FROM uploaded_media m
+                 JOIN file_storage s ON s.id = m.storage_id
+                 WHERE m.id = ? AND m.owner_id = ? AND m.deleted_at IS NULL`,
+                [mediaId, ownerId]
+            );
+        },
+
+        // mediaIds 중 사용 중인 내 미디어 id
+        async filterOwnedMediaIds(mediaIds, ownerId) {
+            const rows = await db.all(
+                `SELECT id FROM uploaded_media
+                 WHERE owner_id = ? AND deleted_at IS NULL AND id IN (${mediaIds.map(() => "?").join(", ")})`,
+                [ownerId, ...mediaIds]
+            );
+            return rows.map(row => row.id);
+        },
+
+        // 사용 중인 미디어가 이 앨범에 있는지 (대표 이미지 확인용)
+        async isInAlbum(mediaId, albumId) {
+            return !!(await db.get(
+                "SELECT 1 FROM uploaded_media WHERE id = ? AND album_id = ? AND deleted_at IS NULL",
+                [mediaId, albumId]
+            ));
+        },
+
+        // from: { sql: "FROM ... WHERE ...", params } (MEDIA_FROM 과 같은 별칭) 의 한 페이지 → { total, rows }
+        // rows 는 다음 페이지 확인용으로 page.limit + 1 개까지 (pageResult 로 자른다), columns: 추가 SELECT 컬럼
+        async pageMedia(from, page, columns = null) {
+            const cursor = cursorCondition(page);
+            const { total } = await db.get(`SELECT COUNT(*) as total ${from.sql}`, from.params);
+            const rows = await db.all(
+                `SELECT ${MEDIA_COLUMNS}, ${columns ? `${columns}, ` : ""}${page.sortExpr} as sort_value
+                 ${from.sql}${cursor ? ` AND ${cursor.sql}` : ""}
+                 ${orderByClause(page)}`,
+                [...from.params, ...(cursor ? cursor.params : [])]
+            );
+            return { total, rows };
+        },
+
+        // 내 라이브러리 목록 한 페이지
+        // filters: { type, album, albumId, takenFrom, takenTo, tag, favorite, minRating } (없는 값은 조건 없음)
+        listOwnedMedia(ownerId, filters, page) {
+            let sql = `${MEDIA_FROM} WHERE m.owner_id = ? AND m.deleted_at IS NULL`;
+            const params = [ownerId];
+
+            const conditions = [
+                ["s.file_type = ?", filters.type],
+                ["m.album_name = ?", filters.album],
+                ["m.album_id = ?", filters.albumId],
+                ["md.taken_at >= ?", filters.takenFrom],
+                ["md.taken_at <= ?", filters.takenTo],
+                ["m.rating >= ?", filters.minRating],
+            ];
+            for (const [condition, value] of conditions) {
+                if (value == null || value === "") continue;
+                sql += ` AND ${condition}`;
+                params.push(value);
+            }
+
+            const tagFilter = filters.tag ? tagFilterCondition(filters.tag) : null;
+            if (tagFilter) {
+                sql += ` AND ${tagFilter.sql}`;
+                params.push(...tagFilter.params);
+            }
+            if (filters.favorite) {
+                sql += " AND m.is_favorite = 1";
+            }
+
+            return repo.pageMedia({ sql, params }, page);
+        },
+
+        // 휴지통 목록 한 페이지 (TRASH_SELECT 포함)
+        listTrash(ownerId, page) {
+            return repo.pageMedia(
+                { sql: `${MEDIA_FROM} WHERE m.owner_id = ? AND m.deleted_at IS NOT NULL`, params: [ownerId] },
+                page,
+                TRASH_SELECT
+            );
+        },
+
+        // 휴지통으로 옮긴 직후 응답용 (TRASH_SELECT 포함)
+        getTrashedMedia(mediaId) {
+            return db.get(
+                `SELECT m.id, m.original_name, m.storage_id, ${TRASH_SELECT} FROM uploaded_media m WHERE m.id = ?`,
+                [mediaId]
+            );
+        },
+
+        // 패싯 쿼리(lib/search.js facetQueries) 실행 → [{ name, rows }]
+        countFacets(queries) {
+            return Promise.all(queries.map(async (q) => ({ name: q.name, rows: await db.all(q.sql, q.params) })));
+        },
+
+        updateAnnotations(mediaId, { caption, isFavorite, rating }) {
+            return db.run(
+                "UPDATE uploaded_media SET caption = ?, is_favorite = ?, rating = ? WHERE id = ?",
+                [caption, isFavorite ? 1 : 0, rating, mediaId]
+            );
+        },
+
+        // 앨범 이동 (원래 앨범의 대표 이미지였다면 해제)
+        async moveToAlbum(mediaId, album, albumPath) {
+            await db.run(
+                "UPDATE uploaded_media SET album_id = ?, album_name = ?, album_path = ? WHERE id = ?",
+                [album.id, album.name, albumPath, mediaId]
+            );
+            await db.run("UPDATE albums SET cover_media_id = NULL WHERE cover_media_id = ? AND id != ?", [mediaId, album.id]);
+        },
+
+        // 앨범에 복사 - 같은 file_storage 를 참조하고 설명/즐겨찾기/별점/태그도 그대로 (→ 새 uploaded_media id)
+        async copyToAlbum(media, album, albumPath) {
+            const copyId = await repo.insertMedia({
+                storageId: media.storage_id,
+                originalName: media.original_name,
+                albumName: album.name,
+                albumPath,
+                ownerId: media.owner_id,
+                albumId: album.id,
+                caption: media.caption,
+                isFavorite: media.is_favorite,
+                rating: media.rating,
+            });
+            await db.run(
+                "INSERT INTO media_tags (media_id, tag_id) SELECT ?, tag_id FROM media_tags WHERE media_id = ?",
+                [copyId, media.id]
+            );
+            await repo.addStorageRef(media.storage_id);
+            return copyId;
+        },
+
+        // 앨범 이름 변경 후 이 앨범 미디어의 album_name / album_path 갱신
+        async renameAlbumMedia(albumId, albumName, folder) {
+            const rows = await db.all(
+                `SELECT m.id, s.saved_name FROM uploaded_media m
+                 JOIN file_storage s ON s.id = m.storage_id WHERE m.album_id = ?`,
+                [albumId]
+            );
+            for (const media of rows) {
+                await db.run(
+                    "UPDATE uploaded_media SET album_name = ?, album_path = ? WHERE id = ?",
+                    [albumName, path.join(folder, media.saved_name), media.id]
+                );
+            }
+        },
+
+        // 이 앨범의 미디어만 참조하는 file_storage 행 (다른 앨범/사용자와 공유하는 파일 제외)
+        albumOnlyStorages(albumId) {
+            return db.all(
+                `SELECT DISTINCT s.id, s.file_path FROM file_storage s
+                 JOIN uploaded_media m ON m.storage_id = s.id
+                 WHERE m.album_id = ?
+                   AND NOT EXISTS (SELECT 1 FROM uploaded_media o WHERE o.storage_id = s.id AND (o.album_id IS NULL OR o.album_id != ?))`,
+                [albumId, albumId]
+            );
+        },
+
+        // 휴지통으로 이동 → 옮긴 개수 (mediaId 가 null 이면 전체)
+        async trashMedia(ownerId, mediaId = null) {
+            const result = mediaId == null
+                ? await db.run(
+                    "UPDATE uploaded_media SET deleted_at = CURRENT_TIMESTAMP WHERE owner_id = ? AND deleted_at IS NULL",
+                    [ownerId]
+                )
+                : await db.run(
+                    "UPDATE uploaded_media SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND owner_id = ? AND deleted_at IS NULL",
+                    [mediaId, ownerId]
+                );
+            return result.changes;
+        },
+
+        // 휴지통 항목 (condition: lib/trash.js trashedMediaCondition)
+        listTrashed(condition) {
+            return db.all(`SELECT id, album_id, album_name FROM uploaded_media WHERE ${condition.sql}`, condition.params);
+        },
+
+        restoreMedia(mediaId, albumId) {
+            return db.run("UPDATE uploaded_media SET album_id = ?, deleted_at = NULL WHERE id = ?", [albumId, mediaId]);
+        },
+
+        // 영구 삭제 - 공유 링크/태그/대표 이미지 연결을 지우고 참조 해제 (condition: 별칭 없는 uploaded_media 조건)
+        // → { purgedMedia, released } (released: releaseStorageRefs 결과, 파일은 호출 측이 지운다)
+        async deleteMedia(condition) {
+            const mediaIds = `SELECT id FROM uploaded_media WHERE ${condition.sql}`;
+            const refs = await db.all(
+                `SELECT storage_id, COUNT(*) as count FROM uploaded_media WHERE ${condition.sql} GROUP BY storage_id`,
+                condition.params
+            );
+
+            await db.run(`DELETE FROM share_links WHERE media_id IN (${mediaIds})`, condition.params);
+            await db.run(`DELETE FROM media_tags WHERE media_id IN (${mediaIds})`, condition.params);
+            await db.run(`UPDATE albums SET cover_media_id = NULL WHERE cover_media_id IN (${mediaIds})`, condition.params);
+            const deleted = await db.run(`DELETE FROM uploaded_media WHERE ${condition.sql}`, condition.params);
+            return { purgedMedia: deleted.changes, released: await repo.releaseStorageRefs(refs) };
+        },
+
+        // ----- 통계 -----
+
+        // 내 라이브러리 통계 (고유 파일 기준 종류/크기, 휴지통 제외)
+        async libraryStats(ownerId) {
+            const ownedStorage = "SELECT storage_id FROM uploaded_media WHERE owner_id = ? AND deleted_at IS NULL";
+            return db.get(
+                `SELECT
+                    (SELECT COUNT(*) FROM uploaded_media WHERE owner_id = ? AND deleted_at IS NULL) as media_count,
+                    (SELECT COUNT(DISTINCT storage_id) FROM uploaded_media WHERE owner_id = ? AND deleted_at IS NULL) as storage_count,
+                    (SELECT COUNT(*) FROM uploaded_media WHERE owner_id = ? AND deleted_at IS NOT NULL) as trash_count,
+                    (SELECT COUNT(*) FROM file_storage WHERE file_type = 'image' AND id IN (${ownedStorage})) as image_count,
+                    (SELECT COUNT(*) FROM file_storage WHERE file_type = 'video' AND id IN (${ownedStorage})) as video_count,
+                    (SELECT COALESCE(SUM(file_size), 0) FROM file_storage WHERE id IN (${ownedStorage})) as total_size,
+                    (SELECT COUNT(*) FROM albums WHERE owner_id = ?) as album_count`,
+                [ownerId, ownerId, ownerId, ownerId, ownerId, ownerId, ownerId]
+            );
+        },
+    };
+
+    return repo;
+}
+
+module.exports = {
+    MEDIA_COLUMNS,
+    MEDIA_FROM,
+    createMediaRepository,
+};
@@ -0,0 +1,171 @@
+// =======================
+// 미디어 서빙 (Range / 조건부 요청 / 캐시)
+// =======================
+// GET /api/media/:id 용. 원본은 file_hash 로 내용이 정해지므로 (같은 해시 = 같은 파일)
+// - ETag: 강한 ETag "<file_hash>"
+// - Cache-Control: immutable (로그인 사용자 전용이라 private)
+// - Last-Modified: file_storage.created_at (파일이 처음 저장된 시각)
+// - Range: 단일 범위만 지원 (bytes=0-99, bytes=100-, bytes=-100), 여러 범위는 무시하고 전체 전송
+// - If-None-Match / If-Modified-Since → 304, If-Range 가 맞지 않으면 전체 전송
+// 파일은 저장소 드라이버의 open(key, { start, end }) 로 읽으므로 로컬 / S3 모두 같은 방식으로 동작한다.
+
+const path = require("path");
+const { StorageError } = require("./storage");
+
+const IMMUTABLE_CACHE_CONTROL = "private, max-age=31536000, immutable";
+
+// 파일을 읽지 못해 오류 응답으로 바꿀 때 지우는 헤더
+const MEDIA_HEADERS = [
+    "ETag", "Last-Modified", "Cache-Control", "Accept-Ranges",
+    "Content-Type", "Content-Disposition", "Content-Range", "Content-Length",
+];
+
+class MediaError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function strongEtag(fileHash) {
+    return `"${fileHash}"`;
+}
+
+// SQLite DATETIME (UTC, "YYYY-MM-DD HH:MM:SS") → Date (초 단위)
+function parseSqliteDateTime(value) {
+    if (!value) return null;
+    const date = new Date(`${String(value).replace(" ", "T")}Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// If-None-Match 는 약한 비교 (W/ 무시), "*" 는 모두 일치
+function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === "*") return true;
+    return header.split(",").some(tag => tag.trim().replace(/^W\//, "") === etag);
+}
+
+// HTTP 날짜는 초 단위라 밀리초는 버리고 비교
+function notModifiedSince(header, lastModified) {
+    const since = Date.parse(header);
+    return !isNaN(since) && lastModified && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+// 304 여부 (If-None-Match 가 있으면 If-Modified-Since 는 무시 - RFC 9110)
+function isNotModified(headers, etag, lastModified) {
+    if (headers["if-none-match"]) return etagMatches(headers["if-none-match"], etag);
+    if (headers["if-modified-since"]) return notModifiedSince(headers["if-modified-since"], lastModified);
+    return false;
+}
+
+// If-Range: 강한 ETag 가 같거나 날짜가 일치할 때만 Range 적용
+function rangeStillValid(header, etag, lastModified) {
+    if (!header) return true;
+    if (header.startsWith("\"")) return header === etag;
+    return lastModified != null && Date.parse(header) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+// Range 헤더 → { start, end } | null (무시하고 전체 전송) | "unsatisfiable" (416)
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+        // 뒤에서 N 바이트
+        const suffix = Number(match[2]);
+        if (suffix === 0) return "unsatisfiable";
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+        if (match[2] !== "" && Number(match[2]) < start) return null;
+    }
+
+    if (start >= size) return "unsatisfiable";
+    return { start, end };
+}
+
+// Content-Disposition (ASCII 가 아닌 이름은 filename* 로 - RFC 6266)
+function contentDisposition(type, filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return fallback === filename
+        ? `${type}; filename="${filename}"`
+        : `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// media: { file_path, file_hash, file_size, mime_type, created_at, original_name }
+// download 가 true 면 attachment, 아니면 inline (둘 다 original_name 사용)
+async function serveMedia(req, res, fileStore, media, { download = false } = {}) {
+    const size = media.file_size;
+    const etag = strongEtag(media.file_hash);
+    const lastModified = parseSqliteDateTime(media.created_at);
+
+    res.setHeader("ETag", etag);
+    if (lastModified) res.setHeader("Last-Modified", lastModified.toUTCString());
+    res.setHeader("Cache-Control", IMMUTABLE_CACHE_CONTROL);
+    res.setHeader("Accept-Ranges", "bytes");
+
+    if (isNotModified(req.headers, etag, lastModified)) {
+        return res.status(304).end();
+    }
+
+    res.setHeader("Content-Type", media.mime_type || "application/octet-stream");
+    res.setHeader("Content-Disposition", contentDisposition(
+        download ? "attachment" : "inline",
+        media.original_name || path.posix.basename(media.file_path)
+    ));
+
+    let range = null;
+    if (req.headers.range && rangeStillValid(req.headers["if-range"], etag, lastModified)) {
+        range = parseRange(req.headers.range, size);
+    }
+    if (range === "unsatisfiable") {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    if (range) {
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader("Content-Length", size === 0 ? 0 : end - start + 1);
+
+    if (req.method === "HEAD" || size === 0) {
+        return res.end();
+    }
+
+    try {
+        const stream = await fileStore.open(media.file_path, { start, end });
+        await new Promise((resolve, reject) => {
+            stream.on("error", reject);
+            res.on("close", () => {
+                stream.destroy();
+                resolve();
+            });
+            stream.pipe(res);
+        });
+    } catch (err) {
+        // 아직 보내기 전이면 호출 측이 오류 응답을 보낼 수 있게 정리
+        if (!res.headersSent) {
+            MEDIA_HEADERS.forEach(name => res.removeHeader(name));
+            res.status(200);
+        }
+        throw err.code === "ENOENT" ? new StorageError(404, "FILE_NOT_FOUND", "파일을 찾을 수 없습니다") : err;
+    }
+}
+
+module.exports = {
+    IMMUTABLE_CACHE_CONTROL,
+    MediaError,
+    strongEtag,
+    parseRange,
+    contentDisposition,
+    serveMedia,
+};
@@ -0,0 +1,214 @@
+const { execFile } = require("child_process");
+const exifr = require("exifr");
+const sharp = require("sharp");
+
+// =======================
+// 촬영 메타데이터 추출 (EXIF / 동영상)
+// =======================
+// file_storage 단위로 저장 (같은 파일이면 메타데이터도 같음)
+// taken_at 은 SQLite DATETIME 형식('YYYY-MM-DD HH:MM:SS')으로 저장해 uploaded_at 과 정렬/비교 가능하게 한다.
+// 이미지/동영상 모두 taken_at 은 taken_at_offset(UTC 오프셋, 분) 시간대의 시각이다:
+// - 이미지: EXIF 날짜(촬영 현지 시각) + OffsetTime* 태그 (태그가 없으면 오프셋 NULL - 현지 시각이지만 시간대 모름)
+// - 동영상: com.apple.quicktime.creationdate(현지 시각+오프셋), 없으면 creation_time(UTC → 오프셋 0)
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+const METADATA_COLUMNS = `
+    (storage_id, taken_at, taken_at_offset, camera_make, camera_model, latitude, longitude, width, height, duration, orientation)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// 중복 업로드로 이미 있으면 유지
+const METADATA_INSERT_SQL = `INSERT OR IGNORE INTO media_metadata ${METADATA_COLUMNS}`;
+
+// 백필 --force: 다시 추출한 값으로 덮어쓰기
+const METADATA_REPLACE_SQL = `INSERT OR REPLACE INTO media_metadata ${METADATA_COLUMNS}`;
+
+function metadataParams(storageId, meta) {
+    return [
+        storageId,
+        meta.takenAt ?? null,
+        meta.takenAtOffset ?? null,
+        meta.cameraMake ?? null,
+        meta.cameraModel ?? null,
+        meta.latitude ?? null,
+        meta.longitude ?? null,
+        meta.width ?? null,
+        meta.height ?? null,
+        meta.duration ?? null,
+        meta.orientation ?? null,
+    ];
+}
+
+// 응답용 변환 (LEFT JOIN 결과 행 기준)
+function formatMetadata(row) {
+    return {
+        takenAt: row.taken_at || null,
+        takenAtOffset: row.taken_at && row.taken_at_offset != null ? formatOffset(row.taken_at_offset) : null,
+        cameraMake: row.camera_make || null,
+        cameraModel: row.camera_model || null,
+        location: row.latitude != null && row.longitude != null
+            ? { latitude: row.latitude, longitude: row.longitude }
+            : null,
+        width: row.width ?? null,
+        height: row.height ?? null,
+        duration: row.duration ?? null,
+    };
+}
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+// 분 단위 오프셋 → "+09:00"
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? "-" : "+";
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// "+09:00" / "+0900" / "Z" → 분 단위 오프셋 (형식이 다르면 null)
+function parseOffset(value) {
+    if (value === "Z") return 0;
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(typeof value === "string" ? value.trim() : "");
+    if (!match) return null;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return minutes > 14 * 60 ? null : (match[1] === "-" ? -minutes : minutes);
+}
+
+// exifr 는 EXIF 날짜(시간대 없음)를 서버 시간대의 Date 로 돌려주므로 로컬 필드를 그대로 쓰면 촬영 현지 시각
+function toLocalDateTime(date) {
+    if (!(date instanceof Date) || isNaN(date)) return null;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// EXIF 촬영 시각과 짝이 맞는 오프셋 태그 (DateTimeOriginal ↔ OffsetTimeOriginal 등)
+function exifTakenAt(exif) {
+    const pairs = [
+        ["DateTimeOriginal", "OffsetTimeOriginal"],
+        ["CreateDate", "OffsetTimeDigitized"],
+        ["ModifyDate", "OffsetTime"],
+    ];
+    for (const [dateTag, offsetTag] of pairs) {
+        const takenAt = toLocalDateTime(exif[dateTag]);
+        if (takenAt) return { takenAt, takenAtOffset: parseOffset(exif[offsetTag]) };
+    }
+    return { takenAt: null, takenAtOffset: null };
+}
+
+// ISO 8601 날짜 → 그 문자열의 현지 시각 + 오프셋 (오프셋이 없으면 defaultOffset)
+function parseIsoDateTime(value, defaultOffset = null) {
+    const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(typeof value === "string" ? value.trim() : "");
+    if (!match) return null;
+    const offset = match[3] ? parseOffset(match[3]) : defaultOffset;
+    return { takenAt: `${match[1]} ${match[2]}`, takenAtOffset: offset };
+}
+
+// 동영상: 애플 기기는 현지 시각+오프셋을 따로 기록, 일반 creation_time 은 UTC
+function videoTakenAt(tags) {
+    return parseIsoDateTime(tags["com.apple.quicktime.creationdate"])
+        || parseIsoDateTime(tags.creation_time, 0)
+        || { takenAt: null, takenAtOffset: null };
+}
+
+// ISO 6709 (예: "+37.5665+126.9780+012.000/")
+function parseIso6709(value) {
+    const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/.exec(value || "");
+    if (!match) return {};
+    return { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) };
+}
+
+function clean(value) {
+    return typeof value === "string" ? value.replace(/\0/g, "").trim() || null : null;
+}
+
+async function extractImageMetadata(filePath) {
+    const meta = {};
+
+    const exif = await exifr.parse(filePath, { tiff: true, exif: true, gps: true, translateValues: false }).catch(() => null);
+    if (exif) {
+        Object.assign(meta, exifTakenAt(exif));
+        meta.cameraMake = clean(exif.Make);
+        meta.cameraModel = clean(exif.Model);
+        meta.orientation = Number.isInteger(exif.Orientation) ? exif.Orientation : null;
+        if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude)) {
+            meta.latitude = exif.latitude;
+            meta.longitude = exif.longitude;
+        }
+    }
+
+    const info = await sharp(filePath).metadata().catch(() => null);
+    if (info) {
+        // 5~8번 방향은 90도 회전 - 화면에 보이는 기준으로 가로/세로 교환
+        const rotated = info.orientation >= 5;
+        meta.width = rotated ? info.height : info.width;
+        meta.height = rotated ? info.width : info.height;
+    }
+
+    return meta;
+}
+
+function runFfprobe(filePath) {
+    return new Promise((resolve, reject) => {
+        execFile(
+            FFPROBE_PATH,
+            ["-v", "quiet", "-print_format", "json", "-show_format", "-show_streams", filePath],
+            { maxBuffer: 10 * 1024 * 1024 },
+            (err, stdout) => {
+                if (err) {
+                    return reject(err.code === "ENOENT" ? new Error(`ffprobe를 찾을 수 없습니다 (${FFPROBE_PATH})`) : err);
+                }
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch (parseErr) {
+                    reject(parseErr);
+                }
+            }
+        );
+    });
+}
+
+async function extractVideoMetadata(filePath) {
+    const probe = await runFfprobe(filePath);
+    const format = probe.format || {};
+    const tags = format.tags || {};
+    const video = (probe.streams || []).find((s) => s.codec_type === "video") || {};
+
+    // 회전 메타데이터(90/270도)가 있으면 가로/세로 교환
+    const rotation = Math.abs(Number((video.tags && video.tags.rotate)
+        || ((video.side_data_list || []).find((d) => d.rotation != null) || {}).rotation || 0));
+    const rotated = rotation === 90 || rotation === 270;
+
+    const duration = parseFloat(format.duration);
+
+    return {
+        ...videoTakenAt(tags),
+        cameraMake: clean(tags["com.apple.quicktime.make"] || tags.make),
+        cameraModel: clean(tags["com.apple.quicktime.model"] || tags.model),
+        ...parseIso6709(tags["com.apple.quicktime.location.ISO6709"] || tags.location),
+        width: (rotated ? video.height : video.width) || null,
+        height: (rotated ? video.width : video.height) || null,
+        duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+    };
+}
+
+// 추출 실패는 업로드를 막지 않음 (null 반환 - 행을 만들지 않아 백필 대상으로 남음)
+async function extractMetadata(filePath, fileType) {
+    try {
+        if (fileType === "image") return await extractImageMetadata(filePath);
+        if (fileType === "video") return await extractVideoMetadata(filePath);
+    } catch (err) {
+        console.error(`⚠️ [METADATA ERROR] ${filePath}:`, err.message);
+    }
+    return null;
+}
+
+module.exports = {
+    METADATA_INSERT_SQL,
+    METADATA_REPLACE_SQL,
+    metadataParams,
+    formatMetadata,
+    extractMetadata,
+    runFfprobe,
+};
@@ -0,0 +1,260 @@
+const path = require("path");
+const fs = require("fs");
+
+// =======================
+// 스키마 마이그레이션 (media.db)
+// =======================
+// migrations/NNN_이름.js 파일 하나가 마이그레이션 하나 (NNN = 버전, 1 부터 빈틈없이).
+//   module.exports = { up: [단계...], down: [단계...] | null }
+//   단계: SQL 문자열 | { addColumn: [테이블, 컬럼, 정의] } (없을 때만 추가) | { dropColumn: [테이블, 컬럼] }
+//         | { rebuildTable: [테이블, 컬럼 정의, 옮길 컬럼들] } (외래 키 컬럼처럼 DROP COLUMN 이 안 될 때 - 인덱스는 다시 만들 것)
+//         | async (db, context) => {} (데이터 변환 등 SQL 만으로 안 되는 경우, context: { uploadDir } - 없을 수 있음)
+//   down 이 null 이면 되돌릴 수 없음 (001 기준 스키마)
+// SQL 은 마이그레이션 파일에 그대로 적는다 (lib 의 상수를 가져오면 코드가 바뀔 때 과거 마이그레이션도 바뀜).
+// 적용한 버전은 schema_version 테이블에 기록하고, 마이그레이션마다 트랜잭션 하나로 실행한다.
+// 실행하는 동안은 외래 키 검사를 끈다 (테이블을 다시 만들 때 ON DELETE CASCADE 로 다른 테이블 행이 지워지지 않도록).
+// 이미 배포된 마이그레이션 파일은 고치지 말고 새 번호로 추가할 것.
+//
+// db 는 { exec(sql), all(sql, params), run(sql, params) } - 값이나 Promise 를 반환
+// (sqlite3 / better-sqlite3 어느 쪽이든 같은 파일, 같은 순서로 실행된다)
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+const SCHEMA_VERSION_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
+class MigrationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// → [{ version, name, up, down }] (버전 순)
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .map(file => {
+            const [, version, name] = /^(\d+)_([\w-]+)\.js$/.exec(file);
+            const { up, down = null } = require(path.join(dir, file));
+            if (!Array.isArray(up)) {
+                throw new MigrationError("INVALID_MIGRATION", `${file}: up 은 단계 배열이어야 합니다`);
+            }
+            return { version: Number(version), name, up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (migration.version !== i + 1) {
+            throw new MigrationError("INVALID_MIGRATION", `마이그레이션 번호가 비어 있거나 겹칩니다 (${i + 1}번 위치에 ${migration.version})`);
+        }
+    });
+    return migrations;
+}
+
+async function appliedVersions(db) {
+    await db.exec(SCHEMA_VERSION_TABLE_SQL);
+    return db.all("SELECT version, name, applied_at FROM schema_version ORDER BY version");
+}
+
+// → { current, latest, applied: [...], pending: [...] }
+async function migrationStatus(db, migrations) {
+    const applied = await appliedVersions(db);
+    const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    return {
+        current,
+        latest,
+        applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+        pending: migrations.filter(m => m.version > current).map(m => ({ version: m.version, name: m.name })),
+    };
+}
+
+// 새 버전 코드로 올린 DB 를 이전 코드로 열면 모르는 스키마를 건드리게 되므로 거부
+function assertKnownVersion({ current, latest }) {
+    if (current > latest) {
+        throw new MigrationError(
+            "SCHEMA_TOO_NEW",
+            `DB 스키마 버전(${current})이 코드가 아는 최신 버전(${latest})보다 높습니다 - 새 버전 코드에서 db:rollback 으로 되돌리세요`
+        );
+    }
+}
+
+async function runStep(db, step, context) {
+    if (typeof step === "string") return db.exec(step);
+    if (typeof step === "function") return step(db, context);
+
+    if (step.addColumn) {
+        const [table, column, definition] = step.addColumn;
+        const columns = await db.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+        return;
+    }
+    if (step.dropColumn) {
+        const [table, column] = step.dropColumn;
+        const columns = await db.all(`PRAGMA table_info(${table})`);
+        if (columns.some(c => c.name === column)) {
+            await db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        }
+        return;
+    }
+    if (step.rebuildTable) {
+        // SQLite 권장 순서: 새 테이블 → 복사 → 기존 삭제 → 이름 변경
+        const [table, definition, columns] = step.rebuildTable;
+        const list = columns.join(", ");
+        await db.exec(`CREATE TABLE ${table}__new (${definition})`);
+        await db.exec(`INSERT INTO ${table}__new (${list}) SELECT ${list} FROM ${table}`);
+        await db.exec(`DROP TABLE ${table}`);
+        await db.exec(`ALTER TABLE ${table}__new RENAME TO ${table}`);
+        return;
+    }
+    throw new MigrationError("INVALID_MIGRATION", `알 수 없는 단계: ${JSON.stringify(step)}`);
+}
+
+// 마이그레이션 하나를 트랜잭션으로 (실패하면 그 마이그레이션만 되돌리고 중단)
+// PRAGMA foreign_keys 는 트랜잭션 안에서 바꿀 수 없어 앞뒤로 끄고 켠다
+async function runMigration(db, migration, direction, context = {}) {
+    await db.exec("PRAGMA foreign_keys = OFF");
+    try {
+        await db.transaction(async () => {
+            for (const step of migration[direction]) {
+                await runStep(db, step, context);
+            }
+            if (direction === "up") {
+                await db.run("INSERT INTO schema_version (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+            } else {
+                await db.run("DELETE FROM schema_version WHERE version = ?", [migration.version]);
+            }
+        });
+    } catch (err) {
+        throw new MigrationError(
+            "MIGRATION_FAILED",
+            `${String(migration.version).padStart(3, "0")}_${migration.name} ${direction} 실패: ${err.message}`
+        );
+    } finally {
+        await db.exec("PRAGMA foreign_keys = ON");
+    }
+}
+
+// target 까지 올림 (기본: 최신) → 적용한 마이그레이션 목록 (context: 함수 단계에 넘길 값)
+async function migrate(db, migrations, { target = null, onMigration, context } = {}) {
+    const status = await migrationStatus(db, migrations);
+    assertKnownVersion(status);
+
+    const to = target == null ? status.latest : target;
+    const applied = [];
+    for (const migration of migrations.filter(m => m.version > status.current && m.version <= to)) {
+        if (onMigration) onMigration(migration, "up");
+        await runMigration(db, migration, "up", context);
+        applied.push(migration);
+    }
+    return applied;
+}
+
+// target 버전이 될 때까지 내림 (기본: 한 단계) → 되돌린 마이그레이션 목록
+async function rollback(db, migrations, { target = null, onMigration, context } = {}) {
+    const status = await migrationStatus(db, migrations);
+    assertKnownVersion(status);
+
+    const to = target == null ? Math.max(status.current - 1, 0) : target;
+    if (to < 0 || to > status.current) {
+        throw new MigrationError("INVALID_TARGET", `되돌릴 버전은 0 ~ ${status.current} 사이여야 합니다`);
+    }
+
+    const targets = migrations.filter(m => m.version > to && m.version <= status.current).reverse();
+    const irreversible = targets.find(m => !m.down);
+    if (irreversible) {
+        // 중간까지만 되돌리고 멈추지 않도록 실행 전에 확인
+        throw new MigrationError(
+            "IRREVERSIBLE_MIGRATION",
+            `${String(irreversible.version).padStart(3, "0")}_${irreversible.name} 은(는) 되돌릴 수 없습니다`
+        );
+    }
+
+    const reverted = [];
+    for (const migration of targets) {
+        if (onMigration) onMigration(migration, "down");
+        await runMigration(db, migration, "down", context);
+        reverted.push(migration);
+    }
+    return reverted;
+}
+
+// 스크립트용: 최신 스키마가 아니면 오류 (스키마는 마이그레이션만 만든다)
+async function assertLatestSchema(db) {
+    const status = await migrationStatus(db, loadMigrations());
+    assertKnownVersion(status);
+    if (status.pending.length > 0) {
+        throw new MigrationError(
+            "MIGRATION_REQUIRED",
+            `적용되지 않은 마이그레이션 ${status.pending.length}개 - npm run db:migrate 를 먼저 실행하세요`
+        );
+    }
+    return status;
+}
+
+// 사용자 테이블이 하나도 없는 새 DB 인지 (백업이 필요 없음)
+async function isEmptyDatabase(db) {
+    const rows = await db.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'"
+    );
+    return rows.length === 0;
+}
+
+// 현재 DB 를 backupDir 에 복사 (VACUUM INTO - 연결을 연 채로도 일관된 사본) → 백업 파일 경로
+async function backupDatabase(db, backupDir, label) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:.]/g, "").replace("T", "-").slice(0, 18);
+    const backupPath = path.join(backupDir, `media-${label}-${stamp}.db`);
+    await db.run("VACUUM INTO ?", [backupPath]);
+    return backupPath;
+}
+
+// 서버 시작 시: 적용할 마이그레이션이 있으면 백업 후 최신까지 올림
+// AUTO_MIGRATE=false 면 올리지 않고 오류 (npm run db:migrate 로 직접 적용)
+async function migrateOnStartup(db, { backupDir, context, autoMigrate = process.env.AUTO_MIGRATE !== "false" }) {
+    const migrations = loadMigrations();
+    const status = await migrationStatus(db, migrations);
+    assertKnownVersion(status);
+    if (status.pending.length === 0) return status;
+
+    if (!autoMigrate) {
+        throw new MigrationError(
+            "MIGRATION_REQUIRED",
+            `적용되지 않은 마이그레이션 ${status.pending.length}개 - npm run db:migrate 를 실행하세요 (AUTO_MIGRATE=false)`
+        );
+    }
+
+    if (!(await isEmptyDatabase(db))) {
+        const backupPath = await backupDatabase(db, backupDir, `v${status.current}`);
+        console.log(`💾 [MIGRATION] 백업: ${backupPath}`);
+    }
+
+    await migrate(db, migrations, {
+        context,
+        onMigration: (m) => console.log(`🔧 [MIGRATION] ${String(m.version).padStart(3, "0")}_${m.name} 적용`),
+    });
+    return migrationStatus(db, migrations);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    SCHEMA_VERSION_TABLE_SQL,
+    MigrationError,
+    loadMigrations,
+    migrationStatus,
+    migrate,
+    rollback,
+    assertLatestSchema,
+    isEmptyDatabase,
+    backupDatabase,
+    migrateOnStartup,
+};
@@ -0,0 +1,129 @@
+// =======================
+// 커서 페이지네이션 (미디어 목록)
+// =======================
+// OFFSET 대신 (정렬값, m.id) 키셋 비교로 다음/이전 페이지를 가져온다.
+// 커서는 마지막(또는 첫) 항목의 정렬값과 id 를 담은 base64url JSON 이며 클라이언트에게는 불투명하다.
+// m.id 를 보조 정렬키로 써서 같은 정렬값이 여러 개여도 순서가 고정된다.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// 촬영 시각의 UTC (taken_at 은 촬영 현지 시각, taken_at_offset 은 그 UTC 오프셋(분) - lib/metadata.js)
+// 시간대를 모르는 촬영 시각(offset NULL)은 UTC 로 본다
+const TAKEN_AT_UTC_SQL = `CASE WHEN md.taken_at_offset IS NULL THEN md.taken_at
+    ELSE datetime(md.taken_at, printf('%+d minutes', -md.taken_at_offset)) END`;
+
+// 정렬 기준 → SQL 식 (uploaded_media m, file_storage s, media_metadata md 조인 기준)
+// 촬영일 정렬은 UTC 기준 - 촬영 정보가 없으면 업로드 시각(UTC)으로 대체
+const MEDIA_SORTS = {
+    uploaded: "m.uploaded_at",
+    taken: `COALESCE(${TAKEN_AT_UTC_SQL}, m.uploaded_at)`,
+    size: "s.file_size",
+    name: "m.original_name COLLATE NOCASE",
+    type: "s.mime_type",
+    rating: "COALESCE(m.rating, 0)",
+};
+
+class PaginationError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function encodeCursor(page, direction, row) {
+    const payload = { s: page.sort, o: page.order, d: direction, v: row.sort_value, i: row.media_id };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+        if (!["next", "prev"].includes(cursor.d) || !Number.isInteger(cursor.i) || cursor.v === undefined) {
+            throw new Error("invalid");
+        }
+        return cursor;
+    } catch (err) {
+        throw new PaginationError(400, "INVALID_CURSOR", "유효하지 않은 커서입니다");
+    }
+}
+
+// 쿼리스트링 → 페이지 설정 (sort, order, limit, cursor)
+// sorts 로 정렬 기준을 바꿀 수 있다 (검색의 relevance 등)
+function parsePageParams(query, { sorts = MEDIA_SORTS, defaultSort = "uploaded" } = {}) {
+    const sort = query.sort || defaultSort;
+    if (!Object.hasOwn(sorts, sort)) {
+        throw new PaginationError(
+            400,
+            "INVALID_SORT",
+            `지원하지 않는 정렬 기준입니다: ${sort} (${Object.keys(sorts).join(", ")})`
+        );
+    }
+
+    const order = String(query.order).toLowerCase() === "asc" ? "ASC" : "DESC";
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (cursor && (cursor.s !== sort || cursor.o !== order)) {
+        throw new PaginationError(400, "CURSOR_MISMATCH", "커서와 정렬 조건(sort/order)이 다릅니다");
+    }
+
+    return { sort, sortExpr: sorts[sort], order, limit, cursor };
+}
+
+function isBackward(page) {
+    return !!page.cursor && page.cursor.d === "prev";
+}
+
+// 커서 이후(또는 이전) 조건 - WHERE 에 AND 로 붙인다
+function cursorCondition(page) {
+    if (!page.cursor) return null;
+
+    // DESC 에서 다음 페이지는 더 작은 값, 이전 페이지는 더 큰 값
+    const op = (page.order === "DESC") !== isBackward(page) ? "<" : ">";
+    return {
+        sql: `(${page.sortExpr}, m.id) ${op} (?, ?)`,
+        params: [page.cursor.v, page.cursor.i],
+    };
+}
+
+// 이전 페이지는 반대 방향으로 가져온 뒤 pageResult 에서 뒤집는다 (limit + 1 로 다음 존재 여부 확인)
+function orderByClause(page) {
+    const direction = isBackward(page) ? (page.order === "DESC" ? "ASC" : "DESC") : page.order;
+    return `ORDER BY ${page.sortExpr} ${direction}, m.id ${direction} LIMIT ${page.limit + 1}`;
+}
+
+// rows 는 sort_value, media_id 컬럼을 포함해야 한다
+function pageResult(rows, page) {
+    const hasMore = rows.length > page.limit;
+    const items = rows.slice(0, page.limit);
+    if (isBackward(page)) items.reverse();
+
+    const hasNext = isBackward(page) ? true : hasMore;
+    const hasPrev = isBackward(page) ? hasMore : !!page.cursor;
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+        items,
+        pagination: {
+            sort: page.sort,
+            order: page.order.toLowerCase(),
+            limit: page.limit,
+            hasNext: hasNext && !!last,
+            hasPrev: hasPrev && !!first,
+            nextCursor: hasNext && last ? encodeCursor(page, "next", last) : null,
+            prevCursor: hasPrev && first ? encodeCursor(page, "prev", first) : null,
+        },
+    };
+}
+
+module.exports = {
+    MEDIA_SORTS,
+    PaginationError,
+    parsePageParams,
+    cursorCondition,
+    orderByClause,
+    pageResult,
+};
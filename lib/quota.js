@@ -0,0 +1,98 @@
+// =======================
+// 사용자별 저장 공간 한도
+// =======================
+// 중복 제거된 file_storage 를 누구에게 얼마나 청구할지 정책으로 결정한다.
+// - full:           파일을 참조하는 사용자마다 파일 크기 전체를 청구 (같은 사용자의 중복 참조는 한 번만)
+// - first-uploader: 남아 있는 참조 중 가장 먼저 올린 사용자에게만 청구, 이후 중복 업로드는 무료
+//                   (그 사용자가 삭제하면 다음 참조자에게 넘어감)
+// 한도는 users.quota_bytes, NULL 이면 DEFAULT_QUOTA_BYTES, 0 이면 무제한.
+// DEFAULT_QUOTA_BYTES / QUOTA_POLICY 는 lib/config.js 에서 검증한다 (잘못된 값이면 서버가 시작하지 않음).
+// 설정은 모듈을 불러올 때가 아니라 쓸 때 읽는다 (getConfig() 는 처음 한 번만 읽고 같은 객체를 돌려줌).
+
+const { getConfig } = require("./config");
+
+function quotaPolicy() {
+    return getConfig().quotaPolicy;
+}
+
+class QuotaError extends Error {
+    constructor(quota, requiredBytes) {
+        super(
+            `저장 공간 한도를 초과합니다 (사용 ${quota.usedBytes} + 필요 ${requiredBytes} > 한도 ${quota.quotaBytes} bytes)`
+        );
+        this.status = 413;
+        this.code = "QUOTA_EXCEEDED";
+        this.quota = { ...quota, requiredBytes };
+    }
+}
+
+// 한도와 현재 사용량을 한 번에 조회 (파라미터: [userId, userId])
+const USAGE_SQL = {
+    full: `
+        SELECT u.quota_bytes,
+               (SELECT COALESCE(SUM(s.file_size), 0) FROM file_storage s
+                WHERE s.id IN (SELECT storage_id FROM uploaded_media WHERE owner_id = ?)) as used_bytes
+        FROM users u WHERE u.id = ?
+    `,
+    "first-uploader": `
+        SELECT u.quota_bytes,
+               (SELECT COALESCE(SUM(s.file_size), 0) FROM file_storage s
+                WHERE (SELECT m.owner_id FROM uploaded_media m
+                       WHERE m.storage_id = s.id ORDER BY m.id LIMIT 1) = ?) as used_bytes
+        FROM users u WHERE u.id = ?
+    `,
+};
+
+function quotaUsageSql() {
+    return USAGE_SQL[quotaPolicy()];
+}
+
+function quotaUsage(row) {
+    const quotaBytes = row && row.quota_bytes != null ? row.quota_bytes : getConfig().defaultQuotaBytes;
+    const usedBytes = row ? row.used_bytes : 0;
+    const unlimited = !(quotaBytes > 0);
+
+    return {
+        policy: quotaPolicy(),
+        quotaBytes: unlimited ? null : quotaBytes,
+        usedBytes,
+        remainingBytes: unlimited ? null : Math.max(quotaBytes - usedBytes, 0),
+        unlimited,
+    };
+}
+
+// 이번 업로드로 늘어나는 청구량
+// storage: 같은 해시의 기존 file_storage (없으면 null), alreadyReferenced: 이미 내 미디어가 참조 중인지
+function uploadCharge({ size, storage, alreadyReferenced }) {
+    if (quotaPolicy() === "first-uploader") {
+        return storage ? 0 : size;
+    }
+    return alreadyReferenced ? 0 : size;
+}
+
+function checkQuota(usage, requiredBytes) {
+    if (usage.unlimited || requiredBytes === 0) return;
+    if (usage.usedBytes + requiredBytes > usage.quotaBytes) {
+        throw new QuotaError(usage, requiredBytes);
+    }
+}
+
+// 관리자 설정 값 검증 (null = 기본값 사용, 0 = 무제한)
+function parseQuotaBytes(value) {
+    if (value === null) return null;
+    const bytes = Number(value);
+    if (!Number.isSafeInteger(bytes) || bytes < 0) {
+        throw new Error("quotaBytes는 0 이상의 정수 또는 null 이어야 합니다");
+    }
+    return bytes;
+}
+
+module.exports = {
+    quotaPolicy,
+    quotaUsageSql,
+    QuotaError,
+    quotaUsage,
+    uploadCharge,
+    checkQuota,
+    parseQuotaBytes,
+};
@@ -0,0 +1,392 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// =======================
+// 이어받기 업로드 (tus 1.0.0 호환)
+// =======================
+// 지원 확장: creation, termination, expiration
+// - POST   /          세션 생성 (Upload-Length, Upload-Metadata)
+// - HEAD   /:id       현재 수신 오프셋 조회
+// - PATCH  /:id       Upload-Offset 위치부터 청크 이어쓰기
+// - GET    /:id       세션 상태(JSON) 및 완료 결과 조회
+// - DELETE /:id       세션 취소
+// 수신한 바이트는 임시 폴더의 .part 파일에 바로 기록되며,
+// 파일 크기 자체를 오프셋으로 사용하므로 서버가 재시작되어도 이어받을 수 있다.
+// 마지막 청크가 도착하면 onComplete(session)이 호출되어 해시/중복/참조 카운팅을 처리한다.
+// onComplete 에는 .part 의 하드 링크(session.partPath)를 넘기므로 호출 측이 파일을 옮기거나 지워도 .part 는 남는다.
+// - 4xx 오류(형식/한도/이름 등 내용 문제): 세션을 실패 상태로 남기고 .part 삭제 → HEAD 는 410 (이어받을 수 없음), GET 은 error
+// - 그 외(DB/저장소 일시 장애): 세션과 .part 를 유지 → 빈 PATCH(Upload-Offset = Upload-Length)로 다시 처리
+// validate(session, req)는 생성 시 검증(비동기 가능)과 함께 세션에 값(예: 소유자)을 기록할 수 있고,
+// authorize(session, req)가 false 를 반환하면 다른 사용자의 세션으로 보고 404 처리한다.
+
+const TUS_VERSION = "1.0.0";
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const EXPOSED_HEADERS = [
+    "Location",
+    "Upload-Offset",
+    "Upload-Length",
+    "Upload-Metadata",
+    "Upload-Expires",
+    "Tus-Resumable",
+    "Tus-Version",
+    "Tus-Extension",
+    "Tus-Max-Size",
+].join(", ");
+
+class UploadError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Upload-Metadata: "key base64value,key2 base64value2"
+function parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(",")) {
+        const [key, value] = pair.trim().split(" ");
+        if (!key) continue;
+        metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+    }
+    return metadata;
+}
+
+function createResumableRouter({ tempDir, maxSize, validate, authorize, onComplete }) {
+    const router = express.Router();
+
+    if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    // 동시에 같은 세션으로 들어오는 PATCH 방지
+    const activeUploads = new Set();
+
+    const isValidId = (id) => /^[a-f0-9]{32}$/.test(id);
+    const infoPath = (id) => path.join(tempDir, `${id}.json`);
+    const partPath = (id) => path.join(tempDir, `${id}.part`);
+    const processingPath = (id) => path.join(tempDir, `${id}.processing`);
+
+    function readSession(id, req) {
+        if (!isValidId(id) || !fs.existsSync(infoPath(id))) {
+            throw new UploadError(404, "업로드 세션을 찾을 수 없습니다");
+        }
+
+        const session = JSON.parse(fs.readFileSync(infoPath(id), "utf8"));
+        if (authorize && !authorize(session, req)) {
+            throw new UploadError(404, "업로드 세션을 찾을 수 없습니다");
+        }
+
+        if (!session.result && Date.now() > session.expiresAt) {
+            removeSession(id);
+            throw new UploadError(410, "업로드 세션이 만료되었습니다");
+        }
+
+        session.partPath = partPath(id);
+        session.offset = session.result || session.failed
+            ? session.length
+            : fs.existsSync(session.partPath) ? fs.statSync(session.partPath).size : 0;
+        return session;
+    }
+
+    function writeSession(session) {
+        const { partPath: _partPath, offset: _offset, ...stored } = session;
+        fs.writeFileSync(infoPath(session.id), JSON.stringify(stored));
+    }
+
+    function removeFile(file) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    function removeSession(id) {
+        [infoPath(id), partPath(id), processingPath(id)].forEach(removeFile);
+    }
+
+    // onComplete 에 넘길 .part 의 하드 링크 (링크를 지원하지 않는 파일시스템이면 복사)
+    function linkForProcessing(session) {
+        const target = processingPath(session.id);
+        removeFile(target);
+        try {
+            fs.linkSync(session.partPath, target);
+        } catch (err) {
+            fs.copyFileSync(session.partPath, target);
+        }
+        return target;
+    }
+
+    function cleanupExpired() {
+        let removed = 0;
+        for (const file of fs.readdirSync(tempDir)) {
+            if (!file.endsWith(".json")) continue;
+            const id = path.basename(file, ".json");
+            try {
+                const session = JSON.parse(fs.readFileSync(infoPath(id), "utf8"));
+                if (Date.now() > session.expiresAt) {
+                    removeSession(id);
+                    removed++;
+                }
+            } catch (err) {
+                console.error(`⚠️ [RESUMABLE CLEANUP] ${file}:`, err.message);
+            }
+        }
+        if (removed > 0) {
+            console.log(`🧹 [RESUMABLE CLEANUP] 만료 세션 ${removed}개 정리`);
+        }
+    }
+
+    cleanupExpired();
+    setInterval(cleanupExpired, CLEANUP_INTERVAL_MS).unref();
+
+    function sendError(res, err) {
+        const status = err.status || 500;
+        if (status >= 500) console.error("❌ [RESUMABLE ERROR]:", err);
+        res.status(status).json({
+            success: false,
+            ...(err.code && { code: err.code }),
+            message: err.message,
+        });
+    }
+
+    router.use((req, res, next) => {
+        res.set("Tus-Resumable", TUS_VERSION);
+        res.set("Access-Control-Expose-Headers", EXPOSED_HEADERS);
+
+        const clientVersion = req.get("Tus-Resumable");
+        if (req.method !== "OPTIONS" && clientVersion && clientVersion !== TUS_VERSION) {
+            res.set("Tus-Version", TUS_VERSION);
+            return res.status(412).end();
+        }
+        next();
+    });
+
+    router.options("/", (req, res) => {
+        res.set({
+            "Tus-Version": TUS_VERSION,
+            "Tus-Extension": "creation,termination,expiration",
+            "Tus-Max-Size": String(maxSize),
+        });
+        res.status(204).end();
+    });
+
+    // 세션 생성
+    router.post("/", async (req, res) => {
+        try {
+            if (req.get("Upload-Defer-Length")) {
+                throw new UploadError(400, "Upload-Defer-Length는 지원하지 않습니다");
+            }
+
+            const length = Number(req.get("Upload-Length"));
+            if (!Number.isInteger(length) || length <= 0) {
+                throw new UploadError(400, "유효한 Upload-Length 헤더가 필요합니다");
+            }
+            if (length > maxSize) {
+                throw new UploadError(413, `최대 업로드 크기(${maxSize} bytes)를 초과했습니다`);
+            }
+
+            const metadata = parseMetadata(req.get("Upload-Metadata"));
+            const filename = metadata.filename || metadata.name;
+            if (!filename) {
+                throw new UploadError(400, "Upload-Metadata에 filename이 필요합니다");
+            }
+
+            const session = {
+                id: crypto.randomBytes(16).toString("hex"),
+                length,
+                metadata,
+                createdAt: Date.now(),
+                expiresAt: Date.now() + SESSION_TTL_MS,
+            };
+
+            if (validate) await validate(session, req);
+
+            writeSession(session);
+            fs.writeFileSync(partPath(session.id), "");
+
+            console.log(`📦 [RESUMABLE CREATE] ${session.id} (${filename}, ${length} bytes)`);
+
+            res.set({
+                Location: `${req.baseUrl}/${session.id}`,
+                "Upload-Expires": new Date(session.expiresAt).toUTCString(),
+            });
+            res.status(201).end();
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    // 수신 오프셋 조회
+    router.head("/:id", (req, res) => {
+        try {
+            const session = readSession(req.params.id, req);
+            res.set({
+                "Upload-Offset": String(session.offset),
+                "Upload-Length": String(session.length),
+                "Cache-Control": "no-store",
+            });
+            if (!session.result) {
+                res.set("Upload-Expires", new Date(session.expiresAt).toUTCString());
+            }
+            // 실패한 세션은 이어받을 수 없다 - 원인은 GET 의 error
+            res.status(session.failed ? 410 : 200).end();
+        } catch (err) {
+            res.status(err.status || 500).end();
+        }
+    });
+
+    // 청크 이어쓰기
+    router.patch("/:id", async (req, res) => {
+        const { id } = req.params;
+
+        if (req.get("Content-Type") !== "application/offset+octet-stream") {
+            return res.status(415).json({
+                success: false,
+                message: "Content-Type은 application/offset+octet-stream 이어야 합니다",
+            });
+        }
+        if (activeUploads.has(id)) {
+            return res.status(409).json({
+                success: false,
+                message: "같은 세션으로 업로드가 진행 중입니다",
+            });
+        }
+
+        activeUploads.add(id);
+        try {
+            const session = readSession(id, req);
+            const requestOffset = Number(req.get("Upload-Offset"));
+
+            if (session.result) {
+                throw new UploadError(409, "이미 완료된 업로드입니다");
+            }
+            if (session.failed) {
+                throw new UploadError(409, `처리에 실패한 업로드입니다: ${session.failed.message}`);
+            }
+            if (requestOffset !== session.offset) {
+                res.set("Upload-Offset", String(session.offset));
+                throw new UploadError(409, `Upload-Offset 불일치 (서버: ${session.offset})`);
+            }
+
+            const remaining = session.length - session.offset;
+            let received = 0;
+            const limiter = new Transform({
+                transform(chunk, encoding, callback) {
+                    received += chunk.length;
+                    if (received > remaining) {
+                        return callback(new UploadError(413, "Upload-Length를 초과하는 데이터입니다"));
+                    }
+                    callback(null, chunk);
+                },
+            });
+
+            try {
+                await pipeline(req, limiter, fs.createWriteStream(session.partPath, { flags: "a" }));
+            } catch (streamErr) {
+                // 연결이 끊겨도 기록된 바이트까지는 유지 (다음 HEAD에서 이어받기)
+                const offset = fs.statSync(session.partPath).size;
+                if (offset > session.length) {
+                    fs.truncateSync(session.partPath, session.length);
+                }
+                console.log(`⏸️ [RESUMABLE PAUSE] ${id} (${Math.min(offset, session.length)}/${session.length})`);
+                if (res.headersSent || req.destroyed) return;
+                throw streamErr;
+            }
+
+            session.offset = fs.statSync(session.partPath).size;
+            res.set("Upload-Offset", String(session.offset));
+
+            if (session.offset < session.length) {
+                console.log(`📥 [RESUMABLE CHUNK] ${id} (${session.offset}/${session.length})`);
+                return res.status(204).end();
+            }
+
+            // 마지막 청크 - 최종 처리
+            console.log(`🏁 [RESUMABLE COMPLETE] ${id} 수신 완료, 최종 처리 시작`);
+            const { partPath: receivedPath, ...stored } = session;
+            try {
+                session.result = await onComplete({ ...stored, partPath: linkForProcessing(session) });
+            } catch (completeErr) {
+                const status = completeErr.status || 500;
+                if (status >= 400 && status < 500) {
+                    session.failed = {
+                        status,
+                        ...(completeErr.code && { code: completeErr.code }),
+                        message: completeErr.message,
+                    };
+                    delete session.lastError;
+                    removeFile(receivedPath);
+                    console.log(`⛔ [RESUMABLE FAILED] ${id}: ${completeErr.message}`);
+                } else {
+                    session.lastError = { message: completeErr.message, at: Date.now() };
+                    console.log(`🔁 [RESUMABLE RETRYABLE] ${id}: ${completeErr.message}`);
+                }
+                writeSession(session);
+                throw completeErr;
+            } finally {
+                removeFile(processingPath(id));
+            }
+            delete session.lastError;
+            writeSession(session);
+            removeFile(receivedPath);
+
+            res.status(204).end();
+        } catch (err) {
+            sendError(res, err);
+        } finally {
+            activeUploads.delete(id);
+        }
+    });
+
+    // 세션 상태 (tus 외 JSON 조회용)
+    router.get("/:id", (req, res) => {
+        try {
+            const session = readSession(req.params.id, req);
+            res.set("Cache-Control", "no-store");
+            res.json({
+                success: true,
+                data: {
+                    id: session.id,
+                    length: session.length,
+                    offset: session.offset,
+                    receivedRanges: session.offset > 0 ? [[0, session.offset]] : [],
+                    complete: !!session.result,
+                    failed: !!session.failed,
+                    metadata: session.metadata,
+                    expiresAt: new Date(session.expiresAt).toISOString(),
+                    result: session.result || null,
+                    // failed: 다시 시도해도 실패하는 오류, 그 외: 마지막 처리 실패 (빈 PATCH 로 다시 시도)
+                    error: session.failed
+                        ? { ...session.failed, retryable: false }
+                        : session.lastError ? { message: session.lastError.message, retryable: true } : null,
+                },
+            });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    // 세션 취소
+    router.delete("/:id", (req, res) => {
+        const { id } = req.params;
+        try {
+            readSession(id, req);
+            if (activeUploads.has(id)) {
+                throw new UploadError(409, "업로드가 진행 중인 세션은 취소할 수 없습니다");
+            }
+            removeSession(id);
+            console.log(`🗑️ [RESUMABLE DELETE] ${id}`);
+            res.status(204).end();
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createResumableRouter, UploadError };
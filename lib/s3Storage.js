@@ -0,0 +1,308 @@
+const path = require("path");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { StorageError, normalizeKey } = require("./storage");
+
+// =======================
+// S3 호환 저장소 드라이버
+// =======================
+// AWS S3, MinIO 등 S3 API 를 쓰는 저장소. SDK 없이 Signature V4 로 직접 서명한다.
+// 설정 (lib/config.js 가 검증해 storage.s3 로 넘김 - 환경변수 또는 설정 파일의 s3Bucket 등):
+//   S3_BUCKET (필수), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (필수)
+//   S3_REGION (기본 us-east-1)
+//   S3_ENDPOINT (예: http://127.0.0.1:9000 - 지정하면 기본이 path-style, 없으면 AWS 가상 호스트 방식)
+//   S3_FORCE_PATH_STYLE (true/false), S3_PREFIX (버킷 안 키 앞에 붙일 경로, 예: media/)
+// 본문은 서명하지 않는다 (UNSIGNED-PAYLOAD) - 업로드를 스트리밍하기 위함.
+
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+// 응답을 그대로 넘겨주는 헤더 (send)
+const PASSTHROUGH_HEADERS = ["content-length", "content-range", "accept-ranges", "etag", "last-modified"];
+// 클라이언트 요청에서 S3 로 넘기는 헤더 (Range / 조건부 요청)
+const FORWARDED_HEADERS = ["range", "if-none-match", "if-modified-since", "if-match", "if-unmodified-since"];
+
+// RFC 3986 인코딩 (S3 는 "~" 를 포함한 비예약 문자만 그대로 둠)
+function uriEncode(value, encodeSlash = true) {
+    return encodeURIComponent(value)
+        .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+        .replace(/%2F/g, encodeSlash ? "%2F" : "/");
+}
+
+function hmac(key, value) {
+    return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+function sha256Hex(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Signature V4 서명 - 서명한 헤더(Authorization 포함)를 반환
+// request: { method, host, path (인코딩 전), query: {}, headers: {}, payloadHash }
+function signRequest(request, { accessKeyId, secretAccessKey, region, service = "s3", date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const shortDate = amzDate.slice(0, 8);
+    const payloadHash = request.payloadHash || EMPTY_SHA256;
+
+    const headers = { ...request.headers, host: request.host, "x-amz-date": amzDate };
+    if (service === "s3") headers["x-amz-content-sha256"] = payloadHash;
+
+    const canonicalHeaders = Object.keys(headers)
+        .map(name => [name.toLowerCase(), String(headers[name]).trim().replace(/\s+/g, " ")])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const signedHeaders = canonicalHeaders.map(([name]) => name).join(";");
+
+    const canonicalQuery = Object.keys(request.query || {})
+        .sort()
+        .map(name => `${uriEncode(name)}=${uriEncode(request.query[name])}`)
+        .join("&");
+
+    const canonicalRequest = [
+        request.method,
+        uriEncode(request.path, false),
+        canonicalQuery,
+        canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(""),
+        signedHeaders,
+        payloadHash,
+    ].join("\n");
+
+    const scope = `${shortDate}/${region}/${service}/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, shortDate);
+    const signingKey = hmac(hmac(hmac(dateKey, region), service), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    return {
+        ...headers,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(response) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        response.on("data", chunk => chunks.push(chunk));
+        response.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        response.on("error", reject);
+    });
+}
+
+function createS3Storage({ bucket, accessKeyId, secretAccessKey, region, endpoint, prefix = "", forcePathStyle, tempDir }) {
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const transport = base.protocol === "https:" ? https : http;
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+    const keyPrefix = prefix ? `${normalizeKey(prefix)}/` : "";
+
+    function objectPath(key) {
+        if (key == null) return forcePathStyle ? `/${bucket}` : "/";
+        const objectKey = keyPrefix + normalizeKey(key);
+        return forcePathStyle ? `/${bucket}/${objectKey}` : `/${objectKey}`;
+    }
+
+    // 서명된 요청 → 응답 스트림 (본문은 호출 측에서 읽음)
+    function request(method, key, { query = {}, headers = {}, body = null, payloadHash = UNSIGNED_PAYLOAD } = {}) {
+        const requestPath = objectPath(key);
+        const signed = signRequest(
+            { method, host, path: requestPath, query, headers, payloadHash },
+            { accessKeyId, secretAccessKey, region }
+        );
+        const search = Object.keys(query).length
+            ? `?${Object.keys(query).map(name => `${uriEncode(name)}=${uriEncode(query[name])}`).join("&")}`
+            : "";
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                protocol: base.protocol,
+                hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+                port: base.port || undefined,
+                method,
+                path: uriEncode(requestPath, false) + search,
+                headers: signed,
+            }, resolve);
+
+            req.on("error", reject);
+            if (body && typeof body.pipe === "function") {
+                body.on("error", (err) => req.destroy(err));
+                body.pipe(req);
+            } else {
+                req.end(body);
+            }
+        });
+    }
+
+    // 2xx 가 아니면 S3 오류 응답을 StorageError 로 변환
+    async function expectOk(response, key) {
+        if (response.statusCode >= 200 && response.statusCode < 300) return response;
+
+        const xml = await readBody(response);
+        const code = xmlValue(xml, "Code") || `HTTP_${response.statusCode}`;
+        const message = xmlValue(xml, "Message") || `S3 요청 실패 (${response.statusCode})`;
+        throw new StorageError(response.statusCode === 404 ? 404 : 502, code, `${message}${key ? `: ${key}` : ""}`);
+    }
+
+    async function head(key) {
+        const response = await request("HEAD", key);
+        response.resume();
+        if (response.statusCode === 404) return null;
+        await expectOk(response, key);
+        return response;
+    }
+
+    return {
+        driver: "s3",
+
+        async put(key, sourcePath, { contentType } = {}) {
+            const { size } = fs.statSync(sourcePath);
+            const response = await request("PUT", key, {
+                headers: {
+                    "content-length": size,
+                    "content-type": contentType || "application/octet-stream",
+                },
+                body: fs.createReadStream(sourcePath),
+            });
+            await expectOk(response, key);
+            response.resume();
+        },
+
+        async exists(key) {
+            return !!(await head(key));
+        },
+
+        async stat(key) {
+            const response = await head(key);
+            if (!response) return null;
+            return {
+                size: Number(response.headers["content-length"]),
+                mtimeMs: Date.parse(response.headers["last-modified"]) || 0,
+            };
+        },
+
+        // S3 DELETE 는 없는 키도 성공이므로 먼저 확인
+        async remove(key) {
+            if (!(await head(key))) return false;
+            const response = await request("DELETE", key);
+            await expectOk(response, key);
+            response.resume();
+            return true;
+        },
+
+        // 복사 후 원본 삭제 (S3 에는 이동이 없음)
+        async move(fromKey, toKey) {
+            const copySource = uriEncode(`${bucket}/${keyPrefix}${normalizeKey(fromKey)}`, false);
+            const copied = await request("PUT", toKey, { headers: { "x-amz-copy-source": copySource } });
+            const xml = await readBody(await expectOk(copied, toKey));
+            // 복사는 200 응답 본문에 오류가 올 수 있음
+            if (xml.includes("<Error>")) {
+                throw new StorageError(502, xmlValue(xml, "Code") || "COPY_FAILED", xmlValue(xml, "Message") || "S3 복사 실패");
+            }
+
+            const deleted = await request("DELETE", fromKey);
+            await expectOk(deleted, fromKey);
+            deleted.resume();
+        },
+
+        async open(key, { start, end } = {}) {
+            const headers = {};
+            if (start !== undefined || end !== undefined) {
+                headers.range = `bytes=${start || 0}-${end !== undefined ? end : ""}`;
+            }
+            return expectOk(await request("GET", key, { headers }), key);
+        },
+
+        // 임시 파일로 내려받아 fn 실행 후 삭제
+        async withLocalFile(key, fn) {
+            fs.mkdirSync(tempDir, { recursive: true });
+            const tempPath = path.join(tempDir, `${crypto.randomUUID()}${path.extname(key)}`);
+
+            try {
+                const body = await expectOk(await request("GET", key), key);
+                await new Promise((resolve, reject) => {
+                    const out = fs.createWriteStream(tempPath);
+                    body.on("error", reject);
+                    out.on("error", reject);
+                    out.on("finish", resolve);
+                    body.pipe(out);
+                });
+                return await fn(tempPath);
+            } finally {
+                fs.rmSync(tempPath, { force: true });
+            }
+        },
+
+        async list() {
+            const results = [];
+            let continuationToken = null;
+
+            do {
+                const query = { "list-type": "2" };
+                if (keyPrefix) query.prefix = keyPrefix;
+                if (continuationToken) query["continuation-token"] = continuationToken;
+
+                const xml = await readBody(await expectOk(await request("GET", null, { query })));
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    results.push({
+                        key: xmlValue(entry, "Key").slice(keyPrefix.length),
+                        size: Number(xmlValue(entry, "Size")),
+                        mtimeMs: Date.parse(xmlValue(entry, "LastModified")) || 0,
+                    });
+                }
+                continuationToken = xmlValue(xml, "IsTruncated") === "true" ? xmlValue(xml, "NextContinuationToken") : null;
+            } while (continuationToken);
+
+            return results.filter(item => !item.key.split("/").some(part => part.startsWith(".")));
+        },
+
+        // 저장소 응답을 그대로 중계 (Range/조건부 요청 헤더 전달)
+        async send(req, res, key, { contentType, downloadName } = {}) {
+            const headers = {};
+            for (const name of FORWARDED_HEADERS) {
+                if (req.headers[name]) headers[name] = req.headers[name];
+            }
+
+            const response = await request(req.method === "HEAD" ? "HEAD" : "GET", key, { headers });
+            if (response.statusCode === 404) {
+                response.resume();
+                throw new StorageError(404, "FILE_NOT_FOUND", "파일을 찾을 수 없습니다");
+            }
+            if (response.statusCode >= 400 && response.statusCode !== 412 && response.statusCode !== 416) {
+                await expectOk(response, key);
+            }
+
+            res.status(response.statusCode);
+            for (const name of PASSTHROUGH_HEADERS) {
+                if (response.headers[name]) res.setHeader(name, response.headers[name]);
+            }
+            res.type(contentType || response.headers["content-type"] || path.extname(key) || "application/octet-stream");
+            if (downloadName) res.attachment(downloadName);
+
+            await new Promise((resolve, reject) => {
+                response.on("error", reject);
+                res.on("finish", resolve);
+                res.on("close", resolve);
+                response.pipe(res);
+            });
+        },
+    };
+}
+
+module.exports = {
+    signRequest,
+    createS3Storage,
+};
@@ -0,0 +1,204 @@
+// =======================
+// 전문 검색 + 패싯
+// =======================
+// media_fts (FTS5) 의 rowid 는 uploaded_media.id 이며 트리거(migrations/010_media_search.js)로 동기화한다.
+// - original_name, album_name: uploaded_media 트리거로 갱신
+// - caption: uploaded_media 트리거로 갱신
+// - tags: media_tags / tags 트리거로 갱신 (태그 이름을 공백으로 이은 문자열)
+// 검색어는 공백 단위로 나눠 각 단어를 접두어 검색("beach"*)하고 모두 포함한 항목만 찾는다.
+// 한국어는 띄어쓰기 단위로 색인되므로 접두어 검색으로 "바다" → "바다여행" 을 찾는다.
+
+const { MEDIA_SORTS } = require("./pagination");
+const { tagFilterCondition } = require("./tags");
+
+const MAX_QUERY_TERMS = 10;
+
+// 검색 정렬: 기본은 관련도 (rank 는 작을수록 관련도가 높으므로 부호를 뒤집어 DESC = 관련도 높은 순)
+const SEARCH_SORTS = {
+    relevance: "-media_fts.rank",
+    ...MEDIA_SORTS,
+};
+
+// 용량 구간 패싯 (bytes, 상한 미포함)
+const SIZE_BUCKETS = [
+    { key: "under1MB", min: 0, max: 1024 * 1024 },
+    { key: "1MBto10MB", min: 1024 * 1024, max: 10 * 1024 * 1024 },
+    { key: "10MBto100MB", min: 10 * 1024 * 1024, max: 100 * 1024 * 1024 },
+    { key: "100MBto1GB", min: 100 * 1024 * 1024, max: 1024 * 1024 * 1024 },
+    { key: "over1GB", min: 1024 * 1024 * 1024, max: null },
+];
+
+const SIZE_BUCKET_SQL = `CASE ${SIZE_BUCKETS.filter(b => b.max != null)
+    .map(b => `WHEN s.file_size < ${b.max} THEN '${b.key}'`)
+    .join(" ")} ELSE '${SIZE_BUCKETS[SIZE_BUCKETS.length - 1].key}' END`;
+
+// 패싯별 그룹 기준 (tag 는 facetQueries 에서 별도 처리) - 각 패싯 개수는 자기 자신의 필터만 빼고 나머지 조건을 적용해 센다
+const FACETS = {
+    type: "s.file_type",
+    album: "m.album_name",
+    mimeType: "s.mime_type",
+    year: "strftime('%Y', md.taken_at)",
+    size: SIZE_BUCKET_SQL,
+    tag: null,
+};
+
+class SearchError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 사용자 입력 → FTS5 MATCH 식 (연산자/따옴표는 모두 일반 문자로 취급)
+function buildMatchQuery(q) {
+    const terms = String(q)
+        .split(/\s+/)
+        .map(term => term.replace(/"/g, ""))
+        .filter(Boolean);
+
+    if (terms.length === 0) return null;
+    if (terms.length > MAX_QUERY_TERMS) {
+        throw new SearchError(400, "INVALID_QUERY", `검색어는 ${MAX_QUERY_TERMS}단어 이하로 입력하세요`);
+    }
+    return terms.map(term => `"${term}"*`).join(" ");
+}
+
+// 쉼표로 여러 값 지정 가능 (type=image,video)
+function listParam(value) {
+    if (value == null || value === "") return [];
+    return String(value).split(",").map(v => v.trim()).filter(Boolean);
+}
+
+function sizeParam(value, name) {
+    if (value == null || value === "") return null;
+    const bytes = Number(value);
+    if (!Number.isSafeInteger(bytes) || bytes < 0) {
+        throw new SearchError(400, "INVALID_SIZE", `${name}는 0 이상의 정수(bytes)여야 합니다`);
+    }
+    return bytes;
+}
+
+function inCondition(column, values) {
+    return { sql: `${column} IN (${values.map(() => "?").join(", ")})`, params: values };
+}
+
+// 날짜만 주어진 종료 조건은 그날 끝까지 포함
+function endOfDay(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 23:59:59` : value;
+}
+
+// 쿼리스트링 → { match, filters } (filters 는 패싯 이름을 가진 조건 목록, 패싯이 없는 조건은 facet: null)
+function parseSearchParams(query) {
+    const match = query.q ? buildMatchQuery(query.q) : null;
+    const filters = [];
+    const add = (facet, condition) => filters.push({ facet, ...condition });
+
+    const types = listParam(query.type);
+    if (types.length) add("type", inCondition("s.file_type", types));
+
+    const albums = listParam(query.album);
+    if (albums.length) add("album", inCondition("m.album_name", albums));
+
+    const albumId = parseInt(query.albumId);
+    if (!isNaN(albumId)) add("album", { sql: "m.album_id = ?", params: [albumId] });
+
+    const mimeTypes = listParam(query.mimeType);
+    if (mimeTypes.length) add("mimeType", inCondition("s.mime_type", mimeTypes));
+
+    if (query.takenFrom) add("year", { sql: "md.taken_at >= ?", params: [query.takenFrom] });
+    if (query.takenTo) add("year", { sql: "md.taken_at <= ?", params: [endOfDay(query.takenTo)] });
+
+    const minSize = sizeParam(query.minSize, "minSize");
+    const maxSize = sizeParam(query.maxSize, "maxSize");
+    if (minSize != null) add("size", { sql: "s.file_size >= ?", params: [minSize] });
+    if (maxSize != null) add("size", { sql: "s.file_size <= ?", params: [maxSize] });
+
+    if (query.tag) {
+        const condition = tagFilterCondition(query.tag);
+        if (condition) add("tag", condition);
+    }
+
+    if (query.favorite === "true" || query.favorite === "1") add(null, { sql: "m.is_favorite = 1", params: [] });
+
+    const minRating = parseInt(query.minRating);
+    if (!isNaN(minRating)) add(null, { sql: "m.rating >= ?", params: [minRating] });
+
+    return { match, filters };
+}
+
+// FROM + WHERE (excludeFacet 의 필터는 빼고 조립)
+function searchFromClause(ownerId, { match, filters }, excludeFacet = null) {
+    let sql = `
+        FROM uploaded_media m
+        JOIN file_storage s ON m.storage_id = s.id
+        LEFT JOIN media_metadata md ON md.storage_id = s.id
+        ${match ? "JOIN media_fts ON media_fts.rowid = m.id" : ""}
+        WHERE m.owner_id = ? AND m.deleted_at IS NULL
+    `;
+    const params = [ownerId];
+
+    if (match) {
+        sql += " AND media_fts MATCH ?";
+        params.push(match);
+    }
+    for (const filter of filters) {
+        if (excludeFacet && filter.facet === excludeFacet) continue;
+        sql += ` AND ${filter.sql}`;
+        params.push(...filter.params);
+    }
+    return { sql, params };
+}
+
+// 패싯별 개수 조회 쿼리 목록 [{ name, sql, params }]
+function facetQueries(ownerId, search) {
+    return Object.entries(FACETS).map(([name, column]) => {
+        const from = searchFromClause(ownerId, search, name);
+
+        // 태그는 미디어당 여러 개라 media_tags 로 따로 센다
+        if (name === "tag") {
+            return {
+                name,
+                sql: `SELECT t.name as value, COUNT(*) as count
+                      FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+                      WHERE mt.media_id IN (SELECT m.id ${from.sql})
+                      GROUP BY t.id ORDER BY count DESC, value`,
+                params: from.params,
+            };
+        }
+        return {
+            name,
+            sql: `SELECT ${column} as value, COUNT(*) as count ${from.sql} GROUP BY value ORDER BY count DESC, value`,
+            params: from.params,
+        };
+    });
+}
+
+// { type: [{ value, count }], ... } - 용량 구간은 정의 순서대로, 빈 구간도 0 으로 포함
+function formatFacets(results) {
+    const facets = {};
+    for (const { name, rows } of results) {
+        if (name === "size") {
+            const counts = Object.fromEntries(rows.map(r => [r.value, r.count]));
+            facets.size = SIZE_BUCKETS.map(b => ({
+                value: b.key,
+                minSize: b.min,
+                maxSize: b.max,
+                count: counts[b.key] || 0,
+            }));
+        } else {
+            facets[name] = rows.map(r => ({ value: r.value, count: r.count }));
+        }
+    }
+    return facets;
+}
+
+module.exports = {
+    SEARCH_SORTS,
+    SearchError,
+    endOfDay,
+    parseSearchParams,
+    searchFromClause,
+    facetQueries,
+    formatFacets,
+};
@@ -0,0 +1,92 @@
+const { SHARE_LINK_SELECT_SQL, SHARE_DOWNLOAD_SQL } = require("./shareLinks");
+
+// =======================
+// share_links 저장소 (lib/db.js 어댑터 위)
+// =======================
+// 조회 결과에는 만료 여부(expired)와 앨범 링크의 현재 앨범 이름(album_name)이 함께 온다 (SHARE_LINK_SELECT_SQL).
+// 검증/응답 형식은 lib/shareLinks.js.
+
+function createShareLinkRepository(db) {
+    const repo = {
+        // → 만든 링크 행
+        async insertLink({ token, ownerId, mediaId, albumId, passwordHash, expiresAt, maxDownloads }) {
+            const result = await db.run(
+                `INSERT INTO share_links
+                 (token, owner_id, media_id, album_id, password_hash, expires_at, max_downloads)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [token, ownerId, mediaId, albumId, passwordHash, expiresAt, maxDownloads]
+            );
+            return repo.getLink(result.lastID);
+        },
+
+        getLink(linkId) {
+            return db.get(`${SHARE_LINK_SELECT_SQL} WHERE id = ?`, [linkId]);
+        },
+
+        getOwnedLink(linkId, ownerId) {
+            return db.get(`${SHARE_LINK_SELECT_SQL} WHERE id = ? AND owner_id = ?`, [linkId, ownerId]);
+        },
+
+        findByToken(token) {
+            return db.get(`${SHARE_LINK_SELECT_SQL} WHERE token = ?`, [token]);
+        },
+
+        // 최근 생성순
+        listOwnedLinks(ownerId) {
+            return db.all(`${SHARE_LINK_SELECT_SQL} WHERE owner_id = ? ORDER BY created_at DESC, id DESC`, [ownerId]);
+        },
+
+        revoke(linkId) {
+            return db.run("UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?", [linkId]);
+        },
+
+        // 다운로드 횟수 증가 → 한도에 도달했으면 false
+        async countDownload(linkId) {
+            const result = await db.run(SHARE_DOWNLOAD_SQL, [linkId]);
+            return result.changes > 0;
+        },
+
+        // 링크가 가리키는 미디어 (앨범 링크는 소유자의 해당 앨범 전체, mediaId 를 주면 그 한 건만)
+        listSharedMedia(link, mediaId) {
+            let sql = `
+                SELECT
+                    m.id as media_id,
+                    m.original_name,
+                    m.album_name,
+                    m.uploaded_at,
+                    s.id as storage_id,
+                    s.file_size,
+                    s.mime_type,
+                    s.file_type,
+                    s.file_path,
+                    s.thumbnail_status
+                FROM uploaded_media m
+                JOIN file_storage s ON m.storage_id = s.id
+                WHERE m.owner_id = ? AND m.deleted_at IS NULL
+            `;
+            const params = [link.owner_id];
+
+            if (link.media_id != null) {
+                sql += " AND m.id = ?";
+                params.push(link.media_id);
+            } else {
+                sql += " AND m.album_id = ?";
+                params.push(link.album_id);
+            }
+
+            if (mediaId !== undefined) {
+                sql += " AND m.id = ?";
+                params.push(mediaId);
+            }
+
+            sql += " ORDER BY m.uploaded_at DESC, m.id DESC";
+            return db.all(sql, params);
+        },
+    };
+
+    return repo;
+}
+
+module.exports = {
+    createShareLinkRepository,
+};
@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const { hashPassword, verifyPassword } = require("./auth");
+
+// =======================
+// 공유 링크
+// =======================
+// 미디어 한 건(media_id) 또는 앨범 전체(album_id)를 로그인 없이 볼 수 있는 링크.
+// 앨범 링크는 앨범 이름을 바꿔도 그대로이고, 앨범을 지우면 함께 지워진다 (ON DELETE CASCADE).
+// - token: 추측할 수 없는 임의 문자열 (URL에 그대로 사용)
+// - expires_at: 만료 시각 (SQLite DATETIME, UTC)
+// - password_hash: 선택, 설정 시 X-Share-Password 헤더 또는 ?password= 필요
+// - max_downloads: 선택, 원본 파일 전송 횟수 제한 (썸네일/목록 조회는 세지 않음)
+//   Range 요청도 한 번으로 센다. 센 다운로드에는 download token 을 발급하고
+//   (X-Share-Download-Token 응답 헤더), 그 토큰을 보낸 요청(동영상 탐색 등)만 다시 세지 않는다.
+// - revoked_at: 취소 시각 (취소된 링크는 다시 살릴 수 없음)
+
+const DEFAULT_SHARE_TTL_SEC = 7 * 24 * 60 * 60;
+const MAX_SHARE_TTL_SEC = 365 * 24 * 60 * 60;
+const SHARE_DOWNLOAD_TOKEN_TTL_SEC = 6 * 60 * 60;
+
+// 조회 시 만료 여부(DB 시각 기준)와 앨범 링크의 현재 앨범 이름을 함께
+const SHARE_LINK_SELECT_SQL = `
+    SELECT *,
+        expires_at <= CURRENT_TIMESTAMP as expired,
+        (SELECT name FROM albums WHERE albums.id = share_links.album_id) as album_name
+    FROM share_links
+`;
+
+// 다운로드 횟수 제한을 넘지 않을 때만 증가 (changes === 0 이면 한도 도달)
+const SHARE_DOWNLOAD_SQL = `
+    UPDATE share_links SET download_count = download_count + 1
+    WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)
+`;
+
+class ShareError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function createShareToken() {
+    return crypto.randomBytes(24).toString("base64url");
+}
+
+function toSqliteDateTime(date) {
+    return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+// 생성 요청 검증: { mediaId } / { albumId } / { albumName } 중 하나, expiresIn(초), password, maxDownloads
+// albumName 은 이전 클라이언트용 - 만들 때 앨범 id 로 바꿔 저장한다
+async function parseShareOptions(body = {}) {
+    const { mediaId, albumId, albumName, password, maxDownloads } = body;
+
+    if ([mediaId, albumId, albumName].filter(value => value != null).length !== 1) {
+        throw new ShareError(400, "INVALID_SHARE_TARGET", "mediaId, albumId, albumName 중 하나만 지정해야 합니다");
+    }
+    for (const [name, value] of Object.entries({ mediaId, albumId })) {
+        if (value != null && !Number.isInteger(Number(value))) {
+            throw new ShareError(400, "INVALID_SHARE_TARGET", `유효하지 않은 ${name} 입니다`);
+        }
+    }
+
+    const expiresIn = body.expiresIn == null ? DEFAULT_SHARE_TTL_SEC : Number(body.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_SHARE_TTL_SEC) {
+        throw new ShareError(400, "INVALID_EXPIRES_IN", `expiresIn은 1 ~ ${MAX_SHARE_TTL_SEC}초 사이의 정수여야 합니다`);
+    }
+
+    if (maxDownloads != null && (!Number.isInteger(maxDownloads) || maxDownloads <= 0)) {
+        throw new ShareError(400, "INVALID_MAX_DOWNLOADS", "maxDownloads는 1 이상의 정수여야 합니다");
+    }
+
+    if (password != null && (typeof password !== "string" || password.length === 0)) {
+        throw new ShareError(400, "INVALID_PASSWORD", "password는 비어 있지 않은 문자열이어야 합니다");
+    }
+
+    return {
+        mediaId: mediaId != null ? Number(mediaId) : null,
+        albumId: albumId != null ? Number(albumId) : null,
+        albumName: albumName != null ? String(albumName) : null,
+        passwordHash: password ? await hashPassword(password) : null,
+        expiresAt: toSqliteDateTime(new Date(Date.now() + expiresIn * 1000)),
+        maxDownloads: maxDownloads ?? null,
+    };
+}
+
+// 공개 접근 검증 (비밀번호 포함) - 통과하지 못하면 ShareError
+async function checkShareAccess(link, password) {
+    if (!link) {
+        throw new ShareError(404, "SHARE_NOT_FOUND", "공유 링크를 찾을 수 없습니다");
+    }
+    if (link.revoked_at) {
+        throw new ShareError(410, "SHARE_REVOKED", "취소된 공유 링크입니다");
+    }
+    if (link.expired) {
+        throw new ShareError(410, "SHARE_EXPIRED", "만료된 공유 링크입니다");
+    }
+    if (link.password_hash) {
+        if (!password) {
+            throw new ShareError(401, "SHARE_PASSWORD_REQUIRED", "비밀번호가 필요한 공유 링크입니다");
+        }
+        if (!(await verifyPassword(String(password), link.password_hash))) {
+            throw new ShareError(401, "SHARE_PASSWORD_INVALID", "비밀번호가 올바르지 않습니다");
+        }
+    }
+}
+
+// 이미 센 다운로드를 이어받는 요청용 토큰 (링크 + 미디어 + 만료 시각에 HMAC 서명, DB 저장 없음)
+// 링크가 취소/만료되면 토큰과 상관없이 openShareLink 단계에서 거부된다
+function createShareDownloadTokens(secret) {
+    function sign(linkId, mediaId, exp) {
+        return crypto.createHmac("sha256", secret)
+            .update(`share-download:${linkId}:${mediaId}:${exp}`)
+            .digest("base64url");
+    }
+
+    function issue(linkId, mediaId) {
+        const exp = Math.floor(Date.now() / 1000) + SHARE_DOWNLOAD_TOKEN_TTL_SEC;
+        return `${exp}.${sign(linkId, mediaId, exp)}`;
+    }
+
+    function verify(token, linkId, mediaId) {
+        const [exp, signature] = String(token || "").split(".");
+        if (!/^\d+$/.test(exp) || !signature || Number(exp) < Math.floor(Date.now() / 1000)) return false;
+
+        const expected = Buffer.from(sign(linkId, mediaId, exp));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    return { issue, verify };
+}
+
+function shareLinkStatus(link) {
+    if (link.revoked_at) return "revoked";
+    if (link.expired) return "expired";
+    if (link.max_downloads != null && link.download_count >= link.max_downloads) return "exhausted";
+    return "active";
+}
+
+// 소유자용 응답
+function formatShareLink(link, baseUrl) {
+    return {
+        id: link.id,
+        token: link.token,
+        url: `${baseUrl}/api/share/${link.token}`,
+        type: link.media_id != null ? "media" : "album",
+        mediaId: link.media_id,
+        albumId: link.album_id,
+        albumName: link.album_name,
+        hasPassword: !!link.password_hash,
+        expiresAt: link.expires_at,
+        maxDownloads: link.max_downloads,
+        downloadCount: link.download_count,
+        status: shareLinkStatus(link),
+        createdAt: link.created_at,
+        revokedAt: link.revoked_at,
+    };
+}
+
+module.exports = {
+    SHARE_LINK_SELECT_SQL,
+    SHARE_DOWNLOAD_SQL,
+    ShareError,
+    createShareToken,
+    parseShareOptions,
+    checkShareAccess,
+    createShareDownloadTokens,
+    formatShareLink,
+};
@@ -0,0 +1,176 @@
+const path = require("path");
+const fs = require("fs");
+
+// =======================
+// 파일 저장소 드라이버
+// =======================
+// file_storage.file_path 는 저장소 안의 키 ("<앨범 폴더>/<저장 이름>", 구분자는 항상 "/") 이다.
+// 업로드/삭제/이동/서빙은 모두 드라이버를 거치며, 드라이버는 모두 같은 비동기 인터페이스를 가진다:
+// - put(key, sourcePath, { contentType })  로컬 파일을 저장소에 넣는다 (로컬: 이동, S3: 업로드 - 원본 정리는 호출 측)
+// - exists(key) / stat(key) → { size, mtimeMs } | null
+// - remove(key) → 지웠으면 true
+// - move(fromKey, toKey)
+// - open(key, { start, end }) → 읽기 스트림
+// - withLocalFile(key, fn) → fn(로컬 경로) 결과 (S3 는 임시 파일로 내려받아 넘김)
+// - list() → [{ key, size, mtimeMs }] (업로드 임시 폴더 등 "." 으로 시작하는 최상위 폴더 제외)
+// - send(req, res, key, { contentType, downloadName }) → 응답 전송 (Range/조건부 요청은 드라이버가 처리)
+// STORAGE_DRIVER=local (기본, uploads 폴더) | s3 (S3 호환 - 설정은 lib/config.js, lib/s3Storage.js)
+
+class StorageError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 키 검증: 상대 경로, "..", "." 으로 시작하는 부분(숨김/임시 폴더) 불가
+function normalizeKey(key) {
+    const parts = String(key).split(/[\\/]+/).filter(Boolean);
+    if (parts.length === 0 || parts.some(part => part.startsWith("."))) {
+        throw new StorageError(400, "INVALID_KEY", `유효하지 않은 저장소 키입니다: ${key}`);
+    }
+    return parts.join("/");
+}
+
+// =======================
+// 로컬 디스크 드라이버
+// =======================
+function createLocalStorage({ rootDir }) {
+    function resolve(key) {
+        return path.join(rootDir, ...normalizeKey(key).split("/"));
+    }
+
+    // 파일을 지우거나 옮긴 뒤 비어 있는 상위 폴더 정리 (rootDir 은 남김)
+    function pruneEmptyDirs(filePath) {
+        let dir = path.dirname(filePath);
+        while (dir.startsWith(rootDir + path.sep)) {
+            try {
+                if (fs.readdirSync(dir).length > 0) return;
+                fs.rmdirSync(dir);
+            } catch (err) {
+                return;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    function placeFile(sourcePath, target) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        try {
+            fs.renameSync(sourcePath, target);
+        } catch (err) {
+            // 다른 파일시스템의 임시 파일이면 복사
+            if (err.code !== "EXDEV") throw err;
+            fs.copyFileSync(sourcePath, target);
+            fs.unlinkSync(sourcePath);
+        }
+    }
+
+    function listFiles(dir, prefix, results) {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith(".")) continue;
+
+            const fullPath = path.join(dir, entry.name);
+            const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                listFiles(fullPath, key, results);
+            } else if (entry.isFile()) {
+                const stat = fs.statSync(fullPath);
+                results.push({ key, size: stat.size, mtimeMs: stat.mtimeMs });
+            }
+        }
+        return results;
+    }
+
+    return {
+        driver: "local",
+
+        async put(key, sourcePath) {
+            placeFile(sourcePath, resolve(key));
+        },
+
+        async exists(key) {
+            return fs.existsSync(resolve(key));
+        },
+
+        async stat(key) {
+            try {
+                const stat = await fs.promises.stat(resolve(key));
+                return { size: stat.size, mtimeMs: stat.mtimeMs };
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+
+        async remove(key) {
+            const filePath = resolve(key);
+            if (!fs.existsSync(filePath)) return false;
+
+            fs.unlinkSync(filePath);
+            pruneEmptyDirs(filePath);
+            return true;
+        },
+
+        async move(fromKey, toKey) {
+            const from = resolve(fromKey);
+            placeFile(from, resolve(toKey));
+            pruneEmptyDirs(from);
+        },
+
+        async open(key, { start, end } = {}) {
+            return fs.createReadStream(resolve(key), { start, end });
+        },
+
+        async withLocalFile(key, fn) {
+            return fn(resolve(key));
+        },
+
+        async list() {
+            return fs.existsSync(rootDir) ? listFiles(rootDir, "", []) : [];
+        },
+
+        send(req, res, key, { contentType, downloadName } = {}) {
+            const filePath = resolve(key);
+            return new Promise((resolvePromise, reject) => {
+                const done = (err) => {
+                    if (!err) return resolvePromise();
+                    reject(err.code === "ENOENT"
+                        ? new StorageError(404, "FILE_NOT_FOUND", "파일을 찾을 수 없습니다")
+                        : err);
+                };
+
+                if (contentType) res.type(contentType);
+                if (downloadName) res.download(filePath, downloadName, done);
+                else res.sendFile(filePath, done);
+            });
+        },
+    };
+}
+
+// 설정(lib/config.js 의 storage, uploadDir)으로 드라이버 선택 (uploadDir: 로컬 저장 위치 겸 임시 파일 위치)
+function createStorageFromConfig({ storage, uploadDir }) {
+    if (storage.driver === "s3") {
+        const { createS3Storage } = require("./s3Storage");
+        return createS3Storage({ ...storage.s3, tempDir: path.join(uploadDir, ".tmp", "storage") });
+    }
+    return createLocalStorage({ rootDir: uploadDir });
+}
+
+// 요청 경로 (/uploads/<키>) → 키, 잘못된 키면 null
+function keyFromRequestPath(requestPath) {
+    try {
+        return normalizeKey(decodeURIComponent(requestPath));
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    StorageError,
+    normalizeKey,
+    keyFromRequestPath,
+    createLocalStorage,
+    createStorageFromConfig,
+};
@@ -0,0 +1,169 @@
+// =======================
+// 태그 / 설명 / 즐겨찾기 / 별점
+// =======================
+// 모두 uploaded_media 단위로 저장한다 (중복 제거로 같은 파일을 참조해도 항목마다 다르게 붙일 수 있음).
+// - tags: 사용자별 태그 이름 (대소문자 무시 중복 불가), media_tags 로 미디어와 다대다 연결
+// - uploaded_media.caption / is_favorite / rating(1~5, NULL = 없음)
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_REQUEST = 50;
+const MAX_CAPTION_LENGTH = 2000;
+
+// 목록 조회용 컬럼 (uploaded_media m 기준, 태그는 이름순 JSON 배열)
+const MEDIA_ANNOTATION_SELECT = `
+    m.caption,
+    m.is_favorite,
+    m.rating,
+    (SELECT json_group_array(name) FROM (
+        SELECT t.name FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+        WHERE mt.media_id = m.id ORDER BY t.name
+    )) as tags_json
+`;
+
+// 태그 목록 (사용 중인 미디어 수 포함, 휴지통 항목 제외)
+const TAG_SUMMARY_SQL = `
+    SELECT t.*,
+           (SELECT COUNT(*) FROM media_tags mt JOIN uploaded_media m ON m.id = mt.media_id
+            WHERE mt.tag_id = t.id AND m.deleted_at IS NULL) as media_count
+    FROM tags t
+`;
+
+class TagError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 앞뒤 공백 제거, 연속 공백은 하나로 (쉼표는 목록 구분자로 쓰므로 불가)
+function normalizeTagName(name) {
+    if (typeof name !== "string") {
+        throw new TagError(400, "INVALID_TAG", "태그는 문자열이어야 합니다");
+    }
+
+    const tag = name.trim().replace(/\s+/g, " ");
+    if (tag.length === 0 || tag.length > MAX_TAG_LENGTH) {
+        throw new TagError(400, "INVALID_TAG", `태그는 1 ~ ${MAX_TAG_LENGTH}자여야 합니다`);
+    }
+    if (tag.includes(",")) {
+        throw new TagError(400, "INVALID_TAG", "태그에는 쉼표(,)를 쓸 수 없습니다");
+    }
+    return tag;
+}
+
+// 태그 이름 배열 검증 (대소문자만 다른 중복은 하나로)
+function parseTagList(value, field = "tags") {
+    if (!Array.isArray(value)) {
+        throw new TagError(400, "INVALID_TAG", `${field}는 태그 이름 배열이어야 합니다`);
+    }
+    if (value.length > MAX_TAGS_PER_REQUEST) {
+        throw new TagError(400, "INVALID_TAG", `태그는 한 번에 ${MAX_TAGS_PER_REQUEST}개까지 지정할 수 있습니다`);
+    }
+
+    const tags = new Map();
+    for (const name of value) {
+        const tag = normalizeTagName(name);
+        if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }
+    return [...tags.values()];
+}
+
+function parseMediaIds(value) {
+    const ids = Array.isArray(value) ? value.map(Number) : [];
+    if (ids.length === 0 || !ids.every(Number.isInteger)) {
+        throw new TagError(400, "INVALID_MEDIA_IDS", "mediaIds는 미디어 ID 배열이어야 합니다");
+    }
+    return [...new Set(ids)];
+}
+
+// PATCH /media/:id 요청 검증 - 지정한 필드만 반환
+function parseMediaUpdate(body = {}) {
+    const update = {};
+
+    if (body.caption !== undefined) {
+        if (body.caption !== null && (typeof body.caption !== "string" || body.caption.length > MAX_CAPTION_LENGTH)) {
+            throw new TagError(400, "INVALID_CAPTION", `caption은 ${MAX_CAPTION_LENGTH}자 이하의 문자열이어야 합니다`);
+        }
+        update.caption = body.caption === null || body.caption.trim() === "" ? null : body.caption;
+    }
+
+    if (body.favorite !== undefined) {
+        if (typeof body.favorite !== "boolean") {
+            throw new TagError(400, "INVALID_FAVORITE", "favorite는 true 또는 false 여야 합니다");
+        }
+        update.favorite = body.favorite;
+    }
+
+    if (body.rating !== undefined) {
+        if (body.rating !== null && (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5)) {
+            throw new TagError(400, "INVALID_RATING", "rating은 1 ~ 5 사이의 정수 또는 null 이어야 합니다");
+        }
+        update.rating = body.rating;
+    }
+
+    if (body.tags !== undefined) {
+        update.tags = parseTagList(body.tags);
+    }
+
+    if (Object.keys(update).length === 0) {
+        throw new TagError(400, "NOTHING_TO_UPDATE", "caption, favorite, rating, tags 중 하나 이상을 지정하세요");
+    }
+    return update;
+}
+
+// 일괄 태그 요청: { mediaIds, add, remove }
+function parseBulkTagRequest(body = {}) {
+    const add = body.add !== undefined ? parseTagList(body.add, "add") : [];
+    const remove = body.remove !== undefined ? parseTagList(body.remove, "remove") : [];
+    if (add.length === 0 && remove.length === 0) {
+        throw new TagError(400, "NOTHING_TO_UPDATE", "add 또는 remove 태그를 지정하세요");
+    }
+    return { mediaIds: parseMediaIds(body.mediaIds), add, remove };
+}
+
+// 목록/검색 필터: 지정한 태그를 모두 가진 미디어 (쿼리스트링 tag=a,b)
+function tagFilterCondition(value) {
+    const names = String(value).split(",").map(v => v.trim()).filter(Boolean);
+    if (names.length === 0) return null;
+
+    return {
+        sql: names
+            .map(() => `m.id IN (SELECT mt.media_id FROM media_tags mt JOIN tags t ON t.id = mt.tag_id
+                               WHERE t.owner_id = m.owner_id AND t.name = ?)`)
+            .join(" AND "),
+        params: names,
+    };
+}
+
+// 응답용 변환 (MEDIA_ANNOTATION_SELECT 결과 행 기준)
+function formatAnnotations(row) {
+    return {
+        caption: row.caption ?? null,
+        favorite: !!row.is_favorite,
+        rating: row.rating ?? null,
+        tags: row.tags_json ? JSON.parse(row.tags_json) : [],
+    };
+}
+
+function formatTag(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        mediaCount: row.media_count,
+        createdAt: row.created_at,
+    };
+}
+
+module.exports = {
+    MEDIA_ANNOTATION_SELECT,
+    TAG_SUMMARY_SQL,
+    TagError,
+    normalizeTagName,
+    parseTagList,
+    parseMediaUpdate,
+    parseBulkTagRequest,
+    tagFilterCondition,
+    formatAnnotations,
+    formatTag,
+};
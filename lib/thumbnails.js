@@ -0,0 +1,133 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const sharp = require("sharp");
+
+// =======================
+// 썸네일 / 미리보기 생성
+// =======================
+// file_storage.id 기준으로 생성하므로 중복 제거된 파일은 썸네일도 공유한다.
+// 원본 옆 thumbnails 폴더에 저장: <앨범>/thumbnails/<storageId>_<size>.jpg (모두 저장소 키)
+// 동영상은 ffmpeg로 포스터 프레임(<storageId>_poster.jpg)을 뽑은 뒤 같은 크기로 축소한다.
+// 생성은 로컬 작업 폴더에서 하고 결과만 저장소(lib/storage.js)에 넣는다.
+// 실행은 작업 큐(lib/jobQueue.js)의 "thumbnail" 작업으로 한다.
+
+const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 1024 };
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+
+function thumbnailDir(fileKey) {
+    return path.posix.join(path.posix.dirname(fileKey), "thumbnails");
+}
+
+function thumbnailKeys(storageId, fileKey) {
+    const dir = thumbnailDir(fileKey);
+    const keys = {};
+    for (const size of Object.keys(THUMBNAIL_SIZES)) {
+        keys[size] = path.posix.join(dir, `${storageId}_${size}.jpg`);
+    }
+    return keys;
+}
+
+function posterKey(storageId, fileKey) {
+    return path.posix.join(thumbnailDir(fileKey), `${storageId}_poster.jpg`);
+}
+
+// 썸네일/포스터 키 전체
+function thumbnailFileKeys(storageId, fileKey) {
+    return [...Object.values(thumbnailKeys(storageId, fileKey)), posterKey(storageId, fileKey)];
+}
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(FFMPEG_PATH, args, { stdio: ["ignore", "ignore", "pipe"] });
+        let stderr = "";
+        proc.stderr.on("data", (chunk) => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        proc.on("error", (err) => {
+            reject(err.code === "ENOENT" ? new Error(`ffmpeg을 찾을 수 없습니다 (${FFMPEG_PATH})`) : err);
+        });
+        proc.on("close", (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg 종료 코드 ${code}: ${stderr.trim().split("\n").pop()}`));
+        });
+    });
+}
+
+async function extractPosterFrame(videoPath, outputPath) {
+    // 1초 지점 프레임, 1초보다 짧은 영상이면 첫 프레임
+    for (const seek of ["1", "0"]) {
+        await runFfmpeg(["-y", "-ss", seek, "-i", videoPath, "-frames:v", "1", "-q:v", "2", outputPath]);
+        if (fs.existsSync(outputPath) && fs.statSync(outputPath).size > 0) return;
+    }
+    throw new Error("포스터 프레임 추출 실패");
+}
+
+async function generateThumbnails(fileStore, workDir, { id, file_path: fileKey, file_type: fileType }) {
+    const dir = path.join(workDir, `${id}_${crypto.randomUUID()}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    try {
+        await fileStore.withLocalFile(fileKey, async (filePath) => {
+            let source = filePath;
+            if (fileType === "video") {
+                source = path.join(dir, "poster.jpg");
+                await extractPosterFrame(filePath, source);
+            }
+
+            for (const [size, key] of Object.entries(thumbnailKeys(id, fileKey))) {
+                const pixels = THUMBNAIL_SIZES[size];
+                const target = path.join(dir, `${size}.jpg`);
+                await sharp(source)
+                    .rotate() // EXIF 방향 반영
+                    .resize(pixels, pixels, { fit: "inside", withoutEnlargement: true })
+                    .jpeg({ quality: 80 })
+                    .toFile(target);
+                await fileStore.put(key, target, { contentType: "image/jpeg" });
+            }
+
+            if (fileType === "video") {
+                await fileStore.put(posterKey(id, fileKey), source, { contentType: "image/jpeg" });
+            }
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function removeThumbnails(fileStore, storageId, fileKey) {
+    let removed = 0;
+
+    for (const key of thumbnailFileKeys(storageId, fileKey)) {
+        try {
+            if (await fileStore.remove(key)) removed++;
+        } catch (err) {
+            console.error(`⚠️ [THUMBNAIL DELETE ERROR] ${key}:`, err.message);
+        }
+    }
+
+    return removed;
+}
+
+// 원본 파일을 다른 폴더로 옮길 때 썸네일도 함께 이동 (앨범 이름 변경)
+async function moveThumbnails(fileStore, storageId, fromFileKey, toFileKey) {
+    const from = thumbnailFileKeys(storageId, fromFileKey);
+    const to = thumbnailFileKeys(storageId, toFileKey);
+
+    for (const [i, key] of from.entries()) {
+        if (await fileStore.exists(key)) {
+            await fileStore.move(key, to[i]);
+        }
+    }
+}
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    thumbnailKeys,
+    thumbnailFileKeys,
+    removeThumbnails,
+    moveThumbnails,
+    generateThumbnails,
+    runFfmpeg,
+};
@@ -0,0 +1,234 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { runFfmpeg } = require("./thumbnails");
+const { runFfprobe } = require("./metadata");
+const { getConfig } = require("./config");
+
+// =======================
+// 동영상 변환 (웹 재생용 MP4 + HLS)
+// =======================
+// mkv/avi/wmv/flv/mov 등 브라우저가 바로 재생하지 못하는 원본을 위해 file_storage 단위로 만든다
+// (중복 제거된 파일은 변환 결과도 공유).
+// - web.mp4: H.264/AAC, faststart, 짧은 변 최대 WEB_MP4_MAX_HEIGHT
+// - hls/master.m3u8 + hls/<단계>/index.m3u8, segment_000.ts ...: HLS_LADDER 중 원본 이하 해상도만
+// 결과는 저장소 키 renditions/<storageId>/... 에 두고 video_renditions.files 에 목록을 기록한다
+// (앨범 폴더와 무관해서 앨범 이름을 바꿔도 옮길 필요가 없음).
+// 상태: pending → processing → ready | failed
+// 실행은 작업 큐(lib/jobQueue.js)의 "transcode" 작업으로 한다 (재시도 후에도 실패하면 failed).
+// TRANSCODE_ENABLED=false (lib/config.js transcodeEnabled) 면 변환하지 않는다 (playbackUrl 은 null).
+
+const TRANSCODE_ENABLED = getConfig().transcodeEnabled;
+
+// 짧은 변 기준 (세로 영상도 같은 단계), 비트레이트는 kbps
+const HLS_LADDER = [
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 160 },
+];
+const HLS_SEGMENT_SECONDS = 6;
+const WEB_MP4_MAX_HEIGHT = 1080;
+
+const WEB_MP4_FILE = "web.mp4";
+const HLS_MASTER_FILE = "hls/master.m3u8";
+
+// 아직 행이 없는 동영상 (이 기능 이전에 올라온 파일) 을 pending 으로 등록
+const RENDITIONS_BACKFILL_SQL = `
+    INSERT INTO video_renditions (storage_id)
+    SELECT id FROM file_storage
+    WHERE file_type = 'video' AND id NOT IN (SELECT storage_id FROM video_renditions)
+`;
+
+// 변환이 끝나지 않은 동영상 (서버 시작 시 작업 큐에 없으면 다시 등록)
+const PENDING_RENDITIONS_SQL = `
+    SELECT s.id, s.file_path, s.file_type
+    FROM video_renditions r
+    JOIN file_storage s ON s.id = r.storage_id
+    WHERE r.status IN ('pending', 'processing')
+    ORDER BY s.id
+`;
+
+const CONTENT_TYPES = {
+    ".mp4": "video/mp4",
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t",
+};
+
+function renditionKey(storageId, file) {
+    return `renditions/${storageId}/${file}`;
+}
+
+function renditionContentType(key) {
+    return CONTENT_TYPES[path.extname(key)] || "application/octet-stream";
+}
+
+// video_renditions.files (JSON) → 키 배열
+function parseRenditionFiles(value) {
+    if (!value) return [];
+    try {
+        const files = JSON.parse(value);
+        return Array.isArray(files) ? files : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+async function removeRenditions(fileStore, files) {
+    let removed = 0;
+
+    for (const key of files) {
+        try {
+            if (await fileStore.remove(key)) removed++;
+        } catch (err) {
+            console.error(`⚠️ [RENDITION DELETE ERROR] ${key}:`, err.message);
+        }
+    }
+
+    return removed;
+}
+
+// 짧은 변을 target 으로 맞춘 출력 크기 (짝수)
+function scaledSize(width, height, target) {
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    return width >= height
+        ? { width: even((width * target) / height), height: even(target) }
+        : { width: even(target), height: even((height * target) / width) };
+}
+
+// ffmpeg 는 회전 메타데이터를 자동 반영하므로 scale 에서 iw/ih 는 회전 후 크기
+function scaleFilter(target) {
+    return `scale='if(gte(iw,ih),-2,${target})':'if(gte(iw,ih),${target},-2)'`;
+}
+
+function audioArgs(hasAudio, bitrate) {
+    return hasAudio ? ["-c:a", "aac", "-b:a", `${bitrate}k`, "-ac", "2"] : ["-an"];
+}
+
+async function probeVideo(filePath) {
+    const probe = await runFfprobe(filePath);
+    const streams = probe.streams || [];
+    const video = streams.find((s) => s.codec_type === "video");
+    if (!video || !video.width || !video.height) {
+        throw new Error("영상 스트림을 찾을 수 없습니다");
+    }
+
+    const rotation = Math.abs(Number((video.tags && video.tags.rotate)
+        || ((video.side_data_list || []).find((d) => d.rotation != null) || {}).rotation || 0));
+    const rotated = rotation === 90 || rotation === 270;
+
+    return {
+        width: rotated ? video.height : video.width,
+        height: rotated ? video.width : video.height,
+        hasAudio: streams.some((s) => s.codec_type === "audio"),
+    };
+}
+
+// 원본 이하 단계만, 원본이 가장 낮은 단계보다 작으면 원본 크기 한 단계
+function ladderFor(shortSide) {
+    const ladder = HLS_LADDER.filter((rung) => rung.height <= shortSide);
+    return ladder.length > 0 ? ladder : [{ ...HLS_LADDER[0], height: Math.max(2, Math.floor(shortSide / 2) * 2) }];
+}
+
+function listFiles(dir, prefix = "") {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) files.push(...listFiles(path.join(dir, entry.name), relative));
+        else files.push(relative);
+    }
+    return files;
+}
+
+// 변환 후 저장소에 올리고 키 목록 반환
+async function transcodeVideo(fileStore, workDir, { id, file_path: fileKey }) {
+    const dir = path.join(workDir, `${id}_${crypto.randomUUID()}`);
+    fs.mkdirSync(path.join(dir, "hls"), { recursive: true });
+
+    try {
+        await fileStore.withLocalFile(fileKey, async (input) => {
+            const source = await probeVideo(input);
+            const shortSide = Math.min(source.width, source.height);
+
+            // 1. 웹 재생용 MP4
+            await runFfmpeg([
+                "-y", "-i", input,
+                "-vf", scaleFilter(Math.min(shortSide, WEB_MP4_MAX_HEIGHT) - (Math.min(shortSide, WEB_MP4_MAX_HEIGHT) % 2)),
+                "-c:v", "libx264", "-preset", "veryfast", "-crf", "23", "-pix_fmt", "yuv420p",
+                ...audioArgs(source.hasAudio, 128),
+                "-movflags", "+faststart",
+                path.join(dir, WEB_MP4_FILE),
+            ]);
+
+            // 2. HLS 단계별 (세그먼트 경계를 맞추려고 키프레임 고정)
+            const master = ["#EXTM3U", "#EXT-X-VERSION:3"];
+            for (const rung of ladderFor(shortSide)) {
+                const rungDir = path.join(dir, "hls", rung.name);
+                fs.mkdirSync(rungDir, { recursive: true });
+
+                await runFfmpeg([
+                    "-y", "-i", input,
+                    "-vf", scaleFilter(rung.height),
+                    "-c:v", "libx264", "-preset", "veryfast", "-pix_fmt", "yuv420p",
+                    "-b:v", `${rung.videoBitrate}k`,
+                    "-maxrate", `${Math.round(rung.videoBitrate * 1.07)}k`,
+                    "-bufsize", `${rung.videoBitrate * 2}k`,
+                    "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+                    ...audioArgs(source.hasAudio, rung.audioBitrate),
+                    "-f", "hls",
+                    "-hls_time", String(HLS_SEGMENT_SECONDS),
+                    "-hls_playlist_type", "vod",
+                    "-hls_segment_filename", path.join(rungDir, "segment_%03d.ts"),
+                    path.join(rungDir, "index.m3u8"),
+                ]);
+
+                const size = scaledSize(source.width, source.height, rung.height);
+                const bandwidth = (rung.videoBitrate + (source.hasAudio ? rung.audioBitrate : 0)) * 1000;
+                master.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${size.width}x${size.height}`);
+                master.push(`${rung.name}/index.m3u8`);
+            }
+            fs.writeFileSync(path.join(dir, HLS_MASTER_FILE), `${master.join("\n")}\n`);
+        });
+
+        // 3. 저장소에 업로드 (마스터 재생목록은 마지막 - 중간에 실패하면 재생할 수 없게)
+        const files = listFiles(dir).sort((a, b) => (a === HLS_MASTER_FILE) - (b === HLS_MASTER_FILE));
+        const keys = [];
+        try {
+            for (const file of files) {
+                const key = renditionKey(id, file);
+                await fileStore.put(key, path.join(dir, ...file.split("/")), { contentType: renditionContentType(key) });
+                keys.push(key);
+            }
+        } catch (err) {
+            await removeRenditions(fileStore, keys);
+            throw err;
+        }
+        return keys;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// HLS 재생목록의 하위 경로에 토큰을 붙임 (<video> 처럼 헤더를 넣을 수 없는 재생기용)
+function withAccessToken(playlist, token) {
+    if (!token) return playlist;
+    const query = `access_token=${encodeURIComponent(token)}`;
+    return playlist
+        .split("\n")
+        .map((line) => (line && !line.startsWith("#") ? `${line}${line.includes("?") ? "&" : "?"}${query}` : line))
+        .join("\n");
+}
+
+module.exports = {
+    TRANSCODE_ENABLED,
+    HLS_LADDER,
+    WEB_MP4_FILE,
+    HLS_MASTER_FILE,
+    RENDITIONS_BACKFILL_SQL,
+    PENDING_RENDITIONS_SQL,
+    renditionKey,
+    renditionContentType,
+    parseRenditionFiles,
+    removeRenditions,
+    withAccessToken,
+    transcodeVideo,
+};
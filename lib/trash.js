@@ -0,0 +1,80 @@
+const { MEDIA_SORTS } = require("./pagination");
+const { getConfig } = require("./config");
+
+// =======================
+// 휴지통 (소프트 삭제)
+// =======================
+// 삭제하면 uploaded_media.deleted_at 만 기록하고 ref_count 와 파일은 그대로 둔다.
+// - 휴지통 항목은 목록/검색/앨범/공유/통계에서 빠지지만, 파일이 남아 있으므로 저장 공간 한도에는 계속 포함된다.
+// - 복원: deleted_at 을 지우고, 그 사이 앨범이 삭제됐다면 같은 이름의 앨범을 다시 만든다.
+// - 영구 삭제(휴지통 비우기, 보관 기간이 지난 항목 자동 정리)에서만 ref_count 를 줄이고
+//   0 이 된 파일을 디스크에서 지운다.
+// TRASH_RETENTION_DAYS (기본 30일, 0 이면 자동 정리 안 함) - lib/config.js
+
+const TRASH_RETENTION_DAYS = getConfig().trashRetentionDays;
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// 휴지통 목록용 컬럼 (uploaded_media m 기준, 자동 정리 예정 시각 포함)
+const TRASH_SELECT = TRASH_RETENTION_DAYS > 0
+    ? `m.deleted_at, datetime(m.deleted_at, '+${TRASH_RETENTION_DAYS} days') as purge_at`
+    : "m.deleted_at, NULL as purge_at";
+
+// 보관 기간이 지난 항목 (별칭 없이 uploaded_media 기준)
+const EXPIRED_TRASH_SQL = `deleted_at IS NOT NULL AND deleted_at <= datetime('now', '-${TRASH_RETENTION_DAYS} days')`;
+
+// 휴지통 정렬: 기본은 최근 삭제순
+const TRASH_SORTS = {
+    deleted: "m.deleted_at",
+    ...MEDIA_SORTS,
+};
+
+class TrashError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 복원/영구 삭제 대상: { mediaIds: [...] } 또는 { all: true } (all 이면 mediaIds 는 null)
+function parseTrashSelection(body = {}) {
+    if (body.all === true) return { mediaIds: null };
+
+    const ids = Array.isArray(body.mediaIds) ? body.mediaIds.map(Number) : [];
+    if (ids.length === 0 || !ids.every(Number.isInteger)) {
+        throw new TrashError(400, "INVALID_MEDIA_IDS", "mediaIds는 미디어 ID 배열이어야 합니다 (전체는 all: true)");
+    }
+    return { mediaIds: [...new Set(ids)] };
+}
+
+// 소유자의 휴지통 항목 조건 (uploaded_media 별칭 없이) - mediaIds 가 null 이면 전체
+function trashedMediaCondition(ownerId, mediaIds) {
+    let sql = "owner_id = ? AND deleted_at IS NOT NULL";
+    const params = [ownerId];
+
+    if (mediaIds) {
+        sql += ` AND id IN (${mediaIds.map(() => "?").join(", ")})`;
+        params.push(...mediaIds);
+    }
+    return { sql, params };
+}
+
+function formatTrashFields(row) {
+    return {
+        deletedAt: row.deleted_at,
+        purgeAt: row.purge_at,
+    };
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TRASH_PURGE_INTERVAL_MS,
+    TRASH_SELECT,
+    EXPIRED_TRASH_SQL,
+    TRASH_SORTS,
+    TrashError,
+    parseTrashSelection,
+    trashedMediaCondition,
+    formatTrashFields,
+};
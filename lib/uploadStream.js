@@ -0,0 +1,178 @@
+const busboy = require("busboy");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { HEAD_SIZE } = require("./fileSniffer");
+
+// =======================
+// 스트리밍 업로드 (임시 파일 기록 + 해시 동시 계산)
+// =======================
+// 파일 전체를 메모리에 올리지 않고 청크 단위로 임시 파일에 기록하면서
+// MD5 해시를 점진적으로 계산한다. 확정은 호출 측에서 rename 으로 처리한다.
+// 형식 판별용으로 앞부분(HEAD_SIZE 바이트)은 head 로 함께 돌려준다.
+
+function createTempPath(tempDir) {
+    return path.join(tempDir, `${Date.now()}_${crypto.randomBytes(8).toString("hex")}.part`);
+}
+
+async function saveStreamToTemp(stream, tempDir) {
+    const tempPath = createTempPath(tempDir);
+    const hash = crypto.createHash("md5");
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const hasher = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            if (head.length < HEAD_SIZE) {
+                head = Buffer.concat([head, chunk.subarray(0, HEAD_SIZE - head.length)]);
+            }
+            callback(null, chunk);
+        },
+    });
+
+    try {
+        await pipeline(stream, hasher, fs.createWriteStream(tempPath));
+    } catch (err) {
+        removeTempFile(tempPath);
+        throw err;
+    }
+
+    return {
+        tempPath,
+        size,
+        hash: hash.digest("hex"),
+        head,
+        // busboy는 fileSize 제한에 걸리면 스트림을 잘라내고 truncated를 표시
+        truncated: !!stream.truncated,
+    };
+}
+
+function removeTempFile(tempPath) {
+    try {
+        if (tempPath && fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    } catch (err) {
+        console.error(`⚠️ [TEMP DELETE ERROR] ${tempPath}:`, err.message);
+    }
+}
+
+// 서버 비정상 종료로 남은 임시 파일 정리
+function prepareTempDir(tempDir) {
+    if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+        return;
+    }
+
+    let removed = 0;
+    for (const file of fs.readdirSync(tempDir)) {
+        if (!file.endsWith(".part")) continue;
+        removeTempFile(path.join(tempDir, file));
+        removed++;
+    }
+    if (removed > 0) {
+        console.log(`🧹 [TEMP CLEANUP] 남은 임시 파일 ${removed}개 정리`);
+    }
+}
+
+// =======================
+// multipart 요청 파싱 (여러 파일 지원)
+// =======================
+// classify(filename, mimeType) -> { fileType, mimeType } | { error, status?, code? }
+// 파일마다 임시 파일 경로, 해시, 크기 또는 오류(error, 응답 상태 status, 오류 코드 code)를 담아 반환한다.
+// 클라이언트가 연결을 끊거나 요청 스트림이 오류를 내면 파이프를 풀고 기록 중인 스트림을 멈춘 뒤
+// 임시 파일을 모두 지우고 reject 한다 (busboy 는 끝나지 않은 요청에 finish/error 를 내지 않는다).
+function parseMultipartUpload(req, { tempDir, maxFileSize, maxFiles, classify }) {
+    return new Promise((resolve, reject) => {
+        let bb;
+        try {
+            bb = busboy({
+                headers: req.headers,
+                limits: { fileSize: maxFileSize, files: maxFiles },
+            });
+        } catch (err) {
+            return reject(err);
+        }
+
+        const fields = {};
+        const files = [];
+        const activeStreams = new Set();
+        let filesLimitReached = false;
+        let settled = false;
+
+        async function fail(err) {
+            if (settled) return;
+            settled = true;
+
+            req.unpipe(bb);
+            activeStreams.forEach((file) => file.destroy(err));
+            bb.destroy();
+            await Promise.all(files.map((f) => f.pending));
+            files.forEach((f) => removeTempFile(f.tempPath));
+            reject(err);
+        }
+
+        bb.on("field", (name, val) => {
+            fields[name] = val;
+        });
+
+        bb.on("file", (fieldname, file, info) => {
+            const { filename, mimeType } = info;
+            const originalName = Buffer.from(filename, "latin1").toString("utf8");
+            const entry = { fieldname, originalName, mimeType };
+            files.push(entry);
+            activeStreams.add(file);
+            file.on("close", () => activeStreams.delete(file));
+
+            const classified = classify(originalName, mimeType);
+            if (classified.error) {
+                entry.error = classified.error;
+                entry.status = classified.status;
+                entry.code = classified.code;
+                file.resume();
+                return;
+            }
+
+            entry.fileType = classified.fileType;
+            entry.mimeType = classified.mimeType;
+            entry.pending = saveStreamToTemp(file, tempDir)
+                .then((saved) => {
+                    Object.assign(entry, saved);
+                    if (saved.truncated) {
+                        removeTempFile(saved.tempPath);
+                        entry.tempPath = null;
+                        entry.error = `파일 크기 제한(${Math.round(maxFileSize / 1024 / 1024)}MB)을 초과했습니다`;
+                        entry.status = 413;
+                    }
+                })
+                .catch((err) => {
+                    entry.error = `파일 읽기 오류: ${err.message}`;
+                });
+        });
+
+        bb.on("filesLimit", () => {
+            filesLimitReached = true;
+        });
+
+        bb.on("error", fail);
+
+        bb.on("finish", async () => {
+            if (settled) return;
+            settled = true;
+            await Promise.all(files.map((f) => f.pending));
+            files.forEach((f) => delete f.pending);
+            resolve({ fields, files, filesLimitReached });
+        });
+
+        req.on("aborted", () => fail(new Error("클라이언트가 업로드를 중단했습니다")));
+        req.on("close", () => {
+            if (!req.complete) fail(new Error("업로드 도중 연결이 끊겼습니다"));
+        });
+        req.on("error", fail);
+        req.pipe(bb);
+    });
+}
+
+module.exports = { saveStreamToTemp, removeTempFile, prepareTempDir, parseMultipartUpload };
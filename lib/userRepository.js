@@ -0,0 +1,86 @@
+const { isUniqueViolation } = require("./db");
+const { AuthError, hashPassword, validateCredentials } = require("./auth");
+
+// =======================
+// users 저장소 (lib/db.js 어댑터 위)
+// =======================
+// 공개 가입(POST /api/auth/register)은 항상 일반 사용자.
+// 관리자는 서버 밖에서 만든다: scripts/create-admin.js 또는 시작할 때 ADMIN_USERNAME / ADMIN_PASSWORD (createAdmin).
+// 관리자를 만들 때 인증 도입 이전에 올라온 (소유자 없는) 미디어/앨범을 그 관리자에게 귀속한다.
+
+function usernameTaken() {
+    return new AuthError(409, "USERNAME_TAKEN", "이미 사용 중인 사용자 이름입니다");
+}
+
+function createUserRepository(db) {
+    const repo = {
+        findByUsername(username) {
+            return db.get("SELECT * FROM users WHERE username = ?", [username]);
+        },
+
+        // → { id, username, role } (같은 이름이 먼저 들어갔으면 409 USERNAME_TAKEN)
+        async insertUser({ username, passwordHash, role = "user" }) {
+            try {
+                const result = await db.run(
+                    "INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)",
+                    [username, passwordHash, role]
+                );
+                return { id: result.lastID, username, role };
+            } catch (err) {
+                if (isUniqueViolation(err, "users.username")) throw usernameTaken();
+                throw err;
+            }
+        },
+
+        // 소유자 없는 미디어/앨범 → userId (→ 귀속한 미디어 수)
+        // userId 에 같은 이름의 앨범이 이미 있으면 그 앨범으로 합친다 (앨범 이름은 소유자별로 UNIQUE)
+        async adoptOwnerlessMedia(userId) {
+            await db.run(
+                `UPDATE uploaded_media
+                 SET album_id = (SELECT mine.id FROM albums mine JOIN albums legacy ON legacy.name = mine.name
+                                 WHERE legacy.id = uploaded_media.album_id AND mine.owner_id = ?)
+                 WHERE album_id IN (SELECT legacy.id FROM albums legacy JOIN albums mine ON mine.name = legacy.name
+                                    WHERE legacy.owner_id IS NULL AND mine.owner_id = ?)`,
+                [userId, userId]
+            );
+            await db.run("DELETE FROM albums WHERE owner_id IS NULL AND name IN (SELECT name FROM albums WHERE owner_id = ?)", [userId]);
+
+            const adopted = await db.run("UPDATE uploaded_media SET owner_id = ? WHERE owner_id IS NULL", [userId]);
+            await db.run("UPDATE albums SET owner_id = ? WHERE owner_id IS NULL", [userId]);
+            return adopted.changes;
+        },
+
+        // 관리자 생성 (이미 있는 사용자면 관리자로 변경 - 비밀번호는 그대로)
+        // → { user, created, promoted, adoptedMedia }
+        async createAdmin({ username, password }) {
+            const existing = await repo.findByUsername(username);
+            let passwordHash = null;
+            if (!existing) {
+                validateCredentials(username, password);
+                passwordHash = await hashPassword(password);
+            }
+
+            return db.transaction(async () => {
+                let user = await repo.findByUsername(username);
+                const created = !user;
+                const promoted = !created && user.role !== "admin";
+                if (created) {
+                    // 확인한 뒤 다른 곳에서 지워진 경우
+                    if (!passwordHash) throw new AuthError(404, "USER_NOT_FOUND", "사용자를 찾을 수 없습니다");
+                    user = await repo.insertUser({ username, passwordHash, role: "admin" });
+                } else if (promoted) {
+                    await db.run("UPDATE users SET role = 'admin' WHERE id = ?", [user.id]);
+                }
+
+                const adoptedMedia = await repo.adoptOwnerlessMedia(user.id);
+                return { user: { id: user.id, username: user.username, role: "admin" }, created, promoted, adoptedMedia };
+            });
+        },
+    };
+
+    return repo;
+}
+
+module.exports = {
+    createUserRepository,
+};
@@ -0,0 +1,39 @@
+// =======================
+// 001 기준 스키마
+// =======================
+// 마이그레이션 도입 전 원래 서버가 만들던 file_storage / uploaded_media 그대로.
+// 이후 기능의 스키마는 002 부터 기능별 마이그레이션으로 추가한다.
+// 되돌리면 모든 데이터가 사라지므로 down 은 없다.
+
+module.exports = {
+    up: [
+        // file_storage: 실제 파일 저장 (중복 제거, 참조 카운팅)
+        `CREATE TABLE IF NOT EXISTS file_storage (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_hash TEXT UNIQUE NOT NULL,
+            saved_name TEXT NOT NULL,
+            file_path TEXT NOT NULL,
+            file_size INTEGER NOT NULL,
+            mime_type TEXT NOT NULL,
+            file_type TEXT NOT NULL,
+            ref_count INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // uploaded_media: 사용자 업로드 메타데이터
+        `CREATE TABLE IF NOT EXISTS uploaded_media (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            storage_id INTEGER NOT NULL,
+            original_name TEXT NOT NULL,
+            album_name TEXT DEFAULT 'Default',
+            album_path TEXT,
+            uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
+        )`,
+
+        "CREATE INDEX IF NOT EXISTS idx_file_hash ON file_storage(file_hash)",
+        "CREATE INDEX IF NOT EXISTS idx_storage_id ON uploaded_media(storage_id)",
+        "CREATE INDEX IF NOT EXISTS idx_album_name ON uploaded_media(album_name)",
+    ],
+    down: null,
+};
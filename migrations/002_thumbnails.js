@@ -0,0 +1,13 @@
+// =======================
+// 002 썸네일 상태
+// =======================
+// pending → ready / failed - 기존 행은 pending 으로 시작해 서버가 백필한다
+
+module.exports = {
+    up: [
+        { addColumn: ["file_storage", "thumbnail_status", "TEXT DEFAULT 'pending'"] },
+    ],
+    down: [
+        { dropColumn: ["file_storage", "thumbnail_status"] },
+    ],
+};
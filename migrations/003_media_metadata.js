@@ -0,0 +1,28 @@
+// =======================
+// 003 촬영 메타데이터
+// =======================
+// file_storage 한 건당 한 행 (중복 제거된 파일은 메타데이터도 공유)
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS media_metadata (
+            storage_id INTEGER PRIMARY KEY,
+            taken_at DATETIME,
+            camera_make TEXT,
+            camera_model TEXT,
+            latitude REAL,
+            longitude REAL,
+            width INTEGER,
+            height INTEGER,
+            duration REAL,
+            orientation INTEGER,
+            extracted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
+        )`,
+        "CREATE INDEX IF NOT EXISTS idx_taken_at ON media_metadata(taken_at)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_taken_at",
+        "DROP TABLE IF EXISTS media_metadata",
+    ],
+};
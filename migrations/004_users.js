@@ -0,0 +1,49 @@
+// =======================
+// 004 사용자 계정
+// =======================
+// users / refresh_tokens (토큰 원문 대신 해시), uploaded_media.owner_id
+// 기존 미디어의 owner_id 는 NULL (관리자를 만들 때 그 관리자가 인수 - lib/userRepository.js)
+// owner_id 는 외래 키라 DROP COLUMN 이 안 되므로 down 은 uploaded_media 를 다시 만든다
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT DEFAULT 'user',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+        { addColumn: ["uploaded_media", "owner_id", "INTEGER REFERENCES users(id)"] },
+        "CREATE INDEX IF NOT EXISTS idx_owner_id ON uploaded_media(owner_id)",
+        "CREATE INDEX IF NOT EXISTS idx_refresh_user ON refresh_tokens(user_id)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_owner_id",
+        {
+            rebuildTable: ["uploaded_media", `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                storage_id INTEGER NOT NULL,
+                original_name TEXT NOT NULL,
+                album_name TEXT DEFAULT 'Default',
+                album_path TEXT,
+                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
+            `, ["id", "storage_id", "original_name", "album_name", "album_path", "uploaded_at"]],
+        },
+        "CREATE INDEX IF NOT EXISTS idx_storage_id ON uploaded_media(storage_id)",
+        "CREATE INDEX IF NOT EXISTS idx_album_name ON uploaded_media(album_name)",
+        "DROP INDEX IF EXISTS idx_refresh_user",
+        "DROP TABLE IF EXISTS refresh_tokens",
+        "DROP TABLE IF EXISTS users",
+    ],
+};
@@ -0,0 +1,13 @@
+// =======================
+// 005 사용자별 저장 공간 한도
+// =======================
+// NULL = 기본 한도 (DEFAULT_QUOTA_BYTES), 0 = 무제한
+
+module.exports = {
+    up: [
+        { addColumn: ["users", "quota_bytes", "INTEGER"] },
+    ],
+    down: [
+        { dropColumn: ["users", "quota_bytes"] },
+    ],
+};
@@ -0,0 +1,28 @@
+// =======================
+// 006 공유 링크
+// =======================
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS share_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token TEXT UNIQUE NOT NULL,
+            owner_id INTEGER NOT NULL,
+            media_id INTEGER,
+            album_name TEXT,
+            password_hash TEXT,
+            expires_at DATETIME NOT NULL,
+            max_downloads INTEGER,
+            download_count INTEGER DEFAULT 0,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (media_id) REFERENCES uploaded_media(id) ON DELETE CASCADE
+        )`,
+        "CREATE INDEX IF NOT EXISTS idx_share_owner ON share_links(owner_id)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_share_owner",
+        "DROP TABLE IF EXISTS share_links",
+    ],
+};
@@ -0,0 +1,43 @@
+// =======================
+// 007 앨범
+// =======================
+// albums 테이블 + uploaded_media.album_id (기존 미디어는 018 에서 album_name 으로 백필)
+// album_id 는 외래 키라 down 은 uploaded_media 를 004 까지의 모양으로 다시 만든다
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS albums (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_id INTEGER,
+            name TEXT NOT NULL,
+            description TEXT,
+            cover_media_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (owner_id, name),
+            FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (cover_media_id) REFERENCES uploaded_media(id) ON DELETE SET NULL
+        )`,
+        { addColumn: ["uploaded_media", "album_id", "INTEGER REFERENCES albums(id)"] },
+        "CREATE INDEX IF NOT EXISTS idx_album_id ON uploaded_media(album_id)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_album_id",
+        {
+            rebuildTable: ["uploaded_media", `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                storage_id INTEGER NOT NULL,
+                original_name TEXT NOT NULL,
+                album_name TEXT DEFAULT 'Default',
+                album_path TEXT,
+                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                owner_id INTEGER REFERENCES users(id),
+                FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
+            `, ["id", "storage_id", "original_name", "album_name", "album_path", "uploaded_at", "owner_id"]],
+        },
+        "CREATE INDEX IF NOT EXISTS idx_storage_id ON uploaded_media(storage_id)",
+        "CREATE INDEX IF NOT EXISTS idx_album_name ON uploaded_media(album_name)",
+        "CREATE INDEX IF NOT EXISTS idx_owner_id ON uploaded_media(owner_id)",
+        "DROP TABLE IF EXISTS albums",
+    ],
+};
@@ -0,0 +1,16 @@
+// =======================
+// 008 목록 정렬 인덱스
+// =======================
+// uploaded/name 은 (owner_id, 정렬값, id) 로 정렬 없이 탐색, size/type 은 file_storage 인덱스
+
+const INDEXES = {
+    idx_media_owner_uploaded: "uploaded_media(owner_id, uploaded_at, id)",
+    idx_media_owner_name: "uploaded_media(owner_id, original_name COLLATE NOCASE, id)",
+    idx_storage_file_size: "file_storage(file_size)",
+    idx_storage_mime_type: "file_storage(mime_type)",
+};
+
+module.exports = {
+    up: Object.entries(INDEXES).map(([name, on]) => `CREATE INDEX IF NOT EXISTS ${name} ON ${on}`),
+    down: Object.keys(INDEXES).map(name => `DROP INDEX IF EXISTS ${name}`),
+};
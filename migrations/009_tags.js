@@ -0,0 +1,37 @@
+// =======================
+// 009 태그, 설명, 즐겨찾기, 별점
+// =======================
+// tags / media_tags (uploaded_media 다대다), uploaded_media 에 caption / is_favorite / rating
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_id INTEGER NOT NULL,
+            name TEXT NOT NULL COLLATE NOCASE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (owner_id, name),
+            FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS media_tags (
+            media_id INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (media_id, tag_id),
+            FOREIGN KEY (media_id) REFERENCES uploaded_media(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        )`,
+        "CREATE INDEX IF NOT EXISTS idx_media_tags_tag ON media_tags(tag_id)",
+        { addColumn: ["uploaded_media", "caption", "TEXT"] },
+        { addColumn: ["uploaded_media", "is_favorite", "INTEGER DEFAULT 0"] },
+        { addColumn: ["uploaded_media", "rating", "INTEGER"] },
+    ],
+    down: [
+        { dropColumn: ["uploaded_media", "rating"] },
+        { dropColumn: ["uploaded_media", "is_favorite"] },
+        { dropColumn: ["uploaded_media", "caption"] },
+        "DROP INDEX IF EXISTS idx_media_tags_tag",
+        "DROP TABLE IF EXISTS media_tags",
+        "DROP TABLE IF EXISTS tags",
+    ],
+};
@@ -0,0 +1,60 @@
+// =======================
+// 010 검색 색인 (FTS5)
+// =======================
+// media_fts: 파일 이름, 앨범, 태그, 설명 - uploaded_media / media_tags / tags 트리거로 동기화
+// 트리거를 바꿀 때는 이 파일이 아니라 새 마이그레이션에서 DROP 후 다시 만든다
+
+// 미디어 한 건의 태그 이름을 공백으로 이은 색인용 문자열
+const tagsText = (mediaId) => `(SELECT COALESCE(group_concat(t.name, ' '), '') FROM media_tags mt
+    JOIN tags t ON t.id = mt.tag_id WHERE mt.media_id = ${mediaId})`;
+
+const TRIGGERS = {
+    media_fts_insert: `AFTER INSERT ON uploaded_media BEGIN
+        INSERT INTO media_fts (rowid, original_name, album_name, tags, caption)
+        VALUES (NEW.id, NEW.original_name, COALESCE(NEW.album_name, ''), ${tagsText("NEW.id")}, COALESCE(NEW.caption, ''));
+    END`,
+    media_fts_update: `AFTER UPDATE OF original_name, album_name, caption ON uploaded_media BEGIN
+        UPDATE media_fts SET original_name = NEW.original_name, album_name = COALESCE(NEW.album_name, ''),
+                             caption = COALESCE(NEW.caption, '')
+        WHERE rowid = NEW.id;
+    END`,
+    media_fts_delete: `AFTER DELETE ON uploaded_media BEGIN
+        DELETE FROM media_fts WHERE rowid = OLD.id;
+    END`,
+    media_fts_tag_insert: `AFTER INSERT ON media_tags BEGIN
+        UPDATE media_fts SET tags = ${tagsText("NEW.media_id")} WHERE rowid = NEW.media_id;
+    END`,
+    media_fts_tag_delete: `AFTER DELETE ON media_tags BEGIN
+        UPDATE media_fts SET tags = ${tagsText("OLD.media_id")} WHERE rowid = OLD.media_id;
+    END`,
+    media_fts_tag_rename: `AFTER UPDATE OF name ON tags BEGIN
+        UPDATE media_fts SET tags = ${tagsText("media_fts.rowid")}
+        WHERE rowid IN (SELECT media_id FROM media_tags WHERE tag_id = NEW.id);
+    END`,
+};
+
+module.exports = {
+    up: [
+        `CREATE VIRTUAL TABLE IF NOT EXISTS media_fts USING fts5(
+            original_name,
+            album_name,
+            tags,
+            caption,
+            tokenize = "unicode61 remove_diacritics 2",
+            prefix = '2 3'
+        )`,
+        ...Object.entries(TRIGGERS).flatMap(([name, body]) => [
+            `DROP TRIGGER IF EXISTS ${name}`,
+            `CREATE TRIGGER ${name} ${body}`,
+        ]),
+        // 트리거 이전 행 색인
+        `INSERT INTO media_fts (rowid, original_name, album_name, tags, caption)
+         SELECT m.id, m.original_name, COALESCE(m.album_name, ''), ${tagsText("m.id")}, COALESCE(m.caption, '')
+         FROM uploaded_media m
+         WHERE m.id NOT IN (SELECT rowid FROM media_fts)`,
+    ],
+    down: [
+        ...Object.keys(TRIGGERS).map(name => `DROP TRIGGER IF EXISTS ${name}`),
+        "DROP TABLE IF EXISTS media_fts",
+    ],
+};
@@ -0,0 +1,15 @@
+// =======================
+// 011 휴지통
+// =======================
+// uploaded_media.deleted_at (NULL = 사용 중)
+
+module.exports = {
+    up: [
+        { addColumn: ["uploaded_media", "deleted_at", "DATETIME"] },
+        "CREATE INDEX IF NOT EXISTS idx_media_deleted_at ON uploaded_media(owner_id, deleted_at)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_media_deleted_at",
+        { dropColumn: ["uploaded_media", "deleted_at"] },
+    ],
+};
@@ -0,0 +1,22 @@
+// =======================
+// 012 동영상 변환 결과
+// =======================
+// file_storage 한 건당 한 행 (status: pending → processing → ready / failed, files: 결과 키 JSON)
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS video_renditions (
+            storage_id INTEGER PRIMARY KEY,
+            status TEXT NOT NULL DEFAULT 'pending',
+            files TEXT,
+            error TEXT,
+            attempts INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
+        )`,
+    ],
+    down: [
+        "DROP TABLE IF EXISTS video_renditions",
+    ],
+};
@@ -0,0 +1,34 @@
+// =======================
+// 013 백그라운드 작업 큐
+// =======================
+
+module.exports = {
+    up: [
+        `CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            payload TEXT,
+            dedupe_key TEXT,
+            owner_id INTEGER,
+            status TEXT NOT NULL DEFAULT 'queued',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL,
+            run_at DATETIME NOT NULL,
+            last_error TEXT,
+            result TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME
+        )`,
+        "CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at)",
+        "CREATE INDEX IF NOT EXISTS idx_jobs_owner ON jobs(owner_id, id)",
+        // 대기/실행 중인 작업만 키가 겹치지 않게 (끝난 작업은 같은 키로 다시 넣을 수 있음)
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key) WHERE status IN ('queued', 'running')",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_jobs_dedupe",
+        "DROP INDEX IF EXISTS idx_jobs_owner",
+        "DROP INDEX IF EXISTS idx_jobs_status_run_at",
+        "DROP TABLE IF EXISTS jobs",
+    ],
+};
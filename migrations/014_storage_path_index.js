@@ -0,0 +1,13 @@
+// =======================
+// 014 저장소 키 인덱스
+// =======================
+// /uploads/<키> 요청마다 file_storage.file_path 로 소유자를 확인한다
+
+module.exports = {
+    up: [
+        "CREATE INDEX IF NOT EXISTS idx_storage_file_path ON file_storage(file_path)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_storage_file_path",
+    ],
+};
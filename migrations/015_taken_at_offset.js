@@ -0,0 +1,17 @@
+// =======================
+// 015 촬영 시각 시간대
+// =======================
+// taken_at 은 촬영 현지 시각, taken_at_offset 은 그 시각의 UTC 오프셋(분, 예: +09:00 → 540)
+// NULL = 시간대를 모름 (오프셋 태그 없는 EXIF). 이전 버전은 동영상 creation_time 을 UTC 로 저장했으므로 0 으로 채운다.
+
+module.exports = {
+    up: [
+        { addColumn: ["media_metadata", "taken_at_offset", "INTEGER"] },
+        `UPDATE media_metadata SET taken_at_offset = 0
+         WHERE taken_at IS NOT NULL
+           AND storage_id IN (SELECT id FROM file_storage WHERE file_type = 'video')`,
+    ],
+    down: [
+        { dropColumn: ["media_metadata", "taken_at_offset"] },
+    ],
+};
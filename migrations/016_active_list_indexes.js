@@ -0,0 +1,21 @@
+// =======================
+// 016 목록 정렬 인덱스 - 사용 중인 미디어만
+// =======================
+// 목록/검색은 항상 deleted_at IS NULL (011 휴지통) 이라 008 의 (owner_id, 정렬값, id) 인덱스를 부분 인덱스로 바꾼다.
+// 휴지통 목록은 idx_media_deleted_at (011).
+
+const INDEXES = {
+    idx_media_owner_uploaded: "uploaded_media(owner_id, uploaded_at, id)",
+    idx_media_owner_name: "uploaded_media(owner_id, original_name COLLATE NOCASE, id)",
+};
+
+module.exports = {
+    up: Object.entries(INDEXES).flatMap(([name, on]) => [
+        `DROP INDEX IF EXISTS ${name}`,
+        `CREATE INDEX IF NOT EXISTS ${name.replace("idx_media_owner_", "idx_media_active_")} ON ${on} WHERE deleted_at IS NULL`,
+    ]),
+    down: Object.entries(INDEXES).flatMap(([name, on]) => [
+        `DROP INDEX IF EXISTS ${name.replace("idx_media_owner_", "idx_media_active_")}`,
+        `CREATE INDEX IF NOT EXISTS ${name} ON ${on}`,
+    ]),
+};
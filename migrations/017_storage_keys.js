@@ -0,0 +1,46 @@
+const path = require("path");
+
+// =======================
+// 017 파일 경로 → 저장소 키 (데이터)
+// =======================
+// 저장소 드라이버 이전 버전은 file_storage.file_path 에 절대 경로를 저장했다.
+// 업로드 폴더 기준 상대 경로(저장소 키, "앨범/파일명")로 바꾼다 - 업로드 폴더 밖이면 마지막 "uploads" 이후.
+// 어느 쪽으로도 바꿀 수 없는 경로는 경고만 남기고 그대로 둔다.
+// 되돌려도 키는 그대로 둔다 (016 까지의 코드도 키를 읽는다).
+
+function legacyPathToKey(filePath, uploadDir) {
+    if (uploadDir) {
+        const relative = path.relative(uploadDir, filePath);
+        if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+            return relative.split(path.sep).join("/");
+        }
+    }
+
+    const parts = filePath.split(/[\\/]+/);
+    const index = parts.lastIndexOf("uploads");
+    return index >= 0 && index < parts.length - 1 ? parts.slice(index + 1).join("/") : null;
+}
+
+module.exports = {
+    up: [
+        async (db, { uploadDir } = {}) => {
+            const rows = await db.all("SELECT id, file_path FROM file_storage WHERE file_path LIKE '/%' OR file_path LIKE '_:%'");
+
+            let migrated = 0;
+            for (const row of rows) {
+                const key = legacyPathToKey(row.file_path, uploadDir);
+                if (!key) {
+                    console.warn(`⚠️ [STORAGE KEY] 변환할 수 없는 경로 (Storage ID ${row.id}): ${row.file_path}`);
+                    continue;
+                }
+                await db.run("UPDATE file_storage SET file_path = ? WHERE id = ?", [key, row.id]);
+                migrated++;
+            }
+
+            if (migrated > 0) {
+                console.log(`🗂️ [STORAGE KEY] 파일 경로 ${migrated}개를 저장소 키로 변환`);
+            }
+        },
+    ],
+    down: [],
+};
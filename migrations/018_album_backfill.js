@@ -0,0 +1,35 @@
+// =======================
+// 018 앨범 백필 (데이터)
+// =======================
+// albums 테이블(007) 이전에 올라온 미디어: (소유자, album_name) 별로 앨범을 만들고 album_id 연결.
+// 휴지통 항목은 그대로 둔다 (복원할 때 album_name 으로 앨범을 다시 만든다).
+// 되돌려도 만든 앨범은 그대로 둔다 (017 까지의 스키마에도 있는 테이블).
+
+module.exports = {
+    up: [
+        async (db) => {
+            const groups = await db.all(
+                "SELECT DISTINCT owner_id, album_name FROM uploaded_media WHERE album_id IS NULL AND deleted_at IS NULL"
+            );
+
+            for (const group of groups) {
+                // 소유자 없는 앨범은 UNIQUE (owner_id, name) 로 막히지 않으므로 먼저 찾는다
+                const name = group.album_name || "Default";
+                const [album] = await db.all("SELECT id FROM albums WHERE owner_id IS ? AND name = ?", [group.owner_id, name]);
+                const albumId = album
+                    ? album.id
+                    : (await db.run("INSERT INTO albums (owner_id, name) VALUES (?, ?)", [group.owner_id, name])).lastID;
+
+                await db.run(
+                    "UPDATE uploaded_media SET album_id = ? WHERE album_id IS NULL AND deleted_at IS NULL AND owner_id IS ? AND album_name IS ?",
+                    [albumId, group.owner_id, group.album_name]
+                );
+            }
+
+            if (groups.length > 0) {
+                console.log(`📁 [ALBUM BACKFILL] 기존 앨범 ${groups.length}개 등록`);
+            }
+        },
+    ],
+    down: [],
+};
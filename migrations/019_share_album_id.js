@@ -0,0 +1,51 @@
+// =======================
+// 019 앨범 공유 링크 - album_id 기준
+// =======================
+// 앨범 링크를 album_name 대신 albums.id 로 가리킨다 (이름을 바꿔도 그대로, 앨범을 지우면 ON DELETE CASCADE 로 함께 삭제).
+// 가리키던 앨범이 이미 없는 링크는 아무것도 보여 주지 않으므로 지운다.
+// album_id 는 외래 키라 down 은 share_links 를 006 의 모양으로 다시 만든다 (album_name 은 현재 앨범 이름으로 채움).
+
+module.exports = {
+    up: [
+        { addColumn: ["share_links", "album_id", "INTEGER REFERENCES albums(id) ON DELETE CASCADE"] },
+        // 다른 단계처럼 다시 실행해도 되도록 album_name 이 남아 있을 때만
+        async (db) => {
+            const columns = await db.all("PRAGMA table_info(share_links)");
+            if (!columns.some(c => c.name === "album_name")) return;
+            await db.run(
+                `UPDATE share_links
+                 SET album_id = (SELECT a.id FROM albums a WHERE a.owner_id = share_links.owner_id AND a.name = share_links.album_name)
+                 WHERE album_name IS NOT NULL`
+            );
+        },
+        "DELETE FROM share_links WHERE media_id IS NULL AND album_id IS NULL",
+        { dropColumn: ["share_links", "album_name"] },
+        "CREATE INDEX IF NOT EXISTS idx_share_album ON share_links(album_id)",
+    ],
+    down: [
+        "DROP INDEX IF EXISTS idx_share_album",
+        { addColumn: ["share_links", "album_name", "TEXT"] },
+        "UPDATE share_links SET album_name = (SELECT name FROM albums WHERE id = share_links.album_id) WHERE album_id IS NOT NULL",
+        {
+            rebuildTable: ["share_links", `
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                owner_id INTEGER NOT NULL,
+                media_id INTEGER,
+                album_name TEXT,
+                password_hash TEXT,
+                expires_at DATETIME NOT NULL,
+                max_downloads INTEGER,
+                download_count INTEGER DEFAULT 0,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (media_id) REFERENCES uploaded_media(id) ON DELETE CASCADE
+            `, [
+                "id", "token", "owner_id", "media_id", "album_name", "password_hash",
+                "expires_at", "max_downloads", "download_count", "revoked_at", "created_at",
+            ]],
+        },
+        "CREATE INDEX IF NOT EXISTS idx_share_owner ON share_links(owner_id)",
+    ],
+};
@@ -0,0 +1,78 @@
+const fs = require("fs");
+const { openDatabase } = require("../lib/db");
+const { getConfig } = require("../lib/config");
+const { assertLatestSchema } = require("../lib/migrations");
+const {
+    METADATA_INSERT_SQL,
+    METADATA_REPLACE_SQL,
+    metadataParams,
+    extractMetadata,
+} = require("../lib/metadata");
+const { createStorageFromConfig } = require("../lib/storage");
+
+// =======================
+// 촬영 메타데이터 백필
+// =======================
+// 사용법: node scripts/backfill-metadata.js [--force]
+//   기본: media_metadata 행이 없는 file_storage 만 처리
+//   --force: 모든 파일을 다시 추출해 덮어쓰기 (예: 마이그레이션 015 이전에 올린 이미지의 taken_at_offset 채우기)
+// DB/업로드 경로, DB 드라이버, 파일 저장소(STORAGE_DRIVER, S3_*)는 서버와 같은 설정(lib/config.js)으로 고른다
+// (S3 는 파일마다 임시로 내려받음).
+// 스키마는 만들지 않는다 - 마이그레이션이 남아 있으면 npm run db:migrate 후 다시 실행.
+
+const force = process.argv.includes("--force");
+const config = getConfig();
+const dbPath = config.dbPath;
+const fileStore = createStorageFromConfig(config);
+
+if (!fs.existsSync(dbPath)) {
+    console.error(`❌ DB 파일이 없습니다: ${dbPath}`);
+    process.exit(1);
+}
+
+const db = openDatabase(dbPath, { driver: config.dbDriver });
+
+async function main() {
+    await db.ready;
+    await assertLatestSchema(db);
+
+    const rows = await db.all(`
+        SELECT s.id, s.file_path, s.file_type
+        FROM file_storage s
+        ${force ? "" : "LEFT JOIN media_metadata md ON md.storage_id = s.id WHERE md.storage_id IS NULL"}
+        ORDER BY s.id
+    `);
+
+    console.log(`🔍 [BACKFILL] 대상 파일 ${rows.length}개${force ? " (--force)" : ""}`);
+
+    let updated = 0;
+    let missing = 0;
+    let failed = 0;
+
+    for (const row of rows) {
+        if (!(await fileStore.exists(row.file_path))) {
+            missing++;
+            console.log(`⚠️ [MISSING] Storage ID ${row.id}: ${row.file_path}`);
+            continue;
+        }
+
+        const metadata = await fileStore.withLocalFile(row.file_path, filePath => extractMetadata(filePath, row.file_type));
+        if (!metadata) {
+            failed++;
+            continue;
+        }
+
+        await db.run(force ? METADATA_REPLACE_SQL : METADATA_INSERT_SQL, metadataParams(row.id, metadata));
+        updated++;
+        console.log(`✅ [BACKFILL] Storage ID ${row.id}${metadata.takenAt ? ` (촬영: ${metadata.takenAt})` : ""}`);
+    }
+
+    console.log(`\n📊 [DONE] 저장 ${updated}개, 파일 없음 ${missing}개, 추출 실패 ${failed}개`);
+}
+
+main()
+    .catch((err) => {
+        console.error("❌ [BACKFILL ERROR]", err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const { openDatabase } = require("../lib/db");
+const { getConfig } = require("../lib/config");
+const { checkIntegrity, summarizeReport } = require("../lib/integrity");
+const { createStorageFromConfig } = require("../lib/storage");
+
+// =======================
+// 저장소 무결성 검사 / 복구
+// =======================
+// 사용법: node scripts/check-integrity.js [--repair] [--skip-hash] [--json]
+//   기본: 검사 결과만 출력 (dry-run, 아무것도 바꾸지 않음)
+//   --repair: ref_count 재계산, 고아 파일 정리 (DB 행은 지우지 않음 - 파일 없음/참조 없는 행은 보고만)
+//   --skip-hash: 저장된 파일 해시 비교 생략 (파일이 많을 때 빠름)
+//   --json: 보고서 전체를 JSON 으로 출력
+// DB/업로드 경로, DB 드라이버, 파일 저장소(STORAGE_DRIVER, S3_*)는 서버와 같은 설정(lib/config.js)으로 고른다.
+// 서버가 실행 중이어도 쓸 수 있다 (최근 수정된 파일은 업로드 중일 수 있어 고아로 보지 않음).
+
+const repair = process.argv.includes("--repair");
+const verifyHashes = !process.argv.includes("--skip-hash");
+const asJson = process.argv.includes("--json");
+const config = getConfig();
+const dbPath = config.dbPath;
+const uploadDir = config.uploadDir;
+
+if (!fs.existsSync(dbPath)) {
+    console.error(`❌ DB 파일이 없습니다: ${dbPath}`);
+    process.exit(1);
+}
+
+const db = openDatabase(dbPath, { driver: config.dbDriver });
+
+function printItems(title, items, format) {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length})`);
+    items.forEach(item => console.log(`   - ${format(item)}`));
+}
+
+async function main() {
+    await db.ready;
+    console.log(`🔍 [INTEGRITY] ${repair ? "검사 + 복구" : "검사 (dry-run)"}${verifyHashes ? "" : " - 해시 비교 생략"}`);
+
+    const fileStore = createStorageFromConfig(config);
+    const report = await checkIntegrity(db, { fileStore, repair, verifyHashes });
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    printItems("📊 ref_count 불일치", report.refCountDrift, d => `Storage ID ${d.storageId}: ${d.recorded} → ${d.actual}`);
+    printItems("🗂️ 참조 없는 행 (보고만)", report.unreferenced, d => `Storage ID ${d.storageId}: ${d.filePath}`);
+    printItems("⚠️ 파일 없음 (보고만)", report.missingFiles, d => `Storage ID ${d.storageId}: ${d.filePath} (미디어 ${d.mediaCount}개)`);
+    printItems("❗ 해시 불일치 (보고만)", report.hashMismatches, d => `Storage ID ${d.storageId}: ${d.filePath} (${d.expected} ≠ ${d.actual})`);
+    printItems("🧹 고아 파일", report.orphanFiles, d => `${d.filePath} (${d.size} bytes)`);
+
+    console.log(`\n📊 [DONE] ${summarizeReport(report)}`);
+    if (report.repaired) {
+        const r = report.repaired;
+        console.log(`🔧 [REPAIR] ref_count ${r.refCounts}개 수정, 고아 파일 ${r.deletedFiles}개 삭제`);
+    }
+}
+
+main()
+    .catch((err) => {
+        console.error("❌ [INTEGRITY ERROR]", err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -0,0 +1,44 @@
+const { openDatabase } = require("../lib/db");
+const { getConfig } = require("../lib/config");
+const { assertLatestSchema } = require("../lib/migrations");
+const { createUserRepository } = require("../lib/userRepository");
+
+// =======================
+// 관리자 계정 생성
+// =======================
+// 사용법: ADMIN_PASSWORD=<비밀번호> node scripts/create-admin.js <사용자 이름>
+//   없는 사용자면 관리자로 생성 (비밀번호는 명령줄 기록에 남지 않도록 환경변수로)
+//   이미 있는 사용자면 관리자로 변경 (비밀번호는 그대로, ADMIN_PASSWORD 불필요)
+// 인증 도입 이전에 올라온 (소유자 없는) 미디어/앨범은 이 관리자에게 귀속된다.
+// 공개 가입(POST /api/auth/register)으로는 관리자가 되지 않는다.
+// DB 경로/드라이버는 서버와 같은 설정(lib/config.js)을 쓴다. 스키마가 최신이어야 한다 (npm run db:migrate).
+
+const username = process.argv[2];
+const config = getConfig();
+
+const db = openDatabase(config.dbPath, { driver: config.dbDriver });
+
+async function main() {
+    if (!username) {
+        throw new Error("사용법: ADMIN_PASSWORD=<비밀번호> node scripts/create-admin.js <사용자 이름>");
+    }
+
+    await db.ready;
+    await assertLatestSchema(db);
+
+    const users = createUserRepository(db);
+    const { user, created, promoted, adoptedMedia } = await users.createAdmin({ username, password: process.env.ADMIN_PASSWORD });
+
+    const action = created ? "관리자 생성" : promoted ? "관리자로 변경" : "이미 관리자";
+    console.log(`👤 [ADMIN] ${user.username} (User ID: ${user.id}) ${action}`);
+    if (adoptedMedia > 0) {
+        console.log(`📦 [ADOPT] 기존 미디어 ${adoptedMedia}개를 ${user.username}에게 귀속`);
+    }
+}
+
+main()
+    .catch((err) => {
+        console.error(`❌ [ADMIN] ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -0,0 +1,92 @@
+const { openDatabase } = require("../lib/db");
+const { getConfig } = require("../lib/config");
+const {
+    MigrationError,
+    loadMigrations,
+    migrationStatus,
+    migrate,
+    rollback,
+    isEmptyDatabase,
+    backupDatabase,
+} = require("../lib/migrations");
+
+// =======================
+// 스키마 마이그레이션 CLI
+// =======================
+// 사용법: node scripts/migrate.js <status|up|down> [--to N]
+//   status: 현재 버전, 적용된/대기 중인 마이그레이션 출력
+//   up: 최신 (또는 --to N) 까지 적용
+//   down: 한 단계 (또는 --to N 까지) 되돌림 - down 이 없는 마이그레이션은 거부
+// up/down 은 바꾸기 전에 backupDir (DB_BACKUP_DIR, 기본 backups/) 에 백업을 남긴다.
+// 서버는 시작할 때 자동으로 up 을 실행한다 (AUTO_MIGRATE=false 면 이 스크립트로 직접).
+// DB 경로/드라이버는 서버와 같은 설정(lib/config.js)을 쓴다.
+
+const command = process.argv[2] || "status";
+const toIndex = process.argv.indexOf("--to");
+const target = toIndex > -1 ? Number(process.argv[toIndex + 1]) : null;
+const config = getConfig();
+const backupDir = config.backupDir;
+// 데이터 마이그레이션(함수 단계)에 넘기는 값
+const context = { uploadDir: config.uploadDir };
+
+const db = openDatabase(config.dbPath, { driver: config.dbDriver });
+
+const label = (m) => `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+async function printStatus(migrations) {
+    const status = await migrationStatus(db, migrations);
+    console.log(`📋 [MIGRATION] 현재 버전 ${status.current} / 최신 ${status.latest}`);
+    status.applied.forEach(m => console.log(`   ✅ ${label(m)} (${m.appliedAt})`));
+    status.pending.forEach(m => console.log(`   ⏳ ${label(m)}`));
+    if (status.current > status.latest) {
+        console.log("   ⚠️ DB 가 이 코드보다 새 버전입니다");
+    }
+}
+
+async function backupFirst(migrations) {
+    if (await isEmptyDatabase(db)) return;
+    const { current } = await migrationStatus(db, migrations);
+    const backupPath = await backupDatabase(db, backupDir, `v${current}`);
+    console.log(`💾 [MIGRATION] 백업: ${backupPath}`);
+}
+
+async function main() {
+    if (target !== null && (!Number.isInteger(target) || target < 0)) {
+        throw new MigrationError("INVALID_TARGET", "--to 는 0 이상의 정수여야 합니다");
+    }
+
+    await db.ready;
+    const migrations = loadMigrations();
+    const onMigration = (m, direction) => console.log(`🔧 [MIGRATION] ${label(m)} ${direction}`);
+
+    if (command === "status") {
+        await printStatus(migrations);
+        return;
+    }
+
+    if (command === "up") {
+        const { pending } = await migrationStatus(db, migrations);
+        if (pending.length === 0) {
+            console.log("✅ [MIGRATION] 적용할 마이그레이션이 없습니다");
+            return;
+        }
+        await backupFirst(migrations);
+        const applied = await migrate(db, migrations, { target, onMigration, context });
+        console.log(`✅ [MIGRATION] ${applied.length}개 적용`);
+    } else if (command === "down") {
+        await backupFirst(migrations);
+        const reverted = await rollback(db, migrations, { target, onMigration, context });
+        console.log(`✅ [MIGRATION] ${reverted.length}개 되돌림`);
+    } else {
+        throw new MigrationError("INVALID_COMMAND", `알 수 없는 명령: ${command} (status | up | down)`);
+    }
+
+    await printStatus(migrations);
+}
+
+main()
+    .catch((err) => {
+        console.error(`❌ [MIGRATION] ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -1,96 +1,210 @@
 const express = require('express');
 const cors = require('cors');
-const sqlite3 = require('sqlite3').verbose();
-const busboy = require("busboy");
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
-const { promisify } = require('util');
-
-const app = express();
+const { getConfig } = require("./lib/config");
 
 // =======================
-// 서버 설정
+// 서버 설정 (lib/config.js - 환경변수 / config.json / 프로필)
 // =======================
-const myHost = "172.20.10.8";
-const PORT = 8011;
+// 설정을 모듈 상수로 읽는 lib 들(lib/trash.js, lib/jobQueue.js 등)보다 먼저 - 잘못된 값이면 여기서 종료
+// 응답의 URL 은 모두 publicBaseUrl 기준 - 모든 인터페이스에서 받을 때는 직접 지정해야 한다 (스크립트는 URL 을 만들지 않음)
+let config;
+try {
+    config = getConfig();
+    if (!config.publicBaseUrl) {
+        throw new Error(`host 가 ${config.host} 이면 publicBaseUrl (PUBLIC_BASE_URL) 이 필요합니다 - 클라이언트가 접속하는 주소 (예: http://192.168.0.10:${config.port})`);
+    }
+} catch (err) {
+    console.error("❌ 설정 오류:", err.message);
+    process.exit(1);
+}
+
+const { createResumableRouter, UploadError } = require("./lib/resumableUpload");
+const { removeTempFile, prepareTempDir, parseMultipartUpload } = require("./lib/uploadStream");
+const { thumbnailKeys, thumbnailFileKeys, removeThumbnails, generateThumbnails } = require("./lib/thumbnails");
+const {
+    StorageError,
+    keyFromRequestPath,
+    createStorageFromConfig,
+} = require("./lib/storage");
+const { MediaError, serveMedia } = require("./lib/mediaServing");
+const { RenderError, parseRenderOptions, renderedName, createRenderCache } = require("./lib/imageRender");
+const {
+    TRANSCODE_ENABLED,
+    HLS_MASTER_FILE,
+    WEB_MP4_FILE,
+    RENDITIONS_BACKFILL_SQL,
+    PENDING_RENDITIONS_SQL,
+    renditionKey,
+    renditionContentType,
+    parseRenditionFiles,
+    removeRenditions,
+    withAccessToken,
+    transcodeVideo,
+} = require("./lib/transcode");
+const {
+    JOB_INSERT_SQL,
+    JobError,
+    jobInsertParams,
+    formatJob,
+    parseJobFilters,
+    createJobQueue,
+} = require("./lib/jobQueue");
+const { migrateOnStartup } = require("./lib/migrations");
+const { openDatabase } = require("./lib/db");
+const { createMediaRepository } = require("./lib/mediaRepository");
+const { createAlbumRepository } = require("./lib/albumRepository");
+const { createShareLinkRepository } = require("./lib/shareLinkRepository");
+const { createUserRepository } = require("./lib/userRepository");
+const {
+    METADATA_INSERT_SQL,
+    metadataParams,
+    formatMetadata,
+    extractMetadata,
+} = require("./lib/metadata");
+const { FileTypeError, verifyFileType, storedFileName, readFileHead } = require("./lib/fileSniffer");
+const {
+    ACCESS_TOKEN_TTL_SEC,
+    AuthError,
+    loadAuthSecret,
+    hashPassword,
+    verifyPassword,
+    validateCredentials,
+    hashToken,
+    createRefreshToken,
+    createAuth,
+} = require("./lib/auth");
+const {
+    quotaPolicy,
+    quotaUsageSql,
+    QuotaError,
+    quotaUsage,
+    uploadCharge,
+    checkQuota,
+    parseQuotaBytes,
+} = require("./lib/quota");
+const {
+    ShareError,
+    createShareToken,
+    parseShareOptions,
+    checkShareAccess,
+    createShareDownloadTokens,
+    formatShareLink,
+} = require("./lib/shareLinks");
+const {
+    AlbumError,
+    albumFolder,
+    validateAlbumName,
+    validateDescription,
+    parseMediaTransfer,
+    moveStoredFile,
+} = require("./lib/albums");
+const {
+    PaginationError,
+    parsePageParams,
+    pageResult,
+} = require("./lib/pagination");
+const {
+    SEARCH_SORTS,
+    SearchError,
+    endOfDay,
+    parseSearchParams,
+    searchFromClause,
+    facetQueries,
+    formatFacets,
+} = require("./lib/search");
+const {
+    TAG_SUMMARY_SQL,
+    TagError,
+    normalizeTagName,
+    parseTagList,
+    parseMediaUpdate,
+    parseBulkTagRequest,
+    formatAnnotations,
+    formatTag,
+} = require("./lib/tags");
+const {
+    TRASH_RETENTION_DAYS,
+    TRASH_PURGE_INTERVAL_MS,
+    EXPIRED_TRASH_SQL,
+    TRASH_SORTS,
+    TrashError,
+    parseTrashSelection,
+    trashedMediaCondition,
+    formatTrashFields,
+} = require("./lib/trash");
+const { checkIntegrity, summarizeReport } = require("./lib/integrity");
+const { HASH_CHECK_MAX, HASH_LINK_MAX, DedupError, parseHashList, parseLinkRequest } = require("./lib/dedup");
+
+const app = express();
+
+// 토큰 서명 키 (AUTH_SECRET 환경변수 또는 authSecretFile)
+const authSecret = loadAuthSecret(config.authSecretFile);
+const auth = createAuth(authSecret);
+const shareDownloadTokens = createShareDownloadTokens(authSecret);
 
 // =======================
 // 업로드 폴더
 // =======================
-const uploadDir = path.join(__dirname, "uploads");
+const uploadDir = config.uploadDir;
 if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir);
-    console.log("✅ uploads 폴더 생성 완료");
+    fs.mkdirSync(uploadDir, { recursive: true });
+    console.log(`✅ 업로드 폴더 생성 완료: ${uploadDir}`);
 }
 
+// 업로드 임시 폴더 (같은 파일시스템이라 rename으로 이동 가능)
+const incomingTempDir = path.join(uploadDir, ".tmp", "incoming");
+const resumableTempDir = path.join(uploadDir, ".tmp", "resumable");
+const thumbnailWorkDir = path.join(uploadDir, ".tmp", "thumbnails");
+const transcodeWorkDir = path.join(uploadDir, ".tmp", "transcode");
+prepareTempDir(incomingTempDir);
+
+// 파일 저장소 (STORAGE_DRIVER=local|s3) - file_storage.file_path 는 이 저장소의 키
+const fileStore = createStorageFromConfig(config);
+
+// 이미지 변환 결과 캐시 (저장소 드라이버와 상관없이 로컬 디스크)
+const renderCache = createRenderCache({
+    fileStore,
+    cacheDir: config.renderCacheDir,
+});
+
+// 스트리밍 저장이라 파일 크기가 메모리 사용량에 영향을 주지 않음
+const MAX_FILE_SIZE = config.maxFileSize;
+const MAX_BATCH_FILES = config.maxBatchFiles;
+
 // =======================
-// SQLite (sqlite3)
+// SQLite (DB_DRIVER=sqlite3 | better-sqlite3)
 // =======================
-const dbPath = path.join(__dirname, "media.db");
 let db;
 
 try {
-    db = new sqlite3.Database(dbPath, (err) => {
-        if (err) {
-            console.error("❌ DB 연결 실패:", err.message);
-            process.exit(1);
-        }
-        console.log("✅ SQLite 데이터베이스 연결 성공 (sqlite3)");
-    });
+    db = openDatabase(config.dbPath, { driver: config.dbDriver });
 } catch (err) {
     console.error("❌ DB 연결 실패:", err.message);
     process.exit(1);
 }
 
-// DB 메서드를 Promise로 변환 (lastID 지원)
-const dbRun = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
-        db.run(sql, params, function(err) {
-            if (err) reject(err);
-            else resolve(this); // this 컨텍스트에 lastID, changes 포함
-        });
-    });
-};
+// 테이블별 조회/수정 (lib/*Repository.js) - 라우트에는 SQL 을 두지 않는다
+const mediaRepo = createMediaRepository(db);
+const albumRepo = createAlbumRepository(db);
+const shareRepo = createShareLinkRepository(db);
+const userRepo = createUserRepository(db);
 
-const dbGet = promisify(db.get.bind(db));
-const dbAll = promisify(db.all.bind(db));
+// 스키마는 migrations/ 의 번호 순 마이그레이션으로 관리 (lib/migrations.js)
 
-// 테이블 초기화
+// 테이블 초기화: 마이그레이션 (적용할 것이 있으면 백업 먼저) → 이전 버전 데이터 보정
 const initDatabase = async () => {
     try {
-        // file_storage 테이블
-        await dbRun(`
-            CREATE TABLE IF NOT EXISTS file_storage (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                file_hash TEXT UNIQUE NOT NULL,
-                saved_name TEXT NOT NULL,
-                file_path TEXT NOT NULL,
-                file_size INTEGER NOT NULL,
-                mime_type TEXT NOT NULL,
-                file_type TEXT NOT NULL,
-                ref_count INTEGER DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // uploaded_media 테이블
-        await dbRun(`
-            CREATE TABLE IF NOT EXISTS uploaded_media (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                storage_id INTEGER NOT NULL,
-                original_name TEXT NOT NULL,
-                album_name TEXT DEFAULT 'Default',
-                album_path TEXT,
-                uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (storage_id) REFERENCES file_storage(id) ON DELETE CASCADE
-            )
-        `);
-
-        // 인덱스 생성
-        await dbRun(`CREATE INDEX IF NOT EXISTS idx_file_hash ON file_storage(file_hash)`);
-        await dbRun(`CREATE INDEX IF NOT EXISTS idx_storage_id ON uploaded_media(storage_id)`);
-        await dbRun(`CREATE INDEX IF NOT EXISTS idx_album_name ON uploaded_media(album_name)`);
+        await db.ready;
+        console.log(`✅ SQLite 데이터베이스 연결 성공 (${db.driver})`);
+
+        const schema = await migrateOnStartup(db, { backupDir: config.backupDir, context: { uploadDir } });
+        console.log(`✅ DB 스키마 버전 ${schema.current}`);
+
+        if (TRANSCODE_ENABLED) await db.run(RENDITIONS_BACKFILL_SQL);
+        await bootstrapAdmin();
 
         console.log("✅ 참조 카운팅 테이블 준비 완료");
     } catch (err) {
@@ -99,43 +213,64 @@ const initDatabase = async () => {
     }
 };
 
-initDatabase();
+initDatabase().then(startJobQueue);
 
 // =======================
 // 미들웨어
 // =======================
 app.use(cors());
-app.use(express.json({ limit: "200mb" }));
-app.use('/uploads', express.static(uploadDir));
+app.use(express.json({ limit: config.jsonBodyLimit }));
+// 저장소 파일 (원본/썸네일) - 경로는 저장소 키
+// 키는 추측할 수 있으므로 내 미디어(휴지통 포함)가 참조하는 파일/썸네일만 (아니면 없는 파일과 같은 404)
+app.use("/uploads", auth.requireMediaAuth, async (req, res, next) => {
+    const key = keyFromRequestPath(req.path);
+    if ((req.method !== "GET" && req.method !== "HEAD") || !key) return next();
+
+    try {
+        if (!(await storageKeyOwnedBy(key, req.user.id))) {
+            return res.status(404).json({ success: false, code: "FILE_NOT_FOUND", message: "파일을 찾을 수 없습니다" });
+        }
+    } catch (err) {
+        return next(err);
+    }
+    sendStoredFile(req, res, key);
+});
 
 app.use((req, res, next) => {
     console.log('\n========================================');
     console.log(`[${new Date().toLocaleString("ko-KR")}]`);
-    console.log(`요청: ${req.method} ${req.url}`);
+    console.log(`요청: ${req.method} ${req.url.replace(/(access_token|password)=[^&]+/g, "$1=***")}`);
     console.log('========================================');
     next();
 });
 
+// 업로드 API는 모두 로그인 필요
+app.use("/api/upload", auth.requireAuth);
+
 // =======================
 // 유틸
 // =======================
+// MIME 이 없을 때의 확장자 목록은 설정 (imageExtensions / videoExtensions)
 function getFileType(mimeType, filename = "") {
     if (mimeType.startsWith("image/")) return "image";
     if (mimeType.startsWith("video/")) return "video";
 
     if (mimeType === "application/octet-stream" && filename) {
         const ext = path.extname(filename).toLowerCase();
-        const imageExts = [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".webp", ".heic", ".heif"];
-        if (imageExts.includes(ext)) return "image";
-        const videoExts = [".mp4", ".mov", ".avi", ".mkv", ".webm", ".flv", ".wmv", ".m4v"];
-        if (videoExts.includes(ext)) return "video";
+        if (config.imageExtensions.includes(ext)) return "image";
+        if (config.videoExtensions.includes(ext)) return "video";
     }
 
     return "unknown";
 }
 
+// 허용 목록에 없는 확장자는 application/octet-stream (실제 형식은 내용으로 다시 확인)
 function guessMimeType(filename) {
     const ext = path.extname(filename).toLowerCase();
+    if (!config.imageExtensions.includes(ext) && !config.videoExtensions.includes(ext)) {
+        return "application/octet-stream";
+    }
+
     const mimeTypes = {
         ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png",
         ".gif": "image/gif", ".bmp": "image/bmp", ".webp": "image/webp",
@@ -154,314 +289,1586 @@ function formatFileSize(bytes) {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + " " + sizes[i];
 }
 
-function calculateHash(buffer) {
-    return crypto.createHash("md5").update(buffer).digest("hex");
+function calculateFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("md5");
+        fs.createReadStream(filePath)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("error", reject)
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+// 새 파일의 저장소 키: <소유자 id>/<앨범 폴더>/<시각>_<파일 이름>
+// 확장자는 판별한 형식(format) 기준 - 클라이언트가 붙인 확장자가 다르면 바꾼다
+function newStorageKey(ownerId, albumName, originalName, format) {
+    const safeName = storedFileName(originalName, format).replace(/[^a-zA-Z0-9가-힣._-]/g, "_");
+    const savedName = `${Date.now()}_${safeName}`;
+    return { savedName, key: `${albumFolder(ownerId, albumName)}/${savedName}` };
+}
+
+// 원본/썸네일 공개 URL (실제 위치인 file_storage.file_path 키 기준)
+function fileUrl(key) {
+    return `${config.publicBaseUrl}/uploads/${encodeURIComponent(key)}`;
+}
+
+// 미디어 원본 URL (Range / ETag 지원, 소유자만)
+function mediaUrl(mediaId) {
+    return `${config.publicBaseUrl}/api/media/${mediaId}`;
+}
+
+// 저장소 파일 응답 (전송 도중 오류면 연결만 끊음)
+async function sendStoredFile(req, res, key, options) {
+    try {
+        await fileStore.send(req, res, key, options);
+    } catch (err) {
+        if (res.headersSent) return res.destroy(err);
+
+        const status = err instanceof StorageError ? err.status : 500;
+        if (status >= 500) console.error(`❌ [STORAGE ERROR] ${key}:`, err.message);
+        res.status(status).json({ success: false, code: err.code, message: err.message });
+    }
+}
+
+// 저장소 키가 ownerId 의 미디어가 참조하는 원본 또는 그 썸네일/포스터인지
+// 썸네일 키: <앨범>/thumbnails/<storageId>_<size>.jpg (lib/thumbnails.js)
+async function storageKeyOwnedBy(key, ownerId) {
+    if (await mediaRepo.findOwnedStorageByKey(key, ownerId)) return true;
+
+    const match = /\/thumbnails\/(\d+)_[a-z]+\.jpg$/.exec(key);
+    if (!match) return false;
+
+    const storageId = Number(match[1]);
+    const storage = await mediaRepo.getStorage(storageId);
+    return !!storage
+        && thumbnailFileKeys(storage.id, storage.file_path).includes(key)
+        && (await mediaRepo.isReferencedBy(storage.id, ownerId));
 }
 
-function sanitizeFolderName(name) {
-    return name.replace(/[^a-zA-Z0-9가-힣._-]/g, "_");
+// ADMIN_USERNAME (+ 처음이면 ADMIN_PASSWORD) 가 있으면 그 계정을 관리자로 (없으면 생성) - 매번 실행해도 같은 결과
+// 컨테이너처럼 scripts/create-admin.js 를 따로 실행하기 어려운 배포용
+async function bootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    if (!username) return;
+
+    const { user, created, promoted, adoptedMedia } = await userRepo.createAdmin({ username, password: process.env.ADMIN_PASSWORD });
+    if (created || promoted) {
+        console.log(`👤 [ADMIN] ${user.username} (User ID: ${user.id}) ${created ? "관리자 생성" : "관리자로 변경"}`);
+    }
+    if (adoptedMedia > 0) {
+        console.log(`📦 [ADOPT] 기존 미디어 ${adoptedMedia}개를 ${user.username}에게 귀속`);
+    }
 }
 
-function ensureAlbumFolder(albumName) {
-    const safeName = sanitizeFolderName(albumName);
-    const albumPath = path.join(uploadDir, safeName);
-    if (!fs.existsSync(albumPath)) {
-        fs.mkdirSync(albumPath, { recursive: true });
-        console.log(`📁 앨범 폴더 생성: ${safeName}`);
+// 참조 해제(mediaRepo.releaseStorageRefs)로 지워진 file_storage 행의 파일/썸네일/변환 결과/캐시 삭제
+async function removeStoredFiles(files) {
+    let deletedFiles = 0;
+    let failedFiles = 0;
+
+    for (const file of files) {
+        try {
+            if (await fileStore.remove(file.file_path)) deletedFiles++;
+        } catch (err) {
+            failedFiles++;
+            console.error(`⚠️ [FILE DELETE FAILED] ${file.file_path}:`, err.message);
+        }
+        await removeThumbnails(fileStore, file.id, file.file_path);
+        await removeRenditions(fileStore, parseRenditionFiles(file.rendition_files));
+        renderCache.invalidate(file.file_hash);
     }
-    return { safeName, albumPath };
+
+    return { deletedFiles, failedFiles };
 }
 
 // =======================
-// 미디어 업로드 (참조 카운팅)
+// 휴지통 영구 삭제 / 복원
 // =======================
-app.post("/api/upload/media", (req, res) => {
-    console.log("🔵 [UPLOAD START] 업로드 요청 시작");
-
-    const bb = busboy({
-        headers: req.headers,
-        limits: { fileSize: 200 * 1024 * 1024 },
+// condition: uploaded_media 조건 (별칭 없이, 휴지통 항목만 고르는 조건이어야 함)
+// 공유 링크/태그/대표 이미지 연결을 지우고 참조를 해제한다 - ref_count 가 0 이 되어 파일이 지워지는 곳은 여기뿐.
+// 파일 삭제는 같은 트랜잭션에서 "remove-files" 작업으로 등록해 백그라운드에서 한다 (ownerId: 작업 소유자)
+async function purgeMedia(condition, ownerId = null) {
+    const { purgedMedia, released, cleanupJobId } = await db.transaction(async () => {
+        const deleted = await mediaRepo.deleteMedia(condition);
+
+        let jobId = null;
+        if (deleted.released.length > 0) {
+            const job = await db.run(JOB_INSERT_SQL, jobInsertParams("remove-files", { files: deleted.released }, { ownerId }));
+            jobId = job.lastID;
+        }
+        return { ...deleted, cleanupJobId: jobId };
     });
 
-    let fileData;
-    let fileInfo;
-    let fileType;
-    let albumName = "Default";
-    let hasError = false;
-    let errorMessage = "";
+    if (cleanupJobId) jobQueue.wake();
+    return { purgedMedia, deletedStorage: released.length, cleanupJobId };
+}
+
+// 휴지통 항목 복원 - 그 사이 앨범이 삭제됐으면 같은 이름으로 다시 만든다
+async function restoreMedia(ownerId, mediaIds) {
+    const condition = trashedMediaCondition(ownerId, mediaIds);
+
+    return db.transaction(async () => {
+        const rows = await mediaRepo.listTrashed(condition);
+        const restored = [];
 
-    bb.on("field", (name, val) => {
-        if (name === "album") {
-            albumName = val || "Default";
-            console.log(`📁 [ALBUM] 앨범: ${albumName}`);
+        for (const media of rows) {
+            let albumId = media.album_id;
+            if (!(await albumRepo.getOwned(albumId, ownerId))) {
+                albumId = (await albumRepo.findOrCreate(ownerId, media.album_name || "Default")).id;
+            }
+            await mediaRepo.restoreMedia(media.id, albumId);
+            restored.push(media.id);
         }
+
+        return restored;
     });
+}
 
-    bb.on("file", (fieldname, file, info) => {
-        const { filename, mimeType } = info;
-        const decodedFilename = Buffer.from(filename, "latin1").toString("utf8");
-        
-        fileType = getFileType(mimeType, decodedFilename);
-        if (fileType === "unknown") {
-            hasError = true;
-            errorMessage = `지원하지 않는 파일 형식: ${mimeType}`;
-            file.resume();
-            return;
+// 보관 기간이 지난 휴지통 항목 자동 정리 ("purge-trash" 작업)
+async function purgeExpiredTrash() {
+    const result = await purgeMedia({ sql: EXPIRED_TRASH_SQL, params: [] });
+    if (result.purgedMedia > 0) {
+        console.log(
+            `🧹 [TRASH PURGE] ${TRASH_RETENTION_DAYS}일 지난 미디어 ${result.purgedMedia}개 영구 삭제 (파일 ${result.deletedStorage}개 정리 예약)`
+        );
+    }
+    return result;
+}
+
+// =======================
+// 백그라운드 작업 (lib/jobQueue.js)
+// =======================
+const jobQueue = createJobQueue({
+    db,
+    handlers: {
+        // 썸네일 생성 - 재시도 후에도 실패하면 thumbnail_status = failed
+        thumbnail: {
+            maxAttempts: 3,
+            run: async ({ storageId }) => {
+                const storage = await mediaRepo.getStorage(storageId);
+                if (!storage) return { skipped: true };
+
+                await generateThumbnails(fileStore, thumbnailWorkDir, storage);
+
+                // 생성 도중 삭제된 파일이면 방금 만든 썸네일 정리
+                if (!(await mediaRepo.setThumbnailStatus(storageId, "ready"))) {
+                    await removeThumbnails(fileStore, storage.id, storage.file_path);
+                    return { skipped: true };
+                }
+                console.log(`🖼️ [THUMBNAIL] Storage ID ${storageId} 썸네일 생성 완료`);
+                return { storageId };
+            },
+            failed: ({ storageId }) => mediaRepo.setThumbnailStatus(storageId, "failed"),
+        },
+
+        // 동영상 변환 - 오래 걸리므로 한 번에 하나씩 (썸네일과는 동시에 실행)
+        transcode: {
+            maxAttempts: 3,
+            run: async ({ storageId }) => {
+                const storage = await db.get(
+                    `SELECT s.id, s.file_path, s.file_type
+                     FROM file_storage s JOIN video_renditions r ON r.storage_id = s.id
+                     WHERE s.id = ?`,
+                    [storageId]
+                );
+                if (!storage || !(await updateRendition(storageId, "processing"))) return { skipped: true };
+
+                const startedAt = Date.now();
+                let files;
+                try {
+                    files = await transcodeVideo(fileStore, transcodeWorkDir, storage);
+                } catch (err) {
+                    // 재시도 대기 (마지막 시도였으면 failed 에서 failed 로 바꿈)
+                    await updateRendition(storageId, "pending", { error: err.message });
+                    throw err;
+                }
+
+                // 변환 도중 삭제된 파일이면 방금 올린 결과 정리
+                if (!(await updateRendition(storageId, "ready", { files }))) {
+                    await removeRenditions(fileStore, files);
+                    return { skipped: true };
+                }
+                console.log(`🎬 [TRANSCODE] Storage ID ${storageId} 변환 완료 (${files.length}개 파일, ${Math.round((Date.now() - startedAt) / 1000)}초)`);
+                return { storageId, files: files.length };
+            },
+            failed: ({ storageId }, err) => updateRendition(storageId, "failed", { error: err.message }),
+        },
+
+        // 영구 삭제된 파일/썸네일/변환 결과 정리 (지우지 못한 파일이 있으면 재시도)
+        "remove-files": {
+            run: async ({ files }) => {
+                const result = await removeStoredFiles(files);
+                if (result.failedFiles > 0) {
+                    throw new Error(`파일 ${result.failedFiles}개를 삭제하지 못했습니다`);
+                }
+                return result;
+            },
+        },
+
+        "purge-trash": {
+            run: () => purgeExpiredTrash(),
+        },
+
+        // 보관 기간이 지난 끝난 작업 정리
+        "prune-jobs": {
+            run: async () => ({ deletedJobs: await jobQueue.prune() }),
+        },
+
+        "integrity-check": {
+            maxAttempts: 1,
+            run: async ({ repair = false, verifyHashes = true }) => {
+                const report = await checkIntegrity(db, {
+                    fileStore,
+                    repair: repair === true,
+                    verifyHashes: verifyHashes !== false,
+                });
+                console.log(`🔍 [INTEGRITY]${report.dryRun ? " (dry-run)" : ""} ${summarizeReport(report)}`);
+                return report;
+            },
+        },
+    },
+});
+
+// 요청 처리 중 작업 등록 (실패해도 요청은 성공 - 상태 컬럼이 pending 으로 남아 재시작 시 다시 등록됨)
+async function enqueueJob(type, payload, options) {
+    try {
+        return await jobQueue.enqueue(type, payload, options);
+    } catch (err) {
+        console.error(`⚠️ [JOB ENQUEUE ERROR] ${type}:`, err.message);
+        return null;
+    }
+}
+
+// 새 파일 후속 작업: 썸네일 + (동영상이면) 변환
+async function enqueueStorageJobs(storage) {
+    await enqueueJob("thumbnail", { storageId: storage.id }, { dedupeKey: `thumbnail:${storage.id}` });
+    if (storage.transcode_status) {
+        await enqueueJob("transcode", { storageId: storage.id }, { dedupeKey: `transcode:${storage.id}` });
+    }
+}
+
+// 서버 시작: 중단된 작업 복구 → 작업이 없는 대기 상태 행 등록 (이전 버전에서 올라온 파일 포함) → 정기 작업
+async function startJobQueue() {
+    try {
+        const recovered = await jobQueue.recover();
+        if (recovered > 0) {
+            console.log(`⚙️ [JOB] 중단된 작업 ${recovered}개 다시 대기열로`);
         }
 
-        let actualMimeType = mimeType;
-        if (mimeType === "application/octet-stream") {
-            actualMimeType = guessMimeType(decodedFilename);
+        const thumbnails = await mediaRepo.pendingThumbnails();
+        for (const row of thumbnails) {
+            await jobQueue.enqueue("thumbnail", { storageId: row.id }, { dedupeKey: `thumbnail:${row.id}` });
+        }
+        if (thumbnails.length > 0) {
+            console.log(`🖼️ [THUMBNAIL] 대기 중인 썸네일 ${thumbnails.length}개 생성 예약`);
         }
 
-        const chunks = [];
-        file.on("data", (chunk) => chunks.push(chunk));
-        file.on("error", (err) => {
-            hasError = true;
-            errorMessage = `파일 읽기 오류: ${err.message}`;
-        });
-        file.on("end", () => {
-            fileData = Buffer.concat(chunks);
-            fileInfo = {
-                originalName: decodedFilename,
-                mimeType: actualMimeType,
-                size: fileData.length,
-            };
-        });
-    });
+        if (TRANSCODE_ENABLED) {
+            const videos = await db.all(PENDING_RENDITIONS_SQL);
+            for (const row of videos) {
+                await jobQueue.enqueue("transcode", { storageId: row.id }, { dedupeKey: `transcode:${row.id}` });
+            }
+            if (videos.length > 0) {
+                console.log(`🎬 [TRANSCODE] 대기 중인 동영상 변환 ${videos.length}개 예약`);
+            }
+        }
+    } catch (err) {
+        console.error("⚠️ [JOB QUEUE START ERROR]", err.message);
+    }
 
-    bb.on("finish", async () => {
-        if (hasError || !fileData) {
-            return res.status(400).json({
-                success: false,
-                message: errorMessage || "파일 업로드 실패",
-            });
+    scheduleMaintenance();
+    jobQueue.start();
+}
+
+// 정기 작업 (휴지통 자동 정리, 끝난 작업 정리)
+function scheduleMaintenance() {
+    const enqueueMaintenance = () => {
+        if (TRASH_RETENTION_DAYS > 0) enqueueJob("purge-trash", {}, { dedupeKey: "purge-trash" });
+        enqueueJob("prune-jobs", {}, { dedupeKey: "prune-jobs" });
+    };
+    enqueueMaintenance();
+    setInterval(enqueueMaintenance, TRASH_PURGE_INTERVAL_MS).unref();
+}
+
+// 응답용 썸네일 필드 (준비 전이면 URL은 null)
+function thumbnailFields(storageId, fileKey, status) {
+    let thumbnails = null;
+
+    if (status === "ready") {
+        thumbnails = {};
+        for (const [size, thumbKey] of Object.entries(thumbnailKeys(storageId, fileKey))) {
+            thumbnails[size] = fileUrl(thumbKey);
         }
+    }
 
-        const fileHash = calculateHash(fileData);
-        console.log(`🔐 [HASH] ${fileHash}`);
+    return {
+        thumbnailUrl: thumbnails ? thumbnails.medium : null,
+        thumbnails,
+        thumbnailStatus: status,
+    };
+}
 
-        try {
-            // 트랜잭션 시작
-            await dbRun("BEGIN TRANSACTION");
+// =======================
+// 동영상 변환 상태 ("transcode" 작업이 갱신)
+// =======================
+// → 행이 아직 있으면 true (없으면 변환 도중 원본이 삭제된 것)
+async function updateRendition(storageId, status, { files, error } = {}) {
+    const result = await db.run(
+        `UPDATE video_renditions
+         SET status = ?,
+             files = COALESCE(?, files),
+             error = ?,
+             attempts = attempts + (CASE WHEN ? = 'processing' THEN 1 ELSE 0 END),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE storage_id = ?`,
+        [status, files ? JSON.stringify(files) : null, error || null, status, storageId]
+    );
+    return result.changes > 0;
+}
+
+// 재생 URL (HLS 재생목록 / 웹 MP4, 변환 완료 전이면 null)
+function playbackUrl(mediaId, file) {
+    return `${config.publicBaseUrl}/api/media/${mediaId}/stream/${file}`;
+}
+
+function playbackFields(mediaId, fileType, status) {
+    const ready = fileType === "video" && status === "ready";
+    return {
+        transcodeStatus: fileType === "video" ? status || null : null,
+        playbackUrl: ready ? playbackUrl(mediaId, HLS_MASTER_FILE) : null,
+        webMp4Url: ready ? playbackUrl(mediaId, WEB_MP4_FILE) : null,
+    };
+}
+
+// 사용자 한도 + 현재 사용량 (정책은 QUOTA_POLICY)
+async function getQuotaUsage(userId) {
+    return quotaUsage(await db.get(quotaUsageSql(), [userId, userId]));
+}
+
+// =======================
+// 업로드 확정 (해시 중복 확인 + 참조 카운팅)
+// =======================
+// sourcePath: 업로드된 임시 파일 - 새 파일일 때만 트랜잭션 전에 저장소에 넣는다
+//   (S3 업로드가 느려도 트랜잭션을 오래 잡지 않도록. 임시 파일 정리는 호출 측)
+// metadata: 업로드 시 추출한 촬영 정보 (새 파일이거나 아직 없을 때만 저장)
+// format: 판별한 형식 (lib/fileSniffer.js) - 저장 이름의 확장자를 맞춘다
+async function commitMedia({ ownerId, fileHash, fileType, format, albumName, originalName, mimeType, size, metadata, sourcePath }) {
+    // 폴더 이름으로 쓸 수 없는 앨범 이름은 트랜잭션 전에 거부
+    albumName = validateAlbumName(albumName);
+
+    // 새 파일이면 먼저 저장소에 배치
+    let placed = null;
+    if (!(await mediaRepo.storageExists(fileHash))) {
+        placed = newStorageKey(ownerId, albumName, originalName, format);
+        await fileStore.put(placed.key, sourcePath, { contentType: mimeType });
+    }
 
+    let committed;
+    try {
+        committed = await db.transaction(async () => {
             // 1. file_storage에서 해시 확인
-            let storage = await dbGet(
-                "SELECT * FROM file_storage WHERE file_hash = ?",
-                [fileHash]
-            );
+            let storage = await mediaRepo.findStorageByHash(fileHash);
 
+            // 저장 공간 한도 확인 (파일 배치 전 - 초과하면 ROLLBACK)
+            const alreadyReferenced = storage && (await mediaRepo.isReferencedBy(storage.id, ownerId));
+            checkQuota(await getQuotaUsage(ownerId), uploadCharge({ size, storage, alreadyReferenced }));
+
+            const isDuplicate = !!storage;
             if (storage) {
                 // 기존 파일 존재 - 참조 카운트 증가
                 console.log(`♻️ [REUSE] 기존 파일 재사용 (ref_count: ${storage.ref_count} → ${storage.ref_count + 1})`);
-                
-                await dbRun(
-                    "UPDATE file_storage SET ref_count = ref_count + 1 WHERE id = ?",
-                    [storage.id]
-                );
-                
+
+                await mediaRepo.addStorageRef(storage.id);
                 storage.ref_count += 1;
-            } else {
-                // 새 파일 - 물리적으로 저장
+            } else if (placed) {
+                // 새 파일 - 저장소에 배치한 키로 등록
                 console.log(`💾 [NEW FILE] 새 파일 저장`);
-                
-                const { safeName: safeAlbumName } = ensureAlbumFolder(albumName);
-                const timestamp = Date.now();
-                const safeName = fileInfo.originalName.replace(/[^a-zA-Z0-9가-힣._-]/g, "_");
-                const savedName = `${timestamp}_${safeName}`;
-                const relativePath = path.join(safeAlbumName, savedName);
-                const filePath = path.join(uploadDir, relativePath);
-
-                fs.writeFileSync(filePath, fileData);
-
-                const result = await dbRun(
-                    `INSERT INTO file_storage
-                     (file_hash, saved_name, file_path, file_size, mime_type, file_type, ref_count)
-                     VALUES (?, ?, ?, ?, ?, ?, 1)`,
-                    [fileHash, savedName, filePath, fileInfo.size, fileInfo.mimeType, fileType]
-                );
+
+                const { savedName, key: filePath } = placed;
+                const storageId = await mediaRepo.insertStorage({ fileHash, savedName, filePath, size, mimeType, fileType });
 
                 storage = {
-                    id: result.lastID,
+                    id: storageId,
                     file_hash: fileHash,
                     saved_name: savedName,
                     file_path: filePath,
-                    file_size: fileInfo.size,
-                    mime_type: fileInfo.mimeType,
+                    file_size: size,
+                    mime_type: mimeType,
                     file_type: fileType,
                     ref_count: 1,
+                    thumbnail_status: "pending",
+                    transcode_status: null,
                 };
+
+                // 동영상이면 변환 대기 등록 (커밋 후 큐에 넣음)
+                if (fileType === "video" && TRANSCODE_ENABLED) {
+                    await db.run("INSERT INTO video_renditions (storage_id) VALUES (?)", [storage.id]);
+                    storage.transcode_status = "pending";
+                }
+            } else {
+                throw new Error("중복 확인 후 기존 파일이 삭제되었습니다. 다시 시도하세요");
             }
 
-            // 2. uploaded_media에 메타데이터 추가
-            const { safeName: safeAlbumName } = ensureAlbumFolder(albumName);
-            const albumPath = path.join(safeAlbumName, storage.saved_name);
-            
-            const mediaResult = await dbRun(
-                `INSERT INTO uploaded_media
-                 (storage_id, original_name, album_name, album_path)
-                 VALUES (?, ?, ?, ?)`,
-                [storage.id, fileInfo.originalName, albumName, albumPath]
+            // 2. 촬영 메타데이터 저장
+            if (metadata) {
+                await db.run(METADATA_INSERT_SQL, metadataParams(storage.id, metadata));
+            }
+            const storedMetadata = await db.get(
+                "SELECT * FROM media_metadata WHERE storage_id = ?",
+                [storage.id]
             );
 
-            // 트랜잭션 커밋
-            await dbRun("COMMIT");
-
-            console.log(`✅ [SUCCESS] 업로드 완료`);
-            console.log(`   - Storage ID: ${storage.id} (ref_count: ${storage.ref_count})`);
-            console.log(`   - Media ID: ${mediaResult.lastID}`);
-
-            res.json({
-                success: true,
-                data: {
-                    id: mediaResult.lastID,
-                    storageId: storage.id,
-                    originalName: fileInfo.originalName,
-                    savedName: storage.saved_name,
-                    fileType,
-                    fileHash,
-                    albumName,
-                    albumPath: albumPath,
-                    size: fileInfo.size,
-                    refCount: storage.ref_count,
-                    url: `http://${myHost}:${PORT}/uploads/${encodeURIComponent(albumPath)}`,
-                },
+            // 3. uploaded_media에 메타데이터 추가
+            const album = await albumRepo.findOrCreate(ownerId, albumName);
+            const albumPath = path.join(albumFolder(ownerId, albumName), storage.saved_name);
+
+            const mediaId = await mediaRepo.insertMedia({
+                storageId: storage.id,
+                originalName,
+                albumName,
+                albumPath,
+                ownerId,
+                albumId: album.id,
             });
-        } catch (err) {
-            // 트랜잭션 롤백
-            await dbRun("ROLLBACK");
-            console.error(`❌ [DB ERROR]`, err);
-            res.status(500).json({ success: false, error: err.message });
+
+            return { storage, storedMetadata, album, albumPath, mediaId, isDuplicate };
+        });
+    } catch (err) {
+        if (placed) {
+            await fileStore.remove(placed.key).catch(removeErr =>
+                console.error(`⚠️ [FILE DELETE FAILED] ${placed.key}:`, removeErr.message));
+        }
+        throw err;
+    }
+
+    const { storage, storedMetadata, album, albumPath, mediaId, isDuplicate } = committed;
+    if (!isDuplicate) {
+        await enqueueStorageJobs(storage);
+    } else if (placed) {
+        // 배치하는 사이 같은 파일이 먼저 등록됨 - 배치한 파일은 필요 없음
+        await fileStore.remove(placed.key);
+    }
+
+    console.log(`✅ [SUCCESS] 업로드 완료`);
+    console.log(`   - Storage ID: ${storage.id} (ref_count: ${storage.ref_count})`);
+    console.log(`   - Media ID: ${mediaId}`);
+
+    return formatCommittedMedia({ mediaId, storage, storedMetadata, album, albumName, albumPath, originalName, isDuplicate });
+}
+
+// 업로드/연결 응답 (storage: file_storage 행 + transcode_status)
+function formatCommittedMedia({ mediaId, storage, storedMetadata, album, albumName, albumPath, originalName, isDuplicate }) {
+    return {
+        id: mediaId,
+        storageId: storage.id,
+        originalName,
+        savedName: storage.saved_name,
+        fileType: storage.file_type,
+        fileHash: storage.file_hash,
+        albumId: album.id,
+        albumName,
+        albumPath: albumPath,
+        size: storage.file_size,
+        refCount: storage.ref_count,
+        isDuplicate,
+        url: fileUrl(storage.file_path),
+        mediaUrl: mediaUrl(mediaId),
+        ...thumbnailFields(storage.id, storage.file_path, storage.thumbnail_status),
+        ...playbackFields(mediaId, storage.file_type, storage.transcode_status),
+        metadata: formatMetadata(storedMetadata || {}),
+    };
+}
+
+// =======================
+// 기존 파일 연결 (내용 전송 없이 uploaded_media 추가)
+// =======================
+// 내 라이브러리(휴지통 제외)에 이미 있는 해시만 연결할 수 있다 (lib/dedup.js)
+// originalName 이 없으면 저장된 파일 이름을 쓴다
+async function linkExistingMedia({ ownerId, fileHash, albumName, originalName }) {
+    albumName = validateAlbumName(albumName);
+
+    const committed = await db.transaction(async () => {
+        if (!(await mediaRepo.findOwnedStorageByHash(fileHash, ownerId))) {
+            throw new DedupError(404, "HASH_NOT_FOUND", "내 라이브러리에 없는 파일입니다. 파일을 업로드하세요");
         }
+        const storage = await mediaRepo.findStorageByHash(fileHash);
+
+        // 이미 내가 참조하는 파일이라 정책과 상관없이 추가 청구는 없지만 업로드와 같은 경로로 확인
+        checkQuota(await getQuotaUsage(ownerId), uploadCharge({ size: storage.file_size, storage, alreadyReferenced: true }));
+
+        await mediaRepo.addStorageRef(storage.id);
+        storage.ref_count += 1;
+
+        const storedMetadata = await db.get(
+            "SELECT * FROM media_metadata WHERE storage_id = ?",
+            [storage.id]
+        );
+
+        const album = await albumRepo.findOrCreate(ownerId, albumName);
+        const albumPath = path.join(albumFolder(ownerId, albumName), storage.saved_name);
+        originalName = originalName || storage.saved_name;
+
+        const mediaId = await mediaRepo.insertMedia({
+            storageId: storage.id,
+            originalName,
+            albumName,
+            albumPath,
+            ownerId,
+            albumId: album.id,
+        });
+
+        return { mediaId, storage, storedMetadata, album, albumName, albumPath, originalName, isDuplicate: true };
     });
 
-    req.pipe(bb);
-});
+    console.log(`🔗 [LINK] ${fileHash} → Media ID ${committed.mediaId} (ref_count: ${committed.storage.ref_count})`);
+    return formatCommittedMedia(committed);
+}
+
+// =======================
+// 사용자 인증
+// =======================
+function sendAuthError(res, err) {
+    if (err instanceof AuthError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [AUTH ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+// access token + refresh token 발급
+async function issueTokens(user) {
+    const refresh = createRefreshToken();
+    await db.run(
+        "INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+        [user.id, refresh.tokenHash, refresh.expiresAt]
+    );
+
+    return {
+        user: { id: user.id, username: user.username, role: user.role },
+        tokenType: "Bearer",
+        accessToken: auth.signAccessToken(user),
+        expiresIn: ACCESS_TOKEN_TTL_SEC,
+        refreshToken: refresh.token,
+        refreshTokenExpiresAt: refresh.expiresAt,
+    };
+}
+
+// 공개 가입은 항상 일반 사용자 (관리자는 scripts/create-admin.js 또는 ADMIN_USERNAME / ADMIN_PASSWORD)
+app.post("/api/auth/register", async (req, res) => {
+    const { username, password } = req.body || {};
+
+    try {
+        validateCredentials(username, password);
+        const passwordHash = await hashPassword(password);
+
+        // 동시에 같은 이름으로 가입하면 한쪽은 insertUser 의 UNIQUE 위반 → 409
+        const user = await db.transaction(async () => {
+            if (await userRepo.findByUsername(username)) {
+                throw new AuthError(409, "USERNAME_TAKEN", "이미 사용 중인 사용자 이름입니다");
+            }
+            return userRepo.insertUser({ username, passwordHash });
+        });
+        console.log(`👤 [REGISTER] ${username} (User ID: ${user.id}, ${user.role})`);
+
+        res.status(201).json({ success: true, data: await issueTokens(user) });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+app.post("/api/auth/login", async (req, res) => {
+    const { username, password } = req.body || {};
+
+    try {
+        const user = await db.get("SELECT * FROM users WHERE username = ?", [username || ""]);
+
+        // 사용자 존재 여부를 드러내지 않도록 같은 오류 사용
+        if (!user || !(await verifyPassword(String(password || ""), user.password_hash))) {
+            throw new AuthError(401, "INVALID_CREDENTIALS", "사용자 이름 또는 비밀번호가 올바르지 않습니다");
+        }
+
+        console.log(`🔓 [LOGIN] ${user.username} (User ID: ${user.id})`);
+        res.json({ success: true, data: await issueTokens(user) });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// refresh token 교체 발급 (사용한 토큰은 즉시 폐기)
+app.post("/api/auth/refresh", async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    try {
+        if (!refreshToken) {
+            throw new AuthError(400, "REFRESH_TOKEN_REQUIRED", "refreshToken이 필요합니다");
+        }
+
+        const stored = await db.get(
+            `SELECT t.*, u.username, u.role, t.expires_at <= CURRENT_TIMESTAMP as expired
+             FROM refresh_tokens t
+             JOIN users u ON u.id = t.user_id
+             WHERE t.token_hash = ?`,
+            [hashToken(refreshToken)]
+        );
+
+        if (!stored) {
+            throw new AuthError(401, "INVALID_REFRESH_TOKEN", "유효하지 않은 refresh token입니다");
+        }
+
+        // 이미 폐기된 토큰 재사용 = 탈취 의심 → 해당 사용자의 모든 토큰 폐기
+        if (stored.revoked_at) {
+            await db.run(
+                "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL",
+                [stored.user_id]
+            );
+            console.log(`🚨 [TOKEN REUSE] User ID ${stored.user_id} - 모든 refresh token 폐기`);
+            throw new AuthError(401, "REFRESH_TOKEN_REUSED", "이미 사용된 refresh token입니다. 다시 로그인하세요");
+        }
+
+        if (stored.expired) {
+            throw new AuthError(401, "REFRESH_TOKEN_EXPIRED", "refresh token이 만료되었습니다. 다시 로그인하세요");
+        }
+
+        await db.run("UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?", [stored.id]);
+
+        const user = { id: stored.user_id, username: stored.username, role: stored.role };
+        res.json({ success: true, data: await issueTokens(user) });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    try {
+        if (refreshToken) {
+            await db.run(
+                "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL",
+                [hashToken(refreshToken)]
+            );
+        }
+        res.json({ success: true, message: "로그아웃되었습니다" });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+app.get("/api/auth/me", auth.requireAuth, async (req, res) => {
+    try {
+        const user = await db.get(
+            "SELECT id, username, role, created_at FROM users WHERE id = ?",
+            [req.user.id]
+        );
+        if (!user) {
+            throw new AuthError(404, "USER_NOT_FOUND", "사용자를 찾을 수 없습니다");
+        }
+
+        res.json({
+            success: true,
+            data: { id: user.id, username: user.username, role: user.role, createdAt: user.created_at },
+        });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// =======================
+// 미디어 업로드 (참조 카운팅)
+// =======================
+function classifyUpload(filename, mimeType) {
+    const fileType = getFileType(mimeType, filename);
+    if (fileType === "unknown") {
+        return { status: 415, code: "UNSUPPORTED_FILE_TYPE", error: `지원하지 않는 파일 형식: ${mimeType}` };
+    }
+
+    return {
+        fileType,
+        mimeType: mimeType === "application/octet-stream" ? guessMimeType(filename) : mimeType,
+    };
+}
+
+function parseUploadRequest(req) {
+    return parseMultipartUpload(req, {
+        tempDir: incomingTempDir,
+        maxFileSize: MAX_FILE_SIZE,
+        maxFiles: MAX_BATCH_FILES,
+        classify: classifyUpload,
+    });
+}
+
+// 임시 파일로 받은 업로드 한 건을 확정
+async function storeUploadedFile(file, albumName, ownerId) {
+    console.log(`🔐 [HASH] ${file.originalName}: ${file.hash}`);
+
+    try {
+        // 클라이언트가 보낸 MIME/확장자가 아닌 실제 내용으로 형식 확정
+        const detected = verifyFileType(file.head, file.fileType);
+        const metadata = await extractMetadata(file.tempPath, detected.fileType);
+
+        return await commitMedia({
+            ownerId,
+            fileHash: file.hash,
+            fileType: detected.fileType,
+            format: detected.format,
+            albumName,
+            originalName: file.originalName,
+            mimeType: detected.mimeType,
+            size: file.size,
+            metadata,
+            sourcePath: file.tempPath,
+        });
+    } finally {
+        // 임시 파일 폐기 (로컬 저장소의 새 파일은 이미 옮겨짐)
+        removeTempFile(file.tempPath);
+    }
+}
+
+app.post("/api/upload/media", async (req, res) => {
+    console.log("🔵 [UPLOAD START] 업로드 요청 시작");
+
+    let upload;
+    try {
+        upload = await parseUploadRequest(req);
+    } catch (err) {
+        console.error(`❌ [UPLOAD STREAM ERROR]`, err.message);
+        return res.status(400).json({ success: false, message: `업로드 스트림 오류: ${err.message}` });
+    }
+
+    const { fields, files } = upload;
+    const albumName = fields.album || "Default";
+
+    if (files.length > 1) {
+        files.forEach((f) => removeTempFile(f.tempPath));
+        return res.status(400).json({
+            success: false,
+            message: `여러 파일은 POST /api/upload/media/batch 로 업로드하세요 (${files.length}개 수신)`,
+        });
+    }
+
+    const [file] = files;
+    if (!file || file.error) {
+        return res.status((file && file.status) || 400).json({
+            success: false,
+            ...(file && file.code && { code: file.code }),
+            message: (file && file.error) || "파일 업로드 실패",
+        });
+    }
+
+    console.log(`📁 [ALBUM] 앨범: ${albumName}`);
+
+    try {
+        const data = await storeUploadedFile(file, albumName, req.user.id);
+        res.json({ success: true, data });
+    } catch (err) {
+        if (err instanceof FileTypeError || err instanceof QuotaError || err instanceof AlbumError) {
+            console.log(`⛔ [REJECTED] ${file.originalName}: ${err.code}`);
+            return res.status(err.status).json({
+                success: false,
+                code: err.code,
+                message: err.message,
+                ...(err.quota && { quota: err.quota }),
+            });
+        }
+        console.error(`❌ [DB ERROR]`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// =======================
+// 일괄 업로드 (파일별 독립 처리)
+// =======================
+app.post("/api/upload/media/batch", async (req, res) => {
+    console.log("🔵 [BATCH UPLOAD START] 일괄 업로드 요청 시작");
+
+    let upload;
+    try {
+        upload = await parseUploadRequest(req);
+    } catch (err) {
+        console.error(`❌ [UPLOAD STREAM ERROR]`, err.message);
+        return res.status(400).json({ success: false, message: `업로드 스트림 오류: ${err.message}` });
+    }
+
+    const { fields, files, filesLimitReached } = upload;
+    const albumName = fields.album || "Default";
+
+    if (files.length === 0) {
+        return res.status(400).json({ success: false, message: "업로드할 파일이 없습니다" });
+    }
+
+    console.log(`📁 [ALBUM] 앨범: ${albumName}, 파일 수: ${files.length}`);
+
+    // 파일마다 별도 트랜잭션 - 한 파일의 실패가 나머지에 영향을 주지 않음
+    const results = [];
+    for (const [index, file] of files.entries()) {
+        if (file.error) {
+            results.push({
+                index,
+                originalName: file.originalName,
+                status: "failed",
+                ...(file.code && { code: file.code }),
+                message: file.error,
+            });
+            continue;
+        }
+
+        try {
+            const data = await storeUploadedFile(file, albumName, req.user.id);
+            results.push({
+                index,
+                originalName: file.originalName,
+                status: data.isDuplicate ? "duplicate" : "uploaded",
+                data,
+            });
+        } catch (err) {
+            console.error(`❌ [BATCH ITEM ERROR] ${file.originalName}:`, err.message);
+            results.push({
+                index,
+                originalName: file.originalName,
+                status: "failed",
+                ...(err.code && { code: err.code }),
+                message: err.message,
+            });
+        }
+    }
+
+    const summary = {
+        total: results.length,
+        uploaded: results.filter((r) => r.status === "uploaded").length,
+        duplicates: results.filter((r) => r.status === "duplicate").length,
+        failed: results.filter((r) => r.status === "failed").length,
+    };
+
+    console.log(`✅ [BATCH DONE] 신규 ${summary.uploaded}, 중복 ${summary.duplicates}, 실패 ${summary.failed}`);
+
+    res.json({
+        success: summary.failed < summary.total,
+        summary,
+        results,
+        ...(filesLimitReached && {
+            message: `한 번에 최대 ${MAX_BATCH_FILES}개까지 처리되며 나머지 파일은 무시되었습니다`,
+        }),
+    });
+});
+
+// =======================
+// 이어받기 업로드 (tus 호환)
+// =======================
+app.use("/api/upload/resumable", createResumableRouter({
+    tempDir: resumableTempDir,
+    maxSize: MAX_FILE_SIZE,
+    validate: async (session, req) => {
+        const { filename, filetype, album } = session.metadata;
+        if (getFileType(filetype || "application/octet-stream", filename) === "unknown") {
+            throw new UploadError(415, `지원하지 않는 파일 형식: ${filetype || filename}`);
+        }
+        validateAlbumName(album || "Default");
+        // 중복 여부는 완료 후에야 알 수 있으므로 생성 시에는 전체 크기로 미리 확인
+        checkQuota(await getQuotaUsage(req.user.id), session.length);
+        session.ownerId = req.user.id;
+    },
+    authorize: (session, req) => session.ownerId === req.user.id,
+    onComplete: async (session) => {
+        const { filename, filetype, album } = session.metadata;
+        const mimeType = !filetype || filetype === "application/octet-stream"
+            ? guessMimeType(filename)
+            : filetype;
+
+        // 실제 내용으로 형식 확정 (해시 계산 전에 거부)
+        const detected = verifyFileType(readFileHead(session.partPath), getFileType(mimeType, filename));
+
+        const fileHash = await calculateFileHash(session.partPath);
+        console.log(`🔐 [HASH] ${fileHash}`);
+
+        const metadata = await extractMetadata(session.partPath, detected.fileType);
+
+        // session.partPath 는 처리용 하드 링크 - 끝나면 lib/resumableUpload.js 가 지운다
+        return commitMedia({
+            ownerId: session.ownerId,
+            fileHash,
+            fileType: detected.fileType,
+            format: detected.format,
+            albumName: album || "Default",
+            originalName: filename,
+            mimeType: detected.mimeType,
+            size: session.length,
+            metadata,
+            sourcePath: session.partPath,
+        });
+    },
+}));
+
+// =======================
+// 해시 목록 (file_storage 기준)
+// =======================
+app.get("/api/upload/hashes", async (req, res) => {
+    try {
+        const hashes = await mediaRepo.listOwnedHashes(req.user.id);
+
+        res.json({
+            success: true,
+            count: hashes.length,
+            hashes: hashes,
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// =======================
+// 미디어 목록 (JOIN으로 가져오기)
+// =======================
+function formatMedia(r) {
+    return {
+        id: r.media_id,
+        storageId: r.storage_id,
+        originalName: r.original_name,
+        savedName: r.saved_name,
+        albumId: r.album_id,
+        albumName: r.album_name,
+        albumPath: r.album_path,
+        fileSize: r.file_size,
+        mimeType: r.mime_type,
+        fileType: r.file_type,
+        fileHash: r.file_hash,
+        refCount: r.ref_count,
+        uploadedAt: r.uploaded_at,
+        url: fileUrl(r.file_path),
+        mediaUrl: mediaUrl(r.media_id),
+        ...thumbnailFields(r.storage_id, r.file_path, r.thumbnail_status),
+        ...playbackFields(r.media_id, r.file_type, r.transcode_status),
+        metadata: formatMetadata(r),
+        ...formatAnnotations(r),
+        sizeFormatted: formatFileSize(r.file_size),
+    };
+}
+
+function sendPageError(res, err) {
+    if (err instanceof PaginationError || err instanceof SearchError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+}
+
+app.get("/api/upload/media", async (req, res) => {
+    let page;
+    try {
+        page = parsePageParams(req.query);
+    } catch (err) {
+        return sendPageError(res, err);
+    }
+
+    // 필터는 목록과 전체 개수(total) 조회에 함께 사용
+    const albumId = parseInt(req.query.albumId);
+    const minRating = parseInt(req.query.minRating);
+    const filters = {
+        type: req.query.type,
+        album: req.query.album,
+        albumId: isNaN(albumId) ? null : albumId,
+        takenFrom: req.query.takenFrom,
+        takenTo: req.query.takenTo ? endOfDay(req.query.takenTo) : null,
+        tag: req.query.tag,
+        favorite: req.query.favorite === "true" || req.query.favorite === "1",
+        minRating: isNaN(minRating) ? null : minRating,
+    };
+
+    try {
+        const { total, rows } = await mediaRepo.listOwnedMedia(req.user.id, filters, page);
+        const { items, pagination } = pageResult(rows, page);
+
+        res.json({
+            success: true,
+            count: items.length,
+            total,
+            data: items.map(formatMedia),
+            pagination,
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// =======================
+// 미디어 원본 (Range / 조건부 요청, 소유자만)
+// =======================
+// ?download=1 이면 original_name 으로 첨부 다운로드, 아니면 inline (동영상 탐색은 Range 요청)
+function sendMediaError(res, err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err instanceof MediaError || err instanceof RenderError || err instanceof StorageError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [MEDIA ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+app.get("/api/media/:id", auth.requireMediaAuth, async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id);
+        if (isNaN(mediaId)) {
+            throw new MediaError(400, "INVALID_MEDIA_ID", "유효하지 않은 ID입니다");
+        }
+
+        const media = await mediaRepo.getOwnedMediaFile(mediaId, req.user.id);
+        if (!media) {
+            throw new MediaError(404, "MEDIA_NOT_FOUND", "미디어를 찾을 수 없습니다");
+        }
+
+        await serveMedia(req, res, fileStore, media, { download: !!req.query.download });
+    } catch (err) {
+        sendMediaError(res, err);
+    }
+});
+
+// 크기/형식 변환 (w, h, fit, format, quality - 규칙은 lib/imageRender.js), 결과는 file_hash 기준으로 캐시
+app.get("/api/media/:id/render", auth.requireMediaAuth, async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id);
+        if (isNaN(mediaId)) {
+            throw new MediaError(400, "INVALID_MEDIA_ID", "유효하지 않은 ID입니다");
+        }
+
+        const media = await mediaRepo.getOwnedMediaFile(mediaId, req.user.id);
+        if (!media) {
+            throw new MediaError(404, "MEDIA_NOT_FOUND", "미디어를 찾을 수 없습니다");
+        }
+        if (media.file_type !== "image") {
+            throw new RenderError(415, "RENDER_UNSUPPORTED", "이미지만 변환할 수 있습니다");
+        }
+
+        const options = parseRenderOptions(req.query, media.mime_type);
+        const rendered = await renderCache.render(media, options);
+        if (!rendered.cached) {
+            console.log(`🎨 [RENDER] Media ID ${mediaId} → ${rendered.key}`);
+        }
+
+        await serveMedia(req, res, renderCache.store, {
+            file_path: rendered.key,
+            file_hash: `${media.file_hash}-${path.posix.basename(rendered.key)}`,
+            file_size: rendered.size,
+            mime_type: rendered.mimeType,
+            created_at: media.created_at,
+            original_name: renderedName(media.original_name, options.format),
+        }, { download: !!req.query.download });
+    } catch (err) {
+        sendMediaError(res, err);
+    }
+});
+
+// 변환된 동영상 재생 (HLS 재생목록/세그먼트, 웹 MP4) - 경로는 video_renditions.files 에 있는 것만
+// ?access_token= 으로 요청한 재생목록은 하위 URI 에도 같은 토큰을 붙여서 돌려준다 (헤더를 못 넣는 재생기용)
+app.get("/api/media/:id/stream/*file", auth.requireMediaAuth, async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id);
+        if (isNaN(mediaId)) {
+            throw new MediaError(400, "INVALID_MEDIA_ID", "유효하지 않은 ID입니다");
+        }
+
+        const media = await mediaRepo.getOwnedPlayback(mediaId, req.user.id);
+        if (!media) {
+            throw new MediaError(404, "MEDIA_NOT_FOUND", "미디어를 찾을 수 없습니다");
+        }
+        if (media.file_type !== "video" || media.status !== "ready") {
+            throw new MediaError(409, "PLAYBACK_NOT_READY", `재생용 변환이 완료되지 않았습니다 (${media.status || "없음"})`);
+        }
+
+        const key = renditionKey(media.storage_id, req.params.file.join("/"));
+        if (!parseRenditionFiles(media.files).includes(key)) {
+            throw new MediaError(404, "RENDITION_NOT_FOUND", "재생 파일을 찾을 수 없습니다");
+        }
+
+        if (key.endsWith(".m3u8")) {
+            const chunks = [];
+            for await (const chunk of await fileStore.open(key)) chunks.push(chunk);
+            res.setHeader("Cache-Control", "private, no-cache");
+            res.type(renditionContentType(key));
+            return res.send(withAccessToken(Buffer.concat(chunks).toString("utf8"), req.query.access_token));
+        }
+
+        await sendStoredFile(req, res, key, { contentType: renditionContentType(key) });
+    } catch (err) {
+        sendMediaError(res, err);
+    }
+});
+
+// =======================
+// 검색 (파일명/앨범/태그/설명 전문 검색 + 패싯)
+// =======================
+// q 가 있으면 관련도순이 기본, 없으면 필터/패싯만으로 탐색 (목록과 같은 커서 페이지네이션)
+app.get("/api/upload/search", async (req, res) => {
+    try {
+        const search = parseSearchParams(req.query);
+        const page = parsePageParams(req.query, search.match
+            ? { sorts: SEARCH_SORTS, defaultSort: "relevance" }
+            : {});
+
+        const { total, rows } = await mediaRepo.pageMedia(searchFromClause(req.user.id, search), page);
+        const facets = formatFacets(await mediaRepo.countFacets(facetQueries(req.user.id, search)));
+        const { items, pagination } = pageResult(rows, page);
+
+        console.log(`🔍 [SEARCH] user ${req.user.id}: "${req.query.q || ""}" → ${total}건`);
+
+        res.json({
+            success: true,
+            count: items.length,
+            total,
+            data: items.map(formatMedia),
+            facets,
+            pagination,
+        });
+    } catch (err) {
+        sendPageError(res, err);
+    }
+});
+
+// =======================
+// 태그 / 설명 / 즐겨찾기 / 별점
+// =======================
+function sendTagError(res, err) {
+    if (err instanceof TagError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [TAG ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+async function getOwnedMedia(mediaId, ownerId) {
+    const media = await mediaRepo.getOwnedMedia(mediaId, ownerId);
+    if (!media) {
+        throw new TagError(404, "MEDIA_NOT_FOUND", "미디어를 찾을 수 없습니다");
+    }
+    return media;
+}
+
+// 태그 이름 → id (없으면 생성)
+async function findOrCreateTags(ownerId, names) {
+    const ids = [];
+    for (const name of names) {
+        await db.run("INSERT OR IGNORE INTO tags (owner_id, name) VALUES (?, ?)", [ownerId, name]);
+        const tag = await db.get("SELECT id FROM tags WHERE owner_id = ? AND name = ?", [ownerId, name]);
+        ids.push(tag.id);
+    }
+    return ids;
+}
+
+async function addMediaTags(mediaIds, ownerId, names) {
+    const tagIds = await findOrCreateTags(ownerId, names);
+    for (const mediaId of mediaIds) {
+        for (const tagId of tagIds) {
+            await db.run("INSERT OR IGNORE INTO media_tags (media_id, tag_id) VALUES (?, ?)", [mediaId, tagId]);
+        }
+    }
+}
+
+async function removeMediaTags(mediaIds, ownerId, names) {
+    for (const mediaId of mediaIds) {
+        for (const name of names) {
+            await db.run(
+                "DELETE FROM media_tags WHERE media_id = ? AND tag_id IN (SELECT id FROM tags WHERE owner_id = ? AND name = ?)",
+                [mediaId, ownerId, name]
+            );
+        }
+    }
+}
+
+async function getOwnedTag(tagId, ownerId) {
+    const tag = await db.get(`${TAG_SUMMARY_SQL} WHERE t.id = ? AND t.owner_id = ?`, [tagId, ownerId]);
+    if (!tag) {
+        throw new TagError(404, "TAG_NOT_FOUND", "태그를 찾을 수 없습니다");
+    }
+    return tag;
+}
+
+// 설명, 즐겨찾기, 별점, 태그(전체 교체) 수정
+app.patch("/api/upload/media/:id", async (req, res) => {
+    try {
+        const update = parseMediaUpdate(req.body || {});
+        const media = await getOwnedMedia(parseInt(req.params.id), req.user.id);
+
+        await db.transaction(async () => {
+            await mediaRepo.updateAnnotations(media.media_id, {
+                caption: update.caption !== undefined ? update.caption : media.caption,
+                isFavorite: update.favorite !== undefined ? update.favorite : !!media.is_favorite,
+                rating: update.rating !== undefined ? update.rating : media.rating,
+            });
+            if (update.tags) {
+                await db.run("DELETE FROM media_tags WHERE media_id = ?", [media.media_id]);
+                await addMediaTags([media.media_id], req.user.id, update.tags);
+            }
+        });
+
+        console.log(`✏️ [MEDIA UPDATE] ID: ${media.media_id} (${Object.keys(update).join(", ")})`);
+        res.json({ success: true, data: formatMedia(await getOwnedMedia(media.media_id, req.user.id)) });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// 미디어에 태그 추가
+app.post("/api/upload/media/:id/tags", async (req, res) => {
+    try {
+        const names = parseTagList((req.body || {}).tags);
+        const media = await getOwnedMedia(parseInt(req.params.id), req.user.id);
+
+        await db.transaction(async () => {
+            await addMediaTags([media.media_id], req.user.id, names);
+        });
+
+        console.log(`🏷️ [TAG ADD] Media ID: ${media.media_id} + ${names.join(", ")}`);
+        res.json({ success: true, data: formatMedia(await getOwnedMedia(media.media_id, req.user.id)) });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// 미디어에서 태그 하나 제거
+app.delete("/api/upload/media/:id/tags/:tag", async (req, res) => {
+    try {
+        const name = normalizeTagName(req.params.tag);
+        const media = await getOwnedMedia(parseInt(req.params.id), req.user.id);
+
+        await removeMediaTags([media.media_id], req.user.id, [name]);
+
+        console.log(`🏷️ [TAG REMOVE] Media ID: ${media.media_id} - ${name}`);
+        res.json({ success: true, data: formatMedia(await getOwnedMedia(media.media_id, req.user.id)) });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+app.get("/api/upload/tags", async (req, res) => {
+    try {
+        const rows = await db.all(`${TAG_SUMMARY_SQL} WHERE t.owner_id = ? ORDER BY t.name`, [req.user.id]);
+        res.json({ success: true, count: rows.length, tags: rows.map(formatTag) });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// 여러 미디어에 태그 일괄 추가/제거
+app.post("/api/upload/tags/bulk", async (req, res) => {
+    try {
+        const { mediaIds, add, remove } = parseBulkTagRequest(req.body || {});
+
+        const ownedIds = await mediaRepo.filterOwnedMediaIds(mediaIds, req.user.id);
+        const notFound = mediaIds.filter(id => !ownedIds.includes(id));
+
+        await db.transaction(async () => {
+            await removeMediaTags(ownedIds, req.user.id, remove);
+            await addMediaTags(ownedIds, req.user.id, add);
+        });
+
+        console.log(`🏷️ [TAG BULK] ${ownedIds.length}개 미디어 (+${add.length} / -${remove.length})`);
+        res.json({ success: true, data: { mediaIds: ownedIds, notFound, added: add, removed: remove } });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// 태그 이름 변경 (대소문자만 바꾸는 것도 가능)
+app.patch("/api/upload/tags/:id", async (req, res) => {
+    try {
+        const name = normalizeTagName((req.body || {}).name);
+        const tag = await getOwnedTag(parseInt(req.params.id), req.user.id);
+
+        const existing = await db.get(
+            "SELECT id FROM tags WHERE owner_id = ? AND name = ? AND id != ?",
+            [req.user.id, name, tag.id]
+        );
+        if (existing) {
+            throw new TagError(409, "TAG_EXISTS", `이미 같은 이름의 태그가 있습니다: ${name}`);
+        }
+
+        await db.run("UPDATE tags SET name = ? WHERE id = ?", [name, tag.id]);
+        console.log(`🏷️ [TAG RENAME] ${tag.name} → ${name}`);
+
+        res.json({ success: true, data: formatTag(await getOwnedTag(tag.id, req.user.id)) });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// 태그 삭제 (미디어에서도 떼어냄)
+app.delete("/api/upload/tags/:id", async (req, res) => {
+    try {
+        const tag = await getOwnedTag(parseInt(req.params.id), req.user.id);
+
+        await db.transaction(async () => {
+            await db.run("DELETE FROM media_tags WHERE tag_id = ?", [tag.id]);
+            await db.run("DELETE FROM tags WHERE id = ?", [tag.id]);
+        });
+
+        console.log(`🗑️ [TAG DELETE] ${tag.name} (미디어 ${tag.media_count}개에서 제거)`);
+        res.json({ success: true, data: { id: tag.id, name: tag.name, removedFrom: tag.media_count } });
+    } catch (err) {
+        sendTagError(res, err);
+    }
+});
+
+// =======================
+// 앨범 관리
+// =======================
+function sendAlbumError(res, err) {
+    if (err instanceof AlbumError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [ALBUM ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+function formatAlbum(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        fileCount: row.file_count,
+        totalSize: row.total_size,
+        totalSizeFormatted: formatFileSize(row.total_size),
+        coverMediaId: row.cover_media_id,
+        cover: row.cover_id
+            ? {
+                  mediaId: row.cover_id,
+                  url: fileUrl(row.cover_file_path),
+                  ...thumbnailFields(row.cover_storage_id, row.cover_file_path, row.cover_thumbnail_status),
+              }
+            : null,
+        lastUpdated: row.last_updated,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+async function getOwnedAlbum(albumId, ownerId) {
+    const album = await albumRepo.getSummary(albumId, ownerId);
+    if (!album) {
+        throw new AlbumError(404, "ALBUM_NOT_FOUND", "앨범을 찾을 수 없습니다");
+    }
+    return album;
+}
+
+async function assertAlbumNameAvailable(ownerId, name) {
+    if (await albumRepo.findByName(ownerId, name)) {
+        throw new AlbumError(409, "ALBUM_EXISTS", `이미 같은 이름의 앨범이 있습니다: ${name}`);
+    }
+}
+
+app.get("/api/upload/albums", async (req, res) => {
+    try {
+        const rows = await albumRepo.listSummaries(req.user.id);
+
+        res.json({
+            success: true,
+            count: rows.length,
+            albums: rows.map(formatAlbum),
+        });
+    } catch (err) {
+        sendAlbumError(res, err);
+    }
+});
+
+app.post("/api/upload/albums", async (req, res) => {
+    const { name, description } = req.body || {};
+
+    try {
+        const albumName = validateAlbumName(name);
+        await assertAlbumNameAvailable(req.user.id, albumName);
+
+        const albumId = await albumRepo.insertAlbum({
+            ownerId: req.user.id,
+            name: albumName,
+            description: description == null ? null : validateDescription(description),
+        });
+        console.log(`📁 [ALBUM CREATE] ${albumName} (Album ID: ${albumId})`);
+
+        res.status(201).json({ success: true, data: formatAlbum(await getOwnedAlbum(albumId, req.user.id)) });
+    } catch (err) {
+        sendAlbumError(res, err);
+    }
+});
+
+app.get("/api/upload/albums/:id", async (req, res) => {
+    try {
+        res.json({ success: true, data: formatAlbum(await getOwnedAlbum(parseInt(req.params.id), req.user.id)) });
+    } catch (err) {
+        sendAlbumError(res, err);
+    }
+});
+
+// 앨범 이름 변경 후 이전 폴더의 원본(+썸네일)을 새 폴더로 이동 - DB 트랜잭션 밖에서 파일마다 따로 처리
+// 다른 앨범(다른 사용자 포함)의 미디어도 참조하는 파일은 옮기지 않는다 (file_path 가 기준이라 그대로 두어도 됨).
+// 경로 갱신이 실패하면 파일을 되돌려 file_path 와 실제 위치가 어긋나지 않게 한다. 이동하지 못한 파일은 이전 폴더에 남는다.
+async function moveAlbumFiles(albumId, oldFolder, newFolder) {
+    const result = { moved: 0, failed: 0 };
+    if (newFolder === oldFolder) return result;
+
+    const storages = await mediaRepo.albumOnlyStorages(albumId);
+
+    for (const storage of storages) {
+        if (path.posix.dirname(storage.file_path) !== oldFolder) continue;
+
+        let target = null;
+        try {
+            target = await moveStoredFile(fileStore, storage.id, storage.file_path, newFolder);
+            if (!target) continue;
+            await mediaRepo.setStoragePath(storage.id, target);
+            result.moved++;
+        } catch (err) {
+            console.error(`⚠️ [ALBUM RENAME] 파일 이동 실패 ${storage.file_path}:`, err.message);
+            result.failed++;
+            if (!target) continue;
+            try {
+                await moveStoredFile(fileStore, storage.id, target, oldFolder);
+            } catch (rollbackErr) {
+                console.error(`❌ [ALBUM RENAME] 파일 되돌리기 실패 ${target} → ${storage.file_path}:`, rollbackErr.message);
+            }
+        }
+    }
+
+    return result;
+}
+
+// 이름 변경(폴더 이동 포함), 설명, 대표 이미지 수정
+app.patch("/api/upload/albums/:id", async (req, res) => {
+    const body = req.body || {};
+
+    try {
+        const album = await getOwnedAlbum(parseInt(req.params.id), req.user.id);
+
+        const newName = body.name !== undefined ? validateAlbumName(body.name) : album.name;
+        const description = body.description !== undefined ? validateDescription(body.description) : album.description;
+        const coverMediaId = body.coverMediaId !== undefined ? body.coverMediaId : album.cover_media_id;
+
+        if (coverMediaId != null) {
+            if (!(await mediaRepo.isInAlbum(coverMediaId, album.id))) {
+                throw new AlbumError(400, "INVALID_COVER", "대표 이미지는 이 앨범의 미디어여야 합니다");
+            }
+        }
+
+        const renamed = newName !== album.name;
+        if (renamed) {
+            await assertAlbumNameAvailable(req.user.id, newName);
+        }
+
+        await db.transaction(async () => {
+            await albumRepo.updateAlbum(album.id, { name: newName, description, coverMediaId });
+
+            if (renamed) {
+                await mediaRepo.renameAlbumMedia(album.id, newName, albumFolder(req.user.id, newName));
+            }
+        });
+
+        if (renamed) {
+            const { moved, failed } = await moveAlbumFiles(album.id, albumFolder(req.user.id, album.name), albumFolder(req.user.id, newName));
+            console.log(`📁 [ALBUM RENAME] ${album.name} → ${newName} (파일 이동 ${moved}개${failed ? `, 실패 ${failed}개` : ""})`);
+        }
+
+        res.json({ success: true, data: formatAlbum(await getOwnedAlbum(album.id, req.user.id)) });
+    } catch (err) {
+        sendAlbumError(res, err);
+    }
+});
+
+// 다른 앨범의 미디어를 이 앨범으로 이동/복사 (다시 업로드하지 않고 같은 file_storage 참조)
+app.post("/api/upload/albums/:id/media", async (req, res) => {
+    try {
+        const { mode, mediaIds } = parseMediaTransfer(req.body);
+        const album = await getOwnedAlbum(parseInt(req.params.id), req.user.id);
+        const folder = albumFolder(req.user.id, album.name);
+
+        const done = [];
+        const notFound = [];
+
+        await db.transaction(async () => {
+            for (const mediaId of mediaIds) {
+                const media = await mediaRepo.getOwnedMediaRow(mediaId, req.user.id);
+                if (!media) {
+                    notFound.push(mediaId);
+                    continue;
+                }
+
+                const albumPath = path.join(folder, media.saved_name);
+
+                if (mode === "move") {
+                    await mediaRepo.moveToAlbum(media.id, album, albumPath);
+                    done.push(media.id);
+                } else {
+                    // 복사본도 설명/즐겨찾기/별점/태그를 그대로 가진다
+                    done.push(await mediaRepo.copyToAlbum(media, album, albumPath));
+                }
+            }
+
+            await albumRepo.touch(album.id);
+        });
+
+        console.log(`📁 [ALBUM ${mode.toUpperCase()}] ${done.length}개 → ${album.name}`);
 
-// =======================
-// 해시 목록 (file_storage 기준)
-// =======================
-app.get("/api/upload/hashes", async (req, res) => {
-    try {
-        const rows = await dbAll(
-            "SELECT file_hash FROM file_storage ORDER BY created_at DESC"
-        );
-        
-        const hashes = rows.map(row => row.file_hash);
-        
         res.json({
             success: true,
-            count: hashes.length,
-            hashes: hashes,
+            data: {
+                mode,
+                album: formatAlbum(await getOwnedAlbum(album.id, req.user.id)),
+                mediaIds: done,
+                notFound,
+            },
         });
     } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
+        sendAlbumError(res, err);
     }
 });
 
-// =======================
-// 미디어 목록 (JOIN으로 가져오기)
-// =======================
-app.get("/api/upload/media", async (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    const type = req.query.type;
-    const album = req.query.album;
-
-    let sql = `
-        SELECT 
-            m.id as media_id,
-            m.original_name,
-            m.album_name,
-            m.album_path,
-            m.uploaded_at,
-            s.id as storage_id,
-            s.file_hash,
-            s.saved_name,
-            s.file_size,
-            s.mime_type,
-            s.file_type,
-            s.ref_count
-        FROM uploaded_media m
-        JOIN file_storage s ON m.storage_id = s.id
-        WHERE 1=1
-    `;
-    const params = [];
-
-    if (type) {
-        sql += " AND s.file_type = ?";
-        params.push(type);
-    }
-
-    if (album) {
-        sql += " AND m.album_name = ?";
-        params.push(album);
-    }
-
-    sql += " ORDER BY m.uploaded_at DESC LIMIT ?";
-    params.push(limit);
-
-    try {
-        const rows = await dbAll(sql, params);
+// 앨범 삭제 - 앨범의 미디어는 휴지통으로 (복원하면 같은 이름의 앨범이 다시 만들어짐)
+app.delete("/api/upload/albums/:id", async (req, res) => {
+    try {
+        const album = await getOwnedAlbum(parseInt(req.params.id), req.user.id);
+
+        // 앨범 공유 링크는 ON DELETE CASCADE 로 함께 삭제
+        const trashed = await db.transaction(() => albumRepo.deleteAlbum(album.id));
+
+        console.log(`🗑️ [ALBUM DELETE] ${album.name} (미디어 ${trashed}개 휴지통으로)`);
 
         res.json({
             success: true,
-            count: rows.length,
-            data: rows.map(r => ({
-                id: r.media_id,
-                storageId: r.storage_id,
-                originalName: r.original_name,
-                savedName: r.saved_name,
-                albumName: r.album_name,
-                albumPath: r.album_path,
-                fileSize: r.file_size,
-                mimeType: r.mime_type,
-                fileType: r.file_type,
-                fileHash: r.file_hash,
-                refCount: r.ref_count,
-                uploadedAt: r.uploaded_at,
-                url: `http://${myHost}:${PORT}/uploads/${encodeURIComponent(r.album_path)}`,
-                sizeFormatted: formatFileSize(r.file_size),
-            })),
+            message: "앨범이 삭제되었습니다 (미디어는 휴지통으로 이동)",
+            stats: {
+                trashedMedia: trashed,
+            },
         });
     } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
+        sendAlbumError(res, err);
     }
 });
 
 // =======================
-// 앨범 목록
+// 전체 삭제 (모두 휴지통으로 이동 - 복원 가능)
 // =======================
-app.get("/api/upload/albums", async (req, res) => {
+// /:id 보다 먼저 등록해야 "all" 이 ID 로 해석되지 않는다
+app.delete("/api/upload/media/all", async (req, res) => {
+    const ownerId = req.user.id;
+    console.log(`🗑️ [DELETE ALL] 전체 삭제 요청 (User ID: ${ownerId})`);
+
     try {
-        const rows = await dbAll(`
-            SELECT 
-                m.album_name,
-                COUNT(*) as count,
-                SUM(s.file_size) as total_size,
-                MAX(m.uploaded_at) as last_updated
-            FROM uploaded_media m
-            JOIN file_storage s ON m.storage_id = s.id
-            GROUP BY m.album_name
-            ORDER BY last_updated DESC
-        `);
+        const trashed = await mediaRepo.trashMedia(ownerId);
+
+        console.log(`✅ [TRASH] ${trashed}개 휴지통으로 이동`);
 
         res.json({
             success: true,
-            count: rows.length,
-            albums: rows.map((r) => ({
-                name: r.album_name,
-                fileCount: r.count,
-                totalSize: r.total_size,
-                totalSizeFormatted: formatFileSize(r.total_size),
-                lastUpdated: r.last_updated,
-            })),
+            message: "모든 미디어를 휴지통으로 이동했습니다",
+            stats: {
+                trashedMedia: trashed,
+                retentionDays: TRASH_RETENTION_DAYS,
+            },
         });
     } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
+        console.error("❌ [DELETE ALL ERROR]:", err);
+        res.status(500).json({
+            success: false,
+            message: "전체 삭제 중 오류가 발생했습니다",
+            error: err.message,
+        });
     }
 });
+
 // =======================
-// 미디어 삭제 (참조 카운팅) - 수정 버전
+// 미디어 삭제 (휴지통으로 이동)
 // =======================
 app.delete("/api/upload/media/:id", async (req, res) => {
     const mediaId = parseInt(req.params.id);
@@ -476,10 +1883,9 @@ app.delete("/api/upload/media/:id", async (req, res) => {
     }
 
     try {
-        // 1. uploaded_media에서 정보 가져오기
-        const media = await dbGet("SELECT * FROM uploaded_media WHERE id = ?", [mediaId]);
+        const trashed = await mediaRepo.trashMedia(req.user.id, mediaId);
 
-        if (!media) {
+        if (trashed === 0) {
             console.log(`❌ [NOT FOUND] Media ID: ${mediaId}`);
             return res.status(404).json({
                 success: false,
@@ -487,175 +1893,417 @@ app.delete("/api/upload/media/:id", async (req, res) => {
             });
         }
 
-        console.log(`📄 [FOUND] Media: ${media.original_name}, Storage ID: ${media.storage_id}`);
+        const media = await mediaRepo.getTrashedMedia(mediaId);
+        console.log(`✅ [TRASH] ID: ${mediaId}, 파일: ${media.original_name}`);
+
+        res.json({
+            success: true,
+            message: "휴지통으로 이동했습니다",
+            data: {
+                mediaId: media.id,
+                storageId: media.storage_id,
+                originalName: media.original_name,
+                ...formatTrashFields(media),
+            },
+        });
+    } catch (err) {
+        console.error(`❌ [DELETE ERROR]:`, err);
+        res.status(500).json({
+            success: false,
+            message: "삭제 중 오류가 발생했습니다",
+            error: err.message,
+        });
+    }
+});
 
-        // 2. file_storage 정보 가져오기
-        const storage = await dbGet("SELECT * FROM file_storage WHERE id = ?", [media.storage_id]);
+// =======================
+// 휴지통
+// =======================
+function sendTrashError(res, err) {
+    if (err instanceof TrashError || err instanceof PaginationError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [TRASH ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
 
-        if (!storage) {
-            console.log(`❌ [STORAGE NOT FOUND] Storage ID: ${media.storage_id}`);
-            return res.status(404).json({
-                success: false,
-                message: "저장소 정보를 찾을 수 없습니다",
-            });
+// 휴지통 목록 (기본: 최근 삭제순, 목록과 같은 커서 페이지네이션)
+app.get("/api/upload/trash", async (req, res) => {
+    try {
+        const page = parsePageParams(req.query, { sorts: TRASH_SORTS, defaultSort: "deleted" });
+        const { total, rows } = await mediaRepo.listTrash(req.user.id, page);
+        const { items, pagination } = pageResult(rows, page);
+
+        res.json({
+            success: true,
+            count: items.length,
+            total,
+            retentionDays: TRASH_RETENTION_DAYS,
+            data: items.map(r => ({ ...formatMedia(r), ...formatTrashFields(r) })),
+            pagination,
+        });
+    } catch (err) {
+        sendTrashError(res, err);
+    }
+});
+
+// 복원: { mediaIds } 또는 { all: true }
+app.post("/api/upload/trash/restore", async (req, res) => {
+    try {
+        const { mediaIds } = parseTrashSelection(req.body || {});
+        const restored = await restoreMedia(req.user.id, mediaIds);
+        const notFound = mediaIds ? mediaIds.filter(id => !restored.includes(id)) : [];
+
+        console.log(`♻️ [TRASH RESTORE] ${restored.length}개 복원`);
+        res.json({ success: true, data: { restored, notFound } });
+    } catch (err) {
+        sendTrashError(res, err);
+    }
+});
+
+// 휴지통 항목 하나 영구 삭제
+app.delete("/api/upload/trash/:id", async (req, res) => {
+    try {
+        const mediaId = parseInt(req.params.id);
+        if (isNaN(mediaId)) {
+            throw new TrashError(400, "INVALID_MEDIA_ID", "유효하지 않은 ID입니다");
         }
 
-        console.log(`💾 [STORAGE] File: ${storage.saved_name}, Ref Count: ${storage.ref_count}`);
+        const result = await purgeMedia(trashedMediaCondition(req.user.id, [mediaId]), req.user.id);
+        if (result.purgedMedia === 0) {
+            throw new TrashError(404, "TRASH_ITEM_NOT_FOUND", "휴지통에서 찾을 수 없습니다");
+        }
 
-        // 트랜잭션 시작
-        await dbRun("BEGIN TRANSACTION");
+        console.log(`🗑️ [TRASH PURGE] Media ID: ${mediaId} (파일 ${result.deletedStorage}개 정리 예약)`);
+        res.json({ success: true, message: "영구 삭제되었습니다", stats: result });
+    } catch (err) {
+        sendTrashError(res, err);
+    }
+});
 
-        try {
-            // 3. uploaded_media에서 레코드 삭제
-            const deleteMedia = await dbRun("DELETE FROM uploaded_media WHERE id = ?", [mediaId]);
+// 휴지통 비우기
+app.delete("/api/upload/trash", async (req, res) => {
+    try {
+        const result = await purgeMedia(trashedMediaCondition(req.user.id, null), req.user.id);
 
-            if (deleteMedia.changes === 0) {
-                throw new Error("미디어 레코드 삭제 실패");
-            }
+        console.log(`🗑️ [TRASH EMPTY] 미디어 ${result.purgedMedia}개, 파일 ${result.deletedStorage}개 정리 예약`);
+        res.json({ success: true, message: "휴지통을 비웠습니다", stats: result });
+    } catch (err) {
+        sendTrashError(res, err);
+    }
+});
 
-            console.log(`✅ [DELETE MEDIA] ID: ${mediaId}, 파일: ${media.original_name}`);
-
-            // 4. file_storage의 ref_count 감소
-            const newRefCount = storage.ref_count - 1;
-            let physicalFileDeleted = false;
-
-            if (newRefCount <= 0) {
-                // 참조가 0이 되면 실제 파일 삭제
-                if (fs.existsSync(storage.file_path)) {
-                    try {
-                        fs.unlinkSync(storage.file_path);
-                        physicalFileDeleted = true;
-                        console.log(`🗑️ [DELETE FILE] 실제 파일 삭제: ${storage.file_path}`);
-                    } catch (fsErr) {
-                        console.error(`⚠️ [FILE DELETE ERROR] ${storage.file_path}:`, fsErr.message);
-                        // 파일 삭제 실패해도 DB는 정리
-                    }
-                }
+// =======================
+// 저장 공간 한도
+// =======================
+function formatQuota(usage) {
+    return {
+        ...usage,
+        usedFormatted: formatFileSize(usage.usedBytes),
+        quotaFormatted: usage.unlimited ? "무제한" : formatFileSize(usage.quotaBytes),
+        remainingFormatted: usage.unlimited ? "무제한" : formatFileSize(usage.remainingBytes),
+    };
+}
+
+app.get("/api/upload/quota", async (req, res) => {
+    try {
+        res.json({ success: true, data: formatQuota(await getQuotaUsage(req.user.id)) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-                const deleteStorage = await dbRun("DELETE FROM file_storage WHERE id = ?", [storage.id]);
+// 관리자: 사용자 한도 변경 (quotaBytes: null = 기본값, 0 = 무제한)
+app.put("/api/admin/users/:id/quota", auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+        return res.status(400).json({ success: false, message: "유효하지 않은 ID입니다" });
+    }
 
-                if (deleteStorage.changes === 0) {
-                    throw new Error("Storage 레코드 삭제 실패");
-                }
+    let quotaBytes;
+    try {
+        quotaBytes = parseQuotaBytes((req.body || {}).quotaBytes);
+    } catch (err) {
+        return res.status(400).json({ success: false, message: err.message });
+    }
 
-                console.log(`🗑️ [DELETE STORAGE] Storage ID: ${storage.id} (ref_count: 0)`);
-            } else {
-                // 아직 참조가 남아있으면 ref_count만 감소
-                const updateRef = await dbRun("UPDATE file_storage SET ref_count = ? WHERE id = ?", [
-                    newRefCount,
-                    storage.id,
-                ]);
-
-                if (updateRef.changes === 0) {
-                    throw new Error("참조 카운트 업데이트 실패");
-                }
+    try {
+        const result = await db.run("UPDATE users SET quota_bytes = ? WHERE id = ?", [quotaBytes, userId]);
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, message: "사용자를 찾을 수 없습니다" });
+        }
+        console.log(`💽 [QUOTA] User ID ${userId} 한도 변경: ${quotaBytes === null ? "기본값" : quotaBytes}`);
 
-                console.log(
-                    `📊 [UPDATE REF] Storage ID: ${storage.id} (ref_count: ${storage.ref_count} → ${newRefCount})`
-                );
-            }
+        res.json({ success: true, data: formatQuota(await getQuotaUsage(userId)) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-            // 트랜잭션 커밋
-            await dbRun("COMMIT");
-            console.log(`✅ [SUCCESS] 삭제 완료`);
-
-            res.json({
-                success: true,
-                message: "파일이 성공적으로 삭제되었습니다",
-                data: {
-                    mediaId: mediaId,
-                    storageId: storage.id,
-                    originalName: media.original_name,
-                    physicalFileDeleted,
-                    remainingReferences: newRefCount > 0 ? newRefCount : 0,
-                },
-            });
-        } catch (txErr) {
-            // 트랜잭션 내부 오류 - 롤백
-            await dbRun("ROLLBACK");
-            console.error(`❌ [TRANSACTION ERROR]:`, txErr.message);
-            throw txErr;
+// 관리자: 저장소 무결성 검사 (repair: true 면 복구, 기본은 dry-run)
+// background: true 면 작업으로 등록하고 바로 202 (결과는 GET /api/jobs/:id 의 result)
+app.post("/api/admin/integrity", auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    const { repair = false, verifyHashes = true, background = false } = req.body || {};
+
+    try {
+        if (background === true) {
+            const job = await jobQueue.enqueue(
+                "integrity-check",
+                { repair: repair === true, verifyHashes: verifyHashes !== false },
+                { ownerId: req.user.id, dedupeKey: "integrity-check" }
+            );
+            return res.status(202).json({ success: true, message: "무결성 검사 작업을 등록했습니다", data: formatJob(job) });
         }
+
+        const report = await checkIntegrity(db, {
+            fileStore,
+            repair: repair === true,
+            verifyHashes: verifyHashes !== false,
+        });
+        console.log(`🔍 [INTEGRITY]${report.dryRun ? " (dry-run)" : ""} ${summarizeReport(report)}`);
+
+        res.json({ success: true, data: report });
     } catch (err) {
-        console.error(`❌ [DELETE ERROR]:`, err);
-        res.status(500).json({
-            success: false,
-            message: "삭제 중 오류가 발생했습니다",
-            error: err.message,
+        console.error("❌ [INTEGRITY ERROR]:", err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// =======================
+// 백그라운드 작업 상태
+// =======================
+function sendJobError(res, err) {
+    if (err instanceof JobError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [JOB ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+// 내 작업 목록 (휴지통 정리 등 내가 등록한 작업, ?status=&type=&limit=)
+app.get("/api/jobs", auth.requireAuth, async (req, res) => {
+    try {
+        const rows = await jobQueue.list(parseJobFilters(req.query), req.user.id);
+        res.json({ success: true, count: rows.length, data: rows.map(formatJob) });
+    } catch (err) {
+        sendJobError(res, err);
+    }
+});
+
+// 작업 하나 (본인 작업만, 관리자는 모두)
+app.get("/api/jobs/:id", auth.requireAuth, async (req, res) => {
+    try {
+        const jobId = parseInt(req.params.id);
+        if (isNaN(jobId)) {
+            throw new JobError(400, "INVALID_JOB_ID", "유효하지 않은 ID입니다");
+        }
+
+        const job = await jobQueue.get(jobId);
+        if (!job || (job.owner_id !== req.user.id && req.user.role !== "admin")) {
+            throw new JobError(404, "JOB_NOT_FOUND", "작업을 찾을 수 없습니다");
+        }
+        res.json({ success: true, data: formatJob(job) });
+    } catch (err) {
+        sendJobError(res, err);
+    }
+});
+
+// 관리자: 전체 작업 목록 + 상태별 개수
+app.get("/api/admin/jobs", auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const rows = await jobQueue.list(parseJobFilters(req.query));
+        res.json({
+            success: true,
+            count: rows.length,
+            counts: await jobQueue.counts(),
+            data: rows.map(formatJob),
         });
+    } catch (err) {
+        sendJobError(res, err);
+    }
+});
+
+// 관리자: 실패한 작업 다시 실행
+app.post("/api/admin/jobs/:id/retry", auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const jobId = parseInt(req.params.id);
+        if (isNaN(jobId)) {
+            throw new JobError(400, "INVALID_JOB_ID", "유효하지 않은 ID입니다");
+        }
+
+        const job = await jobQueue.retry(jobId);
+        console.log(`🔁 [JOB] #${jobId} ${job.type} 다시 실행`);
+        res.json({ success: true, message: "작업을 다시 대기열에 넣었습니다", data: formatJob(job) });
+    } catch (err) {
+        sendJobError(res, err);
     }
 });
 
 // =======================
-// 전체 삭제 - 수정 버전
+// 공유 링크
 // =======================
-app.delete("/api/upload/media/all", async (req, res) => {
-    console.log("🗑️ [DELETE ALL] 전체 삭제 요청");
+const shareBaseUrl = config.publicBaseUrl;
+
+function sendShareError(res, err) {
+    if (err instanceof ShareError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [SHARE ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
 
+app.post("/api/upload/shares", async (req, res) => {
     try {
-        // 1. 모든 파일 경로 가져오기
-        const files = await dbAll("SELECT DISTINCT file_path FROM file_storage");
-        console.log(`📊 [STATS] 삭제할 파일 수: ${files.length}`);
+        const options = await parseShareOptions(req.body);
+
+        // 내 미디어/앨범만 공유 가능
+        let target;
+        if (options.mediaId != null) {
+            target = await mediaRepo.getOwnedMediaFile(options.mediaId, req.user.id);
+        } else if (options.albumId != null) {
+            target = await albumRepo.getOwned(options.albumId, req.user.id);
+        } else {
+            target = await albumRepo.findByName(req.user.id, options.albumName);
+        }
+        if (!target) {
+            throw new ShareError(404, "SHARE_TARGET_NOT_FOUND", "공유할 미디어 또는 앨범을 찾을 수 없습니다");
+        }
 
-        // 트랜잭션 시작
-        await dbRun("BEGIN TRANSACTION");
+        const link = await shareRepo.insertLink({
+            token: createShareToken(),
+            ownerId: req.user.id,
+            mediaId: options.mediaId,
+            albumId: options.mediaId != null ? null : target.id,
+            passwordHash: options.passwordHash,
+            expiresAt: options.expiresAt,
+            maxDownloads: options.maxDownloads,
+        });
+        console.log(`🔗 [SHARE CREATE] Share ID ${link.id} (${options.mediaId != null ? `Media ID ${options.mediaId}` : `Album ID ${link.album_id}`})`);
 
-        try {
-            // 2. DB에서 모든 레코드 삭제 (외래 키 제약 조건 순서 고려)
-            const mediaDeleted = await dbRun("DELETE FROM uploaded_media");
-            console.log(`✅ [DB] uploaded_media 삭제: ${mediaDeleted.changes}개`);
+        res.status(201).json({ success: true, data: formatShareLink(link, shareBaseUrl) });
+    } catch (err) {
+        sendShareError(res, err);
+    }
+});
+
+app.get("/api/upload/shares", async (req, res) => {
+    try {
+        const links = await shareRepo.listOwnedLinks(req.user.id);
+        res.json({
+            success: true,
+            count: links.length,
+            data: links.map((link) => formatShareLink(link, shareBaseUrl)),
+        });
+    } catch (err) {
+        sendShareError(res, err);
+    }
+});
 
-            const storageDeleted = await dbRun("DELETE FROM file_storage");
-            console.log(`✅ [DB] file_storage 삭제: ${storageDeleted.changes}개`);
+app.delete("/api/upload/shares/:id", async (req, res) => {
+    try {
+        const link = await shareRepo.getOwnedLink(parseInt(req.params.id), req.user.id);
+        if (!link) {
+            throw new ShareError(404, "SHARE_NOT_FOUND", "공유 링크를 찾을 수 없습니다");
+        }
 
-            // 트랜잭션 커밋
-            await dbRun("COMMIT");
-            console.log(`✅ [COMMIT] DB 트랜잭션 완료`);
-        } catch (dbErr) {
-            await dbRun("ROLLBACK");
-            console.error(`❌ [DB ERROR]:`, dbErr.message);
-            throw dbErr;
+        if (!link.revoked_at) {
+            await shareRepo.revoke(link.id);
+            console.log(`🔗 [SHARE REVOKE] Share ID ${link.id}`);
         }
 
-        // 3. 물리적 파일 삭제 (DB 커밋 후)
-        let deletedFiles = 0;
-        let failedFiles = 0;
+        const revoked = await shareRepo.getLink(link.id);
+        res.json({ success: true, data: formatShareLink(revoked, shareBaseUrl) });
+    } catch (err) {
+        sendShareError(res, err);
+    }
+});
+
+// ----- 공개 접근 (로그인 불필요) -----
 
-        for (const file of files) {
-            if (fs.existsSync(file.file_path)) {
-                try {
-                    fs.unlinkSync(file.file_path);
-                    deletedFiles++;
-                } catch (fsErr) {
-                    failedFiles++;
-                    console.error(`⚠️ [FILE DELETE FAILED] ${file.file_path}:`, fsErr.message);
-                }
-            }
+// 토큰 확인 + 비밀번호 검증
+async function openShareLink(req) {
+    const link = await shareRepo.findByToken(req.params.token);
+    await checkShareAccess(link, req.get("X-Share-Password") || req.query.password);
+    return link;
+}
+
+app.get("/api/share/:token", async (req, res) => {
+    try {
+        const link = await openShareLink(req);
+        const rows = await shareRepo.listSharedMedia(link);
+
+        if (link.media_id != null && rows.length === 0) {
+            throw new ShareError(404, "SHARE_NOT_FOUND", "공유된 미디어가 삭제되었습니다");
         }
 
-        console.log(`🗑️ [COMPLETE] 삭제 완료:`);
-        console.log(`   - 물리적 파일 삭제: ${deletedFiles}개`);
-        console.log(`   - 파일 삭제 실패: ${failedFiles}개`);
-        console.log(`   - uploaded_media: ${mediaDeleted.changes}개`);
-        console.log(`   - file_storage: ${storageDeleted.changes}개`);
+        const fileUrl = (mediaId) => `${shareBaseUrl}/api/share/${link.token}/media/${mediaId}`;
 
         res.json({
             success: true,
-            message: "모든 데이터가 삭제되었습니다",
-            stats: {
-                deletedFiles,
-                failedFiles,
-                deletedMedia: mediaDeleted.changes,
-                deletedStorage: storageDeleted.changes,
+            data: {
+                type: link.media_id != null ? "media" : "album",
+                albumName: link.album_name,
+                expiresAt: link.expires_at,
+                remainingDownloads: link.max_downloads != null
+                    ? Math.max(link.max_downloads - link.download_count, 0)
+                    : null,
+                count: rows.length,
+                items: rows.map((r) => ({
+                    id: r.media_id,
+                    originalName: r.original_name,
+                    fileType: r.file_type,
+                    mimeType: r.mime_type,
+                    size: r.file_size,
+                    sizeFormatted: formatFileSize(r.file_size),
+                    uploadedAt: r.uploaded_at,
+                    url: fileUrl(r.media_id),
+                    thumbnailUrl: r.thumbnail_status === "ready" ? `${fileUrl(r.media_id)}?size=medium` : null,
+                })),
             },
         });
     } catch (err) {
-        console.error("❌ [DELETE ALL ERROR]:", err);
-        res.status(500).json({
-            success: false,
-            message: "전체 삭제 중 오류가 발생했습니다",
-            error: err.message,
+        sendShareError(res, err);
+    }
+});
+
+app.get("/api/share/:token/media/:mediaId", async (req, res) => {
+    try {
+        const link = await openShareLink(req);
+        const [media] = await shareRepo.listSharedMedia(link, parseInt(req.params.mediaId));
+
+        if (!media || !(await fileStore.exists(media.file_path))) {
+            throw new ShareError(404, "SHARE_MEDIA_NOT_FOUND", "공유된 파일을 찾을 수 없습니다");
+        }
+
+        // 썸네일은 다운로드 횟수에 포함하지 않음
+        if (req.query.size) {
+            const thumbnail = thumbnailKeys(media.storage_id, media.file_path)[req.query.size];
+            if (!thumbnail || media.thumbnail_status !== "ready") {
+                throw new ShareError(404, "THUMBNAIL_NOT_FOUND", "썸네일이 없습니다");
+            }
+            return sendStoredFile(req, res, thumbnail);
+        }
+
+        // 이미 센 다운로드의 토큰을 보낸 요청(동영상 탐색 등)만 다시 세지 않음
+        // 그 밖의 요청은 Range 여부와 상관없이 한도 확인 + 횟수 증가
+        const downloadToken = req.get("X-Share-Download-Token") || req.query.dl;
+        if (!shareDownloadTokens.verify(downloadToken, link.id, media.media_id)) {
+            if (!(await shareRepo.countDownload(link.id))) {
+                throw new ShareError(410, "SHARE_DOWNLOAD_LIMIT", "다운로드 횟수 제한에 도달한 공유 링크입니다");
+            }
+            console.log(`📤 [SHARE DOWNLOAD] Share ID ${link.id}, Media ID ${media.media_id}`);
+            res.set({
+                "X-Share-Download-Token": shareDownloadTokens.issue(link.id, media.media_id),
+                "Access-Control-Expose-Headers": "X-Share-Download-Token",
+            });
+        }
+
+        await sendStoredFile(req, res, media.file_path, {
+            contentType: media.mime_type,
+            downloadName: req.query.download ? media.original_name : null,
         });
+    } catch (err) {
+        sendShareError(res, err);
     }
 });
 
@@ -664,24 +2312,21 @@ app.delete("/api/upload/media/all", async (req, res) => {
 // =======================
 app.get('/api/upload/stats', async (req, res) => {
     try {
-        const mediaCount = await dbGet("SELECT COUNT(*) as count FROM uploaded_media");
-        const storageCount = await dbGet("SELECT COUNT(*) as count FROM file_storage");
-        const imageCount = await dbGet("SELECT COUNT(*) as count FROM file_storage WHERE file_type = 'image'");
-        const videoCount = await dbGet("SELECT COUNT(*) as count FROM file_storage WHERE file_type = 'video'");
-        const totalSize = await dbGet("SELECT SUM(file_size) as size FROM file_storage");
-        const albumCount = await dbGet("SELECT COUNT(DISTINCT album_name) as count FROM uploaded_media");
-        
+        // 사용자가 참조하는 고유 파일 기준
+        const stats = await mediaRepo.libraryStats(req.user.id);
+
         res.json({
             success: true,
             stats: {
-                totalUploads: mediaCount.count,
-                uniqueFiles: storageCount.count,
-                duplicateSavings: mediaCount.count - storageCount.count,
-                images: imageCount.count,
-                videos: videoCount.count,
-                albums: albumCount.count,
-                totalSize: totalSize.size || 0,
-                totalSizeFormatted: formatFileSize(totalSize.size || 0),
+                totalUploads: stats.media_count,
+                uniqueFiles: stats.storage_count,
+                duplicateSavings: stats.media_count - stats.storage_count,
+                images: stats.image_count,
+                videos: stats.video_count,
+                albums: stats.album_count,
+                trashed: stats.trash_count,
+                totalSize: stats.total_size,
+                totalSizeFormatted: formatFileSize(stats.total_size),
             },
         });
     } catch (err) {
@@ -703,10 +2348,8 @@ app.post("/api/upload/check-hash", async (req, res) => {
     }
     
     try {
-        const storage = await dbGet(
-            "SELECT * FROM file_storage WHERE file_hash = ?",
-            [hash]
-        );
+        // 내 라이브러리에 이미 있는 파일인지 확인
+        const storage = await mediaRepo.findOwnedStorageByHash(hash, req.user.id);
         
         res.json({
             success: true,
@@ -718,6 +2361,96 @@ app.post("/api/upload/check-hash", async (req, res) => {
     }
 });
 
+// =======================
+// 업로드 전 중복 확인 (해시 일괄 확인 + 기존 파일 연결)
+// =======================
+function sendDedupError(res, err) {
+    if (err instanceof DedupError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error("❌ [DEDUP ERROR]:", err);
+    res.status(500).json({ success: false, error: err.message });
+}
+
+// { hashes: [...] } → 내 라이브러리에 있는 해시(existing) / 없는 해시(missing)
+app.post("/api/upload/check-hashes", async (req, res) => {
+    try {
+        const { hashes, invalid } = parseHashList(req.body);
+        const found = await mediaRepo.findOwnedHashes(hashes, req.user.id);
+
+        const existing = hashes.filter((hash) => found.has(hash));
+        const missing = hashes.filter((hash) => !found.has(hash));
+
+        console.log(`🔎 [CHECK HASHES] User ID ${req.user.id}: ${hashes.length}개 중 ${existing.length}개 보유`);
+
+        res.json({
+            success: true,
+            total: hashes.length,
+            existingCount: existing.length,
+            missingCount: missing.length,
+            existing,
+            missing,
+            invalid,
+        });
+    } catch (err) {
+        sendDedupError(res, err);
+    }
+});
+
+// { album, items: [{ hash, originalName }] } → 항목마다 새 uploaded_media (파일 전송 없음)
+app.post("/api/upload/media/link", async (req, res) => {
+    let request;
+    try {
+        request = parseLinkRequest(req.body);
+        validateAlbumName(request.albumName);
+    } catch (err) {
+        return err instanceof AlbumError ? sendAlbumError(res, err) : sendDedupError(res, err);
+    }
+
+    const { albumName, items } = request;
+    console.log(`🔗 [LINK START] 앨범: ${albumName}, 항목 수: ${items.length}`);
+
+    // 항목마다 별도 트랜잭션 - 한 항목의 실패가 나머지에 영향을 주지 않음
+    const results = [];
+    for (const item of items) {
+        if (!item.hash) {
+            results.push({ index: item.index, status: "failed", code: "INVALID_HASH", message: "hash는 MD5 해시(32자리 hex)여야 합니다" });
+            continue;
+        }
+
+        try {
+            const data = await linkExistingMedia({
+                ownerId: req.user.id,
+                fileHash: item.hash,
+                albumName,
+                originalName: item.originalName,
+            });
+            results.push({ index: item.index, hash: item.hash, status: "linked", data });
+        } catch (err) {
+            const notFound = err instanceof DedupError && err.code === "HASH_NOT_FOUND";
+            if (!notFound) console.error(`❌ [LINK ITEM ERROR] ${item.hash}:`, err.message);
+            results.push({
+                index: item.index,
+                hash: item.hash,
+                status: notFound ? "not_found" : "failed",
+                ...(err.code && { code: err.code }),
+                message: err.message,
+            });
+        }
+    }
+
+    const summary = {
+        total: results.length,
+        linked: results.filter((r) => r.status === "linked").length,
+        notFound: results.filter((r) => r.status === "not_found").length,
+        failed: results.filter((r) => r.status === "failed").length,
+    };
+
+    console.log(`✅ [LINK DONE] 연결 ${summary.linked}, 없음 ${summary.notFound}, 실패 ${summary.failed}`);
+
+    res.json({ success: summary.failed < summary.total, summary, results });
+});
+
 // =======================
 // 루트
 // =======================
@@ -725,20 +2458,63 @@ app.get('/', (req, res) => {
     res.json({
         message: "미디어 업로드 API 서버 (참조 카운팅)",
         status: "running",
+        storage: fileStore.driver,
         features: [
             "중복 파일 자동 감지",
             "참조 카운팅으로 안전한 삭제",
             "저장 공간 효율성"
         ],
         endpoints: {
+            register: "POST /api/auth/register",
+            login: "POST /api/auth/login",
+            refresh: "POST /api/auth/refresh",
+            logout: "POST /api/auth/logout",
+            me: "GET /api/auth/me",
             upload: "POST /api/upload/media",
+            batchUpload: "POST /api/upload/media/batch",
+            resumable: "POST /api/upload/resumable (tus 1.0.0)",
             hashes: "GET /api/upload/hashes",
             albums: "GET /api/upload/albums",
-            list: "GET /api/upload/media?album=앨범명",
+            createAlbum: "POST /api/upload/albums",
+            album: "GET /api/upload/albums/:id",
+            updateAlbum: "PATCH /api/upload/albums/:id (name, description, coverMediaId)",
+            albumMedia: "POST /api/upload/albums/:id/media (mediaIds, mode=move|copy)",
+            deleteAlbum: "DELETE /api/upload/albums/:id",
+            media: "GET /api/media/:id (Range, ETag, ?download=1)",
+            render: "GET /api/media/:id/render?w=800&h=600&fit=inside&format=webp&quality=80",
+            stream: "GET /api/media/:id/stream/hls/master.m3u8 | /api/media/:id/stream/web.mp4 (변환 완료 후)",
+            list: "GET /api/upload/media?albumId=1&sort=taken&order=desc&takenFrom=2024-01-01&limit=50&cursor=...",
+            listSorts: "sort=uploaded|taken|size|name|type|rating, order=asc|desc (응답의 pagination.nextCursor/prevCursor 로 페이지 이동)",
+            listFilters: "tag=beach,family&favorite=true&minRating=4",
+            search: "GET /api/upload/search?q=beach trip&type=video&album=Trip&mimeType=video/mp4&takenFrom=2024-01-01&minSize=0&maxSize=1048576 (facets 포함)",
+            updateMedia: "PATCH /api/upload/media/:id (caption, favorite, rating, tags)",
+            addTags: "POST /api/upload/media/:id/tags (tags)",
+            removeTag: "DELETE /api/upload/media/:id/tags/:tag",
+            tags: "GET /api/upload/tags",
+            bulkTags: "POST /api/upload/tags/bulk (mediaIds, add, remove)",
+            renameTag: "PATCH /api/upload/tags/:id (name)",
+            deleteTag: "DELETE /api/upload/tags/:id",
             checkHash: "POST /api/upload/check-hash",
+            checkHashes: `POST /api/upload/check-hashes (hashes - 최대 ${HASH_CHECK_MAX}개)`,
+            linkMedia: `POST /api/upload/media/link (album, items: [{ hash, originalName }] - 최대 ${HASH_LINK_MAX}개, 내 파일만)`,
             stats: "GET /api/upload/stats",
-            delete: "DELETE /api/upload/media/:id",
-            deleteAll: "DELETE /api/upload/media/all",
+            quota: "GET /api/upload/quota",
+            setQuota: "PUT /api/admin/users/:id/quota (관리자)",
+            integrity: "POST /api/admin/integrity (repair, verifyHashes, background - 관리자, 기본 dry-run)",
+            jobs: "GET /api/jobs?status=&type=&limit=50 (내 작업)",
+            job: "GET /api/jobs/:id",
+            adminJobs: "GET /api/admin/jobs?status=&type=&limit=50 (관리자)",
+            retryJob: "POST /api/admin/jobs/:id/retry (관리자)",
+            createShare: "POST /api/upload/shares",
+            shares: "GET /api/upload/shares",
+            revokeShare: "DELETE /api/upload/shares/:id",
+            publicShare: "GET /api/share/:token (로그인 불필요)",
+            delete: "DELETE /api/upload/media/:id (휴지통으로 이동)",
+            deleteAll: "DELETE /api/upload/media/all (모두 휴지통으로 이동)",
+            trash: "GET /api/upload/trash?sort=deleted&limit=50&cursor=...",
+            restore: "POST /api/upload/trash/restore (mediaIds 또는 all: true)",
+            purge: "DELETE /api/upload/trash/:id (영구 삭제)",
+            emptyTrash: "DELETE /api/upload/trash",
         },
     });
 });
@@ -746,32 +2522,77 @@ app.get('/', (req, res) => {
 // =======================
 // 서버 시작
 // =======================
-app.listen(PORT, myHost, () => {
-    console.log(`🚀 서버 실행: http://${myHost}:${PORT}`);
-    console.log('📡 참조 카운팅 시스템 활성화 (sqlite3)');
+app.listen(config.port, config.host, () => {
+    console.log(`🚀 서버 실행: http://${config.host}:${config.port} (프로필: ${config.profile})`);
+    console.log(`🌐 공개 URL: ${config.publicBaseUrl}`);
+    if (config.file) console.log(`⚙️ 설정 파일: ${config.file}`);
+    console.log(`📡 참조 카운팅 시스템 활성화 (${db.driver})`);
     console.log('   - 중복 파일 자동 감지');
     console.log('   - 안전한 파일 삭제');
     console.log('   - 저장 공간 최적화');
+    console.log(`   - DB 드라이버: ${db.driver} (DB_DRIVER)`);
+    console.log(`   - 파일 저장소: ${fileStore.driver} (STORAGE_DRIVER)`);
+    console.log(`   - 동영상 변환: ${TRANSCODE_ENABLED ? "사용" : "사용 안 함"} (TRANSCODE_ENABLED)`);
     console.log('\n📋 사용 가능한 엔드포인트:');
+    console.log('   POST   /api/auth/register - 회원가입');
+    console.log('   POST   /api/auth/login - 로그인');
+    console.log('   POST   /api/auth/refresh - 토큰 재발급');
+    console.log('   POST   /api/auth/logout - 로그아웃');
+    console.log('   GET    /api/auth/me - 내 정보');
     console.log('   POST   /api/upload/media - 파일 업로드');
+    console.log('   POST   /api/upload/media/batch - 일괄 업로드');
+    console.log('   POST   /api/upload/resumable - 이어받기 업로드 (tus)');
     console.log('   GET    /api/upload/hashes - 해시 목록');
     console.log('   GET    /api/upload/albums - 앨범 목록');
-    console.log('   GET    /api/upload/media - 파일 목록');
+    console.log('   POST   /api/upload/albums - 앨범 생성');
+    console.log('   GET    /api/upload/albums/:id - 앨범 조회');
+    console.log('   PATCH  /api/upload/albums/:id - 앨범 이름/설명/대표 이미지 변경');
+    console.log('   POST   /api/upload/albums/:id/media - 미디어 이동/복사');
+    console.log('   DELETE /api/upload/albums/:id - 앨범 삭제');
+    console.log('   GET    /api/upload/media - 파일 목록 (커서 페이지네이션)');
+    console.log('   GET    /api/media/:id - 원본 (Range / ETag / ?download=1)');
+    console.log('   GET    /api/media/:id/render - 크기/형식 변환 (캐시)');
+    console.log('   GET    /api/media/:id/stream/* - 동영상 재생 (HLS / 웹 MP4)');
+    console.log('   GET    /api/upload/search - 검색 (전문 검색 + 패싯)');
+    console.log('   PATCH  /api/upload/media/:id - 설명/즐겨찾기/별점/태그 수정');
+    console.log('   POST   /api/upload/media/:id/tags - 태그 추가');
+    console.log('   DELETE /api/upload/media/:id/tags/:tag - 태그 제거');
+    console.log('   GET    /api/upload/tags - 태그 목록');
+    console.log('   POST   /api/upload/tags/bulk - 태그 일괄 추가/제거');
+    console.log('   PATCH  /api/upload/tags/:id - 태그 이름 변경');
+    console.log('   DELETE /api/upload/tags/:id - 태그 삭제');
     console.log('   POST   /api/upload/check-hash - 해시 확인');
+    console.log('   POST   /api/upload/check-hashes - 해시 일괄 확인 (업로드 전 중복 확인)');
+    console.log('   POST   /api/upload/media/link - 기존 파일 연결 (내용 전송 없이 업로드)');
     console.log('   GET    /api/upload/stats - 통계');
-    console.log('   DELETE /api/upload/media/:id - 개별 삭제');
-    console.log('   DELETE /api/upload/media/all - 전체 삭제');
+    console.log(`   GET    /api/upload/quota - 저장 공간 한도 (정책: ${quotaPolicy()})`);
+    console.log('   PUT    /api/admin/users/:id/quota - 사용자 한도 변경 (관리자)');
+    console.log('   POST   /api/admin/integrity - 저장소 무결성 검사/복구 (관리자)');
+    console.log('   GET    /api/jobs - 내 백그라운드 작업 목록');
+    console.log('   GET    /api/jobs/:id - 작업 상태');
+    console.log('   GET    /api/admin/jobs - 전체 작업 목록/상태별 개수 (관리자)');
+    console.log('   POST   /api/admin/jobs/:id/retry - 실패한 작업 다시 실행 (관리자)');
+    console.log('   POST   /api/upload/shares - 공유 링크 생성');
+    console.log('   GET    /api/upload/shares - 공유 링크 목록');
+    console.log('   DELETE /api/upload/shares/:id - 공유 링크 취소');
+    console.log('   GET    /api/share/:token - 공유 링크 열람 (로그인 불필요)');
+    console.log('   GET    /api/share/:token/media/:mediaId - 공유 파일 (?size=썸네일, ?download=1, ?dl=다운로드 토큰)');
+    console.log('   DELETE /api/upload/media/all - 전체 삭제 (휴지통으로)');
+    console.log('   DELETE /api/upload/media/:id - 개별 삭제 (휴지통으로)');
+    console.log(`   GET    /api/upload/trash - 휴지통 목록 (보관 기간: ${TRASH_RETENTION_DAYS}일)`);
+    console.log('   POST   /api/upload/trash/restore - 휴지통 복원');
+    console.log('   DELETE /api/upload/trash/:id - 영구 삭제');
+    console.log('   DELETE /api/upload/trash - 휴지통 비우기');
 });
 
 // =======================
 // 종료 처리
 // =======================
 process.on("SIGINT", () => {
-    db.close((err) => {
-        if (err) {
-            console.error("DB 종료 오류:", err.message);
-        }
-        console.log("\n💾 DB 종료");
-        process.exit(0);
-    });
+    db.close()
+        .catch((err) => console.error("DB 종료 오류:", err.message))
+        .finally(() => {
+            console.log("\n💾 DB 종료");
+            process.exit(0);
+        });
 });
\ No newline at end of file
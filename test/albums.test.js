@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 앨범 이름 변경 통합 테스트 (PATCH /api/upload/albums/:id)
+// =======================
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+// 응답 url (…/uploads/<인코딩된 키>) → 저장소 키
+function storageKey(url) {
+    return decodeURIComponent(url.split("/uploads/")[1]);
+}
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`앨범 이름 변경 (${driver})`, () => {
+        let server;
+        const tokens = {};
+        const userIds = {};
+        const uploaded = {};
+
+        async function api(method, url, { body, form, user = "alice" } = {}) {
+            const headers = { Authorization: `Bearer ${tokens[user]}` };
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function register(username) {
+            const res = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username, password: "password1" }),
+            });
+            const { data } = await res.json();
+            tokens[username] = data.accessToken;
+            userIds[username] = data.user.id;
+        }
+
+        async function upload(user, album, background, name) {
+            const image = await sharp({ create: { width: 32, height: 32, channels: 3, background } }).png().toBuffer();
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([image], { type: "image/png" }), name);
+            return (await api("POST", "/api/upload/media", { form, user })).body.data;
+        }
+
+        async function fetchFile(url, user) {
+            const res = await fetch(url, { headers: { Authorization: `Bearer ${tokens[user]}` } });
+            await res.arrayBuffer();
+            return res.status;
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+            await register("alice");
+            await register("bob");
+
+            uploaded.red = await upload("alice", "Trip", "#ff0000", "red.png");
+            uploaded.blue = await upload("alice", "Trip", "#0000ff", "blue.png");
+            // 같은 내용 → alice 의 Trip 폴더 파일을 함께 참조
+            uploaded.bobRed = await upload("bob", "Camera", "#ff0000", "mine.png");
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("공유되지 않은 파일만 새 폴더로 이동", async () => {
+            assert.equal(uploaded.bobRed.storageId, uploaded.red.storageId);
+
+            const res = await api("PATCH", `/api/upload/albums/${uploaded.red.albumId}`, { body: { name: "Trip 2024" } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.name, "Trip 2024");
+            assert.equal(res.body.data.fileCount, 2);
+
+            const list = await api("GET", `/api/upload/media?albumId=${uploaded.red.albumId}`);
+            const byId = Object.fromEntries(list.body.data.map((item) => [item.id, item]));
+            const red = byId[uploaded.red.id];
+            const blue = byId[uploaded.blue.id];
+
+            assert.equal(blue.albumName, "Trip 2024");
+            assert.equal(path.posix.dirname(storageKey(blue.url)), `${userIds.alice}/Trip_2024`);
+            assert.ok(fs.existsSync(path.join(server.uploadDir, ...storageKey(blue.url).split("/"))));
+            assert.equal(fs.existsSync(path.join(server.uploadDir, ...storageKey(uploaded.blue.url).split("/"))), false);
+
+            // bob 의 미디어도 참조하는 파일은 제자리
+            assert.equal(red.albumName, "Trip 2024");
+            assert.equal(red.url, uploaded.red.url);
+
+            assert.equal(await fetchFile(blue.url, "alice"), 200);
+            assert.equal(await fetchFile(red.url, "alice"), 200);
+            assert.equal(await fetchFile(uploaded.bobRed.url, "bob"), 200);
+        });
+    });
+}
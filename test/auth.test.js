@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DB_DRIVERS, openDatabase } = require("../lib/db");
+const { loadMigrations, migrate } = require("../lib/migrations");
+const { createUserRepository } = require("../lib/userRepository");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 가입 / 관리자 생성 (POST /api/auth/register, ADMIN_USERNAME, lib/userRepository.js)
+// =======================
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`가입과 관리자 (${driver})`, () => {
+        let server;
+
+        async function post(url, body, token) {
+            const headers = { "Content-Type": "application/json" };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const res = await fetch(`${server.baseUrl}${url}`, { method: "POST", headers, body: JSON.stringify(body) });
+            return { status: res.status, body: await res.json() };
+        }
+
+        before(async () => {
+            server = await startServer({ entry, env: { ADMIN_USERNAME: "root", ADMIN_PASSWORD: "password1" } });
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("공개 가입은 첫 가입자도 일반 사용자", async () => {
+            const res = await post("/api/auth/register", { username: "alice", password: "password1" });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.user.role, "user");
+
+            const denied = await post("/api/admin/integrity", {}, res.body.data.accessToken);
+            assert.equal(denied.status, 403);
+        });
+
+        it("ADMIN_USERNAME 계정은 관리자", async () => {
+            const login = await post("/api/auth/login", { username: "root", password: "password1" });
+            assert.equal(login.status, 200);
+            assert.equal(login.body.data.user.role, "admin");
+
+            const taken = await post("/api/auth/register", { username: "root", password: "password1" });
+            assert.equal(taken.status, 409);
+            assert.equal(taken.body.code, "USERNAME_TAKEN");
+        });
+
+        it("같은 이름으로 동시에 가입하면 하나만 성공, 나머지는 409", async () => {
+            const results = await Promise.all(
+                Array.from({ length: 4 }, () => post("/api/auth/register", { username: "racer", password: "password1" }))
+            );
+            const statuses = results.map((res) => res.status).sort();
+            assert.deepEqual(statuses, [201, 409, 409, 409]);
+            results.filter((res) => res.status === 409).forEach((res) => assert.equal(res.body.code, "USERNAME_TAKEN"));
+        });
+
+        it("?access_token= 은 미디어 GET 라우트에서만", async () => {
+            const { body } = await post("/api/auth/login", { username: "alice", password: "password1" });
+            const query = `access_token=${encodeURIComponent(body.data.accessToken)}`;
+            const get = async (url, options) => {
+                const res = await fetch(`${server.baseUrl}${url}`, options);
+                return { status: res.status, body: await res.json() };
+            };
+
+            // 인증은 통과 (없는 미디어)
+            for (const url of ["/api/media/999999", "/api/media/999999/render?w=320", "/api/media/999999/stream/master.m3u8"]) {
+                const res = await get(`${url}${url.includes("?") ? "&" : "?"}${query}`);
+                assert.equal(res.status, 404, url);
+                assert.equal(res.body.code, "MEDIA_NOT_FOUND", url);
+            }
+            assert.equal((await get(`/uploads/Trip/missing.png?${query}`)).status, 404);
+
+            for (const url of ["/api/upload/media", "/api/auth/me", "/api/jobs"]) {
+                const res = await get(`${url}?${query}`);
+                assert.equal(res.status, 401, url);
+                assert.equal(res.body.code, "AUTH_REQUIRED", url);
+            }
+            const deleted = await get(`/api/upload/media/1?${query}`, { method: "DELETE" });
+            assert.equal(deleted.status, 401);
+        });
+    });
+}
+
+for (const driver of DB_DRIVERS) {
+    describe(`관리자 생성과 기존 미디어 귀속 (${driver})`, () => {
+        let db;
+        let users;
+
+        before(async () => {
+            db = openDatabase(":memory:", { driver });
+            await db.ready;
+            await migrate(db, loadMigrations());
+            users = createUserRepository(db);
+
+            // 인증 도입 이전 데이터: 소유자 없는 앨범 두 개와 미디어
+            await db.run(
+                `INSERT INTO file_storage (file_hash, saved_name, file_path, file_size, mime_type, file_type)
+                 VALUES ('h1', 'a.png', 'Trip/a.png', 1, 'image/png', 'image')`
+            );
+            for (const name of ["Trip", "Default"]) {
+                const album = await db.run("INSERT INTO albums (owner_id, name) VALUES (NULL, ?)", [name]);
+                await db.run(
+                    "INSERT INTO uploaded_media (storage_id, original_name, album_name, album_id) VALUES (1, 'a.png', ?, ?)",
+                    [name, album.lastID]
+                );
+            }
+        });
+
+        after(async () => {
+            await db.close();
+        });
+
+        it("이미 있는 사용자는 관리자로 바꾸고, 같은 이름의 앨범은 합친다", async () => {
+            const alice = await users.insertUser({ username: "alice", passwordHash: "x" });
+            const mine = await db.run("INSERT INTO albums (owner_id, name) VALUES (?, 'Trip')", [alice.id]);
+
+            const result = await users.createAdmin({ username: "alice" });
+            assert.equal(result.created, false);
+            assert.equal(result.adoptedMedia, 2);
+            assert.equal((await users.findByUsername("alice")).role, "admin");
+
+            const albums = await db.all("SELECT id, owner_id, name FROM albums ORDER BY name");
+            assert.deepEqual(albums.map((a) => [a.name, a.owner_id]), [["Default", alice.id], ["Trip", alice.id]]);
+            const trip = await db.get("SELECT album_id FROM uploaded_media WHERE album_name = 'Trip'");
+            assert.equal(trip.album_id, mine.lastID);
+        });
+
+        it("없는 사용자는 비밀번호가 있어야 생성", async () => {
+            await assert.rejects(users.createAdmin({ username: "root" }), { code: "WEAK_PASSWORD" });
+
+            const result = await users.createAdmin({ username: "root", password: "password1" });
+            assert.equal(result.created, true);
+            assert.equal(result.user.role, "admin");
+            assert.equal(result.adoptedMedia, 0);
+
+            await assert.rejects(users.insertUser({ username: "root", passwordHash: "x" }), { status: 409, code: "USERNAME_TAKEN" });
+        });
+    });
+}
@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { ConfigError, loadConfig } = require("../lib/config");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// lib/config.js 검증
+// =======================
+
+describe("설정 (loadConfig)", () => {
+    let tempDir;
+    let file;
+
+    // 빈 설정 파일 + 주어진 환경변수만으로 읽기
+    const load = (env = {}) => loadConfig({ env, file, rootDir: tempDir });
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-config-"));
+        file = path.join(tempDir, "config.json");
+        fs.writeFileSync(file, "{}");
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("기본 저장 공간 한도", () => {
+        const config = load();
+        assert.equal(config.defaultQuotaBytes, 10 * 1024 ** 3);
+        assert.equal(config.quotaPolicy, "full");
+
+        assert.equal(load({ DEFAULT_QUOTA_BYTES: "0" }).defaultQuotaBytes, 0);
+        assert.equal(load({ DEFAULT_QUOTA_BYTES: "1048576" }).defaultQuotaBytes, 1048576);
+    });
+
+    it("숫자가 아닌 한도는 무제한으로 읽지 않고 거부", () => {
+        for (const value of ["10GB", "-1", "1.5", "abc"]) {
+            assert.throws(() => load({ DEFAULT_QUOTA_BYTES: value }), (err) => {
+                assert.ok(err instanceof ConfigError, value);
+                assert.match(err.message, /defaultQuotaBytes/);
+                return true;
+            });
+        }
+    });
+
+    it("알 수 없는 청구 정책은 거부", () => {
+        assert.equal(load({ QUOTA_POLICY: "first-uploader" }).quotaPolicy, "first-uploader");
+        assert.throws(() => load({ QUOTA_POLICY: "fair" }), /quotaPolicy/);
+    });
+
+    it("기본 host 는 모든 인터페이스, 공개 URL 은 직접 지정해야 한다", () => {
+        const config = load();
+        assert.equal(config.host, "0.0.0.0");
+        assert.equal(config.publicBaseUrl, null);
+        assert.equal(load({ HOST: "::" }).publicBaseUrl, null);
+        assert.equal(load({ PUBLIC_BASE_URL: "http://192.168.0.10:8011/" }).publicBaseUrl, "http://192.168.0.10:8011");
+        assert.equal(load({ HOST: "127.0.0.1", PORT: "9000" }).publicBaseUrl, "http://127.0.0.1:9000");
+        assert.equal(load({ HOST: "::1", PORT: "9000" }).publicBaseUrl, "http://[::1]:9000");
+    });
+
+    it("기능별 한도", () => {
+        const config = load({
+            TRASH_RETENTION_DAYS: "0",
+            HASH_CHECK_MAX: "5",
+            JOB_CONCURRENCY: "4",
+            TRANSCODE_ENABLED: "false",
+            RENDER_SIZES: "640, 320,640",
+        });
+        assert.equal(config.trashRetentionDays, 0);
+        assert.equal(config.hashCheckMax, 5);
+        assert.equal(config.hashLinkMax, 1000);
+        assert.equal(config.jobConcurrency, 4);
+        assert.equal(config.transcodeEnabled, false);
+        assert.deepEqual(config.renderSizes, [320, 640]);
+
+        for (const env of [
+            { TRASH_RETENTION_DAYS: "30d" },
+            { HASH_CHECK_MAX: "0" },
+            { JOB_CONCURRENCY: "many" },
+            { JOB_RETRY_BASE_SECONDS: "-5" },
+            { TRANSCODE_ENABLED: "no" },
+            { RENDER_SIZES: "320,big" },
+        ]) {
+            assert.throws(() => load(env), ConfigError, JSON.stringify(env));
+        }
+    });
+
+    it("파일 저장소", () => {
+        assert.deepEqual({ ...load().storage }, { driver: "local", s3: null });
+        assert.throws(() => load({ STORAGE_DRIVER: "ftp" }), /storageDriver/);
+        assert.throws(() => load({ STORAGE_DRIVER: "s3", S3_BUCKET: "media" }), /s3AccessKeyId, s3SecretAccessKey/);
+
+        const { s3 } = load({
+            STORAGE_DRIVER: "s3",
+            S3_BUCKET: "media",
+            S3_ACCESS_KEY_ID: "key",
+            S3_SECRET_ACCESS_KEY: "secret",
+            S3_ENDPOINT: "http://127.0.0.1:9000/",
+        }).storage;
+        assert.equal(s3.endpoint, "http://127.0.0.1:9000");
+        assert.equal(s3.region, "us-east-1");
+        assert.equal(s3.forcePathStyle, true);
+    });
+
+    it("모든 인터페이스에서 받을 때 publicBaseUrl 이 없으면 서버는 시작하지 않는다", async () => {
+        await assert.rejects(startServer({ env: { HOST: "0.0.0.0" } }), /publicBaseUrl \(PUBLIC_BASE_URL\) 이 필요합니다/);
+    });
+});
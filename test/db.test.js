@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { DB_DRIVERS, openDatabase } = require("../lib/db");
+
+// =======================
+// lib/db.js 트랜잭션 격리 (연결 하나를 나눠 쓰는 두 드라이버 모두)
+// =======================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+for (const driver of DB_DRIVERS) {
+    describe(`DB 어댑터 (${driver})`, () => {
+        let tempDir;
+        let db;
+
+        before(async () => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-db-"));
+            db = openDatabase(path.join(tempDir, "test.db"), { driver });
+            await db.ready;
+            await db.exec("CREATE TABLE items (name TEXT NOT NULL)");
+        });
+
+        after(async () => {
+            await db.close();
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it("트랜잭션이 ROLLBACK 돼도 그 사이 들어온 바깥 쓰기는 남는다", async () => {
+            const rejected = db.transaction(async () => {
+                await db.run("INSERT INTO items (name) VALUES (?)", ["inside"]);
+                await sleep(100);
+                throw new Error("quota");
+            });
+
+            // 트랜잭션이 열려 있는 동안 다른 요청의 쓰기
+            await sleep(20);
+            const outsideWrite = db.run("INSERT INTO items (name) VALUES (?)", ["outside"]);
+
+            await assert.rejects(rejected, /quota/);
+            await outsideWrite;
+
+            const rows = await db.all("SELECT name FROM items ORDER BY rowid");
+            assert.deepEqual(rows.map((r) => r.name), ["outside"]);
+        });
+
+        it("바깥 조회는 트랜잭션이 커밋된 뒤의 값을 본다", async () => {
+            await db.run("DELETE FROM items");
+
+            const committed = db.transaction(async () => {
+                await db.run("INSERT INTO items (name) VALUES (?)", ["a"]);
+                await sleep(100);
+                await db.run("INSERT INTO items (name) VALUES (?)", ["b"]);
+            });
+
+            await sleep(20);
+            const outsideRead = await db.get("SELECT COUNT(*) as count FROM items");
+            await committed;
+
+            assert.equal(outsideRead.count, 2);
+        });
+
+        it("안에서 부른 transaction() 은 바깥 트랜잭션에 합류한다", async () => {
+            await db.run("DELETE FROM items");
+
+            await assert.rejects(db.transaction(async () => {
+                await db.transaction(() => db.run("INSERT INTO items (name) VALUES (?)", ["nested"]));
+                throw new Error("rollback");
+            }), /rollback/);
+
+            assert.equal((await db.get("SELECT COUNT(*) as count FROM items")).count, 0);
+        });
+    });
+}
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 업로드 전 중복 확인 통합 테스트 (check-hashes / media/link)
+// =======================
+
+const HASH_CHECK_MAX = 5;
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+function md5(buffer) {
+    return crypto.createHash("md5").update(buffer).digest("hex");
+}
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`업로드 전 중복 확인 (${driver})`, () => {
+        let server;
+        const tokens = {};
+        let red;
+        let uploaded;
+
+        async function api(method, url, { body, form, user = "alice" } = {}) {
+            const headers = { Authorization: `Bearer ${tokens[user]}` };
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function register(username) {
+            const res = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username, password: "password1" }),
+            });
+            tokens[username] = (await res.json()).data.accessToken;
+        }
+
+        before(async () => {
+            red = await sharp({ create: { width: 32, height: 32, channels: 3, background: "#ff0000" } }).png().toBuffer();
+
+            server = await startServer({ entry, env: { HASH_CHECK_MAX: String(HASH_CHECK_MAX) } });
+            await register("alice");
+            await register("bob");
+
+            const form = new FormData();
+            form.append("album", "Camera");
+            form.append("file", new Blob([red], { type: "image/png" }), "red.png");
+            uploaded = (await api("POST", "/api/upload/media", { form })).body.data;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("해시 일괄 확인", async () => {
+            const unknown = md5(Buffer.from("unknown"));
+            const res = await api("POST", "/api/upload/check-hashes", {
+                body: { hashes: [md5(red), unknown, md5(red).toUpperCase(), "nope"] },
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 2);
+            assert.deepEqual(res.body.existing, [md5(red)]);
+            assert.deepEqual(res.body.missing, [unknown]);
+            assert.deepEqual(res.body.invalid, ["nope"]);
+        });
+
+        it("해시 일괄 확인: 잘못된 요청", async () => {
+            const empty = await api("POST", "/api/upload/check-hashes", { body: { hashes: [] } });
+            assert.equal(empty.status, 400);
+            assert.equal(empty.body.code, "INVALID_HASHES");
+
+            const hashes = Array.from({ length: HASH_CHECK_MAX + 1 }, (_, i) => md5(Buffer.from(String(i))));
+            const tooMany = await api("POST", "/api/upload/check-hashes", { body: { hashes } });
+            assert.equal(tooMany.status, 413);
+            assert.equal(tooMany.body.code, "TOO_MANY_HASHES");
+        });
+
+        it("다른 사용자의 파일은 보이지 않음", async () => {
+            const res = await api("POST", "/api/upload/check-hashes", { user: "bob", body: { hashes: [md5(red)] } });
+            assert.deepEqual(res.body.existing, []);
+            assert.deepEqual(res.body.missing, [md5(red)]);
+
+            const link = await api("POST", "/api/upload/media/link", {
+                user: "bob",
+                body: { items: [{ hash: md5(red), originalName: "red.png" }] },
+            });
+            assert.equal(link.status, 200);
+            assert.equal(link.body.results[0].status, "not_found");
+            assert.equal(link.body.results[0].code, "HASH_NOT_FOUND");
+        });
+
+        it("기존 파일 연결: ref_count 만 증가", async () => {
+            const res = await api("POST", "/api/upload/media/link", {
+                body: {
+                    album: "Phone",
+                    items: [
+                        { hash: md5(red), originalName: "IMG_0001.png" },
+                        { hash: md5(Buffer.from("unknown")), originalName: "IMG_0002.png" },
+                        { hash: "nope" },
+                    ],
+                },
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.summary, { total: 3, linked: 1, notFound: 1, failed: 1 });
+            assert.deepEqual(res.body.results.map((r) => r.status), ["linked", "not_found", "failed"]);
+
+            const data = res.body.results[0].data;
+            assert.equal(data.storageId, uploaded.storageId);
+            assert.equal(data.refCount, 2);
+            assert.equal(data.isDuplicate, true);
+            assert.equal(data.originalName, "IMG_0001.png");
+            assert.equal(data.albumName, "Phone");
+            assert.equal(data.url, uploaded.url);
+
+            const list = await api("GET", `/api/upload/media?albumId=${data.albumId}`);
+            assert.deepEqual(list.body.data.map((m) => m.id), [data.id]);
+
+            const stats = await api("GET", "/api/upload/stats");
+            assert.equal(stats.body.stats.totalUploads, 2);
+            assert.equal(stats.body.stats.uniqueFiles, 1);
+        });
+
+        it("기존 파일 연결: 잘못된 요청", async () => {
+            const empty = await api("POST", "/api/upload/media/link", { body: { items: [] } });
+            assert.equal(empty.status, 400);
+            assert.equal(empty.body.code, "INVALID_LINK_ITEMS");
+
+            const badAlbum = await api("POST", "/api/upload/media/link", {
+                body: { album: "..", items: [{ hash: md5(red) }] },
+            });
+            assert.equal(badAlbum.status, 400);
+            assert.equal(badAlbum.body.code, "INVALID_ALBUM_NAME");
+        });
+
+        it("휴지통에 있는 파일은 연결할 수 없음", async () => {
+            const media = await api("GET", "/api/upload/media");
+            for (const item of media.body.data) {
+                await api("DELETE", `/api/upload/media/${item.id}`);
+            }
+
+            const check = await api("POST", "/api/upload/check-hashes", { body: { hashes: [md5(red)] } });
+            assert.deepEqual(check.body.existing, []);
+
+            const link = await api("POST", "/api/upload/media/link", { body: { items: [{ hash: md5(red) }] } });
+            assert.equal(link.body.results[0].status, "not_found");
+        });
+    });
+}
@@ -0,0 +1,76 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFileType, verifyFileType, storedFileName } = require("../lib/fileSniffer");
+
+// =======================
+// lib/fileSniffer.js 형식 판별
+// =======================
+
+// ISO BMFF 박스: [size(4)] [type(4)] [payload]
+function box(type, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, "latin1");
+    return Buffer.concat([header, payload]);
+}
+
+function ftyp(major, ...compatible) {
+    return box("ftyp", Buffer.concat([
+        Buffer.from(major, "latin1"),
+        Buffer.alloc(4),
+        ...compatible.map((brand) => Buffer.from(brand, "latin1")),
+    ]));
+}
+
+const format = (buf) => (detectFileType(buf) || {}).format || null;
+
+describe("파일 형식 판별 (ISO BMFF / QuickTime)", () => {
+    it("ftyp 브랜드로 구분", () => {
+        assert.equal(format(Buffer.concat([ftyp("isom", "isom", "mp41"), box("moov", box("mvhd", Buffer.alloc(8)))])), "mp4");
+        assert.equal(format(Buffer.concat([ftyp("qt  ", "qt  "), box("wide"), box("mdat", Buffer.alloc(8))])), "mov");
+        assert.equal(format(Buffer.concat([ftyp("mif1", "mif1", "heic"), box("meta", Buffer.alloc(8))])), "heic");
+        assert.equal(format(Buffer.concat([ftyp("3gp5", "3gp5"), box("moov", Buffer.alloc(8))])), "3gp");
+    });
+
+    it("망가진 ftyp 는 거부", () => {
+        const brokenSize = ftyp("isom", "isom");
+        brokenSize.writeUInt32BE(4000, 0);
+        assert.equal(format(Buffer.concat([brokenSize, Buffer.alloc(16)])), null);
+
+        assert.equal(format(Buffer.concat([ftyp("is\x00m", "isom"), Buffer.alloc(16)])), null);
+        assert.equal(format(Buffer.concat([ftyp("isom", "isom"), Buffer.from([0, 0, 0, 3, 1, 2, 3, 4]), Buffer.alloc(8)])), null);
+    });
+
+    it("ftyp 없는 QuickTime 은 moov 구조가 있어야 인정", () => {
+        const movie = box("moov", box("mvhd", Buffer.alloc(92)));
+        assert.equal(format(Buffer.concat([movie, Buffer.alloc(64)])), "mov");
+        assert.equal(format(Buffer.concat([box("wide"), box("free", Buffer.alloc(12)), movie])), "mov");
+
+        // 4~8 바이트만 그럴듯한 파일
+        for (const type of ["free", "skip", "wide", "pnot", "mdat", "moov"]) {
+            const fake = Buffer.concat([Buffer.from([0x41, 0x42, 0x43, 0x44]), Buffer.from(type, "latin1"), Buffer.from("just some text, not a movie".repeat(4))]);
+            assert.equal(format(fake), null, type);
+        }
+        assert.equal(format(Buffer.concat([box("moov", box("junk", Buffer.alloc(8))), Buffer.alloc(16)])), null);
+        assert.equal(format(Buffer.concat([box("mdat", Buffer.alloc(600))])), null);
+        assert.throws(() => verifyFileType(Buffer.concat([box("free", Buffer.alloc(8)), Buffer.from("<html></html>")]), "video"), {
+            code: "UNSUPPORTED_FILE_TYPE",
+        });
+    });
+});
+
+describe("저장 이름 확장자 (storedFileName)", () => {
+    it("판별한 형식과 맞으면 그대로", () => {
+        assert.equal(storedFileName("photo.JPG", "jpeg"), "photo.JPG");
+        assert.equal(storedFileName("photo.jpeg", "jpeg"), "photo.jpeg");
+        assert.equal(storedFileName("clip.m4v", "mp4"), "clip.m4v");
+    });
+
+    it("다르면 형식의 기본 확장자로", () => {
+        assert.equal(storedFileName("photo.jpg", "png"), "photo.png");
+        assert.equal(storedFileName("page.html", "mov"), "page.mov");
+        assert.equal(storedFileName("archive.tar.gz", "gif"), "archive.tar.gif");
+        assert.equal(storedFileName("no-extension", "webp"), "no-extension.webp");
+        assert.equal(storedFileName(".hidden", "png"), ".hidden.png");
+    });
+});
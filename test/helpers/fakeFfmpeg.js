@@ -0,0 +1,76 @@
+const path = require("path");
+const fs = require("fs");
+
+// =======================
+// 테스트용 ffmpeg / ffprobe
+// =======================
+// FFMPEG_PATH / FFPROBE_PATH 로 지정해 실제 ffmpeg 없이 썸네일(포스터 프레임)과 동영상 변환을 흉내 낸다.
+// 동작은 입력 파일 안의 표시로 정한다 (fakeVideo(name, marker)):
+//   FFMPEG:FAIL  ffmpeg 이 종료 코드 1 로 실패
+//   FFMPEG:SLOW  ffmpeg 이 한 번 실행될 때마다 SLOW_MS 만큼 기다림 (processing 상태 확인용)
+// ffprobe 는 항상 640x360 + 오디오 스트림을 돌려준다 (HLS 는 360p 한 단계).
+
+const SLOW_MS = 700;
+
+const FFMPEG_SCRIPT = `#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+const args = process.argv.slice(2);
+const input = fs.readFileSync(args[args.indexOf("-i") + 1], "latin1");
+const output = args[args.length - 1];
+const marker = (/FFMPEG:(\\w+)/.exec(input) || [])[1];
+
+if (marker === "SLOW") Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ${SLOW_MS});
+if (marker === "FAIL") {
+    process.stderr.write("Invalid data found when processing input\\n");
+    process.exit(1);
+}
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+if (args.includes("-frames:v")) {
+    // 포스터 프레임
+    const sharp = require(${JSON.stringify(require.resolve("sharp"))});
+    sharp({ create: { width: 64, height: 36, channels: 3, background: "#884422" } }).jpeg().toFile(output);
+} else if (args.includes("-hls_segment_filename")) {
+    const segment = args[args.indexOf("-hls_segment_filename") + 1].replace("%03d", "000");
+    fs.writeFileSync(segment, "fake segment");
+    fs.writeFileSync(output, "#EXTM3U\\n#EXT-X-TARGETDURATION:6\\n#EXTINF:6.0,\\nsegment_000.ts\\n#EXT-X-ENDLIST\\n");
+} else {
+    fs.writeFileSync(output, "fake mp4");
+}
+`;
+
+const FFPROBE_SCRIPT = `#!/usr/bin/env node
+console.log(JSON.stringify({
+    format: { duration: "6.0", tags: {} },
+    streams: [{ codec_type: "video", width: 640, height: 360 }, { codec_type: "audio" }],
+}));
+`;
+
+// dir 에 스크립트를 쓰고 startServer 에 넘길 환경변수 반환
+function writeFakeFfmpeg(dir) {
+    const ffmpeg = path.join(dir, "fake-ffmpeg");
+    const ffprobe = path.join(dir, "fake-ffprobe");
+    fs.writeFileSync(ffmpeg, FFMPEG_SCRIPT, { mode: 0o755 });
+    fs.writeFileSync(ffprobe, FFPROBE_SCRIPT, { mode: 0o755 });
+    return { FFMPEG_PATH: ffmpeg, FFPROBE_PATH: ffprobe };
+}
+
+function box(type, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, "latin1");
+    return Buffer.concat([header, payload]);
+}
+
+// 업로드 검사(lib/fileSniffer.js)를 통과하는 MP4 - name 이 다르면 내용(해시)도 다름
+function fakeVideo(name, marker = "") {
+    return Buffer.concat([
+        box("ftyp", Buffer.from("isom\0\0\0\0isommp41", "latin1")),
+        box("moov", box("mvhd", Buffer.alloc(8))),
+        box("free", Buffer.from(`${name} ${marker ? `FFMPEG:${marker}` : ""}`)),
+    ]);
+}
+
+module.exports = { SLOW_MS, writeFakeFfmpeg, fakeVideo };
@@ -0,0 +1,157 @@
+const http = require("http");
+const { signRequest } = require("../../lib/s3Storage");
+
+// =======================
+// 테스트용 S3 호환 서버 (path-style, 버킷 하나)
+// =======================
+// lib/s3Storage.js 드라이버가 쓰는 요청만 구현한다:
+// PUT(업로드 / x-amz-copy-source 복사), HEAD, GET(Range), DELETE, GET ?list-type=2 (prefix, continuation-token)
+// 모든 요청의 Authorization 을 받은 그대로(경로/쿼리/서명 헤더)로 다시 서명해 비교한다 - 다르면 403 SignatureDoesNotMatch.
+// (서명 알고리즘 자체는 test/s3Storage.test.js 에서 AWS 예제 값으로 확인)
+
+const LIST_PAGE_SIZE = 2;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function sendError(res, status, code, message) {
+    res.writeHead(status, { "content-type": "application/xml" });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+// 받은 요청을 같은 자격 증명으로 다시 서명한 Authorization 과 비교
+function verifySignature(req, pathname, query, credentials) {
+    const authorization = req.headers.authorization || "";
+    const signedHeaders = /SignedHeaders=([^,]+)/.exec(authorization);
+    const amzDate = req.headers["x-amz-date"];
+    if (!signedHeaders || !amzDate) return false;
+
+    const headers = {};
+    for (const name of signedHeaders[1].split(";")) {
+        if (["host", "x-amz-date", "x-amz-content-sha256"].includes(name)) continue;
+        headers[name] = req.headers[name];
+    }
+    const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, "$1-$2-$3T$4:$5:$6Z"));
+
+    const expected = signRequest(
+        { method: req.method, host: req.headers.host, path: pathname, query, headers, payloadHash: req.headers["x-amz-content-sha256"] },
+        { ...credentials, date }
+    );
+    return expected.authorization === authorization;
+}
+
+// → { endpoint, objects (Map: 객체 키 → { body, contentType, mtime }), requests: [...], close() }
+async function startFakeS3({ bucket, accessKeyId, secretAccessKey, region = "us-east-1" }) {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://fake-s3");
+        const pathname = decodeURIComponent(url.pathname);
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ method: req.method, path: pathname, query });
+
+        const body = await readBody(req);
+        if (!verifySignature(req, pathname, query, { accessKeyId, secretAccessKey, region })) {
+            return sendError(res, 403, "SignatureDoesNotMatch", "서명이 일치하지 않습니다");
+        }
+
+        const [, bucketName, ...rest] = pathname.split("/");
+        if (bucketName !== bucket) return sendError(res, 404, "NoSuchBucket", bucketName);
+        const key = rest.join("/");
+
+        if (!key) {
+            if (req.method !== "GET" || query["list-type"] !== "2") return sendError(res, 400, "InvalidRequest", "지원하지 않는 요청");
+
+            const keys = [...objects.keys()].filter((k) => k.startsWith(query.prefix || "")).sort();
+            const start = query["continuation-token"] ? Number(query["continuation-token"]) : 0;
+            const page = keys.slice(start, start + LIST_PAGE_SIZE);
+            const truncated = start + LIST_PAGE_SIZE < keys.length;
+
+            res.writeHead(200, { "content-type": "application/xml" });
+            return res.end(
+                `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>`
+                + page.map((k) => `<Contents><Key>${escapeXml(k)}</Key><LastModified>${objects.get(k).mtime.toISOString()}</LastModified>`
+                    + `<Size>${objects.get(k).body.length}</Size></Contents>`).join("")
+                + `<IsTruncated>${truncated}</IsTruncated>`
+                + (truncated ? `<NextContinuationToken>${start + LIST_PAGE_SIZE}</NextContinuationToken>` : "")
+                + "</ListBucketResult>"
+            );
+        }
+
+        if (req.method === "PUT") {
+            const copySource = req.headers["x-amz-copy-source"];
+            if (copySource) {
+                const sourceKey = decodeURIComponent(copySource).replace(`${bucket}/`, "");
+                const source = objects.get(sourceKey);
+                if (!source) return sendError(res, 404, "NoSuchKey", sourceKey);
+                objects.set(key, { ...source, mtime: new Date() });
+                res.writeHead(200, { "content-type": "application/xml" });
+                return res.end("<CopyObjectResult><ETag>\"copied\"</ETag></CopyObjectResult>");
+            }
+            objects.set(key, { body, contentType: req.headers["content-type"], mtime: new Date() });
+            res.writeHead(200, { etag: "\"stored\"" });
+            return res.end();
+        }
+
+        const object = objects.get(key);
+        if (req.method === "DELETE") {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (!object) {
+            if (req.method === "HEAD") {
+                res.writeHead(404);
+                return res.end();
+            }
+            return sendError(res, 404, "NoSuchKey", key);
+        }
+
+        const headers = {
+            "content-type": object.contentType,
+            "last-modified": object.mtime.toUTCString(),
+            "accept-ranges": "bytes",
+        };
+        let data = object.body;
+        let status = 200;
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+        if (range) {
+            const start = Number(range[1]);
+            const end = range[2] ? Math.min(Number(range[2]), data.length - 1) : data.length - 1;
+            headers["content-range"] = `bytes ${start}-${end}/${data.length}`;
+            data = data.subarray(start, end + 1);
+            status = 206;
+        }
+        headers["content-length"] = data.length;
+        res.writeHead(status, headers);
+        res.end(req.method === "HEAD" ? undefined : data);
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+module.exports = {
+    startFakeS3,
+};
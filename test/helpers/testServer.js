@@ -0,0 +1,105 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const { spawn } = require("child_process");
+
+// =======================
+// 통합 테스트용 서버
+// =======================
+// 실제 엔트리포인트(server.js / server_better-sqlite3.js)를 자식 프로세스로 띄운다.
+// 업로드 폴더, DB, 백업, 서명 키는 모두 임시 폴더 안 (lib/config.js 환경변수로 지정) - 끝나면 통째로 지운다.
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const READY_LINE = "참조 카운팅 테이블 준비 완료";
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// entry: 프로젝트 폴더 기준 엔트리포인트, env: 추가/덮어쓸 환경변수
+async function startServer({ entry = "server.js", env = {} } = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-test-"));
+    const port = await freePort();
+    const uploadDir = path.join(tempDir, "uploads");
+
+    // 개발용 config.json 이 섞이지 않도록 빈 설정 파일을 쓴다
+    const configFile = path.join(tempDir, "config.json");
+    fs.writeFileSync(configFile, "{}");
+
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, entry)], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            APP_ENV: "test",
+            CONFIG_FILE: configFile,
+            HOST: "127.0.0.1",
+            PORT: String(port),
+            PUBLIC_BASE_URL: "",
+            UPLOAD_DIR: uploadDir,
+            DB_PATH: path.join(tempDir, "media.db"),
+            DB_BACKUP_DIR: path.join(tempDir, "backups"),
+            AUTH_SECRET_FILE: path.join(tempDir, ".auth_secret"),
+            AUTH_SECRET: "",
+            ADMIN_USERNAME: "",
+            ADMIN_PASSWORD: "",
+            STORAGE_DRIVER: "local",
+            TRANSCODE_ENABLED: "false",
+            ...env,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+
+    // 리슨 + 마이그레이션이 끝날 때까지 대기 (시작하지 못하면 임시 폴더를 지우고 실패)
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill("SIGKILL");
+            reject(new Error(`서버 시작 시간 초과\n${output}`));
+        }, START_TIMEOUT_MS);
+        const onData = () => {
+            if (output.includes(READY_LINE) && output.includes("서버 실행")) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on("data", onData);
+        child.once("exit", (code) => {
+            clearTimeout(timer);
+            reject(new Error(`서버가 시작 중에 종료됨 (code ${code})\n${output}`));
+        });
+    }).catch((err) => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        throw err;
+    });
+
+    async function stop() {
+        if (child.exitCode === null) {
+            const exited = new Promise((resolve) => child.once("exit", resolve));
+            child.kill("SIGINT");
+            await exited;
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        uploadDir,
+        output: () => output,
+        stop,
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,204 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const sharp = require("sharp");
+const { createLocalStorage } = require("../lib/storage");
+const { RENDER_SIZES, parseRenderOptions, createRenderCache } = require("../lib/imageRender");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 이미지 변환 + 캐시 (lib/imageRender.js, GET /api/media/:id/render)
+// =======================
+
+// 캐시 폴더 안의 파일 (상대 경로)
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { recursive: true })
+        .filter((name) => fs.statSync(path.join(dir, name)).isFile())
+        .map((name) => name.split(path.sep).join("/"))
+        .sort();
+}
+
+describe("변환 옵션 검증", () => {
+    it("w/h 는 RENDER_SIZES 의 값만", () => {
+        assert.deepEqual(parseRenderOptions({ w: "320" }, "image/png"), {
+            width: 320, height: null, fit: "inside", format: "png", quality: null,
+        });
+        assert.equal(parseRenderOptions({ h: String(RENDER_SIZES[0]) }, "image/heic").format, "jpeg");
+
+        for (const query of [{ w: "321" }, { w: "320", h: "99999" }, { w: "-320" }, { w: "3.2e2x" }, {}]) {
+            assert.throws(() => parseRenderOptions(query, "image/png"), { status: 400, code: "INVALID_RENDER_SIZE" }, JSON.stringify(query));
+        }
+        assert.throws(() => parseRenderOptions({ w: "320", fit: "stretch" }), { code: "INVALID_RENDER_FIT" });
+        assert.throws(() => parseRenderOptions({ w: "320", format: "bmp" }), { code: "INVALID_RENDER_FORMAT" });
+        assert.throws(() => parseRenderOptions({ w: "320", quality: "0" }), { code: "INVALID_RENDER_QUALITY" });
+    });
+});
+
+describe("변환 캐시", () => {
+    let tempDir;
+    let cacheDir;
+    let cache;
+    let decodes = 0;
+    const media = { file_path: "Trip/photo.png", file_hash: "ab12cd34" };
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-render-"));
+        cacheDir = path.join(tempDir, "cache");
+        fs.mkdirSync(path.join(tempDir, "uploads", "Trip"), { recursive: true });
+        await sharp({ create: { width: 400, height: 200, channels: 3, background: "#3366cc" } })
+            .png()
+            .toFile(path.join(tempDir, "uploads", "Trip", "photo.png"));
+        // ftyp 가 heic 인 (기본 sharp 로는 디코딩할 수 없는) 파일
+        const ftyp = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from("ftypheic"), Buffer.alloc(4), Buffer.from("mif1heic")]);
+        fs.writeFileSync(path.join(tempDir, "uploads", "Trip", "photo.heic"), Buffer.concat([ftyp, Buffer.alloc(64, 7)]));
+
+        // 원본을 읽은 횟수 = 실제 변환 횟수
+        const fileStore = createLocalStorage({ rootDir: path.join(tempDir, "uploads") });
+        const withLocalFile = fileStore.withLocalFile;
+        fileStore.withLocalFile = (key, fn) => {
+            decodes++;
+            return withLocalFile(key, fn);
+        };
+        cache = createRenderCache({ fileStore, cacheDir });
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("처음은 변환(miss), 같은 조건은 캐시(hit), 다른 조건은 다른 파일", async () => {
+        const options = parseRenderOptions({ w: "160", format: "webp" }, "image/png");
+        const first = await cache.render(media, options);
+        assert.equal(first.cached, false);
+        assert.equal(first.key, "ab/ab12cd34/160x0_inside_q80.webp");
+        assert.equal(first.mimeType, "image/webp");
+        assert.equal(decodes, 1);
+
+        const second = await cache.render(media, options);
+        assert.deepEqual(second, { ...first, cached: true });
+        assert.equal(decodes, 1);
+
+        const rendered = await sharp(path.join(cacheDir, ...first.key.split("/"))).metadata();
+        assert.equal(rendered.format, "webp");
+        assert.deepEqual([rendered.width, rendered.height], [160, 80]);
+
+        const other = await cache.render(media, parseRenderOptions({ w: "160", h: "160", fit: "cover" }, "image/png"));
+        assert.equal(other.cached, false);
+        assert.equal(decodes, 2);
+        assert.deepEqual(listFiles(cacheDir), ["ab/ab12cd34/160x0_inside_q80.webp", "ab/ab12cd34/160x160_cover.png"]);
+    });
+
+    it("동시에 같은 변환을 요청하면 한 번만 변환", async () => {
+        const before = decodes;
+        const options = parseRenderOptions({ w: "64", format: "jpeg", quality: "50" }, "image/png");
+        const results = await Promise.all(Array.from({ length: 5 }, () => cache.render(media, options)));
+
+        assert.equal(decodes - before, 1);
+        assert.deepEqual(results.map((result) => result.cached).sort(), [false, true, true, true, true]);
+        assert.equal(new Set(results.map((result) => result.key)).size, 1);
+        assert.ok(listFiles(cacheDir).every((name) => !name.endsWith(".part")));
+    });
+
+    it("디코딩할 수 없는 이미지(HEIC)는 415 RENDER_UNSUPPORTED, 캐시에 남지 않음", async () => {
+        const heic = { file_path: "Trip/photo.heic", file_hash: "ef56ef56" };
+        const options = parseRenderOptions({ w: "320" }, "image/heic");
+        assert.equal(options.format, "jpeg");
+
+        const attempts = await Promise.allSettled([cache.render(heic, options), cache.render(heic, options)]);
+        for (const attempt of attempts) {
+            assert.equal(attempt.status, "rejected");
+            assert.equal(attempt.reason.status, 415);
+            assert.equal(attempt.reason.code, "RENDER_UNSUPPORTED");
+        }
+        assert.deepEqual(listFiles(path.join(cacheDir, "ef")), []);
+
+        // 실패한 변환은 진행 중 목록에서도 빠져 다시 시도된다
+        const before = decodes;
+        await assert.rejects(cache.render(heic, options), { code: "RENDER_UNSUPPORTED" });
+        assert.equal(decodes - before, 1);
+    });
+
+    it("invalidate 는 그 해시의 변환 결과만 삭제", async () => {
+        fs.mkdirSync(path.join(cacheDir, "ab", "ab99"), { recursive: true });
+        fs.writeFileSync(path.join(cacheDir, "ab", "ab99", "64x0_inside.png"), "x");
+
+        cache.invalidate(media.file_hash);
+        cache.invalidate(null);
+        assert.deepEqual(listFiles(cacheDir), ["ab/ab99/64x0_inside.png"]);
+
+        const again = await cache.render(media, parseRenderOptions({ w: "160", format: "webp" }, "image/png"));
+        assert.equal(again.cached, false);
+    });
+});
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`변환 라우트 (${driver})`, () => {
+        let server;
+        let token;
+        let cacheDir;
+
+        async function api(method, url) {
+            const res = await fetch(`${server.baseUrl}${url}`, { method, headers: { Authorization: `Bearer ${token}` } });
+            return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+            cacheDir = path.join(server.uploadDir, ".cache", "render");
+            const registered = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "alice", password: "password1" }),
+            });
+            token = (await registered.json()).data.accessToken;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("허용되지 않은 크기는 400, 변환 결과는 원본 파일이 영구 삭제되면 함께 삭제", async () => {
+            const image = await sharp({ create: { width: 300, height: 300, channels: 3, background: "#22aa44" } }).png().toBuffer();
+            const form = new FormData();
+            form.append("album", "Trip");
+            form.append("file", new Blob([image], { type: "image/png" }), "green.png");
+            const uploaded = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            const { id } = (await uploaded.json()).data;
+
+            const invalid = await api("GET", `/api/media/${id}/render?w=300`);
+            assert.equal(invalid.status, 400);
+            assert.equal(JSON.parse(invalid.body).code, "INVALID_RENDER_SIZE");
+            assert.deepEqual(listFiles(cacheDir), []);
+
+            const rendered = await api("GET", `/api/media/${id}/render?w=128&format=webp`);
+            assert.equal(rendered.status, 200);
+            assert.equal(rendered.headers.get("content-type"), "image/webp");
+            assert.equal(rendered.headers.get("content-disposition"), "inline; filename=\"green.webp\"");
+            assert.equal((await sharp(rendered.body).metadata()).width, 128);
+            assert.equal(listFiles(cacheDir).length, 1);
+
+            assert.equal((await api("DELETE", `/api/upload/media/${id}`)).status, 200);
+            // 휴지통에 있는 동안은 그대로
+            assert.equal(listFiles(cacheDir).length, 1);
+
+            assert.equal((await api("DELETE", `/api/upload/trash/${id}`)).status, 200);
+            // 파일 정리는 백그라운드 작업 (remove-files)
+            for (let i = 0; i < 50 && listFiles(cacheDir).length > 0; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            assert.deepEqual(listFiles(cacheDir), []);
+        });
+    });
+}
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 저장소 무결성 복구 통합 테스트 (POST /api/admin/integrity)
+// =======================
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`무결성 복구 (${driver})`, () => {
+        let server;
+        let token;
+        let media;
+
+        async function api(method, url, body) {
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        before(async () => {
+            server = await startServer({ entry, env: { ADMIN_USERNAME: "admin", ADMIN_PASSWORD: "password1" } });
+
+            const login = await fetch(`${server.baseUrl}/api/auth/login`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "admin", password: "password1" }),
+            });
+            token = (await login.json()).data.accessToken;
+
+            const image = await sharp({ create: { width: 32, height: 32, channels: 3, background: "#123456" } }).png().toBuffer();
+            const form = new FormData();
+            form.append("album", "Trip");
+            form.append("file", new Blob([image], { type: "image/png" }), "photo.png");
+            const uploaded = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            media = (await uploaded.json()).data;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("파일이 안 보여도 복구는 미디어 행을 지우지 않는다", async () => {
+            // 볼륨이 빠진 것처럼 원본을 잠시 치워 둔다
+            const key = decodeURIComponent(media.url.split("/uploads/")[1]);
+            const filePath = path.join(server.uploadDir, ...key.split("/"));
+            fs.renameSync(filePath, `${filePath}.away`);
+
+            const res = await api("POST", "/api/admin/integrity", { repair: true, verifyHashes: false });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.missingFiles.map((item) => item.storageId), [media.storageId]);
+            assert.deepEqual(res.body.data.repaired, { refCounts: 0, deletedFiles: 0 });
+
+            const list = await api("GET", "/api/upload/media");
+            assert.deepEqual(list.body.data.map((item) => item.id), [media.id]);
+            assert.equal(list.body.data[0].refCount, 1);
+
+            // 파일이 돌아오면 그대로 사용
+            fs.renameSync(`${filePath}.away`, filePath);
+            const recheck = await api("POST", "/api/admin/integrity", { verifyHashes: true });
+            assert.equal(recheck.body.data.missingFiles.length, 0);
+            assert.equal(recheck.body.data.hashMismatches.length, 0);
+        });
+    });
+}
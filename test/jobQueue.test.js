@@ -0,0 +1,279 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { DB_DRIVERS, openDatabase } = require("../lib/db");
+const { loadMigrations, migrate } = require("../lib/migrations");
+const { JOB_INSERT_SQL, jobInsertParams, createJobQueue } = require("../lib/jobQueue");
+
+// =======================
+// 작업 큐 (lib/jobQueue.js) - 메모리 DB
+// =======================
+// 워커는 start() 없이 wake() 로만 돌린다 (주기 확인 타이머 없음).
+
+const RETRY_BASE_SECONDS = 30; // lib/config.js jobRetryBaseSeconds 기본값
+
+function until(check, timeoutMs = 5000) {
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+        (async function poll() {
+            const value = await check();
+            if (value) return resolve(value);
+            if (Date.now() - startedAt > timeoutMs) return reject(new Error("시간 초과"));
+            setTimeout(poll, 10);
+        })().catch(reject);
+    });
+}
+
+// 손으로 끝낼 수 있는 작업: release(id) 로 끝냄
+function gate() {
+    const pending = new Map();
+    return {
+        run: (payload) => new Promise((resolve) => pending.set(payload.n, resolve)),
+        release(n) {
+            pending.get(n)({ n });
+            pending.delete(n);
+        },
+        get started() {
+            return [...pending.keys()].sort((a, b) => a - b);
+        },
+    };
+}
+
+for (const driver of DB_DRIVERS) {
+    describe(`작업 큐 (${driver})`, () => {
+        let db;
+
+        async function jobRow(id) {
+            return db.get("SELECT * FROM jobs WHERE id = ?", [id]);
+        }
+
+        async function finished(id) {
+            return until(async () => {
+                const job = await jobRow(id);
+                return ["completed", "failed"].includes(job.status) && job;
+            });
+        }
+
+        // 재시도 대기 중인 작업을 지금 실행되게
+        async function dueNow(id) {
+            await db.run("UPDATE jobs SET run_at = datetime('now', '-1 second') WHERE id = ?", [id]);
+        }
+
+        before(async () => {
+            mock.method(console, "error", () => {});
+            db = openDatabase(":memory:", { driver });
+            await db.ready;
+            await migrate(db, loadMigrations());
+        });
+
+        after(async () => {
+            await db.close();
+            mock.restoreAll();
+        });
+
+        beforeEach(async () => {
+            await db.run("DELETE FROM jobs");
+        });
+
+        it("대기 중인 작업을 run_at, id 순으로 꺼내고 결과를 기록", async () => {
+            const order = [];
+            const queue = createJobQueue({
+                db,
+                handlers: { echo: { run: async (payload, job) => order.push([payload.n, job.attempts]) && payload } },
+                concurrency: 1,
+            });
+
+            const later = await queue.enqueue("echo", { n: 3 }, { delayMs: 60 * 60 * 1000 });
+            const first = await queue.enqueue("echo", { n: 1 });
+            const second = await queue.enqueue("echo", { n: 2 });
+            assert.equal(first.status, "queued");
+            assert.equal(first.max_attempts, 5);
+
+            const done = await finished(second.id);
+            assert.deepEqual(order, [[1, 1], [2, 1]]);
+            assert.equal(done.result, JSON.stringify({ n: 2 }));
+            assert.ok(done.started_at && done.finished_at);
+            assert.equal((await jobRow(later.id)).status, "queued");
+
+            // 등록되지 않은 종류는 꺼내지 않음
+            const unknown = await queue.enqueue("unknown", {});
+            queue.wake();
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            assert.equal((await jobRow(unknown.id)).status, "queued");
+        });
+
+        it("실패하면 2^(시도-1) 배로 미뤄 재시도, max_attempts 에서 failed + failed 콜백", async () => {
+            const failures = [];
+            const queue = createJobQueue({
+                db,
+                handlers: {
+                    flaky: {
+                        maxAttempts: 3,
+                        run: async () => {
+                            throw new Error("잠시 실패");
+                        },
+                        failed: async (payload, err, job) => failures.push([payload.n, err.message, job.attempts]),
+                    },
+                },
+            });
+
+            const { id } = await queue.enqueue("flaky", { n: 7 });
+            for (const attempts of [1, 2]) {
+                const job = await until(async () => {
+                    const row = await jobRow(id);
+                    return row.attempts === attempts && row.status === "queued" && row;
+                });
+                assert.equal(job.last_error, "잠시 실패");
+                const delay = (Date.parse(`${job.run_at}Z`) - Date.now()) / 1000;
+                const expected = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+                assert.ok(delay > expected - 3 && delay <= expected, `${attempts}회: ${delay}초`);
+
+                await dueNow(id);
+                queue.wake();
+            }
+
+            const failed = await finished(id);
+            assert.equal(failed.status, "failed");
+            assert.equal(failed.attempts, 3);
+            assert.deepEqual(failures, [[7, "잠시 실패", 3]]);
+        });
+
+        it("retryable: false 오류는 재시도하지 않고 바로 failed", async () => {
+            const queue = createJobQueue({
+                db,
+                handlers: {
+                    broken: {
+                        run: async () => {
+                            const err = new Error("다시 해도 안 됨");
+                            err.retryable = false;
+                            throw err;
+                        },
+                    },
+                },
+            });
+
+            const { id } = await queue.enqueue("broken", {});
+            const job = await finished(id);
+            assert.equal(job.status, "failed");
+            assert.equal(job.attempts, 1);
+            assert.equal(job.last_error, "다시 해도 안 됨");
+        });
+
+        it("recover: running 으로 남은 작업은 다시 queued, 시도를 다 쓴 작업은 failed", async () => {
+            const insert = async (attempts, maxAttempts, status = "running") => {
+                const result = await db.run(JOB_INSERT_SQL, jobInsertParams("echo", {}, { maxAttempts }));
+                await db.run("UPDATE jobs SET status = ?, attempts = ?, run_at = datetime('now', '+1 hour') WHERE id = ?", [status, attempts, result.lastID]);
+                return result.lastID;
+            };
+            const interrupted = await insert(1, 3);
+            const exhausted = await insert(3, 3);
+            const waiting = await insert(0, 3, "queued");
+
+            const queue = createJobQueue({ db, handlers: {} });
+            assert.equal(await queue.recover(), 1);
+
+            const requeued = await jobRow(interrupted);
+            assert.equal(requeued.status, "queued");
+            assert.ok(Date.parse(`${requeued.run_at}Z`) <= Date.now());
+            const failed = await jobRow(exhausted);
+            assert.equal(failed.status, "failed");
+            assert.equal(failed.last_error, "서버 재시작으로 중단됨");
+            assert.equal((await jobRow(waiting)).status, "queued");
+            assert.equal(await queue.recover(), 0);
+        });
+
+        it("dedupeKey: 대기/실행 중인 같은 키는 기존 작업, 끝난 뒤에는 새 작업", async () => {
+            const work = gate();
+            const queue = createJobQueue({ db, handlers: { thumb: { run: work.run } } });
+
+            const [first, ...rest] = await Promise.all(
+                Array.from({ length: 4 }, () => queue.enqueue("thumb", { n: 1 }, { dedupeKey: "thumb:1" }))
+            );
+            assert.ok(rest.every((job) => job.id === first.id));
+            assert.equal((await db.get("SELECT COUNT(*) as count FROM jobs")).count, 1);
+
+            // 실행 중에도 같은 작업
+            await until(() => work.started.length === 1);
+            assert.equal((await queue.enqueue("thumb", { n: 1 }, { dedupeKey: "thumb:1" })).id, first.id);
+            // 다른 키 / 키 없음은 따로
+            const other = await queue.enqueue("thumb", { n: 2 }, { dedupeKey: "thumb:2" });
+            assert.notEqual(other.id, first.id);
+
+            work.release(1);
+            await finished(first.id);
+            const again = await queue.enqueue("thumb", { n: 3 }, { dedupeKey: "thumb:1" });
+            assert.notEqual(again.id, first.id);
+            assert.equal(again.status, "queued");
+
+            // 트랜잭션에서 JOB_INSERT_SQL 로 직접 넣을 때는 제약 위반이 그대로 올라온다
+            await assert.rejects(
+                db.run(JOB_INSERT_SQL, jobInsertParams("thumb", { n: 3 }, { dedupeKey: "thumb:1" })),
+                /UNIQUE constraint failed: jobs\.dedupe_key/
+            );
+
+            await until(() => work.started.length === 1);
+            work.release(work.started[0]);
+            await until(() => work.started.length === 1);
+            work.release(work.started[0]);
+            await finished(again.id);
+        });
+
+        it("종류별 동시 실행 한도와 전체 한도", async () => {
+            const slow = gate();
+            const fast = gate();
+            const queue = createJobQueue({
+                db,
+                handlers: { transcode: { run: slow.run }, thumbnail: { run: fast.run, concurrency: 2 } },
+                concurrency: 3,
+            });
+
+            const transcodes = [];
+            for (const n of [1, 2]) transcodes.push(await queue.enqueue("transcode", { n }));
+            const thumbnails = [];
+            for (const n of [11, 12, 13, 14]) thumbnails.push(await queue.enqueue("thumbnail", { n }));
+
+            // transcode 1 + thumbnail 2 (전체 3)
+            await until(() => slow.started.length === 1 && fast.started.length === 2);
+            assert.deepEqual(slow.started, [1]);
+            assert.deepEqual(fast.started, [11, 12]);
+            assert.equal(queue.running, 3);
+
+            // 오래 걸리는 transcode 가 있어도 thumbnail 은 계속 빠진다
+            fast.release(11);
+            fast.release(12);
+            await until(() => fast.started.length === 2 && fast.started[0] === 13);
+            assert.deepEqual(slow.started, [1]);
+
+            fast.release(13);
+            fast.release(14);
+            slow.release(1);
+            await until(() => slow.started[0] === 2);
+            slow.release(2);
+            for (const job of [...transcodes, ...thumbnails]) {
+                assert.equal((await finished(job.id)).status, "completed");
+            }
+            assert.equal(queue.running, 0);
+        });
+
+        it("prune: 보관 기간이 지난 끝난 작업만 삭제, 0 이면 보관", async () => {
+            const insert = async (status, finishedDaysAgo) => {
+                const result = await db.run(JOB_INSERT_SQL, jobInsertParams("echo", {}));
+                await db.run(
+                    "UPDATE jobs SET status = ?, finished_at = datetime('now', ?) WHERE id = ?",
+                    [status, finishedDaysAgo == null ? null : `-${finishedDaysAgo} days`, result.lastID]
+                );
+                return result.lastID;
+            };
+            await insert("completed", 10);
+            await insert("failed", 8);
+            const recent = await insert("completed", 1);
+            const queued = await insert("queued", null);
+            const oldQueued = await insert("queued", 30);
+
+            const queue = createJobQueue({ db, handlers: {} });
+            assert.equal(await queue.prune(0), 0);
+            assert.equal(await queue.prune(7), 2);
+            const left = (await db.all("SELECT id FROM jobs ORDER BY id")).map((row) => row.id);
+            assert.deepEqual(left, [recent, queued, oldQueued]);
+        });
+    });
+}
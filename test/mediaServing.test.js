@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const express = require("express");
+const { createLocalStorage } = require("../lib/storage");
+const { MediaError, serveMedia } = require("../lib/mediaServing");
+
+// =======================
+// 미디어 서빙 HTTP 동작 (lib/mediaServing.js)
+// =======================
+// 로컬 저장소의 파일 하나를 GET /media/:name 으로 보낸다 (server.js 의 GET /api/media/:id 와 같은 호출).
+
+const CONTENT = Buffer.from("0123456789abcdefghijklmnopqrstuvwxyz");
+const FILE_HASH = "5d41402abc4b2a76b9719d911017c592";
+const CREATED_AT = "2024-05-01 05:23:11";
+
+const MEDIA = {
+    "clip.mp4": { original_name: "clip.mp4", mime_type: "video/mp4" },
+    "korean.mp4": { original_name: "바다 여행 (1).mp4", mime_type: "video/mp4" },
+    "quoted.jpg": { original_name: "say \"hi\".jpg", mime_type: "image/jpeg" },
+};
+
+describe("미디어 서빙 (Range / ETag / 조건부 요청)", () => {
+    let tempDir;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-serving-"));
+        fs.mkdirSync(path.join(tempDir, "Trip"));
+        fs.writeFileSync(path.join(tempDir, "Trip", "clip.mp4"), CONTENT);
+        const fileStore = createLocalStorage({ rootDir: tempDir });
+
+        const app = express();
+        app.get("/media/:name", async (req, res) => {
+            try {
+                const media = MEDIA[req.params.name];
+                if (!media) throw new MediaError(404, "MEDIA_NOT_FOUND", "미디어를 찾을 수 없습니다");
+                await serveMedia(req, res, fileStore, {
+                    ...media,
+                    file_path: req.query.missing ? "Trip/missing.mp4" : "Trip/clip.mp4",
+                    file_hash: FILE_HASH,
+                    file_size: CONTENT.length,
+                    created_at: CREATED_AT,
+                }, { download: !!req.query.download });
+            } catch (err) {
+                res.status(err.status || 500).json({ success: false, code: err.code, message: err.message });
+            }
+        });
+        server = await new Promise((resolve) => {
+            const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        if (server) await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function get(name, headers = {}, options = {}) {
+        const res = await fetch(`${baseUrl}/media/${name}`, { headers, ...options });
+        return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+    }
+
+    it("전체 전송: 강한 ETag, Last-Modified, immutable, Accept-Ranges", async () => {
+        const res = await get("clip.mp4");
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, CONTENT);
+        assert.equal(res.headers.get("etag"), `"${FILE_HASH}"`);
+        assert.equal(res.headers.get("last-modified"), "Wed, 01 May 2024 05:23:11 GMT");
+        assert.equal(res.headers.get("cache-control"), "private, max-age=31536000, immutable");
+        assert.equal(res.headers.get("accept-ranges"), "bytes");
+        assert.equal(res.headers.get("content-type"), "video/mp4");
+        assert.equal(res.headers.get("content-length"), String(CONTENT.length));
+        assert.equal(res.headers.get("content-disposition"), "inline; filename=\"clip.mp4\"");
+    });
+
+    it("Range → 206 (시작-끝, 시작-, 뒤에서 N 바이트)", async () => {
+        const cases = [
+            ["bytes=0-9", 0, 9],
+            ["bytes=10-", 10, CONTENT.length - 1],
+            ["bytes=-6", CONTENT.length - 6, CONTENT.length - 1],
+            ["bytes=30-1000", 30, CONTENT.length - 1],
+        ];
+        for (const [range, start, end] of cases) {
+            const res = await get("clip.mp4", { Range: range });
+            assert.equal(res.status, 206, range);
+            assert.equal(res.headers.get("content-range"), `bytes ${start}-${end}/${CONTENT.length}`, range);
+            assert.equal(res.headers.get("content-length"), String(end - start + 1), range);
+            assert.deepEqual(res.body, CONTENT.subarray(start, end + 1), range);
+        }
+
+        // 이해할 수 없거나 여러 범위면 무시하고 전체
+        for (const range of ["bytes=0-4,10-14", "items=0-4", "bytes=9-3"]) {
+            const res = await get("clip.mp4", { Range: range });
+            assert.equal(res.status, 200, range);
+            assert.deepEqual(res.body, CONTENT, range);
+        }
+    });
+
+    it("범위를 벗어나면 416 + Content-Range: bytes */크기", async () => {
+        for (const range of [`bytes=${CONTENT.length}-`, "bytes=1000-2000", "bytes=-0"]) {
+            const res = await get("clip.mp4", { Range: range });
+            assert.equal(res.status, 416, range);
+            assert.equal(res.headers.get("content-range"), `bytes */${CONTENT.length}`, range);
+            assert.equal(res.body.length, 0);
+        }
+    });
+
+    it("If-Range 가 맞지 않으면 Range 무시", async () => {
+        const matching = await get("clip.mp4", { Range: "bytes=0-3", "If-Range": `"${FILE_HASH}"` });
+        assert.equal(matching.status, 206);
+
+        const stale = await get("clip.mp4", { Range: "bytes=0-3", "If-Range": "\"other\"" });
+        assert.equal(stale.status, 200);
+        assert.deepEqual(stale.body, CONTENT);
+
+        const byDate = await get("clip.mp4", { Range: "bytes=0-3", "If-Range": "Wed, 01 May 2024 05:23:11 GMT" });
+        assert.equal(byDate.status, 206);
+    });
+
+    it("If-None-Match → 304 (목록/약한 비교/*), 다르면 200", async () => {
+        for (const header of [`"${FILE_HASH}"`, `"abc", W/"${FILE_HASH}"`, "*"]) {
+            const res = await get("clip.mp4", { "If-None-Match": header });
+            assert.equal(res.status, 304, header);
+            assert.equal(res.body.length, 0);
+            assert.equal(res.headers.get("etag"), `"${FILE_HASH}"`);
+        }
+        assert.equal((await get("clip.mp4", { "If-None-Match": "\"abc\"" })).status, 200);
+    });
+
+    it("If-Modified-Since → 304 (If-None-Match 가 있으면 무시)", async () => {
+        assert.equal((await get("clip.mp4", { "If-Modified-Since": "Wed, 01 May 2024 05:23:11 GMT" })).status, 304);
+        assert.equal((await get("clip.mp4", { "If-Modified-Since": "Thu, 02 May 2024 00:00:00 GMT" })).status, 304);
+        assert.equal((await get("clip.mp4", { "If-Modified-Since": "Wed, 01 May 2024 05:23:10 GMT" })).status, 200);
+        assert.equal((await get("clip.mp4", { "If-Modified-Since": "not a date" })).status, 200);
+
+        const both = await get("clip.mp4", { "If-None-Match": "\"abc\"", "If-Modified-Since": "Thu, 02 May 2024 00:00:00 GMT" });
+        assert.equal(both.status, 200);
+    });
+
+    it("Content-Disposition: ASCII 가 아닌 이름은 filename*, 따옴표는 치환", async () => {
+        const korean = await get("korean.mp4");
+        assert.equal(
+            korean.headers.get("content-disposition"),
+            "inline; filename=\"__ __ (1).mp4\"; filename*=UTF-8''%EB%B0%94%EB%8B%A4%20%EC%97%AC%ED%96%89%20%281%29.mp4"
+        );
+
+        const download = await fetch(`${baseUrl}/media/korean.mp4?download=1`);
+        await download.arrayBuffer();
+        assert.match(download.headers.get("content-disposition"), /^attachment; filename="__ __ \(1\)\.mp4"; filename\*=UTF-8''/);
+
+        const quoted = await get("quoted.jpg");
+        assert.equal(quoted.headers.get("content-disposition"), "inline; filename=\"say _hi_.jpg\"; filename*=UTF-8''say%20%22hi%22.jpg");
+    });
+
+    it("HEAD 는 본문 없이 같은 헤더, 파일이 없으면 404 FILE_NOT_FOUND", async () => {
+        const head = await get("clip.mp4", { Range: "bytes=0-9" }, { method: "HEAD" });
+        assert.equal(head.status, 206);
+        assert.equal(head.headers.get("content-length"), "10");
+        assert.equal(head.body.length, 0);
+
+        const missing = await fetch(`${baseUrl}/media/clip.mp4?missing=1`);
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).code, "FILE_NOT_FOUND");
+        assert.equal(missing.headers.get("content-range"), null);
+    });
+});
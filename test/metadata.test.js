@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const sharp = require("sharp");
+
+// =======================
+// 촬영 시각 추출 (lib/metadata.js)
+// =======================
+// 동영상은 ffprobe 대신 FFPROBE_PATH 로 지정한 스크립트가 파일 이름에 맞는 태그를 돌려준다.
+
+const PROBE_TAGS = {
+    "iphone.mov": {
+        creation_time: "2024-05-01T05:23:11.000000Z",
+        "com.apple.quicktime.creationdate": "2024-05-01T14:23:11+0900",
+    },
+    "camera.mp4": { creation_time: "2024-05-01T05:23:11.000000Z" },
+    "untagged.mp4": {},
+};
+
+describe("촬영 시각과 시간대", () => {
+    let tempDir;
+    let metadata;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-metadata-"));
+
+        const probe = path.join(tempDir, "fake-ffprobe");
+        fs.writeFileSync(probe, [
+            "#!/usr/bin/env node",
+            `const tags = ${JSON.stringify(PROBE_TAGS)}[require("path").basename(process.argv[process.argv.length - 1])];`,
+            "console.log(JSON.stringify({ format: { duration: \"1.5\", tags }, streams: [{ codec_type: \"video\", width: 64, height: 48 }] }));",
+        ].join("\n"), { mode: 0o755 });
+
+        process.env.FFPROBE_PATH = probe;
+        metadata = require("../lib/metadata");
+    });
+
+    after(() => {
+        delete process.env.FFPROBE_PATH;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function jpegWithExif(name, exifTags) {
+        const file = path.join(tempDir, name);
+        await sharp({ create: { width: 8, height: 8, channels: 3, background: "#336699" } })
+            .jpeg()
+            .withExif({ IFD0: { Make: "Canon" }, IFD2: exifTags })
+            .toFile(file);
+        return file;
+    }
+
+    it("EXIF: 현지 시각 + OffsetTimeOriginal", async () => {
+        const file = await jpegWithExif("offset.jpg", { DateTimeOriginal: "2024:05:01 14:23:11", OffsetTimeOriginal: "+09:00" });
+        const meta = await metadata.extractMetadata(file, "image");
+        assert.equal(meta.takenAt, "2024-05-01 14:23:11");
+        assert.equal(meta.takenAtOffset, 540);
+    });
+
+    it("EXIF: 오프셋 태그가 없으면 시간대 모름", async () => {
+        const file = await jpegWithExif("local.jpg", { DateTimeOriginal: "2024:05:01 14:23:11" });
+        const meta = await metadata.extractMetadata(file, "image");
+        assert.equal(meta.takenAt, "2024-05-01 14:23:11");
+        assert.equal(meta.takenAtOffset, null);
+    });
+
+    it("동영상: 애플 creationdate 는 현지 시각, creation_time 은 UTC", async () => {
+        const iphone = await metadata.extractMetadata(path.join(tempDir, "iphone.mov"), "video");
+        assert.equal(iphone.takenAt, "2024-05-01 14:23:11");
+        assert.equal(iphone.takenAtOffset, 540);
+
+        const camera = await metadata.extractMetadata(path.join(tempDir, "camera.mp4"), "video");
+        assert.equal(camera.takenAt, "2024-05-01 05:23:11");
+        assert.equal(camera.takenAtOffset, 0);
+
+        const untagged = await metadata.extractMetadata(path.join(tempDir, "untagged.mp4"), "video");
+        assert.equal(untagged.takenAt, null);
+        assert.equal(untagged.takenAtOffset, null);
+        assert.equal(untagged.duration, 1.5);
+    });
+
+    it("응답에는 오프셋을 ±HH:MM 으로", () => {
+        const format = (row) => metadata.formatMetadata(row);
+        assert.equal(format({ taken_at: "2024-05-01 14:23:11", taken_at_offset: 540 }).takenAtOffset, "+09:00");
+        assert.equal(format({ taken_at: "2024-05-01 14:23:11", taken_at_offset: -210 }).takenAtOffset, "-03:30");
+        assert.equal(format({ taken_at: "2024-05-01 05:23:11", taken_at_offset: 0 }).takenAtOffset, "+00:00");
+        assert.equal(format({ taken_at: "2024-05-01 14:23:11", taken_at_offset: null }).takenAtOffset, null);
+    });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { DB_DRIVERS, openDatabase } = require("../lib/db");
+const { loadMigrations, migrationStatus, migrate, rollback } = require("../lib/migrations");
+
+// =======================
+// 마이그레이션 왕복 (최신 → 001 → 최신)
+// =======================
+
+// 테이블별 컬럼 / 외래 키 / 인덱스 (CREATE 문 원문은 ALTER·재생성 여부에 따라 달라지므로 비교하지 않음)
+async function schemaSnapshot(db) {
+    const objects = await db.all(
+        `SELECT type, name, tbl_name FROM sqlite_master
+         WHERE name NOT LIKE 'sqlite_%' AND name NOT LIKE 'media_fts_%'
+         ORDER BY type, name`
+    );
+    const snapshot = { objects };
+    for (const { type, name } of objects) {
+        if (type === "table") {
+            snapshot[name] = {
+                columns: await db.all(`SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info('${name}')`),
+                foreignKeys: await db.all(`SELECT "from", "table", "to", on_delete FROM pragma_foreign_key_list('${name}')`),
+            };
+        } else if (type === "index") {
+            snapshot[name] = await db.all(`SELECT name FROM pragma_index_info('${name}')`);
+        }
+    }
+    return snapshot;
+}
+
+async function tableNames(db) {
+    const rows = await db.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    return rows.map(row => row.name);
+}
+
+for (const driver of DB_DRIVERS) {
+    describe(`마이그레이션 (${driver})`, () => {
+        const migrations = loadMigrations();
+        let tempDir;
+        let db;
+        let latestSchema;
+
+        before(async () => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-migrations-"));
+            db = openDatabase(path.join(tempDir, "test.db"), { driver });
+            await db.ready;
+        });
+
+        after(async () => {
+            await db.close();
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it("모든 마이그레이션에 down 이 있다 (001 제외)", () => {
+            assert.deepEqual(migrations.filter(m => !m.down).map(m => m.version), [1]);
+        });
+
+        it("최신까지 올린 뒤 데이터 입력", async () => {
+            await migrate(db, migrations);
+            const status = await migrationStatus(db, migrations);
+            assert.equal(status.current, status.latest);
+            latestSchema = await schemaSnapshot(db);
+
+            await db.run("INSERT INTO users (id, username, password_hash) VALUES (1, 'alice', 'x')");
+            await db.run(
+                `INSERT INTO file_storage (id, file_hash, saved_name, file_path, file_size, mime_type, file_type)
+                 VALUES (1, 'hash', 'a.jpg', 'Trip/a.jpg', 10, 'image/jpeg', 'image')`
+            );
+            await db.run("INSERT INTO albums (id, owner_id, name) VALUES (1, 1, 'Trip')");
+            await db.run(
+                `INSERT INTO uploaded_media (id, storage_id, original_name, album_name, album_path, owner_id, album_id, caption)
+                 VALUES (1, 1, 'beach.jpg', 'Trip', 'Trip', 1, 1, 'sunset')`
+            );
+            await db.run("UPDATE albums SET cover_media_id = 1 WHERE id = 1");
+            await db.run("INSERT INTO tags (id, owner_id, name) VALUES (1, 1, 'sea')");
+            await db.run("INSERT INTO media_tags (media_id, tag_id) VALUES (1, 1)");
+            await db.run("INSERT INTO media_metadata (storage_id, width, height) VALUES (1, 4, 3)");
+            await db.run(
+                "INSERT INTO share_links (token, owner_id, media_id, expires_at) VALUES ('t', 1, 1, '2999-01-01 00:00:00')"
+            );
+
+            const hit = await db.get("SELECT rowid FROM media_fts WHERE media_fts MATCH 'sea'");
+            assert.equal(hit.rowid, 1);
+        });
+
+        it("001 까지 되돌려도 기준 스키마의 데이터는 남는다", async () => {
+            await rollback(db, migrations, { target: 1 });
+
+            assert.deepEqual(await tableNames(db), ["file_storage", "schema_version", "uploaded_media"]);
+
+            const columns = await db.all("SELECT name FROM pragma_table_info('uploaded_media')");
+            assert.deepEqual(columns.map(c => c.name),
+                ["id", "storage_id", "original_name", "album_name", "album_path", "uploaded_at"]);
+            const storageColumns = await db.all("SELECT name FROM pragma_table_info('file_storage')");
+            assert.ok(!storageColumns.some(c => c.name === "thumbnail_status"));
+
+            const media = await db.get("SELECT storage_id, original_name, album_name FROM uploaded_media WHERE id = 1");
+            assert.deepEqual({ ...media }, { storage_id: 1, original_name: "beach.jpg", album_name: "Trip" });
+            assert.equal((await db.get("SELECT COUNT(*) as count FROM file_storage")).count, 1);
+
+            const indexes = await db.all("SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_%' ORDER BY name");
+            assert.deepEqual(indexes.map(i => i.name), ["idx_album_name", "idx_file_hash", "idx_storage_id"]);
+        });
+
+        it("다시 올리면 처음과 같은 스키마", async () => {
+            await migrate(db, migrations);
+            assert.deepEqual(await schemaSnapshot(db), latestSchema);
+
+            // 되돌리기 전 행도 검색 색인에 다시 들어감
+            const hit = await db.get("SELECT rowid FROM media_fts WHERE media_fts MATCH 'beach'");
+            assert.equal(hit.rowid, 1);
+        });
+
+        it("002 이후 단계는 다시 실행해도 같은 스키마", async () => {
+            await db.run("DELETE FROM schema_version WHERE version > 1");
+
+            const applied = await migrate(db, migrations);
+            assert.equal(applied.length, migrations.length - 1);
+            assert.deepEqual(await schemaSnapshot(db), latestSchema);
+        });
+
+        it("017: 예전 절대 경로 file_path 를 저장소 키로", async (t) => {
+            t.mock.method(console, "warn", () => {});
+            await rollback(db, migrations, { target: 16 });
+
+            const uploadDir = path.join(tempDir, "data");
+            const legacy = {
+                2: [path.join(uploadDir, "Trip", "b.jpg"), "Trip/b.jpg"],
+                3: ["/srv/old/uploads/Summer/c.jpg", "Summer/c.jpg"],
+                4: ["/srv/elsewhere/d.jpg", "/srv/elsewhere/d.jpg"],
+            };
+            for (const [id, [filePath]] of Object.entries(legacy)) {
+                await db.run(
+                    `INSERT INTO file_storage (id, file_hash, saved_name, file_path, file_size, mime_type, file_type)
+                     VALUES (?, ?, 'x.jpg', ?, 1, 'image/jpeg', 'image')`,
+                    [Number(id), `legacy-${id}`, filePath]
+                );
+            }
+
+            await migrate(db, migrations, { context: { uploadDir } });
+            for (const [id, [, key]] of Object.entries(legacy)) {
+                assert.equal((await db.get("SELECT file_path FROM file_storage WHERE id = ?", [Number(id)])).file_path, key);
+            }
+            assert.equal((await db.get("SELECT file_path FROM file_storage WHERE id = 1")).file_path, "Trip/a.jpg");
+            await db.run("DELETE FROM file_storage WHERE id > 1");
+        });
+
+        it("018: 앨범이 없는 미디어는 (소유자, album_name) 별 앨범에 연결 (휴지통 제외)", async (t) => {
+            t.mock.method(console, "log", () => {});
+            await rollback(db, migrations, { target: 17 });
+            for (const table of ["share_links", "media_tags", "uploaded_media", "albums"]) {
+                await db.run(`DELETE FROM ${table}`);
+            }
+            await db.run("INSERT OR IGNORE INTO users (id, username, password_hash) VALUES (1, 'alice', 'x')");
+            await db.run("INSERT INTO albums (id, owner_id, name) VALUES (10, 1, 'Trip')");
+
+            const rows = [
+                // id, owner_id, album_name, deleted_at
+                [11, 1, "Trip", null],
+                [12, 1, "New", null],
+                [13, null, null, null],
+                [14, null, "Default", null],
+                [15, 1, "Gone", "2020-01-01 00:00:00"],
+            ];
+            for (const [id, ownerId, albumName, deletedAt] of rows) {
+                await db.run(
+                    `INSERT INTO uploaded_media (id, storage_id, original_name, album_name, owner_id, deleted_at)
+                     VALUES (?, 1, 'x.jpg', ?, ?, ?)`,
+                    [id, albumName, ownerId, deletedAt]
+                );
+            }
+
+            await migrate(db, migrations);
+            const albums = await db.all("SELECT id, owner_id, name FROM albums ORDER BY id");
+            assert.deepEqual(albums.map(a => [a.owner_id, a.name]), [[1, "Trip"], [1, "New"], [null, "Default"]]);
+            const albumOf = async (id) => (await db.get("SELECT album_id FROM uploaded_media WHERE id = ?", [id])).album_id;
+            assert.equal(await albumOf(11), 10);
+            assert.equal(await albumOf(12), albums[1].id);
+            assert.equal(await albumOf(13), albums[2].id);
+            assert.equal(await albumOf(14), albums[2].id);
+            assert.equal(await albumOf(15), null);
+        });
+
+        it("019: 앨범 공유 링크는 album_id 로, 앨범이 없는 링크는 삭제", async () => {
+            await rollback(db, migrations, { target: 18 });
+            const links = [["trip", "Trip"], ["gone", "Gone"]];
+            for (const [token, albumName] of links) {
+                await db.run(
+                    "INSERT INTO share_links (token, owner_id, album_name, expires_at) VALUES (?, 1, ?, '2999-01-01 00:00:00')",
+                    [token, albumName]
+                );
+            }
+
+            await migrate(db, migrations);
+            const rows = await db.all("SELECT token, album_id FROM share_links ORDER BY token");
+            assert.deepEqual(rows.map(row => [row.token, row.album_id]), [["trip", 10]]);
+
+            // 앨범을 지우면 함께 삭제
+            await db.run("UPDATE uploaded_media SET album_id = NULL WHERE album_id = 10");
+            await db.run("DELETE FROM albums WHERE id = 10");
+            assert.equal((await db.get("SELECT COUNT(*) as count FROM share_links")).count, 0);
+        });
+    });
+}
@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 커서 페이지네이션 통합 테스트 (GET /api/upload/media, lib/pagination.js)
+// =======================
+// 같은 이름(sort=name)과 같은 초에 올라온 업로드(sort=uploaded)로 정렬값이 겹치는 경우를 만든다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+// [파일 이름, 앨범] - 이름이 겹치는 항목이 여럿
+const FILES = [
+    ["b.png", "Trip"],
+    ["a.png", "Home"],
+    ["c.png", "Trip"],
+    ["a.png", "Trip"],
+    ["b.png", "Home"],
+    ["a.png", "Trip"],
+    ["c.png", "Home"],
+];
+
+function encode(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`커서 페이지네이션 (${driver})`, () => {
+        let server;
+        let token;
+        const uploaded = [];
+
+        async function api(url) {
+            const res = await fetch(`${server.baseUrl}${url}`, { headers: { Authorization: `Bearer ${token}` } });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function list(query) {
+            const res = await api(`/api/upload/media?${new URLSearchParams(query)}`);
+            assert.equal(res.status, 200, JSON.stringify(res.body));
+            return res.body;
+        }
+
+        // 커서를 따라 끝까지 → 페이지마다 id 목록
+        async function walk(query, first, direction) {
+            const pages = [];
+            let page = first;
+            for (;;) {
+                pages.push(page.data.map((item) => item.id));
+                const cursor = direction === "next" ? page.pagination.nextCursor : page.pagination.prevCursor;
+                if (!cursor) return pages;
+                page = await list({ ...query, cursor });
+            }
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+
+            const registered = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "alice", password: "password1" }),
+            });
+            token = (await registered.json()).data.accessToken;
+
+            for (const [index, [name, album]] of FILES.entries()) {
+                const image = await sharp({ create: { width: 16, height: 16, channels: 3, background: { r: index * 30, g: 40, b: 90 } } })
+                    .png()
+                    .toBuffer();
+                const form = new FormData();
+                form.append("album", album);
+                form.append("file", new Blob([image], { type: "image/png" }), name);
+                const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                    method: "POST",
+                    headers: { Authorization: `Bearer ${token}` },
+                    body: form,
+                });
+                uploaded.push((await res.json()).data);
+            }
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        async function uploadImage(name, album, background, exif) {
+            let image = sharp({ create: { width: 16, height: 16, channels: 3, background } }).jpeg();
+            if (exif) image = image.withExif({ IFD0: { Make: "Canon" }, IFD2: exif });
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([await image.toBuffer()], { type: "image/jpeg" }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            return (await res.json()).data;
+        }
+
+        it("다음 커서로 끝까지 - 같은 정렬값은 id 순, 빠지거나 겹치는 항목 없음", async () => {
+            const query = { sort: "name", order: "asc", limit: "2" };
+            const pages = await walk(query, await list(query), "next");
+            assert.deepEqual(pages.map((ids) => ids.length), [2, 2, 2, 1]);
+
+            const byName = uploaded
+                .map((item) => [item.originalName, item.id])
+                .sort((x, y) => x[0].localeCompare(y[0]) || x[1] - y[1])
+                .map(([, id]) => id);
+            assert.deepEqual(pages.flat(), byName);
+
+            // 업로드 시각(초 단위)이 겹쳐도 기본 정렬(uploaded desc)은 id 역순으로 고정
+            const newest = await walk({ limit: "3" }, await list({ limit: "3" }), "next");
+            assert.deepEqual(newest.flat(), uploaded.map((item) => item.id).reverse());
+        });
+
+        it("마지막 페이지에서 이전 커서로 처음까지", async () => {
+            const query = { sort: "name", order: "desc", limit: "3" };
+            const forward = await walk(query, await list(query), "next");
+
+            let lastPage = await list(query);
+            while (lastPage.pagination.nextCursor) {
+                lastPage = await list({ ...query, cursor: lastPage.pagination.nextCursor });
+            }
+            assert.equal(lastPage.pagination.hasNext, false);
+            assert.equal(lastPage.pagination.nextCursor, null);
+
+            const backward = await walk(query, lastPage, "prev");
+            assert.deepEqual(backward.reverse(), forward);
+        });
+
+        it("방향 전환: 다음 → 이전은 같은 페이지, 첫 페이지는 hasPrev=false", async () => {
+            const query = { sort: "size", order: "asc", limit: "2" };
+            const first = await list(query);
+            assert.equal(first.pagination.hasPrev, false);
+            assert.equal(first.pagination.prevCursor, null);
+
+            const second = await list({ ...query, cursor: first.pagination.nextCursor });
+            const third = await list({ ...query, cursor: second.pagination.nextCursor });
+            assert.equal(second.pagination.hasPrev, true);
+
+            const backToSecond = await list({ ...query, cursor: third.pagination.prevCursor });
+            assert.deepEqual(backToSecond.data.map((item) => item.id), second.data.map((item) => item.id));
+            assert.equal(backToSecond.pagination.hasNext, true);
+
+            const backToFirst = await list({ ...query, cursor: backToSecond.pagination.prevCursor });
+            assert.deepEqual(backToFirst.data.map((item) => item.id), first.data.map((item) => item.id));
+            assert.equal(backToFirst.pagination.hasPrev, false);
+            assert.equal(backToFirst.pagination.hasNext, true);
+
+            const again = await list({ ...query, cursor: backToFirst.pagination.nextCursor });
+            assert.deepEqual(again.data.map((item) => item.id), second.data.map((item) => item.id));
+        });
+
+        it("잘못되거나 변조된 커서는 400", async () => {
+            const valid = (await list({ sort: "name", limit: "2" })).pagination.nextCursor;
+            const cases = [
+                [{ sort: "name", cursor: "not-a-cursor" }, "INVALID_CURSOR"],
+                [{ sort: "name", cursor: encode({ s: "name", o: "DESC", d: "sideways", v: "a.png", i: 1 }) }, "INVALID_CURSOR"],
+                [{ sort: "name", cursor: encode({ s: "name", o: "DESC", d: "next", v: "a.png", i: "1 OR 1=1" }) }, "INVALID_CURSOR"],
+                [{ sort: "name", cursor: encode({ s: "name", o: "DESC", d: "next", i: 1 }) }, "INVALID_CURSOR"],
+                [{ sort: "size", cursor: valid }, "CURSOR_MISMATCH"],
+                [{ sort: "name", order: "asc", cursor: valid }, "CURSOR_MISMATCH"],
+                [{ sort: "name; DROP TABLE uploaded_media" }, "INVALID_SORT"],
+            ];
+            for (const [query, code] of cases) {
+                const res = await api(`/api/upload/media?${new URLSearchParams(query)}`);
+                assert.equal(res.status, 400, JSON.stringify(query));
+                assert.equal(res.body.code, code, JSON.stringify(query));
+            }
+        });
+
+        it("total 은 필터 기준 전체 개수 (페이지/커서와 무관)", async () => {
+            const trip = FILES.filter(([, album]) => album === "Trip").length;
+            const first = await list({ album: "Trip", limit: "2" });
+            assert.equal(first.total, trip);
+            assert.equal(first.count, 2);
+
+            const ids = (await walk({ album: "Trip", limit: "2" }, first, "next")).flat();
+            assert.equal(ids.length, trip);
+            const second = await list({ album: "Trip", limit: "2", cursor: first.pagination.nextCursor });
+            assert.equal(second.total, trip);
+
+            assert.equal((await list({ album: "Nowhere" })).total, 0);
+            assert.equal((await list({ type: "video" })).total, 0);
+            assert.equal((await list({})).total, FILES.length);
+        });
+
+        // (앞 테스트의 total 이 바뀌지 않도록 마지막에, 따로 앨범에)
+        it("촬영일 정렬은 시간대를 반영한 UTC 기준, 촬영 정보가 없으면 업로드 시각", async () => {
+            // 현지 시각 순서(08 < 10 < 14)와 UTC 순서(05 < 08 < 15)가 다르다
+            const seoul = await uploadImage("seoul.jpg", "Taken", "#101010", { DateTimeOriginal: "2024:05:01 14:00:00", OffsetTimeOriginal: "+09:00" });
+            const london = await uploadImage("london.jpg", "Taken", "#202020", { DateTimeOriginal: "2024:05:01 08:00:00", OffsetTimeOriginal: "+00:00" });
+            const newYork = await uploadImage("ny.jpg", "Taken", "#303030", { DateTimeOriginal: "2024:05:01 10:00:00", OffsetTimeOriginal: "-05:00" });
+            const undated = await uploadImage("undated.jpg", "Taken", "#404040", null);
+
+            const query = { album: "Taken", sort: "taken", order: "asc", limit: "2" };
+            const ids = (await walk(query, await list(query), "next")).flat();
+            assert.deepEqual(ids, [seoul.id, london.id, newYork.id, undated.id]);
+
+            const descending = await list({ album: "Taken", sort: "taken" });
+            assert.deepEqual(descending.data.map((item) => item.id), [undated.id, newYork.id, london.id, seoul.id]);
+            assert.equal(descending.data[3].metadata.takenAt, "2024-05-01 14:00:00");
+        });
+    });
+}
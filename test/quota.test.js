@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 저장 공간 한도 통합 테스트 (lib/quota.js, QUOTA_POLICY, GET /api/upload/quota)
+// =======================
+// 한도(DEFAULT_QUOTA_BYTES)는 사진 A 는 들어가고 A + B 는 넘치도록 잡는다.
+// 같은 내용(A)을 alice 와 bob 이 함께 참조할 때 정책별로 누가 얼마나 청구되는지 본다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+// 압축이 거의 안 되는 잡음 이미지 (크기가 수 KB)
+function noisePng() {
+    return sharp(crypto.randomBytes(48 * 48 * 3), { raw: { width: 48, height: 48, channels: 3 } }).png().toBuffer();
+}
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    for (const policy of ["full", "first-uploader"]) {
+        describe(`저장 공간 한도 - ${policy} (${driver})`, () => {
+            let server;
+            let photoA;
+            let photoB;
+            let quotaBytes;
+            const tokens = {};
+            const media = {};
+
+            async function api(method, url, user) {
+                const res = await fetch(`${server.baseUrl}${url}`, { method, headers: { Authorization: `Bearer ${tokens[user]}` } });
+                return { status: res.status, body: await res.json() };
+            }
+
+            async function usage(user) {
+                const res = await api("GET", "/api/upload/quota", user);
+                assert.equal(res.status, 200);
+                return res.body.data;
+            }
+
+            async function upload(user, image, name, album) {
+                const form = new FormData();
+                form.append("album", album);
+                form.append("file", new Blob([image], { type: "image/png" }), name);
+                const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                    method: "POST",
+                    headers: { Authorization: `Bearer ${tokens[user]}` },
+                    body: form,
+                });
+                return { status: res.status, body: await res.json() };
+            }
+
+            before(async () => {
+                photoA = await noisePng();
+                photoB = await noisePng();
+                quotaBytes = photoA.length + photoB.length - 1;
+
+                server = await startServer({ entry, env: { QUOTA_POLICY: policy, DEFAULT_QUOTA_BYTES: String(quotaBytes) } });
+                for (const username of ["alice", "bob"]) {
+                    const res = await fetch(`${server.baseUrl}/api/auth/register`, {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json" },
+                        body: JSON.stringify({ username, password: "password1" }),
+                    });
+                    tokens[username] = (await res.json()).data.accessToken;
+                }
+            });
+
+            after(async () => {
+                if (server) await server.stop();
+            });
+
+            it("한도를 넘는 업로드는 413 QUOTA_EXCEEDED, 내 중복 업로드는 청구하지 않음", async () => {
+                const first = await upload("alice", photoA, "a.png", "Trip");
+                assert.equal(first.status, 200);
+                media.aliceA = first.body.data;
+
+                const copy = await upload("alice", photoA, "a-copy.png", "Backup");
+                assert.equal(copy.status, 200);
+                media.aliceCopy = copy.body.data;
+
+                const used = await usage("alice");
+                assert.equal(used.policy, policy);
+                assert.equal(used.quotaBytes, quotaBytes);
+                assert.equal(used.usedBytes, photoA.length);
+                assert.equal(used.remainingBytes, quotaBytes - photoA.length);
+                assert.equal(used.unlimited, false);
+
+                const rejected = await upload("alice", photoB, "b.png", "Trip");
+                assert.equal(rejected.status, 413);
+                assert.equal(rejected.body.code, "QUOTA_EXCEEDED");
+                assert.equal(rejected.body.quota.usedBytes, photoA.length);
+                assert.equal(rejected.body.quota.requiredBytes, photoB.length);
+                assert.equal((await usage("alice")).usedBytes, photoA.length);
+
+                // 이어받기 업로드는 생성 시 전체 크기로 확인
+                const resumable = await fetch(`${server.baseUrl}/api/upload/resumable`, {
+                    method: "POST",
+                    headers: {
+                        Authorization: `Bearer ${tokens.alice}`,
+                        "Tus-Resumable": "1.0.0",
+                        "Upload-Length": String(photoB.length),
+                        "Upload-Metadata": `filename ${Buffer.from("b.png").toString("base64")},filetype ${Buffer.from("image/png").toString("base64")}`,
+                    },
+                });
+                assert.equal(resumable.status, 413);
+            });
+
+            it("다른 사용자와 공유한 파일의 청구", async () => {
+                const shared = await upload("bob", photoA, "same.png", "Mine");
+                assert.equal(shared.status, 200);
+                assert.equal(shared.body.data.storageId, media.aliceA.storageId);
+
+                const alice = await usage("alice");
+                const bob = await usage("bob");
+                assert.equal(alice.usedBytes, photoA.length);
+                if (policy === "full") {
+                    // 참조하는 사용자마다 전체 크기
+                    assert.equal(bob.usedBytes, photoA.length);
+                    assert.equal((await upload("bob", photoB, "b.png", "Mine")).status, 413);
+                } else {
+                    // 먼저 올린 사용자만
+                    assert.equal(bob.usedBytes, 0);
+                    const b = await upload("bob", photoB, "b.png", "Mine");
+                    assert.equal(b.status, 200);
+                    media.bobB = b.body.data;
+                    assert.equal((await usage("bob")).usedBytes, photoB.length);
+                }
+            });
+
+            it("휴지통은 청구 대상, 영구 삭제하면 공유 파일의 청구가 넘어감", async () => {
+                for (const item of [media.aliceA, media.aliceCopy]) {
+                    assert.equal((await api("DELETE", `/api/upload/media/${item.id}`, "alice")).status, 200);
+                }
+                assert.equal((await usage("alice")).usedBytes, photoA.length);
+
+                assert.equal((await api("DELETE", "/api/upload/trash", "alice")).status, 200);
+                assert.equal((await usage("alice")).usedBytes, 0);
+
+                const bob = await usage("bob");
+                if (policy === "full") {
+                    assert.equal(bob.usedBytes, photoA.length);
+                } else {
+                    // 남은 참조 중 가장 먼저 올린 bob 에게
+                    assert.equal(bob.usedBytes, photoA.length + photoB.length);
+                    assert.equal(bob.remainingBytes, 0);
+                }
+                assert.equal((await upload("alice", photoB, "b.png", "Trip")).status, 200);
+            });
+        });
+    }
+}
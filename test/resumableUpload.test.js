@@ -0,0 +1,137 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const express = require("express");
+const { createResumableRouter, UploadError } = require("../lib/resumableUpload");
+
+// =======================
+// 이어받기 업로드 완료 처리 실패 (lib/resumableUpload.js)
+// =======================
+// onComplete 는 테스트가 정한 순서대로 실패/성공하고, 받은 파일을 지운다 (저장소로 옮긴 것처럼).
+// 라우터 로그는 테스트 러너 출력(stdout)과 섞이지 않도록 끈다.
+
+describe("이어받기 업로드 완료 처리", () => {
+    let tempDir;
+    let server;
+    let baseUrl;
+    const outcomes = [];
+    const completed = [];
+
+    before(async () => {
+        mock.method(console, "log", () => {});
+        mock.method(console, "error", () => {});
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-resumable-"));
+
+        const app = express();
+        app.use("/resumable", createResumableRouter({
+            tempDir,
+            maxSize: 1024,
+            onComplete: async (session) => {
+                const content = fs.readFileSync(session.partPath, "utf8");
+                fs.unlinkSync(session.partPath);
+
+                const outcome = outcomes.shift();
+                if (outcome instanceof Error) throw outcome;
+                completed.push(content);
+                return { content };
+            },
+        }));
+        server = await new Promise((resolve) => {
+            const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        if (server) await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    async function createUpload(content) {
+        const res = await fetch(`${baseUrl}/resumable`, {
+            method: "POST",
+            headers: {
+                "Tus-Resumable": "1.0.0",
+                "Upload-Length": String(Buffer.byteLength(content)),
+                "Upload-Metadata": `filename ${Buffer.from("note.txt").toString("base64")}`,
+            },
+        });
+        assert.equal(res.status, 201);
+        return `${baseUrl}${res.headers.get("location")}`;
+    }
+
+    function patch(url, offset, body = "") {
+        return fetch(url, {
+            method: "PATCH",
+            headers: {
+                "Tus-Resumable": "1.0.0",
+                "Content-Type": "application/offset+octet-stream",
+                "Upload-Offset": String(offset),
+            },
+            body,
+        });
+    }
+
+    async function status(url) {
+        return (await (await fetch(url)).json()).data;
+    }
+
+    it("일시적인 오류는 세션과 받은 데이터를 남기고 빈 PATCH 로 다시 처리", async () => {
+        const url = await createUpload("hello world");
+        outcomes.push(new Error("database is locked"));
+
+        const failed = await patch(url, 0, "hello world");
+        assert.equal(failed.status, 500);
+
+        const head = await fetch(url, { method: "HEAD", headers: { "Tus-Resumable": "1.0.0" } });
+        assert.equal(head.status, 200);
+        assert.equal(head.headers.get("upload-offset"), "11");
+
+        const pending = await status(url);
+        assert.equal(pending.complete, false);
+        assert.equal(pending.failed, false);
+        assert.deepEqual(pending.error, { message: "database is locked", retryable: true });
+
+        outcomes.push("ok");
+        const retried = await patch(url, 11);
+        assert.equal(retried.status, 204);
+        assert.deepEqual(completed, ["hello world"]);
+
+        const done = await status(url);
+        assert.equal(done.complete, true);
+        assert.equal(done.error, null);
+        assert.deepEqual(done.result, { content: "hello world" });
+        assert.deepEqual(fs.readdirSync(tempDir).filter((file) => !file.endsWith(".json")), []);
+    });
+
+    it("내용 오류(4xx)는 실패 상태로 남기고 HEAD/GET 으로 알림", async () => {
+        const url = await createUpload("not an image");
+        const rejected = new UploadError(415, "지원하지 않는 파일 형식");
+        rejected.code = "UNSUPPORTED_FILE_TYPE";
+        outcomes.push(rejected);
+
+        const failed = await patch(url, 0, "not an image");
+        assert.equal(failed.status, 415);
+
+        const head = await fetch(url, { method: "HEAD", headers: { "Tus-Resumable": "1.0.0" } });
+        assert.equal(head.status, 410);
+
+        const state = await status(url);
+        assert.equal(state.complete, false);
+        assert.equal(state.failed, true);
+        assert.deepEqual(state.error, {
+            status: 415,
+            code: "UNSUPPORTED_FILE_TYPE",
+            message: "지원하지 않는 파일 형식",
+            retryable: false,
+        });
+
+        // 다시 보내도 처리하지 않음, 받은 데이터는 지움
+        assert.equal((await patch(url, 12)).status, 409);
+        const id = url.split("/").pop();
+        assert.equal(fs.existsSync(path.join(tempDir, `${id}.part`)), false);
+    });
+});
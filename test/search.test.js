@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 검색 통합 테스트 (GET /api/upload/search, lib/search.js, migrations/010 FTS 트리거)
+// =======================
+// 앞 테스트가 바꾼 태그/설명/앨범 이름을 뒤 테스트가 이어서 사용한다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`검색 (${driver})`, () => {
+        let server;
+        const tokens = {};
+        const media = {};
+
+        async function api(method, url, { body, user = "alice" } = {}) {
+            const headers = { Authorization: `Bearer ${tokens[user]}` };
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function search(query, user) {
+            const res = await api("GET", `/api/upload/search?${new URLSearchParams(query)}`, { user });
+            assert.equal(res.status, 200, JSON.stringify(res.body));
+            return res.body;
+        }
+
+        const ids = (result) => result.data.map((item) => item.id).sort((a, b) => a - b);
+        const facet = (result, name) => Object.fromEntries(result.facets[name].map(({ value, count }) => [value, count]));
+
+        async function register(username) {
+            const res = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username, password: "password1" }),
+            });
+            tokens[username] = (await res.json()).data.accessToken;
+        }
+
+        async function upload(user, name, album, background, format = "png") {
+            const image = await sharp({ create: { width: 16, height: 16, channels: 3, background } })[format]().toBuffer();
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([image], { type: `image/${format}` }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${tokens[user]}` },
+                body: form,
+            });
+            return (await res.json()).data;
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+            await register("alice");
+            await register("bob");
+
+            media.sunset = await upload("alice", "beach_sunset.png", "Summer 2024", "#ff8800");
+            media.ball = await upload("alice", "beachball.png", "Summer 2024", "#00ff88");
+            media.mountain = await upload("alice", "mountain.png", "Hiking", "#8800ff");
+            media.sea = await upload("alice", "바다여행.jpg", "Hiking", "#0088ff", "jpeg");
+            media.bobBeach = await upload("bob", "beach.png", "Mine", "#123123");
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("단어마다 접두어 검색, 모든 단어를 포함한 내 항목만", async () => {
+            assert.deepEqual(ids(await search({ q: "beach" })), [media.sunset.id, media.ball.id]);
+            assert.deepEqual(ids(await search({ q: "beach sunset" })), [media.sunset.id]);
+            assert.deepEqual(ids(await search({ q: "BEA" })), [media.sunset.id, media.ball.id]);
+            assert.deepEqual(ids(await search({ q: "바다" })), [media.sea.id]);
+            assert.deepEqual(ids(await search({ q: "summer" })), [media.sunset.id, media.ball.id]);
+            assert.deepEqual(ids(await search({ q: "beach" }, "bob")), [media.bobBeach.id]);
+
+            // FTS 연산자/따옴표는 일반 문자
+            assert.deepEqual(ids(await search({ q: "beach OR mountain" })), []);
+            assert.deepEqual(ids(await search({ q: "\"mount*ain" })), []);
+            assert.equal((await search({ q: "NEAR( \"" })).total, 0);
+        });
+
+        it("패싯 개수는 자기 필터만 빼고 센다", async () => {
+            const result = await search({ album: "Hiking", type: "image" });
+            assert.equal(result.total, 2);
+
+            // album 패싯은 album 필터를 빼고 (type=image 는 적용)
+            assert.deepEqual(facet(result, "album"), { "Summer 2024": 2, Hiking: 2 });
+            // 나머지 패싯은 album=Hiking 안에서
+            assert.deepEqual(facet(result, "mimeType"), { "image/jpeg": 1, "image/png": 1 });
+            assert.deepEqual(facet(result, "type"), { image: 2 });
+            assert.equal(result.facets.size.find((bucket) => bucket.value === "under1MB").count, 2);
+
+            const png = await search({ album: "Hiking", mimeType: "image/png" });
+            assert.deepEqual(ids(png), [media.mountain.id]);
+            assert.deepEqual(facet(png, "mimeType"), { "image/jpeg": 1, "image/png": 1 });
+            assert.deepEqual(facet(png, "album"), { "Summer 2024": 2, Hiking: 1 });
+
+            // 검색어도 모든 패싯에 적용
+            assert.deepEqual(facet(await search({ q: "beach", album: "Hiking" }), "album"), { "Summer 2024": 2 });
+        });
+
+        it("태그/설명이 바뀌면 색인과 tag 패싯도 따라간다", async () => {
+            assert.equal((await search({ q: "snorkel" })).total, 0);
+
+            const captioned = await api("PATCH", `/api/upload/media/${media.mountain.id}`, {
+                body: { caption: "snorkeling near the beach, beach again" },
+            });
+            assert.equal(captioned.status, 200);
+            assert.deepEqual(ids(await search({ q: "snorkel" })), [media.mountain.id]);
+
+            const tagged = await api("POST", `/api/upload/media/${media.mountain.id}/tags`, { body: { tags: ["Favorite Spot"] } });
+            assert.equal(tagged.status, 200);
+            await api("POST", `/api/upload/media/${media.sea.id}/tags`, { body: { tags: ["Favorite Spot", "blue"] } });
+            assert.deepEqual(ids(await search({ q: "favorite" })), [media.mountain.id, media.sea.id]);
+            assert.deepEqual(facet(await search({}), "tag"), { "Favorite Spot": 2, blue: 1 });
+            assert.deepEqual(facet(await search({ tag: "blue" }), "tag"), { "Favorite Spot": 2, blue: 1 });
+            assert.deepEqual(facet(await search({ tag: "blue" }), "album"), { Hiking: 1 });
+
+            // 태그 이름 변경 / 미디어에서 제거
+            const tags = (await api("GET", "/api/upload/tags")).body.tags;
+            const spot = tags.find((tag) => tag.name === "Favorite Spot");
+            assert.equal((await api("PATCH", `/api/upload/tags/${spot.id}`, { body: { name: "sunrise" } })).status, 200);
+            assert.equal((await search({ q: "favorite" })).total, 0);
+            assert.deepEqual(ids(await search({ q: "sunrise" })), [media.mountain.id, media.sea.id]);
+
+            await api("DELETE", `/api/upload/media/${media.sea.id}/tags/sunrise`);
+            assert.deepEqual(ids(await search({ q: "sunrise" })), [media.mountain.id]);
+            assert.deepEqual(facet(await search({}), "tag"), { sunrise: 1, blue: 1 });
+
+            // 설명 지우기
+            await api("PATCH", `/api/upload/media/${media.mountain.id}`, { body: { caption: null } });
+            assert.equal((await search({ q: "snorkel" })).total, 0);
+            await api("PATCH", `/api/upload/media/${media.mountain.id}`, { body: { caption: "beach beach beach" } });
+        });
+
+        it("관련도순: 여러 컬럼/여러 번 나온 항목이 먼저", async () => {
+            await api("POST", `/api/upload/media/${media.mountain.id}/tags`, { body: { tags: ["beach"] } });
+
+            const result = await search({ q: "beach" });
+            assert.equal(result.pagination.sort, "relevance");
+            assert.equal(result.total, 3);
+            assert.equal(result.data[0].id, media.mountain.id);
+
+            const byName = await search({ q: "beach", sort: "name", order: "asc" });
+            assert.deepEqual(byName.data.map((item) => item.id), [media.sunset.id, media.ball.id, media.mountain.id]);
+
+            // 관련도순도 커서로 이어서
+            const first = await search({ q: "beach", limit: "2" });
+            const next = await search({ q: "beach", limit: "2", cursor: first.pagination.nextCursor });
+            assert.deepEqual([...first.data, ...next.data].map((item) => item.id), result.data.map((item) => item.id));
+        });
+
+        it("앨범 이름 변경과 휴지통 이동도 반영", async () => {
+            const renamed = await api("PATCH", `/api/upload/albums/${media.mountain.albumId}`, { body: { name: "Alps" } });
+            assert.equal(renamed.status, 200);
+            assert.equal((await search({ q: "hiking" })).total, 0);
+            assert.deepEqual(ids(await search({ q: "alps" })), [media.mountain.id, media.sea.id]);
+            assert.deepEqual(facet(await search({}), "album"), { "Summer 2024": 2, Alps: 2 });
+
+            assert.equal((await api("DELETE", `/api/upload/media/${media.sea.id}`)).status, 200);
+            assert.deepEqual(ids(await search({ q: "alps" })), [media.mountain.id]);
+            assert.deepEqual(facet(await search({}), "tag"), { beach: 1, sunrise: 1 });
+        });
+    });
+}
@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 공유 링크 통합 테스트 (다운로드 횟수 제한, 앨범 링크)
+// =======================
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`공유 링크 다운로드 제한 (${driver})`, () => {
+        let server;
+        let token;
+        let image;
+        let shareUrl;
+
+        async function api(method, url, body) {
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        // 공개 다운로드 (로그인 없음)
+        function download(headers = {}, query = "") {
+            return fetch(`${shareUrl}${query}`, { headers });
+        }
+
+        before(async () => {
+            image = await sharp({ create: { width: 32, height: 32, channels: 3, background: "#00ff00" } }).png().toBuffer();
+            server = await startServer({ entry });
+
+            const registered = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "alice", password: "password1" }),
+            });
+            token = (await registered.json()).data.accessToken;
+
+            const form = new FormData();
+            form.append("file", new Blob([image], { type: "image/png" }), "green.png");
+            const uploaded = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            const mediaId = (await uploaded.json()).data.id;
+
+            const share = await api("POST", "/api/upload/shares", { mediaId, maxDownloads: 1 });
+            const shared = await api("GET", `/api/share/${share.body.data.token}`);
+            shareUrl = shared.body.data.items[0].url;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("Range 요청도 다운로드 한 번으로 센다", async () => {
+            const res = await download({ Range: "bytes=1-" });
+            assert.equal(res.status, 206);
+            await res.arrayBuffer();
+
+            const downloadToken = res.headers.get("x-share-download-token");
+            assert.ok(downloadToken);
+
+            // 같은 다운로드를 이어받는 요청은 토큰으로 - 세지 않음
+            const resumed = await download({ Range: "bytes=-10", "X-Share-Download-Token": downloadToken });
+            assert.equal(resumed.status, 206);
+            assert.equal(Buffer.from(await resumed.arrayBuffer()).length, 10);
+
+            const byQuery = await download({ Range: "bytes=0-3" }, `?dl=${encodeURIComponent(downloadToken)}`);
+            assert.equal(byQuery.status, 206);
+            await byQuery.arrayBuffer();
+        });
+
+        it("한도에 도달하면 Range 요청도 거부", async () => {
+            for (const range of ["bytes=-999999999", "bytes=1-", "bytes=0-"]) {
+                const res = await download({ Range: range });
+                assert.equal(res.status, 410, range);
+                assert.equal((await res.json()).code, "SHARE_DOWNLOAD_LIMIT");
+            }
+
+            const forged = await download({ Range: "bytes=-10", "X-Share-Download-Token": "9999999999.forged" });
+            assert.equal(forged.status, 410);
+            await forged.arrayBuffer();
+
+            const full = await download();
+            assert.equal(full.status, 410);
+            await full.arrayBuffer();
+        });
+    });
+
+    describe(`앨범 공유 링크 (${driver})`, () => {
+        let server;
+        let token;
+        let album;
+
+        async function api(method, url, body) {
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+            const registered = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "alice", password: "password1" }),
+            });
+            token = (await registered.json()).data.accessToken;
+
+            for (const [name, background] of [["red.png", "#ff0000"], ["blue.png", "#0000ff"]]) {
+                const image = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer();
+                const form = new FormData();
+                form.append("album", "Trip");
+                form.append("file", new Blob([image], { type: "image/png" }), name);
+                const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                    method: "POST",
+                    headers: { Authorization: `Bearer ${token}` },
+                    body: form,
+                });
+                album = (await res.json()).data.albumId;
+            }
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("앨범 id 로 공유, 이름을 바꿔도 같은 앨범을 가리킨다", async () => {
+            const invalid = await api("POST", "/api/upload/shares", { albumId: album, albumName: "Trip" });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.code, "INVALID_SHARE_TARGET");
+
+            const share = await api("POST", "/api/upload/shares", { albumId: album });
+            assert.equal(share.status, 201);
+            assert.equal(share.body.data.type, "album");
+            assert.equal(share.body.data.albumId, album);
+            assert.equal(share.body.data.albumName, "Trip");
+
+            // 이름으로 만든 링크도 앨범 id 로 저장
+            const byName = await api("POST", "/api/upload/shares", { albumName: "Trip" });
+            assert.equal(byName.body.data.albumId, album);
+
+            const renamed = await api("PATCH", `/api/upload/albums/${album}`, { name: "Trip 2024" });
+            assert.equal(renamed.status, 200);
+
+            for (const link of [share.body.data, byName.body.data]) {
+                const shared = await fetch(`${server.baseUrl}/api/share/${link.token}`);
+                const data = (await shared.json()).data;
+                assert.equal(data.type, "album");
+                assert.equal(data.albumName, "Trip 2024");
+                assert.equal(data.count, 2);
+            }
+            const links = (await api("GET", "/api/upload/shares")).body.data;
+            assert.deepEqual(links.map((link) => link.albumName), ["Trip 2024", "Trip 2024"]);
+
+            // 예전 이름으로 새 앨범을 만들어도 링크는 원래 앨범 그대로
+            const other = await api("POST", "/api/upload/albums", { name: "Trip" });
+            assert.equal(other.status, 201);
+            const shared = await fetch(`${server.baseUrl}/api/share/${byName.body.data.token}`);
+            assert.equal((await shared.json()).data.count, 2);
+
+            const missing = await api("POST", "/api/upload/shares", { albumId: other.body.data.id + 1000 });
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.code, "SHARE_TARGET_NOT_FOUND");
+        });
+
+        it("앨범을 지우면 공유 링크도 삭제", async () => {
+            const [link] = (await api("GET", "/api/upload/shares")).body.data;
+            assert.equal((await api("DELETE", `/api/upload/albums/${album}`)).status, 200);
+
+            assert.deepEqual((await api("GET", "/api/upload/shares")).body.data, []);
+            const shared = await fetch(`${server.baseUrl}/api/share/${link.token}`);
+            assert.equal(shared.status, 404);
+            assert.equal((await shared.json()).code, "SHARE_NOT_FOUND");
+        });
+    });
+}
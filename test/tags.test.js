@@ -0,0 +1,226 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 태그 / 설명 / 즐겨찾기 / 별점 통합 테스트 (lib/tags.js, /api/upload/tags, PATCH /api/upload/media/:id)
+// =======================
+// 앞 테스트가 붙인 태그를 뒤 테스트가 이어서 사용한다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`태그와 주석 (${driver})`, () => {
+        let server;
+        const tokens = {};
+        const media = {};
+
+        async function api(method, url, { body, user = "alice" } = {}) {
+            const headers = { Authorization: `Bearer ${tokens[user]}` };
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function register(username) {
+            const res = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username, password: "password1" }),
+            });
+            tokens[username] = (await res.json()).data.accessToken;
+        }
+
+        async function upload(user, name, album, background) {
+            const image = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer();
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([image], { type: "image/png" }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${tokens[user]}` },
+                body: form,
+            });
+            return (await res.json()).data;
+        }
+
+        async function getMedia(id, user) {
+            const list = await api("GET", "/api/upload/media?limit=200", { user });
+            return list.body.data.find((item) => item.id === id);
+        }
+
+        async function tagCounts(user) {
+            const res = await api("GET", "/api/upload/tags", { user });
+            return Object.fromEntries(res.body.tags.map((tag) => [tag.name, tag.mediaCount]));
+        }
+
+        before(async () => {
+            server = await startServer({ entry });
+            await register("alice");
+            await register("bob");
+
+            media.red = await upload("alice", "red.png", "Trip", "#ff0000");
+            // 같은 내용 → 같은 file_storage 를 참조하는 다른 항목
+            media.redCopy = await upload("alice", "red-copy.png", "Backup", "#ff0000");
+            media.green = await upload("alice", "green.png", "Trip", "#00ff00");
+            media.bobRed = await upload("bob", "mine.png", "Mine", "#ff0000");
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("미디어 태그 추가/제거 (대소문자만 다른 이름은 같은 태그)", async () => {
+            const added = await api("POST", `/api/upload/media/${media.red.id}/tags`, { body: { tags: ["Sunset", " beach  day ", "sunset"] } });
+            assert.equal(added.status, 200);
+            // 이름순 (대소문자 무시)
+            assert.deepEqual(added.body.data.tags, ["beach day", "Sunset"]);
+
+            const again = await api("POST", `/api/upload/media/${media.green.id}/tags`, { body: { tags: ["SUNSET"] } });
+            assert.deepEqual(again.body.data.tags, ["Sunset"]);
+            assert.deepEqual(await tagCounts(), { Sunset: 2, "beach day": 1 });
+
+            const removed = await api("DELETE", `/api/upload/media/${media.red.id}/tags/${encodeURIComponent("Beach Day")}`);
+            assert.equal(removed.status, 200);
+            assert.deepEqual(removed.body.data.tags, ["Sunset"]);
+
+            for (const tags of [["a,b"], [""], "sunset", ["x".repeat(51)]]) {
+                const invalid = await api("POST", `/api/upload/media/${media.red.id}/tags`, { body: { tags } });
+                assert.equal(invalid.status, 400, JSON.stringify(tags));
+                assert.equal(invalid.body.code, "INVALID_TAG");
+            }
+            const other = await api("POST", `/api/upload/media/${media.bobRed.id}/tags`, { body: { tags: ["mine"] } });
+            assert.equal(other.status, 404);
+            assert.equal(other.body.code, "MEDIA_NOT_FOUND");
+        });
+
+        it("태그 이름 변경/삭제", async () => {
+            const tags = (await api("GET", "/api/upload/tags")).body.tags;
+            const sunset = tags.find((tag) => tag.name === "Sunset");
+            const beachDay = tags.find((tag) => tag.name === "beach day");
+
+            const conflict = await api("PATCH", `/api/upload/tags/${sunset.id}`, { body: { name: "Beach Day" } });
+            assert.equal(conflict.status, 409);
+            assert.equal(conflict.body.code, "TAG_EXISTS");
+
+            const recased = await api("PATCH", `/api/upload/tags/${sunset.id}`, { body: { name: "sunset" } });
+            assert.equal(recased.status, 200);
+            assert.deepEqual(recased.body.data, { ...recased.body.data, name: "sunset", mediaCount: 2 });
+            assert.deepEqual((await getMedia(media.green.id)).tags, ["sunset"]);
+
+            const deleted = await api("DELETE", `/api/upload/tags/${beachDay.id}`);
+            assert.equal(deleted.status, 200);
+            assert.equal(deleted.body.data.removedFrom, 0);
+            assert.deepEqual(await tagCounts(), { sunset: 2 });
+
+            assert.equal((await api("DELETE", `/api/upload/tags/${sunset.id}`, { user: "bob" })).status, 404);
+            assert.equal((await api("PATCH", `/api/upload/tags/${sunset.id}`, { user: "bob", body: { name: "x" } })).status, 404);
+        });
+
+        it("일괄 태그: 내 미디어에만 추가/제거, 나머지는 notFound", async () => {
+            const res = await api("POST", "/api/upload/tags/bulk", {
+                body: { mediaIds: [media.red.id, media.green.id, media.bobRed.id, 999999], add: ["summer", "2024"], remove: ["sunset"] },
+            });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.mediaIds.sort(), [media.red.id, media.green.id].sort());
+            assert.deepEqual(res.body.data.notFound, [media.bobRed.id, 999999]);
+            assert.deepEqual((await getMedia(media.red.id)).tags, ["2024", "summer"]);
+            assert.deepEqual((await getMedia(media.bobRed.id, "bob")).tags, []);
+            assert.deepEqual(await tagCounts(), { 2024: 2, summer: 2, sunset: 0 });
+
+            const removed = await api("POST", "/api/upload/tags/bulk", { body: { mediaIds: [media.green.id], remove: ["2024"] } });
+            assert.equal(removed.status, 200);
+            assert.deepEqual((await getMedia(media.green.id)).tags, ["summer"]);
+
+            for (const body of [{ mediaIds: [media.red.id] }, { mediaIds: [], add: ["x"] }, { mediaIds: ["a"], add: ["x"] }]) {
+                assert.equal((await api("POST", "/api/upload/tags/bulk", { body })).status, 400, JSON.stringify(body));
+            }
+        });
+
+        it("설명/즐겨찾기/별점 수정과 검증", async () => {
+            const updated = await api("PATCH", `/api/upload/media/${media.red.id}`, {
+                body: { caption: "노을 진 해변", favorite: true, rating: 5 },
+            });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.data.caption, "노을 진 해변");
+            assert.equal(updated.body.data.favorite, true);
+            assert.equal(updated.body.data.rating, 5);
+            assert.deepEqual(updated.body.data.tags, ["2024", "summer"]);
+
+            // 지정한 필드만 바꾼다 / tags 는 전체 교체
+            const partial = await api("PATCH", `/api/upload/media/${media.red.id}`, { body: { rating: null, tags: ["only"] } });
+            assert.equal(partial.body.data.caption, "노을 진 해변");
+            assert.equal(partial.body.data.favorite, true);
+            assert.equal(partial.body.data.rating, null);
+            assert.deepEqual(partial.body.data.tags, ["only"]);
+
+            const blank = await api("PATCH", `/api/upload/media/${media.red.id}`, { body: { caption: "   " } });
+            assert.equal(blank.body.data.caption, null);
+
+            const invalid = [
+                [{ rating: 6 }, "INVALID_RATING"],
+                [{ rating: 2.5 }, "INVALID_RATING"],
+                [{ favorite: "yes" }, "INVALID_FAVORITE"],
+                [{ caption: 42 }, "INVALID_CAPTION"],
+                [{ caption: "x".repeat(2001) }, "INVALID_CAPTION"],
+                [{}, "NOTHING_TO_UPDATE"],
+            ];
+            for (const [body, code] of invalid) {
+                const res = await api("PATCH", `/api/upload/media/${media.green.id}`, { body });
+                assert.equal(res.status, 400, JSON.stringify(body));
+                assert.equal(res.body.code, code, JSON.stringify(body));
+            }
+            assert.equal((await api("PATCH", `/api/upload/media/${media.bobRed.id}`, { body: { rating: 1 } })).status, 404);
+        });
+
+        it("목록 ?tag= (여러 개면 모두 가진 항목), favorite, minRating 필터", async () => {
+            await api("PATCH", `/api/upload/media/${media.green.id}`, { body: { tags: ["summer", "only"], rating: 3 } });
+            const list = async (query) => {
+                const res = await api("GET", `/api/upload/media?${new URLSearchParams(query)}`);
+                return res.body.data.map((item) => item.id).sort((a, b) => a - b);
+            };
+
+            // 다른 사용자의 같은 이름 태그와 섞이지 않음
+            await api("POST", `/api/upload/media/${media.bobRed.id}/tags`, { user: "bob", body: { tags: ["only"] } });
+
+            assert.deepEqual(await list({ tag: "only" }), [media.red.id, media.green.id].sort((a, b) => a - b));
+            assert.deepEqual(await list({ tag: "ONLY,summer" }), [media.green.id]);
+            assert.deepEqual(await list({ tag: "nothing" }), []);
+            assert.deepEqual(await list({ favorite: "true" }), [media.red.id]);
+            assert.deepEqual(await list({ minRating: "3" }), [media.green.id]);
+            assert.deepEqual(await list({ tag: "only", favorite: "true" }), [media.red.id]);
+        });
+
+        it("같은 파일을 참조하는 항목도 태그/주석은 각자", async () => {
+            assert.equal(media.redCopy.storageId, media.red.storageId);
+            assert.equal(media.bobRed.storageId, media.red.storageId);
+
+            const original = await getMedia(media.red.id);
+            const copy = await getMedia(media.redCopy.id);
+            assert.deepEqual(original.tags, ["only"]);
+            assert.deepEqual(copy.tags, []);
+            assert.equal(copy.caption, null);
+            assert.equal(copy.favorite, false);
+
+            await api("PATCH", `/api/upload/media/${media.redCopy.id}`, { body: { tags: ["backup"], rating: 1 } });
+            assert.deepEqual((await getMedia(media.red.id)).tags, ["only"]);
+            assert.equal((await getMedia(media.red.id)).rating, null);
+            assert.deepEqual((await getMedia(media.redCopy.id)).tags, ["backup"]);
+            assert.deepEqual((await getMedia(media.bobRed.id, "bob")).tags, ["only"]);
+            assert.deepEqual(await tagCounts("bob"), { only: 1 });
+
+            // 한쪽을 지워도 다른 쪽의 태그는 그대로
+            assert.equal((await api("DELETE", `/api/upload/media/${media.red.id}`)).status, 200);
+            assert.deepEqual((await getMedia(media.redCopy.id)).tags, ["backup"]);
+            assert.deepEqual(await tagCounts(), { 2024: 0, backup: 1, only: 1, summer: 1, sunset: 0 });
+        });
+    });
+}
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+const { writeFakeFfmpeg, fakeVideo } = require("./helpers/fakeFfmpeg");
+
+// =======================
+// 썸네일 통합 테스트 (lib/thumbnails.js, "thumbnail" 작업)
+// =======================
+// 동영상 포스터 프레임은 test/helpers/fakeFfmpeg.js 의 ffmpeg 대용 스크립트가 만든다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`썸네일 (${driver})`, () => {
+        let toolsDir;
+        let server;
+        let token;
+        let folder;
+        const media = {};
+
+        async function api(method, url) {
+            const res = await fetch(`${server.baseUrl}${url}`, { method, headers: { Authorization: `Bearer ${token}` } });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function upload(name, content, type, album = "Trip") {
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([content], { type }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            assert.equal(res.status, 200);
+            return (await res.json()).data;
+        }
+
+        // 썸네일 작업이 끝날(ready/failed) 때까지
+        async function settled(id, timeoutMs = 15000) {
+            const startedAt = Date.now();
+            for (;;) {
+                const list = await api("GET", "/api/upload/media?limit=200");
+                const item = list.body.data.find((row) => row.id === id);
+                if (["ready", "failed"].includes(item.thumbnailStatus)) return item;
+                assert.ok(Date.now() - startedAt < timeoutMs, `썸네일 시간 초과 (${item.thumbnailStatus})`);
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+        }
+
+        // 저장소 키 목록 - 임시 폴더(.tmp)는 썸네일 작업이 만들고 지우는 중일 수 있어 건너뛴다
+        function storedKeys(prefix = "") {
+            let entries;
+            try {
+                entries = fs.readdirSync(path.join(server.uploadDir, prefix), { withFileTypes: true });
+            } catch (err) {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            }
+            return entries
+                .filter((entry) => !entry.name.startsWith("."))
+                .flatMap((entry) => {
+                    const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+                    return entry.isDirectory() ? storedKeys(key) : [key];
+                });
+        }
+
+        // 저장소(업로드 폴더)의 썸네일 파일 - <앨범>/thumbnails/<storageId>_*.jpg
+        function thumbnailFiles(storageId) {
+            return storedKeys()
+                .filter((key) => new RegExp(`/thumbnails/${storageId}_\\w+\\.jpg$`).test(key))
+                .sort();
+        }
+
+        before(async () => {
+            toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-ffmpeg-"));
+            server = await startServer({ entry, env: { ...writeFakeFfmpeg(toolsDir), JOB_RETRY_BASE_SECONDS: "0" } });
+            const registered = await fetch(`${server.baseUrl}/api/auth/register`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "alice", password: "password1" }),
+            });
+            const { data } = await registered.json();
+            token = data.accessToken;
+            folder = `${data.user.id}/Trip`;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+            if (toolsDir) fs.rmSync(toolsDir, { recursive: true, force: true });
+        });
+
+        it("이미지: small / medium / large 생성, 원본보다 크게 늘리지 않음", async () => {
+            const image = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#3388cc" } }).png().toBuffer();
+            const uploaded = await upload("wide.png", image, "image/png");
+            assert.equal(uploaded.thumbnailStatus, "pending");
+            assert.equal(uploaded.thumbnailUrl, null);
+            media.image = uploaded;
+
+            const item = await settled(uploaded.id);
+            assert.equal(item.thumbnailStatus, "ready");
+            assert.equal(item.thumbnailUrl, item.thumbnails.medium);
+            assert.deepEqual(thumbnailFiles(uploaded.storageId), [
+                `${folder}/thumbnails/${uploaded.storageId}_large.jpg`,
+                `${folder}/thumbnails/${uploaded.storageId}_medium.jpg`,
+                `${folder}/thumbnails/${uploaded.storageId}_small.jpg`,
+            ]);
+
+            const sizes = {};
+            for (const [size, url] of Object.entries(item.thumbnails)) {
+                const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+                assert.equal(res.status, 200, size);
+                assert.equal(res.headers.get("content-type"), "image/jpeg");
+                const { width, height, format } = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+                assert.equal(format, "jpeg");
+                sizes[size] = [width, height];
+            }
+            assert.deepEqual(sizes, { small: [160, 120], medium: [480, 360], large: [800, 600] });
+        });
+
+        it("동영상: 포스터 프레임으로 만들고 포스터도 저장", async () => {
+            const uploaded = await upload("clip.mp4", fakeVideo("clip.mp4"), "video/mp4");
+            const item = await settled(uploaded.id);
+            assert.equal(item.thumbnailStatus, "ready");
+            assert.deepEqual(thumbnailFiles(uploaded.storageId), [
+                `${folder}/thumbnails/${uploaded.storageId}_large.jpg`,
+                `${folder}/thumbnails/${uploaded.storageId}_medium.jpg`,
+                `${folder}/thumbnails/${uploaded.storageId}_poster.jpg`,
+                `${folder}/thumbnails/${uploaded.storageId}_small.jpg`,
+            ]);
+        });
+
+        it("계속 실패하면 재시도 후 failed, URL 없음", async () => {
+            const uploaded = await upload("broken.mp4", fakeVideo("broken.mp4", "FAIL"), "video/mp4");
+            const item = await settled(uploaded.id);
+            assert.equal(item.thumbnailStatus, "failed");
+            assert.equal(item.thumbnailUrl, null);
+            assert.equal(item.thumbnails, null);
+            assert.deepEqual(thumbnailFiles(uploaded.storageId), []);
+        });
+
+        it("참조가 모두 영구 삭제될 때(ref_count 0)만 썸네일 삭제", async () => {
+            const image = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#3388cc" } }).png().toBuffer();
+            const copy = await upload("copy.png", image, "image/png", "Trip");
+            assert.equal(copy.storageId, media.image.storageId);
+            assert.equal(copy.refCount, 2);
+
+            const purge = async (id) => {
+                assert.equal((await api("DELETE", `/api/upload/media/${id}`)).status, 200);
+                assert.equal((await api("DELETE", `/api/upload/trash/${id}`)).status, 200);
+            };
+
+            await purge(media.image.id);
+            // 파일 정리 작업이 있었다면 돌 시간을 준다
+            await new Promise((resolve) => setTimeout(resolve, 300));
+            assert.equal(thumbnailFiles(copy.storageId).length, 3);
+            assert.equal((await settled(copy.id)).thumbnailStatus, "ready");
+
+            await purge(copy.id);
+            for (let i = 0; i < 50 && thumbnailFiles(copy.storageId).length > 0; i++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            assert.deepEqual(thumbnailFiles(copy.storageId), []);
+        });
+    });
+}
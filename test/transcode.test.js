@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { startServer } = require("./helpers/testServer");
+const { writeFakeFfmpeg, fakeVideo } = require("./helpers/fakeFfmpeg");
+
+// =======================
+// 동영상 변환 통합 테스트 (lib/transcode.js, "transcode" 작업, GET /api/media/:id/stream/*)
+// =======================
+// ffmpeg / ffprobe 는 test/helpers/fakeFfmpeg.js 의 스크립트로 대신한다.
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`동영상 변환 (${driver})`, () => {
+        let toolsDir;
+        let server;
+        let token;
+        let ready;
+
+        async function api(method, url) {
+            const res = await fetch(`${server.baseUrl}${url}`, { method, headers: { Authorization: `Bearer ${token}` } });
+            return { status: res.status, body: await res.json() };
+        }
+
+        async function upload(name, marker) {
+            const form = new FormData();
+            form.append("album", "Videos");
+            form.append("file", new Blob([fakeVideo(name, marker)], { type: "video/mp4" }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${token}` },
+                body: form,
+            });
+            assert.equal(res.status, 200);
+            return (await res.json()).data;
+        }
+
+        async function getMedia(id) {
+            return (await api("GET", "/api/upload/media?type=video&limit=200")).body.data.find((item) => item.id === id);
+        }
+
+        // 상태 변화를 기록하면서 끝날(ready/failed) 때까지
+        async function watchStatus(id, timeoutMs = 15000) {
+            const seen = [];
+            const startedAt = Date.now();
+            for (;;) {
+                const media = await getMedia(id);
+                if (seen[seen.length - 1] !== media.transcodeStatus) seen.push(media.transcodeStatus);
+                if (["ready", "failed"].includes(media.transcodeStatus)) return { media, seen };
+                assert.ok(Date.now() - startedAt < timeoutMs, `변환 시간 초과 (${seen.join(" → ")})`);
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+        }
+
+        function renditionDir(storageId) {
+            return path.join(server.uploadDir, "renditions", String(storageId));
+        }
+
+        before(async () => {
+            toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-ffmpeg-"));
+            server = await startServer({
+                entry,
+                env: {
+                    ...writeFakeFfmpeg(toolsDir),
+                    TRANSCODE_ENABLED: "true",
+                    JOB_RETRY_BASE_SECONDS: "0",
+                    // 작업 목록(/api/admin/jobs)을 보려고 관리자로 올린다
+                    ADMIN_USERNAME: "root",
+                    ADMIN_PASSWORD: "password1",
+                },
+            });
+            const login = await fetch(`${server.baseUrl}/api/auth/login`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username: "root", password: "password1" }),
+            });
+            token = (await login.json()).data.accessToken;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+            if (toolsDir) fs.rmSync(toolsDir, { recursive: true, force: true });
+        });
+
+        it("pending → processing → ready, 준비되면 playbackUrl / webMp4Url", async () => {
+            const uploaded = await upload("trip.mp4", "SLOW");
+            assert.equal(uploaded.transcodeStatus, "pending");
+            assert.equal(uploaded.playbackUrl, null);
+            assert.equal(uploaded.webMp4Url, null);
+
+            const { media, seen } = await watchStatus(uploaded.id);
+            assert.deepEqual(seen.filter((status) => status !== "pending"), ["processing", "ready"]);
+            assert.equal(media.playbackUrl, `${server.baseUrl}/api/media/${uploaded.id}/stream/hls/master.m3u8`);
+            assert.equal(media.webMp4Url, `${server.baseUrl}/api/media/${uploaded.id}/stream/web.mp4`);
+            ready = uploaded;
+
+            const files = fs.readdirSync(renditionDir(uploaded.storageId), { recursive: true })
+                .map((name) => name.split(path.sep).join("/"))
+                .sort();
+            assert.deepEqual(files, [
+                "hls", "hls/360p", "hls/360p/index.m3u8", "hls/360p/segment_000.ts", "hls/master.m3u8", "web.mp4",
+            ]);
+
+            // 재생목록 (?access_token= 이면 하위 URI 에도 토큰)
+            const playlist = await fetch(`${media.playbackUrl}?access_token=${encodeURIComponent(token)}`);
+            assert.equal(playlist.status, 200);
+            assert.match(playlist.headers.get("content-type"), /^application\/vnd\.apple\.mpegurl/);
+            const text = await playlist.text();
+            assert.match(text, /RESOLUTION=640x360/);
+            assert.ok(text.includes(`360p/index.m3u8?access_token=${encodeURIComponent(token)}`));
+
+            const mp4 = await fetch(media.webMp4Url, { headers: { Authorization: `Bearer ${token}` } });
+            assert.equal(mp4.status, 200);
+            assert.equal(mp4.headers.get("content-type"), "video/mp4");
+            assert.equal(await mp4.text(), "fake mp4");
+
+            const other = await api("GET", `/api/media/${uploaded.id}/stream/hls/other.m3u8`);
+            assert.equal(other.status, 404);
+            assert.equal(other.body.code, "RENDITION_NOT_FOUND");
+        });
+
+        it("ffmpeg 이 계속 실패하면 재시도 후 failed, 재생 URL 없음", async () => {
+            const uploaded = await upload("broken.mp4", "FAIL");
+            const { media } = await watchStatus(uploaded.id);
+            assert.equal(media.transcodeStatus, "failed");
+            assert.equal(media.playbackUrl, null);
+            assert.equal(media.webMp4Url, null);
+            assert.equal(fs.existsSync(renditionDir(uploaded.storageId)), false);
+
+            const jobs = (await api("GET", "/api/admin/jobs?type=transcode&status=failed")).body.data;
+            const job = jobs.find((item) => item.payload.storageId === uploaded.storageId);
+            assert.equal(job.attempts, 3);
+            assert.match(job.lastError, /ffmpeg 종료 코드 1/);
+
+            const stream = await api("GET", `/api/media/${uploaded.id}/stream/hls/master.m3u8`);
+            assert.equal(stream.status, 409);
+            assert.equal(stream.body.code, "PLAYBACK_NOT_READY");
+        });
+
+        it("영구 삭제되면 변환 결과도 삭제", async () => {
+            assert.ok(fs.existsSync(renditionDir(ready.storageId)));
+
+            assert.equal((await api("DELETE", `/api/upload/media/${ready.id}`)).status, 200);
+            // 휴지통에 있는 동안은 남아 있지만 재생은 안 됨
+            assert.ok(fs.existsSync(renditionDir(ready.storageId)));
+            assert.equal((await api("GET", `/api/media/${ready.id}/stream/web.mp4`)).status, 404);
+
+            assert.equal((await api("DELETE", `/api/upload/trash/${ready.id}`)).status, 200);
+            for (let i = 0; i < 50 && fs.existsSync(renditionDir(ready.storageId)); i++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            assert.equal(fs.existsSync(renditionDir(ready.storageId)), false);
+        });
+    });
+}
@@ -0,0 +1,227 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const sharp = require("sharp");
+const { openDatabase } = require("../lib/db");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 휴지통 통합 테스트 (lib/trash.js, /api/upload/trash, "purge-trash" 작업)
+// =======================
+// 업로드 폴더와 DB 는 직접 만든 임시 폴더에 두고, 보관 기간 테스트에서는 deleted_at 을 과거로 바꾼 뒤 서버를 다시 띄운다
+// (정기 정리 작업은 서버 시작 시 한 번 등록된다).
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`휴지통 (${driver})`, () => {
+        let dataDir;
+        let server;
+        const tokens = {};
+        const media = {};
+
+        async function api(method, url, { body, user = "alice" } = {}) {
+            const headers = { Authorization: `Bearer ${tokens[user]}` };
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        // 서버를 (다시) 띄우고 로그인 - 업로드 폴더와 DB 는 그대로
+        async function start(retentionDays) {
+            if (server) await server.stop();
+            server = await startServer({
+                entry,
+                env: {
+                    UPLOAD_DIR: path.join(dataDir, "uploads"),
+                    DB_PATH: path.join(dataDir, "media.db"),
+                    TRASH_RETENTION_DAYS: String(retentionDays),
+                },
+            });
+            for (const username of ["alice", "bob"]) {
+                for (const route of ["register", "login"]) {
+                    const res = await fetch(`${server.baseUrl}/api/auth/${route}`, {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json" },
+                        body: JSON.stringify({ username, password: "password1" }),
+                    });
+                    if (res.ok) tokens[username] = (await res.json()).data.accessToken;
+                }
+            }
+        }
+
+        async function upload(user, name, album, background) {
+            const image = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer();
+            const form = new FormData();
+            form.append("album", album);
+            form.append("file", new Blob([image], { type: "image/png" }), name);
+            const res = await fetch(`${server.baseUrl}/api/upload/media`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${tokens[user]}` },
+                body: form,
+            });
+            return (await res.json()).data;
+        }
+
+        async function trashIds(user) {
+            const res = await api("GET", "/api/upload/trash", { user });
+            return res.body.data.map((item) => item.id).sort((a, b) => a - b);
+        }
+
+        async function listIds(user) {
+            const res = await api("GET", "/api/upload/media?limit=200", { user });
+            return res.body.data.map((item) => item.id).sort((a, b) => a - b);
+        }
+
+        // 업로드 폴더의 저장 파일 이름 - 임시 폴더(.tmp)는 썸네일 작업이 만들고 지우는 중일 수 있어 건너뛴다
+        function storedNames(dir = path.join(dataDir, "uploads")) {
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            }
+            return entries
+                .filter((entry) => !entry.name.startsWith("."))
+                .flatMap((entry) => (entry.isDirectory() ? storedNames(path.join(dir, entry.name)) : [entry.name]));
+        }
+
+        function storedFileExists(savedName) {
+            return storedNames().includes(savedName);
+        }
+
+        const sorted = (ids) => [...ids].sort((a, b) => a - b);
+
+        before(async () => {
+            dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-backend-trash-"));
+            await start(7);
+
+            media.red = await upload("alice", "red.png", "Trip", "#ff0000");
+            media.green = await upload("alice", "green.png", "Trip", "#00ff00");
+            media.sun = await upload("alice", "sun.png", "Summer", "#ffff00");
+            media.sea = await upload("alice", "sea.png", "Summer", "#0000ff");
+            media.bob = await upload("bob", "bob.png", "Mine", "#123456");
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+            if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        it("삭제하면 목록에서 빠지고 휴지통에, 선택 복원", async () => {
+            assert.equal((await api("DELETE", `/api/upload/media/${media.red.id}`)).status, 200);
+            assert.ok(!(await listIds()).includes(media.red.id));
+
+            const trash = await api("GET", "/api/upload/trash");
+            assert.equal(trash.body.retentionDays, 7);
+            assert.deepEqual(trash.body.data.map((item) => item.id), [media.red.id]);
+            const [item] = trash.body.data;
+            assert.equal(Date.parse(`${item.purgeAt}Z`) - Date.parse(`${item.deletedAt}Z`), 7 * 24 * 60 * 60 * 1000);
+
+            // 휴지통에 있어도 파일은 남아 있다
+            assert.ok(storedFileExists(media.red.savedName));
+
+            const restored = await api("POST", "/api/upload/trash/restore", { body: { mediaIds: [media.red.id, media.bob.id, 999999] } });
+            assert.equal(restored.status, 200);
+            assert.deepEqual(restored.body.data, { restored: [media.red.id], notFound: [media.bob.id, 999999] });
+            assert.ok((await listIds()).includes(media.red.id));
+            assert.deepEqual(await trashIds(), []);
+
+            for (const body of [{}, { mediaIds: [] }, { mediaIds: ["x"] }, { all: "true" }]) {
+                const invalid = await api("POST", "/api/upload/trash/restore", { body });
+                assert.equal(invalid.status, 400, JSON.stringify(body));
+                assert.equal(invalid.body.code, "INVALID_MEDIA_IDS");
+            }
+        });
+
+        it("앨범을 지운 뒤 복원하면 같은 이름의 앨범을 다시 만든다", async () => {
+            const albums = (await api("GET", "/api/upload/albums")).body.albums;
+            const summer = albums.find((album) => album.name === "Summer");
+
+            const deleted = await api("DELETE", `/api/upload/albums/${summer.id}`);
+            assert.equal(deleted.status, 200);
+            assert.equal(deleted.body.stats.trashedMedia, 2);
+            assert.ok(!(await api("GET", "/api/upload/albums")).body.albums.some((album) => album.name === "Summer"));
+            assert.deepEqual(await trashIds(), sorted([media.sun.id, media.sea.id]));
+
+            const restored = await api("POST", "/api/upload/trash/restore", { body: { mediaIds: [media.sun.id, media.sea.id] } });
+            assert.deepEqual(sorted(restored.body.data.restored), sorted([media.sun.id, media.sea.id]));
+
+            const recreated = (await api("GET", "/api/upload/albums")).body.albums.filter((album) => album.name === "Summer");
+            assert.equal(recreated.length, 1);
+            assert.notEqual(recreated[0].id, summer.id);
+            assert.equal(recreated[0].fileCount, 2);
+            const list = (await api("GET", "/api/upload/media?album=Summer")).body.data;
+            assert.deepEqual(list.map((item) => item.albumId), [recreated[0].id, recreated[0].id]);
+        });
+
+        it("all: true 는 내 휴지통 전체 (다른 사용자 항목은 그대로)", async () => {
+            for (const item of [media.red, media.green]) {
+                await api("DELETE", `/api/upload/media/${item.id}`);
+            }
+            await api("DELETE", `/api/upload/media/${media.bob.id}`, { user: "bob" });
+
+            const restored = await api("POST", "/api/upload/trash/restore", { body: { all: true } });
+            assert.deepEqual(sorted(restored.body.data.restored), sorted([media.red.id, media.green.id]));
+            assert.deepEqual(restored.body.data.notFound, []);
+            assert.deepEqual(await trashIds(), []);
+            assert.deepEqual(await trashIds("bob"), [media.bob.id]);
+
+            // 휴지통 비우기도 내 것만
+            await api("DELETE", `/api/upload/media/${media.green.id}`);
+            const emptied = await api("DELETE", "/api/upload/trash");
+            assert.equal(emptied.body.stats.purgedMedia, 1);
+            assert.deepEqual(await trashIds("bob"), [media.bob.id]);
+            // 파일은 백그라운드 작업 (remove-files) 이 지운다
+            for (let i = 0; i < 50 && storedFileExists(media.green.savedName); i++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            assert.equal(storedFileExists(media.green.savedName), false);
+
+            const missing = await api("DELETE", `/api/upload/trash/${media.bob.id}`);
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.code, "TRASH_ITEM_NOT_FOUND");
+        });
+
+        it("보관 기간(TRASH_RETENTION_DAYS)이 지난 항목은 자동으로 영구 삭제, 0 이면 보관", async () => {
+            await api("DELETE", `/api/upload/media/${media.red.id}`);
+            await api("DELETE", `/api/upload/media/${media.sun.id}`);
+            await server.stop();
+            server = null;
+
+            // red 는 10일 전, sun 은 2일 전에 삭제한 것으로 (bob 은 방금)
+            const db = openDatabase(path.join(dataDir, "media.db"), { driver });
+            await db.ready;
+            await db.run("UPDATE uploaded_media SET deleted_at = datetime('now', '-10 days') WHERE id = ?", [media.red.id]);
+            await db.run("UPDATE uploaded_media SET deleted_at = datetime('now', '-2 days') WHERE id = ?", [media.sun.id]);
+            await db.close();
+
+            await start(0);
+            const kept = await api("GET", "/api/upload/trash");
+            assert.equal(kept.body.retentionDays, 0);
+            assert.deepEqual(kept.body.data.map((item) => item.purgeAt), [null, null]);
+            // 정리 작업이 돌 시간을 준다
+            await new Promise((resolve) => setTimeout(resolve, 500));
+            assert.deepEqual(await trashIds(), sorted([media.red.id, media.sun.id]));
+
+            await start(7);
+            for (let i = 0; i < 50 && (await trashIds()).includes(media.red.id); i++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+            }
+            assert.deepEqual(await trashIds(), [media.sun.id]);
+            assert.deepEqual(await trashIds("bob"), [media.bob.id]);
+            const gone = await api("POST", "/api/upload/trash/restore", { body: { mediaIds: [media.red.id] } });
+            assert.deepEqual(gone.body.data, { restored: [], notFound: [media.red.id] });
+        });
+    });
+}
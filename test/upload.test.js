@@ -0,0 +1,349 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const net = require("net");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/testServer");
+
+// =======================
+// 업로드 API 통합 테스트 (sqlite3 / better-sqlite3 두 엔트리포인트 모두)
+// =======================
+// 각 드라이버마다 빈 임시 DB/업로드 폴더로 서버를 띄우고, 아래 시나리오를 순서대로 실행한다
+// (앞 테스트가 만든 데이터를 뒤 테스트가 이어서 사용).
+
+const MAX_FILE_SIZE = 256 * 1024;
+
+const ENTRYPOINTS = [
+    { driver: "sqlite3", entry: "server.js" },
+    { driver: "better-sqlite3", entry: "server_better-sqlite3.js" },
+];
+
+function md5(buffer) {
+    return crypto.createHash("md5").update(buffer).digest("hex");
+}
+
+function solidPng(background) {
+    return sharp({ create: { width: 32, height: 32, channels: 3, background } }).png().toBuffer();
+}
+
+// 응답 url (…/uploads/<인코딩된 키>) → 업로드 폴더 안의 실제 경로
+function storedPath(uploadDir, url) {
+    const key = decodeURIComponent(url.split("/uploads/")[1]);
+    return path.join(uploadDir, ...key.split("/"));
+}
+
+async function waitFor(check, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await check()) return;
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+    assert.fail(`${timeoutMs}ms 안에 조건을 만족하지 못했습니다`);
+}
+
+for (const { driver, entry } of ENTRYPOINTS) {
+    describe(`업로드 API (${driver})`, () => {
+        let server;
+        let token;
+        const images = {};
+        const uploaded = {};
+
+        async function api(method, url, { body, form, auth = true } = {}) {
+            const headers = {};
+            if (auth) headers.Authorization = `Bearer ${token}`;
+            if (body !== undefined) headers["Content-Type"] = "application/json";
+
+            const res = await fetch(`${server.baseUrl}${url}`, {
+                method,
+                headers,
+                body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+            });
+            return { status: res.status, body: await res.json() };
+        }
+
+        function upload(buffer, { name = "photo.png", type = "image/png", album } = {}) {
+            const form = new FormData();
+            if (album) form.append("album", album);
+            form.append("file", new Blob([buffer], { type }), name);
+            return api("POST", "/api/upload/media", { form });
+        }
+
+        before(async () => {
+            images.red = await solidPng("#ff0000");
+            images.blue = await solidPng("#0000ff");
+
+            server = await startServer({ entry, env: { MAX_FILE_SIZE: String(MAX_FILE_SIZE) } });
+
+            const { body } = await api("POST", "/api/auth/register", {
+                auth: false,
+                body: { username: "alice", password: "password1" },
+            });
+            token = body.data.accessToken;
+        });
+
+        after(async () => {
+            if (server) await server.stop();
+        });
+
+        it("로그인 없이 업로드하면 401", async () => {
+            const form = new FormData();
+            form.append("file", new Blob([images.red], { type: "image/png" }), "photo.png");
+            const res = await api("POST", "/api/upload/media", { form, auth: false });
+            assert.equal(res.status, 401);
+        });
+
+        it("새 파일 업로드", async () => {
+            const res = await upload(images.red, { name: "red.png", album: "Trip" });
+            assert.equal(res.status, 200);
+
+            const data = res.body.data;
+            assert.equal(data.isDuplicate, false);
+            assert.equal(data.refCount, 1);
+            assert.equal(data.fileType, "image");
+            assert.equal(data.albumName, "Trip");
+            assert.equal(data.fileHash, md5(images.red));
+            assert.ok(data.url.startsWith(server.baseUrl));
+            assert.ok(fs.existsSync(storedPath(server.uploadDir, data.url)));
+            uploaded.red = data;
+        });
+
+        it("같은 파일을 다시 올리면 ref_count 만 증가", async () => {
+            const res = await upload(images.red, { name: "red-copy.png", album: "Family" });
+            assert.equal(res.status, 200);
+
+            const data = res.body.data;
+            assert.equal(data.isDuplicate, true);
+            assert.equal(data.refCount, 2);
+            assert.equal(data.storageId, uploaded.red.storageId);
+            assert.notEqual(data.id, uploaded.red.id);
+            assert.equal(data.url, uploaded.red.url);
+
+            assert.ok(!fs.existsSync(path.join(server.uploadDir, "Family")), "중복 파일은 새 앨범 폴더에 저장하지 않는다");
+            uploaded.redCopy = data;
+        });
+
+        it("MIME 없이 확장자로 형식 판별", async () => {
+            const res = await upload(images.blue, { name: "blue.png", type: "application/octet-stream", album: "Trip" });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.fileType, "image");
+            assert.equal(res.body.data.isDuplicate, false);
+            uploaded.blue = res.body.data;
+        });
+
+        it("목록 필터 (type, album, albumId)", async () => {
+            const all = await api("GET", "/api/upload/media");
+            assert.equal(all.status, 200);
+            assert.equal(all.body.total, 3);
+
+            const images = await api("GET", "/api/upload/media?type=image");
+            assert.equal(images.body.total, 3);
+
+            const videos = await api("GET", "/api/upload/media?type=video");
+            assert.equal(videos.body.total, 0);
+            assert.deepEqual(videos.body.data, []);
+
+            const trip = await api("GET", "/api/upload/media?album=Trip");
+            assert.deepEqual(
+                trip.body.data.map((m) => m.id).sort(),
+                [uploaded.red.id, uploaded.blue.id].sort()
+            );
+
+            const family = await api("GET", `/api/upload/media?albumId=${uploaded.redCopy.albumId}`);
+            assert.deepEqual(family.body.data.map((m) => m.id), [uploaded.redCopy.id]);
+        });
+
+        it("앨범 목록/조회", async () => {
+            const res = await api("GET", "/api/upload/albums");
+            assert.equal(res.status, 200);
+
+            const byName = Object.fromEntries(res.body.albums.map((a) => [a.name, a]));
+            assert.equal(byName.Trip.fileCount, 2);
+            assert.equal(byName.Family.fileCount, 1);
+
+            const album = await api("GET", `/api/upload/albums/${uploaded.red.albumId}`);
+            assert.equal(album.body.data.name, "Trip");
+
+            const missing = await api("GET", "/api/upload/albums/9999");
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.code, "ALBUM_NOT_FOUND");
+        });
+
+        it("통계", async () => {
+            const res = await api("GET", "/api/upload/stats");
+            assert.equal(res.status, 200);
+            assert.deepEqual(
+                {
+                    totalUploads: res.body.stats.totalUploads,
+                    uniqueFiles: res.body.stats.uniqueFiles,
+                    duplicateSavings: res.body.stats.duplicateSavings,
+                    images: res.body.stats.images,
+                    videos: res.body.stats.videos,
+                    albums: res.body.stats.albums,
+                    totalSize: res.body.stats.totalSize,
+                },
+                {
+                    totalUploads: 3,
+                    uniqueFiles: 2,
+                    duplicateSavings: 1,
+                    images: 2,
+                    videos: 0,
+                    albums: 2,
+                    totalSize: images.red.length + images.blue.length,
+                }
+            );
+        });
+
+        it("해시 확인", async () => {
+            const found = await api("POST", "/api/upload/check-hash", { body: { hash: md5(images.red) } });
+            assert.equal(found.status, 200);
+            assert.equal(found.body.exists, true);
+            assert.equal(found.body.data.id, uploaded.red.storageId);
+
+            const unknown = await api("POST", "/api/upload/check-hash", { body: { hash: md5(Buffer.from("nope")) } });
+            assert.equal(unknown.body.exists, false);
+            assert.equal(unknown.body.data, null);
+
+            const missing = await api("POST", "/api/upload/check-hash", { body: {} });
+            assert.equal(missing.status, 400);
+        });
+
+        it("저장소 파일(/uploads)은 참조하는 사용자만", async () => {
+            const { body } = await api("POST", "/api/auth/register", {
+                auth: false,
+                body: { username: "mallory", password: "password1" },
+            });
+            const otherToken = body.data.accessToken;
+            const fetchAs = (url, accessToken) => fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+
+            let thumbnails = null;
+            await waitFor(async () => {
+                const list = await api("GET", `/api/upload/media?albumId=${uploaded.red.albumId}`);
+                thumbnails = list.body.data.find((m) => m.id === uploaded.red.id).thumbnails;
+                return thumbnails !== null;
+            });
+
+            for (const url of [uploaded.red.url, thumbnails.small]) {
+                const own = await fetchAs(url, token);
+                assert.equal(own.status, 200, url);
+                await own.arrayBuffer();
+
+                const other = await fetchAs(url, otherToken);
+                assert.equal(other.status, 404, url);
+                assert.equal((await other.json()).code, "FILE_NOT_FOUND");
+            }
+        });
+
+        it("지원하지 않는 형식은 거부", async () => {
+            const text = await upload(Buffer.from("hello"), { name: "notes.txt", type: "text/plain" });
+            assert.equal(text.status, 415);
+            assert.equal(text.body.success, false);
+            assert.equal(text.body.code, "UNSUPPORTED_FILE_TYPE");
+
+            // 이미지라고 보냈지만 내용은 이미지가 아님
+            const fake = await upload(Buffer.from("definitely not a png"), { name: "fake.png" });
+            assert.equal(fake.status, 415);
+            assert.equal(fake.body.code, "UNSUPPORTED_FILE_TYPE");
+
+            const list = await api("GET", "/api/upload/media");
+            assert.equal(list.body.total, 3);
+        });
+
+        it("크기 제한을 넘으면 413", async () => {
+            const big = Buffer.concat([images.red, crypto.randomBytes(MAX_FILE_SIZE)]);
+            const res = await upload(big, { name: "big.png" });
+            assert.equal(res.status, 413);
+            assert.equal(res.body.success, false);
+
+            const incoming = path.join(server.uploadDir, ".tmp", "incoming");
+            assert.deepEqual(fs.readdirSync(incoming), [], "잘린 임시 파일은 남기지 않는다");
+        });
+
+        it("업로드 도중 연결이 끊기면 임시 파일 삭제", async () => {
+            const incoming = path.join(server.uploadDir, ".tmp", "incoming");
+            const { hostname, port } = new URL(server.baseUrl);
+            const boundary = "----abort-test";
+            const socket = net.connect(Number(port), hostname);
+            await new Promise((resolve) => socket.once("connect", resolve));
+
+            // Content-Length 보다 적게 보낸 채로 끊는다
+            socket.write([
+                "POST /api/upload/media HTTP/1.1",
+                `Host: ${hostname}:${port}`,
+                `Authorization: Bearer ${token}`,
+                `Content-Type: multipart/form-data; boundary=${boundary}`,
+                `Content-Length: ${MAX_FILE_SIZE}`,
+                "",
+                `--${boundary}`,
+                'Content-Disposition: form-data; name="file"; filename="partial.png"',
+                "Content-Type: image/png",
+                "",
+                "",
+            ].join("\r\n"));
+            socket.write(images.red);
+            await waitFor(() => fs.existsSync(incoming) && fs.readdirSync(incoming).length > 0);
+
+            socket.destroy();
+            await waitFor(() => fs.readdirSync(incoming).length === 0, { timeoutMs: 5000 });
+
+            const list = await api("GET", "/api/upload/media");
+            assert.equal(list.body.total, 3);
+        });
+
+        it("개별 삭제 → 영구 삭제: 마지막 참조가 사라질 때만 파일 삭제", async () => {
+            const filePath = storedPath(server.uploadDir, uploaded.red.url);
+
+            // 휴지통으로 (참조는 유지)
+            const trashed = await api("DELETE", `/api/upload/media/${uploaded.red.id}`);
+            assert.equal(trashed.status, 200);
+            assert.equal(trashed.body.data.mediaId, uploaded.red.id);
+
+            const again = await api("DELETE", `/api/upload/media/${uploaded.red.id}`);
+            assert.equal(again.status, 404);
+
+            // 첫 번째 참조 영구 삭제 - 다른 앨범이 아직 참조하므로 파일 유지
+            const first = await api("DELETE", `/api/upload/trash/${uploaded.red.id}`);
+            assert.equal(first.status, 200);
+            assert.equal(first.body.stats.deletedStorage, 0);
+            assert.ok(fs.existsSync(filePath));
+
+            const copy = await api("GET", `/api/upload/media?albumId=${uploaded.redCopy.albumId}`);
+            assert.equal(copy.body.data[0].refCount, 1);
+
+            // 마지막 참조 영구 삭제 - 파일은 백그라운드 작업이 지운다
+            await api("DELETE", `/api/upload/media/${uploaded.redCopy.id}`);
+            const last = await api("DELETE", `/api/upload/trash/${uploaded.redCopy.id}`);
+            assert.equal(last.status, 200);
+            assert.equal(last.body.stats.deletedStorage, 1);
+            await waitFor(() => !fs.existsSync(filePath));
+
+            const check = await api("POST", "/api/upload/check-hash", { body: { hash: md5(images.red) } });
+            assert.equal(check.body.exists, false);
+        });
+
+        it("잘못된 ID 삭제는 400", async () => {
+            const res = await api("DELETE", "/api/upload/media/abc");
+            assert.equal(res.status, 400);
+        });
+
+        it("전체 삭제 (휴지통으로)", async () => {
+            await upload(images.red, { name: "red-again.png", album: "Trip" });
+
+            const res = await api("DELETE", "/api/upload/media/all");
+            assert.equal(res.status, 200);
+            assert.equal(res.body.stats.trashedMedia, 2);
+
+            const list = await api("GET", "/api/upload/media");
+            assert.equal(list.body.total, 0);
+
+            const trash = await api("GET", "/api/upload/trash");
+            assert.equal(trash.body.total, 2);
+
+            // 휴지통에 있는 동안 파일은 그대로
+            for (const item of trash.body.data) {
+                assert.ok(fs.existsSync(storedPath(server.uploadDir, item.url)));
+            }
+        });
+    });
+}